@@ -0,0 +1,425 @@
+// Background script for Gmail Schedule Send Enhancer
+// Keeps settings and saved times in chrome.storage.local in step with chrome.storage.sync when sync is on,
+// forwards keyboard shortcuts to the Gmail tab, and reminds about cancelled and soon-to-be-sent emails
+
+// Chrome runs this as a service worker, which loads its libraries here. Firefox runs it as an event
+// page, whose manifest lists these same libraries before this file (see build.js)
+if (typeof importScripts === 'function') {
+  importScripts(
+    'lib/browser-api.js',
+    'lib/i18n.js',
+    'lib/accounts.js',
+    'lib/cancelled-history.js',
+    'lib/scheduled-title-parser.js',
+    'lib/settings-sync.js',
+    'lib/messages.js',
+    'lib/schedule-log.js',
+    'lib/reminders.js'
+  );
+}
+
+(function() {
+  'use strict';
+
+  const { browserApi, accounts, settingsSync, scheduledTitleParser, messages, reminders } = globalThis.ScheduleSendEnhancer;
+  const { KEYS } = settingsSync;
+
+  const GMAIL_URL_PREFIX = 'https://mail.google.com/';
+
+  // Alarm that resumes syncing after a failed write or once the write quotas allow it
+  // Alarms outlive the service worker, unlike timers
+  const SYNC_ALARM = 'settings sync';
+
+  // Stored values reminders are worked out from, for each account
+  const REMINDER_KEYS = {
+    settings: 'reminders',
+    history: KEYS.history,
+    log: 'schedule log'
+  };
+
+  const CONFIG = {
+    // Wait for a burst of changes to settle before syncing, to stay under the write quota
+    syncDelay: 2000,
+    // Wait before retrying after a failed write
+    retryDelay: 60000
+  };
+
+  // Keys waiting to be reconciled
+  const queuedKeys = new Set();
+  // When each synced key changed on this device since the sync state was last stored (ms since epoch)
+  const localChangedAt = {};
+  let syncTimer = null;
+  let syncing = false;
+
+  /**
+   * Loads the sync settings and bookkeeping
+   * The state also keeps when each synced key last changed on this device and when this device last wrote to
+   * sync storage, so both survive the service worker being shut down
+   * @param {Function} callback - Called with (enabled, state)
+   */
+  function loadSyncState(callback) {
+    browserApi.storage.local.get([KEYS.syncEnabled, KEYS.syncState], (result) => {
+      const state = result[KEYS.syncState] || {};
+      callback(result[KEYS.syncEnabled] === true, {
+        deviceId: state.deviceId || crypto.randomUUID(),
+        synced: state.synced || {},
+        changedAt: { ...state.changedAt, ...localChangedAt },
+        writes: state.writes || [],
+        lastSyncedAt: state.lastSyncedAt || null,
+        error: state.error || null
+      });
+    });
+  }
+
+  /**
+   * Queues keys to be reconciled once changes settle
+   * @param {string[]} keys - Synced keys
+   * @param {number} [delay] - How long to wait (ms)
+   */
+  function requestSync(keys, delay = CONFIG.syncDelay) {
+    keys.forEach(key => queuedKeys.add(key));
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(runQueuedSync, delay);
+  }
+
+  /**
+   * Resumes syncing every key later, even if the service worker is shut down in the meantime
+   * @param {number} delay - How long to wait (ms)
+   */
+  function scheduleSync(delay) {
+    browserApi.alarms.create(SYNC_ALARM, { when: Date.now() + delay });
+  }
+
+  /**
+   * Queues every synced key of every account, on this device or in sync storage
+   * @param {number} [delay] - How long to wait (ms)
+   */
+  function requestFullSync(delay) {
+    browserApi.storage.local.get(null, (local) => {
+      browserApi.storage.sync.get(null, (remoteItems) => {
+        // Chunk keys like "account:ana@example.com:presets#2" belong to their value's key
+        const keys = new Set([...Object.keys(local), ...Object.keys(remoteItems || {}).map(key => key.replace(/#\d+$/, ''))]);
+        requestSync(Array.from(keys).filter(settingsSync.isSyncedKey), delay);
+      });
+    });
+  }
+
+  /**
+   * Reconciles the queued keys, one batch at a time
+   */
+  function runQueuedSync() {
+    if (syncing || queuedKeys.size === 0) {
+      return;
+    }
+
+    syncing = true;
+    const keys = Array.from(queuedKeys);
+    queuedKeys.clear();
+    reconcile(keys, () => {
+      syncing = false;
+      runQueuedSync();
+    });
+  }
+
+  /**
+   * Brings keys in chrome.storage.local and chrome.storage.sync in step
+   * Remote changes are copied locally, local changes are pushed, and concurrent changes are merged
+   * @param {string[]} keys - Synced keys
+   * @param {Function} done - Called when finished
+   */
+  function reconcile(keys, done) {
+    loadSyncState((enabled, state) => {
+      if (!enabled) {
+        done();
+        return;
+      }
+
+      browserApi.storage.local.get(keys, (local) => {
+        browserApi.storage.sync.get(null, (remoteItems) => {
+          const readError = browserApi.getLastError();
+          if (readError) {
+            finish(state, [], [], readError.message, done);
+            return;
+          }
+
+          const now = Date.now();
+          const decisions = keys.map(key => ({
+            key,
+            ...settingsSync.decideSync(key, {
+              localValue: local[key],
+              remote: settingsSync.unpackValue(key, remoteItems),
+              synced: state.synced[key],
+              localChangedAt: state.changedAt[key],
+              device: state.deviceId,
+              now
+            })
+          })).filter(decision => decision.action !== 'none');
+
+          const pulls = decisions.filter(decision => decision.action === 'pull');
+          const pushes = decisions.filter(decision => decision.action !== 'pull');
+          const syncItems = {};
+          const staleKeys = [];
+          pushes.forEach(({ key, value, updatedAt }) => {
+            const items = settingsSync.packValue(key, { value, updatedAt, device: state.deviceId });
+            Object.assign(syncItems, items);
+            staleKeys.push(...settingsSync.getStaleChunkKeys(key, remoteItems, items));
+          });
+
+          if (pushes.length === 0) {
+            finish(state, pulls, [], null, done);
+            return;
+          }
+
+          // Remote changes still come through when this device's changes don't fit
+          const quotaError = settingsSync.checkQuota(remoteItems, syncItems, staleKeys);
+          if (quotaError) {
+            finish(state, pulls, [], quotaError, done);
+            return;
+          }
+
+          // Each set and remove call counts against the write quotas; pushes wait their turn
+          const writeCount = staleKeys.length > 0 ? 2 : 1;
+          const writeDelay = settingsSync.getWriteDelay(state.writes, writeCount, now);
+          if (writeDelay > 0) {
+            scheduleSync(writeDelay);
+            finish(state, pulls, [], null, done);
+            return;
+          }
+
+          state.writes = settingsSync.recordWrites(state.writes, writeCount, now);
+          browserApi.storage.sync.set(syncItems, () => {
+            const writeError = browserApi.getLastError();
+            if (writeError) {
+              scheduleSync(CONFIG.retryDelay);
+              finish(state, pulls, [], writeError.message, done);
+              return;
+            }
+            if (staleKeys.length > 0) {
+              browserApi.storage.sync.remove(staleKeys);
+            }
+            finish(state, pulls, pushes, null, done);
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Stores pulled and merged values locally and records what was synced
+   * @param {Object} state - Sync bookkeeping
+   * @param {Object[]} pulls - Remote values to copy locally
+   * @param {Object[]} pushes - Values written to sync storage (merged values are also stored locally)
+   * @param {string|null} error - What went wrong, if anything
+   * @param {Function} done - Called when finished
+   */
+  function finish(state, pulls, pushes, error, done) {
+    const changes = {};
+    [...pulls, ...pushes].forEach(({ key, action, value, updatedAt }) => {
+      state.synced[key] = { updatedAt, hash: settingsSync.hashValue(value) };
+      if (action !== 'push') {
+        changes[key] = value;
+      }
+    });
+
+    state.error = error;
+    if (!error) {
+      state.lastSyncedAt = Date.now();
+    }
+    browserApi.storage.local.set({ ...changes, [KEYS.syncState]: state }, done);
+  }
+
+  /**
+   * Upgrades data stored by older versions of the extension
+   */
+  function migrateStorage() {
+    browserApi.storage.local.get([KEYS.schemaVersion, KEYS.history, ...KEYS.legacy], (result) => {
+      const { changes, removed } = settingsSync.migrate(result, {
+        parseTime: text => scheduledTitleParser.parseScheduledTitle(text, { locale: navigator.language })
+      });
+      if (removed.length > 0) {
+        browserApi.storage.local.remove(removed);
+      }
+      if (Object.keys(changes).length > 0) {
+        browserApi.storage.local.set(changes);
+      }
+    });
+  }
+
+  /**
+   * Passes a keyboard shortcut to the content script of the Gmail tab it was pressed in
+   * @param {string} command - Command name from manifest.json
+   * @param {Object} tab - The active tab
+   */
+  function forwardCommand(command, tab) {
+    if (!tab || !tab.url || !tab.url.startsWith(GMAIL_URL_PREFIX)) {
+      return;
+    }
+    browserApi.tabs.sendMessage(tab.id, messages.createMessage(messages.MESSAGE_TYPES.command, { command }), () => {
+      // Gmail tabs opened before the extension was installed have no content script
+      void browserApi.getLastError();
+    });
+  }
+
+  /**
+   * Works out the reminders the stored data of every account calls for
+   * @param {Function} callback - Called with the reminders, see reminders.listReminders, each with
+   *   the ID of its account and the stored accounts
+   */
+  function loadReminders(callback) {
+    browserApi.storage.local.get(null, (result) => {
+      const list = accounts.listStoredAccounts(result).flatMap(accountId => {
+        const data = accounts.unscopeData(result, accountId);
+        return reminders.listReminders({
+          history: data[REMINDER_KEYS.history],
+          log: data[REMINDER_KEYS.log],
+          settings: data[REMINDER_KEYS.settings]
+        }).map(reminder => ({ ...reminder, accountId }));
+      });
+      callback(list, result[accounts.KEYS.registry]);
+    });
+  }
+
+  /**
+   * Sets an alarm for every upcoming reminder and clears the alarms of reminders no longer needed
+   * Alarms outlive the service worker, so reminders fire even when no Gmail tab is open
+   */
+  function updateReminderAlarms() {
+    loadReminders((list) => {
+      const planned = reminders.planReminders(list);
+      browserApi.alarms.getAll((alarms) => {
+        alarms
+          .filter(alarm => alarm.name.startsWith(reminders.ALARM_PREFIX))
+          .filter(alarm => !planned.some(reminder => reminder.id === alarm.name))
+          .forEach(alarm => browserApi.alarms.clear(alarm.name));
+
+        planned
+          .filter(reminder => !alarms.some(alarm => alarm.name === reminder.id && alarm.scheduledTime === reminder.fireAt))
+          .forEach(reminder => browserApi.alarms.create(reminder.id, { when: reminder.fireAt }));
+      });
+    });
+  }
+
+  /**
+   * Shows the notification of a reminder whose alarm went off, unless it's no longer needed
+   * (the email was rescheduled or cancelled in the meantime, or the computer slept past its time)
+   * @param {string} name - Alarm name, which is also the reminder ID
+   */
+  function showReminder(name) {
+    loadReminders((list) => {
+      const reminder = list.find(candidate => candidate.id === name);
+      if (!reminder || new Date(reminder.sendISO) <= new Date()) {
+        return;
+      }
+
+      const { title, message } = reminders.describeReminder(reminder, { locale: navigator.language });
+      browserApi.notifications.create(reminder.id, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title,
+        message,
+        priority: 2,
+        requireInteraction: reminder.type === reminders.REMINDER_TYPES.cancelled
+      });
+    });
+  }
+
+  /**
+   * Opens the email of a clicked reminder in its Gmail account, reusing a Gmail tab of that account if one is open
+   * @param {string} notificationId - Notification ID, which is also the reminder ID
+   */
+  function openReminder(notificationId) {
+    browserApi.notifications.clear(notificationId);
+    loadReminders((list, registry) => {
+      const reminder = list.find(candidate => candidate.id === notificationId);
+      if (!reminder) {
+        return;
+      }
+
+      const hash = reminders.getReminderHash(reminder);
+      const accountUrl = accounts.getAccountUrl((registry || {})[reminder.accountId]);
+      browserApi.tabs.query({ url: `${accountUrl}*` }, (tabs) => {
+        const tab = tabs[0];
+        if (!tab) {
+          browserApi.tabs.create({ url: `${accountUrl}${hash}` });
+          return;
+        }
+        browserApi.tabs.update(tab.id, { active: true, url: `${tab.url.split('#')[0]}${hash}` });
+        browserApi.windows.update(tab.windowId, { focused: true });
+      });
+    });
+  }
+
+  browserApi.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === SYNC_ALARM) {
+      requestFullSync(0);
+    } else if (alarm.name.startsWith(reminders.ALARM_PREFIX)) {
+      showReminder(alarm.name);
+    }
+  });
+
+  browserApi.notifications.onClicked.addListener((notificationId) => {
+    if (notificationId.startsWith(reminders.ALARM_PREFIX)) {
+      openReminder(notificationId);
+    }
+  });
+
+  browserApi.commands.onCommand.addListener((command, tab) => {
+    if (tab) {
+      forwardCommand(command, tab);
+      return;
+    }
+    browserApi.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      forwardCommand(command, tabs[0]);
+    });
+  });
+
+  browserApi.runtime.onInstalled.addListener(() => {
+    migrateStorage();
+    requestFullSync();
+    updateReminderAlarms();
+  });
+
+  browserApi.runtime.onStartup.addListener(() => {
+    requestFullSync();
+    updateReminderAlarms();
+  });
+
+  browserApi.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync') {
+      // Chunk keys like "account:ana@example.com:presets#2" belong to their value's key
+      const keys = new Set(Object.keys(changes).map(key => key.replace(/#\d+$/, '')));
+      requestSync(Array.from(keys).filter(settingsSync.isSyncedKey));
+      return;
+    }
+    if (areaName !== 'local') {
+      return;
+    }
+
+    // A cancel, a new schedule or changed settings can each add or remove reminders, in any account
+    const reminderKeys = Object.values(REMINDER_KEYS);
+    if (Object.keys(changes).some(key => accounts.parseKey(key) && reminderKeys.includes(accounts.getBaseKey(key)))) {
+      updateReminderAlarms();
+    }
+
+    if (changes[KEYS.syncEnabled]) {
+      if (changes[KEYS.syncEnabled].newValue === true) {
+        requestFullSync(0);
+      } else {
+        // Start over next time, deferring to what other devices synced in the meantime
+        loadSyncState((enabled, state) => {
+          browserApi.storage.local.set({ [KEYS.syncState]: { ...state, synced: {}, error: null } });
+        });
+      }
+    }
+
+    // Values written together with the sync state were copied from sync storage, not edited here
+    const changedKeys = Object.keys(changes).filter(settingsSync.isSyncedKey);
+    if (changedKeys.length > 0 && !changes[KEYS.syncState]) {
+      changedKeys.forEach(key => {
+        localChangedAt[key] = Date.now();
+      });
+      requestSync(changedKeys);
+    }
+  });
+
+})();
@@ -0,0 +1,200 @@
+// Build script for Gmail Schedule Send Enhancer
+// Packages the same sources for Chrome and Firefox: dist/<browser>/ holds the unpacked extension and
+// dist/gmail-schedule-send-enhancer-<browser>-<version>.zip the package to upload to each store
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+const ROOT = __dirname;
+const PACKAGE_NAME = 'gmail-schedule-send-enhancer';
+
+// Files and folders that make up the extension; everything else (tests, docs, tooling) stays out
+const SOURCES = [
+  '_locales',
+  'background.js',
+  'content.js',
+  'icons',
+  'lib',
+  'LICENSE',
+  'options.html',
+  'options.js',
+  'popup.html',
+  'popup.js',
+  'styles.css'
+];
+
+const TARGETS = {
+  chrome: 'chrome',
+  firefox: 'firefox'
+};
+
+// Firefox needs a stable add-on ID to keep storage and sync data across updates
+const FIREFOX_SETTINGS = {
+  gecko: {
+    id: 'gmail-schedule-send-enhancer@extension',
+    // First ESR with commands.openShortcutSettings and data_collection_permissions
+    strict_min_version: '140.0',
+    // Nothing leaves the browser except through the user's own sync storage
+    data_collection_permissions: { required: ['none'] }
+  }
+};
+
+// DOS date of 1 January 1980, so packages built from the same sources are identical
+const ZIP_DATE = (1 << 5) | 1;
+
+/**
+ * Lists the libraries background.js loads with importScripts, in order
+ * Firefox runs the background script as an event page, which can't import scripts, so its manifest
+ * lists them instead
+ * @param {string} source - Contents of background.js
+ * @returns {string[]} Script paths, e.g. "lib/i18n.js"
+ */
+function readBackgroundScripts(source) {
+  const match = source.match(/importScripts\(([^)]*)\)/);
+  if (!match) {
+    throw new Error('background.js has no importScripts call');
+  }
+  return Array.from(match[1].matchAll(/'([^']+)'/g), ([, file]) => file);
+}
+
+/**
+ * Creates the manifest for a browser from the Chrome manifest
+ * @param {Object} manifest - Parsed manifest.json
+ * @param {string} target - A value of TARGETS
+ * @param {string[]} backgroundScripts - Libraries background.js imports, see readBackgroundScripts
+ * @returns {Object} The browser's manifest
+ */
+function createManifest(manifest, target, backgroundScripts) {
+  if (target === TARGETS.chrome) {
+    return manifest;
+  }
+  const worker = manifest.background.service_worker;
+  return {
+    ...manifest,
+    background: { scripts: [...backgroundScripts, worker] },
+    browser_specific_settings: FIREFOX_SETTINGS
+  };
+}
+
+/**
+ * Lists the files below a file or folder
+ * @param {string} relativePath - Path relative to the sources, with forward slashes
+ * @returns {string[]} File paths relative to the sources, sorted
+ */
+function listFiles(relativePath) {
+  const absolutePath = path.join(ROOT, relativePath);
+  if (!fs.statSync(absolutePath).isDirectory()) {
+    return [relativePath];
+  }
+  return fs.readdirSync(absolutePath).sort()
+    .flatMap(name => listFiles(`${relativePath}/${name}`));
+}
+
+/**
+ * Packs files into a zip archive
+ * @param {Array<{name: string, data: Buffer}>} files - Paths inside the archive and their contents
+ * @returns {Buffer} The archive
+ */
+function createZip(files) {
+  const entries = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const fileName = Buffer.from(name, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(0, 10);
+    local.writeUInt16LE(ZIP_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(ZIP_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    entries.push(local, fileName, compressed);
+    directory.push(central, fileName);
+    offset += local.length + fileName.length + compressed.length;
+  });
+
+  const directorySize = directory.reduce((size, buffer) => size + buffer.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...entries, ...directory, end]);
+}
+
+/**
+ * Builds the unpacked extension and the package for every browser
+ * @param {Object} [options] - Build options
+ * @param {string} [options.outDir] - Output folder, emptied first
+ * @returns {Object<string, {dir: string, zip: string, manifest: Object}>} Output paths and manifest, by target
+ */
+function build({ outDir = path.join(ROOT, 'dist') } = {}) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const backgroundScripts = readBackgroundScripts(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'));
+  const sourceFiles = SOURCES.flatMap(listFiles).map(name => ({ name, data: fs.readFileSync(path.join(ROOT, name)) }));
+
+  fs.rmSync(outDir, { recursive: true, force: true });
+  const results = {};
+  Object.values(TARGETS).forEach(target => {
+    const targetManifest = createManifest(manifest, target, backgroundScripts);
+    const files = [
+      { name: 'manifest.json', data: Buffer.from(`${JSON.stringify(targetManifest, null, 2)}\n`) },
+      ...sourceFiles
+    ];
+
+    const dir = path.join(outDir, target);
+    files.forEach(({ name, data }) => {
+      fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+      fs.writeFileSync(path.join(dir, name), data);
+    });
+
+    const zip = path.join(outDir, `${PACKAGE_NAME}-${target}-${manifest.version}.zip`);
+    fs.writeFileSync(zip, createZip(files));
+    results[target] = { dir, zip, manifest: targetManifest };
+  });
+  return results;
+}
+
+if (require.main === module) {
+  Object.entries(build()).forEach(([target, { dir, zip }]) => {
+    console.log(`${target}: ${path.relative(ROOT, dir)}/, ${path.relative(ROOT, zip)}`);
+  });
+}
+
+module.exports = {
+  TARGETS,
+  FIREFOX_SETTINGS,
+  readBackgroundScripts,
+  createManifest,
+  createZip,
+  build
+};
@@ -6,23 +6,446 @@
 
   // Configuration
   const CONFIG = {
-    // MutationObserver options
-    observerOptions: {
-      childList: true,
-      subtree: true,
-      attributes: true,
-      attributeFilter: ['aria-label', 'class']
+    // How the page is watched for Gmail's schedule send menu
+    observation: {
+      // Gmail adds its menus as children of <body>, so page-wide only those are watched
+      pageOptions: { childList: true },
+      // An open menu: its items changing, and the menu being hidden
+      menuOptions: {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['aria-label', 'aria-hidden', 'class', 'style']
+      },
+      // Waits for a step of Gmail's UI (see waitForUI): elements being added or removed
+      elementOptions: { childList: true, subtree: true },
+      // A wait for a button to be enabled, a menu to be shown or a draft to get its ID
+      stateOptions: {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['aria-disabled', 'aria-hidden', 'class', 'disabled', 'style', 'value']
+      },
+      // A wait for text in a small part of the page: Gmail's toast bar or the page title
+      textOptions: { childList: true, subtree: true, characterData: true },
+      // A wait for the scheduled label of the open conversation, whose time is in its title
+      labelOptions: { childList: true, subtree: true, attributes: true, attributeFilter: ['title'] },
+      // Mutation callbacks per minute, across every observer, shown as over budget in the popup's debug panel
+      callbacksPerMinute: 120
+    },
+    // Maximum number of cancelled times offered in the date picker menu
+    maxCancelledOptions: 3,
+    // Key that picks a new random time for the focused menu option
+    rerollKey: 'r',
+    // How long to wait for each step of Gmail's UI before reporting a failure (ms)
+    timeouts: {
+      // Gmail loading, the Scheduled list and an opened email
+      page: 10000,
+      // A menu, the date picker or its Schedule send button
+      menu: 5000,
+      // The draft Gmail reopens after Cancel send
+      draft: 10000,
+      // Gmail's "Send scheduled for …" confirmation
+      confirmation: 15000
     }
   };
 
+  // chrome.storage keys
+  const STORAGE_KEYS = {
+    history: 'cancelled times',
+    // Version of the stored data layout, and the single-time keys written before it existed
+    schemaVersion: 'schema version',
+    legacy: ['scheduled time', 'scheduled time iso'],
+    presets: 'presets',
+    calendar: 'business calendar',
+    zoneMappings: 'time zone mappings',
+    scheduleLog: 'schedule log',
+    sendMode: 'send mode',
+    selectorHealth: 'selector health',
+    typedTimeEntry: 'typed time entry',
+    auditLog: 'audit log',
+    recipientRules: 'recipient rules'
+  };
+
+  // Keyboard shortcuts declared under "commands" in manifest.json
+  const COMMANDS = {
+    openScheduleSend: 'open-schedule-send',
+    // Followed by the preset's position among the enabled time presets, e.g. "schedule-preset-1"
+    schedulePreset: /^schedule-preset-(\d+)$/
+  };
+
+  // What happens after a menu option fills in the date picker
+  const SEND_MODES = {
+    // Click Schedule send straight away
+    auto: 'auto',
+    // Stop and highlight Schedule send for the user to click
+    review: 'review',
+    // Show a card summarising the time before scheduling
+    confirm: 'confirm'
+  };
+
+  const {
+    browserApi,
+    i18n,
+    gmailStrings,
+    accounts,
+    cancelledHistory,
+    presets,
+    businessCalendar,
+    timezones,
+    naturalTime,
+    scheduledTitleParser,
+    pickerFormat,
+    scheduleLog,
+    gmailSelectors,
+    domWait,
+    observerBudget,
+    messages,
+    settingsSync,
+    bulkReschedule,
+    auditLog,
+    recipientRules
+  } = globalThis.ScheduleSendEnhancer;
+
+  // Gmail elements are looked up by hook name; see lib/gmail-selectors.js
+  const { CONTEXTS } = gmailSelectors;
+
+  // Audit event recorded when a schedule attempt reaches each final status
+  const OUTCOME_EVENTS = {
+    [scheduleLog.STATUSES.verified]: auditLog.EVENT_TYPES.verified,
+    [scheduleLog.STATUSES.mismatch]: auditLog.EVENT_TYPES.mismatch,
+    [scheduleLog.STATUSES.unverified]: auditLog.EVENT_TYPES.unverified,
+    [scheduleLog.STATUSES.failed]: auditLog.EVENT_TYPES.failed,
+    [scheduleLog.STATUSES.cancelled]: auditLog.EVENT_TYPES.declined
+  };
+
   // State management
-  let observer = null;
+  // The compose window the user last interacted with (owner of the schedule send menu)
+  let activeCompose = null;
+  // Callbacks waiting for a schedule attempt to reach a final status, by attempt ID
+  const attemptCallbacks = new Map();
+  // The bulk reschedule in progress, if any
+  let bulkRun = null;
+  // Audit events waiting to be written, and whether a write is under way
+  const pendingAuditEvents = [];
+  let writingAuditLog = false;
+  // Schedule log changes waiting to be written, applied in order
+  const pendingScheduleLogChanges = [];
+  let writingScheduleLog = false;
+  // Mutation observer callbacks over the last minute, and how many observers of each kind are connected
+  const observerMeter = observerBudget.createMeter();
+  const connectedObservers = new Map();
+  // The Gmail account of this tab, as { id, email, index }, and reads and writes waiting for it to be known
+  let account = null;
+  const accountWaiters = [];
+
+  // chrome.storage.local, with each per-account key read and written for this tab's account
+  const accountStorage = accounts.createAccountStorage(browserApi.storage.local, whenAccountKnown);
+
+  /**
+   * Returns the locale of Gmail's UI, which decides how dates are written
+   * @returns {string} BCP 47 locale, e.g. "en-GB"
+   */
+  function getUiLocale() {
+    return document.documentElement.lang || navigator.language || 'en-US';
+  }
+
+  /**
+   * Parses a scheduled time string saved from Gmail's scheduled label
+   * @param {string} timeStr - The scheduled time string (e.g. a title attribute)
+   * @returns {Date|null} The parsed date, or null if it could not be parsed
+   */
+  function parseScheduledTime(timeStr) {
+    return scheduledTitleParser.parseScheduledTitle(timeStr, { locale: getUiLocale() });
+  }
+
+  /**
+   * Returns the Gmail thread ID of the conversation currently open
+   * @returns {string|null} The thread ID, or null if no conversation is open
+   */
+  function getCurrentThreadId() {
+    const subjectElement = gmailSelectors.queryAll('threadSubject')
+      .find(element => element.hasAttribute('data-legacy-thread-id'));
+    if (subjectElement) {
+      return subjectElement.getAttribute('data-legacy-thread-id');
+    }
+
+    // Fall back to the message ID at the end of the URL hash (e.g. #scheduled/FMfcgz...)
+    const hashMatch = window.location.hash.match(/\/([A-Za-z0-9]{16,})$/);
+    return hashMatch ? hashMatch[1] : null;
+  }
+
+  /**
+   * Reads the subject, recipients and thread ID of the email currently open
+   * @returns {{subject: string, recipients: string[], threadId: string|null}} The email details
+   */
+  function getOpenEmailDetails() {
+    const subjectElement = gmailSelectors.query('threadSubject');
+    const recipients = [];
+    gmailSelectors.queryAll('messageRecipients').forEach(recipient => {
+      const email = recipient.getAttribute('email');
+      if (email && !recipients.includes(email)) {
+        recipients.push(email);
+      }
+    });
+
+    return {
+      subject: subjectElement?.textContent?.trim() || '',
+      recipients,
+      threadId: getCurrentThreadId()
+    };
+  }
+
+  /**
+   * Returns the draft ID of a compose window
+   * @param {HTMLElement|null} compose - The compose window element
+   * @returns {string|null} The draft ID, or null if Gmail hasn't assigned one yet
+   */
+  function getComposeDraftId(compose) {
+    const draftInput = compose ? gmailSelectors.query('composeDraftInput', compose) : null;
+    const draftId = draftInput?.value;
+    return draftId && draftId !== 'undefined' ? draftId : null;
+  }
+
+  /**
+   * Returns the draft IDs of every open compose window
+   * @returns {string[]} The known draft IDs
+   */
+  function getOpenDraftIds() {
+    return gmailSelectors.queryAll('composeRoot')
+      .map(getComposeDraftId)
+      .filter(Boolean);
+  }
+
+  /**
+   * Tracks which compose window the user is working in, so the schedule send menu
+   * (rendered outside the compose window) can be tied back to its draft
+   */
+  function setupComposeTracking() {
+    const trackCompose = (e) => {
+      const compose = gmailSelectors.closest(e.target, 'composeRoot');
+      if (compose && compose !== activeCompose) {
+        activeCompose = compose;
+        checkGmailHealth(CONTEXTS.compose);
+      }
+    };
+    document.addEventListener('mousedown', trackCompose, true);
+    document.addEventListener('focusin', trackCompose, true);
+  }
+
+  /**
+   * Returns the compose window the schedule send menu was opened from
+   * @returns {HTMLElement|null} The compose window, or null if it has been closed
+   */
+  function getActiveCompose() {
+    return activeCompose && activeCompose.isConnected ? activeCompose : null;
+  }
+
+  /**
+   * Identifies the draft the schedule send menu was opened for
+   * @returns {{draftId: string|null, threadId: string|null}} The draft context
+   */
+  function getActiveDraftContext() {
+    return {
+      draftId: getComposeDraftId(getActiveCompose()),
+      threadId: getCurrentThreadId()
+    };
+  }
+
+  /**
+   * Reads the To and Cc recipients of a compose window
+   * @param {HTMLElement|null} compose - The compose window element
+   * @returns {string[]} Recipient addresses in the order they appear
+   */
+  function getComposeRecipients(compose) {
+    if (!compose) {
+      return [];
+    }
+
+    const recipients = [];
+    const addRecipient = (email) => {
+      const address = email?.trim().toLowerCase();
+      if (address && address.includes('@') && !recipients.includes(address)) {
+        recipients.push(address);
+      }
+    };
+
+    // Recipient chips, then the hidden form fields Gmail keeps in sync with them
+    gmailSelectors.queryAll('composeRecipientChips', compose).forEach(chip => {
+      addRecipient(chip.getAttribute('data-hovercard-id') || chip.getAttribute('email'));
+    });
+    gmailSelectors.queryAll('composeRecipientInputs', compose).forEach(input => {
+      input.value.split(',').forEach(value => {
+        const match = value.match(/<([^>]+)>/);
+        addRecipient(match ? match[1] : value);
+      });
+    });
+
+    return recipients;
+  }
+
+  /**
+   * Reads the subject of a compose window
+   * @param {HTMLElement|null} compose - The compose window element
+   * @returns {string} The subject, or an empty string
+   */
+  function getComposeSubject(compose) {
+    const subjectInput = compose ? gmailSelectors.query('composeSubject', compose) : null;
+    return subjectInput?.value?.trim() || '';
+  }
+
+  /**
+   * Counts a mutation observer callback towards the performance budget
+   * @param {string} name - Which observer fired, e.g. "page", "menu" or "waits"
+   * @param {MutationRecord[]} records - The records it was given
+   */
+  function meterMutations(name, records) {
+    observerBudget.recordCallback(observerMeter, name, records.length);
+  }
+
+  /**
+   * Keeps count of the connected observers of a kind, for the debug panel
+   * @param {string} name - Kind of observer
+   * @param {number} change - 1 when one connects, -1 when one disconnects
+   */
+  function countObserver(name, change) {
+    const count = (connectedObservers.get(name) || 0) + change;
+    if (count > 0) {
+      connectedObservers.set(name, count);
+    } else {
+      connectedObservers.delete(name);
+    }
+  }
+
+  /**
+   * Reports the cost of the extension's observers for the popup's debug panel
+   * @returns {Object} Stats from observerBudget.getStats, plus the connected observers by kind
+   */
+  function getObserverStats() {
+    return {
+      ...observerBudget.getStats(observerMeter, { budget: CONFIG.observation.callbacksPerMinute }),
+      connected: Object.fromEntries(connectedObservers)
+    };
+  }
+
+  /**
+   * Waits for part of Gmail's UI with domWait.waitFor, counting its observer towards the performance budget
+   * Unless the options say otherwise, only elements being added or removed re-check the condition
+   * @param {string|Function} condition - CSS selector, or function returning the result when ready
+   * @param {Object} options - Options for domWait.waitFor
+   * @param {Function} callback - Called once with (error, result); error is a domWait.WaitError or null
+   * @returns {{cancel: Function}} Handle to stop waiting
+   */
+  function waitForUI(condition, options, callback) {
+    countObserver('waits', 1);
+    const waitOptions = {
+      observe: CONFIG.observation.elementOptions,
+      ...options,
+      onMutations: records => meterMutations('waits', records)
+    };
+    return domWait.waitFor(condition, waitOptions, (error, result) => {
+      countObserver('waits', -1);
+      callback(error, result);
+    });
+  }
+
+  /**
+   * Waits for Gmail to open a draft that wasn't open before, e.g. the one it reopens after a cancel
+   * @param {string[]} knownDraftIds - Draft IDs that were already open
+   * @param {Function} callback - Called with (error, draftId); error is a domWait.WaitError or null
+   * @returns {{cancel: Function}} Handle to stop waiting
+   */
+  function waitForNewDraft(knownDraftIds, callback) {
+    return waitForUI(
+      () => getOpenDraftIds().find(id => !knownDraftIds.includes(id)),
+      { timeout: CONFIG.timeouts.draft, step: i18n.getMessage('stepReopenedDraft'), observe: CONFIG.observation.stateOptions },
+      callback
+    );
+  }
+
+  /**
+   * Records the ID of the draft Gmail reopens after a cancel, so the original time
+   * can later be offered for that same draft
+   * @param {Object} entry - The cancelled time history entry
+   * @param {string[]} knownDraftIds - Draft IDs that were open before the cancel
+   */
+  function captureCancelledDraftId(entry, knownDraftIds) {
+    waitForNewDraft(knownDraftIds, (error, draftId) => {
+      if (error) {
+        recordAuditEvent(auditLog.EVENT_TYPES.failed, {
+          source: i18n.getMessage('sourceCancelSend'),
+          subject: entry.subject,
+          threadId: entry.threadId,
+          actualISO: entry.timeISO,
+          detail: i18n.getMessage('detailDraftNotLinked', error.message)
+        });
+        return;
+      }
+      loadCancelledHistory((history) => {
+        accountStorage.set({
+          [STORAGE_KEYS.history]: cancelledHistory.updateEntry(history, entry, { draftId })
+        });
+      });
+    });
+  }
+
+  /**
+   * Loads the cancelled time history, migrating data stored by older versions
+   * and dropping entries that are no longer in the future
+   * @param {Function} callback - Called with the history, newest first
+   */
+  function loadCancelledHistory(callback) {
+    const keys = [STORAGE_KEYS.history, STORAGE_KEYS.schemaVersion, ...STORAGE_KEYS.legacy];
+    accountStorage.get(keys, (result) => {
+      // Older versions only kept the last cancelled time
+      const { changes, removed } = settingsSync.migrate(result, { parseTime: parseScheduledTime });
+      if (removed.length > 0) {
+        accountStorage.remove(removed);
+      }
+
+      const storedHistory = changes[STORAGE_KEYS.history] || result[STORAGE_KEYS.history] || [];
+
+      // Clear past times from storage
+      const history = cancelledHistory.pruneExpired(storedHistory);
+      if (history.length !== (result[STORAGE_KEYS.history] || []).length || Object.keys(changes).length > 0) {
+        accountStorage.set({ ...changes, [STORAGE_KEYS.history]: history });
+      }
+
+      callback(history);
+    });
+  }
+
+  /**
+   * Adds a cancelled time to the stored history
+   * @param {Object} entry - The cancelled time history entry
+   */
+  function saveCancelledTime(entry) {
+    loadCancelledHistory((history) => {
+      accountStorage.set({
+        [STORAGE_KEYS.history]: cancelledHistory.addEntry(history, entry)
+      });
+    });
+    recordAuditEvent(auditLog.EVENT_TYPES.cancelCaptured, {
+      subject: entry.subject,
+      recipients: entry.recipients,
+      threadId: entry.threadId,
+      actualISO: entry.timeISO,
+      detail: entry.timeISO ? '' : i18n.getMessage('detailUnreadableTime', entry.time)
+    });
+  }
 
   /**
    * Simple click listener for cancel send button
    */
   function setupCancelButtonListener() {
+    // Set while the intercepted click is passed on to Gmail
+    let replaying = false;
+
     const clickHandler = (e) => {
+      if (replaying) {
+        return;
+      }
+
       let target = e.target;
       let depth = 0;
       const maxDepth = 10;
@@ -32,9 +455,9 @@
       while (target && depth < maxDepth && target !== document.body) {
         const text = target.textContent?.trim() || target.getAttribute('aria-label') || '';
         
-        // Only match exact "Cancel send" text, not partial matches
+        // Only match Gmail's exact "Cancel send" text, in the page's language, not partial matches
         // Also check that it's not our refresh button
-        if (text === 'Cancel send' && 
+        if (gmailStrings.matchesText('cancelSend', text, getUiLocale()) &&
             !target.classList.contains('random-time-refresh-btn') &&
             !target.closest('.random-time-refresh-btn')) {
           cancelButton = target;
@@ -51,47 +474,42 @@
         e.preventDefault();
         e.stopImmediatePropagation();
         
-        // Step 2: Capture the timestamp synchronously
-        const scheduledTimeElement = document.querySelector('span.g3[title]');
-        let scheduledTime = null;
+        // Step 2: Capture the timestamp and email details synchronously
+        checkGmailHealth(CONTEXTS.scheduledEmail);
+        const scheduledTimeElement = gmailSelectors.query('scheduledLabel');
         
         if (scheduledTimeElement) {
           // Capture the title value
-          scheduledTime = scheduledTimeElement.getAttribute('title');
+          const scheduledTime = scheduledTimeElement.getAttribute('title');
           
           // Step 3: Parse the date and create ISO format
-          let scheduledTimeISO = null;
-          try {
-            const parsedDate = new Date(scheduledTime);
-            if (!isNaN(parsedDate.getTime())) {
-              scheduledTimeISO = parsedDate.toISOString();
-            }
-          } catch (e) {
-            // Error parsing date, will save string only
-          }
+          const parsedDate = parseScheduledTime(scheduledTime);
           
-          // Step 4: Store the captured timestamp in async storage
-          const storageData = { 'scheduled time': scheduledTime };
-          if (scheduledTimeISO) {
-            storageData['scheduled time iso'] = scheduledTimeISO;
-          }
-          
-          chrome.storage.local.set(storageData);
+          // Step 4: Add the captured time to the history in async storage
+          const entry = cancelledHistory.createEntry({
+            time: scheduledTime,
+            timeISO: parsedDate ? parsedDate.toISOString() : null,
+            ...getOpenEmailDetails()
+          });
+          saveCancelledTime(entry);
+          captureCancelledDraftId(entry, getOpenDraftIds());
+        } else {
+          recordAuditEvent(auditLog.EVENT_TYPES.failed, {
+            source: i18n.getMessage('sourceCancelSend'),
+            ...getOpenEmailDetails(),
+            detail: i18n.getMessage('detailTimeNotFound')
+          });
+          announce(i18n.getMessage('announceTimeNotSaved'));
         }
         
-        // Step 4: Temporarily remove our listener
-        document.body.removeEventListener('click', clickHandler, true);
-        
-        // Step 5: Programmatically click the original button (without our listener)
-        // Use a small delay to ensure our listener removal has taken effect
-        setTimeout(() => {
-          cancelButton.click();
-          
-          // Step 6: Re-attach our listener after a brief delay
-          setTimeout(() => {
-            document.body.addEventListener('click', clickHandler, true);
-          }, 100);
-        }, 10);
+        // Step 5: Pass the click on to Gmail; dispatching is synchronous, so the flag only lets
+        // this one click through. click() would do nothing if the extension itself clicked the button
+        replaying = true;
+        try {
+          cancelButton.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
+        } finally {
+          replaying = false;
+        }
       }
     };
     
@@ -99,364 +517,617 @@
   }
 
   /**
-   * Calculates tomorrow morning random time (8-9 AM)
-   * Returns tomorrow 8-9 AM, or same day 8-9 AM if it's past midnight (before 8 AM)
-   * @returns {Date} The calculated date with random time between 8:00 AM and 9:00 AM
+   * Formats a date for display in the menu, in Gmail's UI locale
+   * @param {Date} date - The date to format
+   * @returns {string} Formatted date string like "Fri, Jan 2, 8:34 AM" or "Fr., 2. Jan., 08:34"
    */
-  function calculateTomorrowMorningRandom() {
-    const now = new Date();
-    const targetDate = new Date(now);
-    
-    // If it's past midnight but before 8 AM, use same day 8-9 AM
-    // Otherwise, use tomorrow 8-9 AM
-    if (now.getHours() >= 0 && now.getHours() < 8) {
-      // Still early morning (past midnight), use today at 8-9 AM
-      targetDate.setHours(8, 0, 0, 0);
-    } else {
-      // Use tomorrow at 8-9 AM
-      targetDate.setDate(targetDate.getDate() + 1);
-      targetDate.setHours(8, 0, 0, 0);
-    }
-    
-    // Add random minutes between 0-60 to get a time between 8:00 AM and 9:00 AM
-    const randomMinutes = Math.floor(Math.random() * 60);
-    targetDate.setMinutes(randomMinutes);
-    
-    return targetDate;
+  function formatTimeForDisplay(date) {
+    return date.toLocaleString(getUiLocale(), {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
   }
 
   /**
-   * Formats a date for display in the menu
+   * Formats only the time of day, in Gmail's UI locale
    * @param {Date} date - The date to format
-   * @returns {string} Formatted date string like "Jan 2, 8:34 AM"
+   * @returns {string} Formatted time like "8:34 AM" or "08:34"
    */
-  function formatTimeForDisplay(date) {
-    const month = date.toLocaleDateString('en-US', { month: 'short' });
-    const day = date.getDate();
-    const hours12 = date.getHours() % 12 || 12;
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    const ampm = date.getHours() >= 12 ? 'PM' : 'AM';
-    return `${month} ${day}, ${hours12}:${minutes} ${ampm}`;
+  function formatClockTime(date) {
+    return date.toLocaleTimeString(getUiLocale(), { hour: 'numeric', minute: '2-digit' });
   }
 
   /**
-   * Fills in the date/time picker with a given date and clicks Schedule send
-   * @param {Date} targetDate - The date/time to schedule
+   * Loads the schedule attempt log
+   * @param {Function} callback - Called with the log, newest first
    */
-  function fillDatePickerAndSchedule(targetDate) {
-    const pickDateTimeItem = document.querySelector('.ZkmAeb[role="menu"] .AM[role="menuitem"]');
-    if (!pickDateTimeItem) {
+  function loadScheduleLog(callback) {
+    accountStorage.get([STORAGE_KEYS.scheduleLog], (result) => {
+      callback(result[STORAGE_KEYS.scheduleLog] || []);
+    });
+  }
+
+  /**
+   * Applies a change to the stored schedule log
+   * Writes are queued so an outcome and the next attempt recorded close together don't overwrite each other
+   * @param {Function} change - Returns the new log from the current one
+   */
+  function changeScheduleLog(change) {
+    pendingScheduleLogChanges.push(change);
+    if (writingScheduleLog) {
       return;
     }
-    
-    // Click to open the date/time picker
-    pickDateTimeItem.click();
-    
-    // Wait for the picker UI to load, then set the date and time
-    const tryToSetDate = (attempt = 1, maxAttempts = 15) => {
-      setTimeout(() => {
-        // Find the specific date and time input fields
-        const dateInput = document.querySelector('input#c5[aria-label="Date"], input[aria-label="Date"][jsname="YPqjbf"]');
-        const timeInput = document.querySelector('input#c6[aria-label="Time"], input[aria-label="Time"][jsname="YPqjbf"]');
-        
-        if (dateInput && timeInput) {
-          try {
-            // Format date: MM/DD/YYYY
-            const month = String(targetDate.getMonth() + 1).padStart(2, '0');
-            const day = String(targetDate.getDate()).padStart(2, '0');
-            const year = targetDate.getFullYear();
-            const dateStr = `${month}/${day}/${year}`;
-            
-            // Format time: 12-hour format with AM/PM
-            const hours12 = targetDate.getHours() % 12 || 12;
-            const minutes = String(targetDate.getMinutes()).padStart(2, '0');
-            const ampm = targetDate.getHours() >= 12 ? 'PM' : 'AM';
-            const timeStr = `${hours12}:${minutes} ${ampm}`;
-            
-            // Set the date input
-            dateInput.focus();
-            dateInput.value = dateStr;
-            dateInput.dispatchEvent(new Event('input', { bubbles: true }));
-            dateInput.dispatchEvent(new Event('change', { bubbles: true }));
-            dateInput.dispatchEvent(new Event('blur', { bubbles: true }));
-            if (dateInput.getAttribute('jsaction')) {
-              dateInput.dispatchEvent(new Event('input', { bubbles: true }));
-            }
-            
-            // Set the time input
-            setTimeout(() => {
-              timeInput.focus();
-              timeInput.value = timeStr;
-              timeInput.dispatchEvent(new Event('input', { bubbles: true }));
-              timeInput.dispatchEvent(new Event('change', { bubbles: true }));
-              timeInput.dispatchEvent(new Event('blur', { bubbles: true }));
-              if (timeInput.getAttribute('jsaction')) {
-                timeInput.dispatchEvent(new Event('input', { bubbles: true }));
-              }
-              
-              // Click Schedule send button
-              setTimeout(() => {
-                const scheduleButton = Array.from(document.querySelectorAll('button span[jsname="V67aGc"]')).find(span => 
-                  span.textContent?.trim() === 'Schedule send'
-                )?.closest('button');
-                
-                if (scheduleButton) {
-                  scheduleButton.click();
-                }
-              }, 300);
-            }, 200);
-            
-            return; // Success
-          } catch (err) {
-            // Error setting date/time inputs
+
+    writingScheduleLog = true;
+    const writePending = () => {
+      const changes = pendingScheduleLogChanges.splice(0);
+      loadScheduleLog((log) => {
+        accountStorage.set({ [STORAGE_KEYS.scheduleLog]: changes.reduce((current, apply) => apply(current), log) }, () => {
+          if (pendingScheduleLogChanges.length > 0) {
+            writePending();
+          } else {
+            writingScheduleLog = false;
           }
-        } else if (attempt < maxAttempts) {
-          tryToSetDate(attempt + 1, maxAttempts);
-        }
-      }, 200 * attempt);
+        });
+      });
     };
-    
-    tryToSetDate();
+    writePending();
   }
 
   /**
-   * Injects "Last cancelled send time" option into the datetime picker menu
+   * Appends an event to the audit log
+   * Writes are queued so events recorded close together don't overwrite each other
+   * @param {string} type - One of auditLog.EVENT_TYPES
+   * @param {Object} details - What the event is about, see auditLog.createEvent
    */
-  function injectLastCancelledTimeOption() {
-    // Find the datetime picker menu first
-    const datePickerMenu = document.querySelector('.ZkmAeb[role="menu"]');
-    if (!datePickerMenu) {
-      return; // Menu not visible
+  function recordAuditEvent(type, details) {
+    pendingAuditEvents.push(auditLog.createEvent(type, details));
+    if (writingAuditLog) {
+      return;
     }
 
-    // Check if we already added the option in THIS specific menu
-    if (datePickerMenu.dataset.lastCancelledInjected === 'true' || 
-        datePickerMenu.querySelector('.last-cancelled-time-option')) {
-      return; // Already injected in this menu instance
+    writingAuditLog = true;
+    const writePending = () => {
+      const events = pendingAuditEvents.splice(0);
+      accountStorage.get([STORAGE_KEYS.auditLog], (result) => {
+        const log = events.reduce((current, event) => auditLog.addEvent(current, event), result[STORAGE_KEYS.auditLog] || []);
+        accountStorage.set({ [STORAGE_KEYS.auditLog]: log }, () => {
+          if (pendingAuditEvents.length > 0) {
+            writePending();
+          } else {
+            writingAuditLog = false;
+          }
+        });
+      });
+    };
+    writePending();
+  }
+
+  /**
+   * Describes a schedule attempt for the audit log
+   * @param {Object} attempt - The attempt
+   * @returns {Object} Event details
+   */
+  function getAttemptAuditDetails(attempt) {
+    return {
+      attemptId: attempt.id,
+      source: attempt.source,
+      subject: attempt.subject,
+      threadId: attempt.threadId,
+      draftId: attempt.draftId,
+      targetISO: attempt.targetISO,
+      actualISO: attempt.actualISO,
+      detail: attempt.detail
+    };
+  }
+
+  /**
+   * Adds a schedule attempt to the stored log
+   * @param {Object} attempt - The attempt from scheduleLog.createAttempt
+   */
+  function recordScheduleAttempt(attempt) {
+    changeScheduleLog(log => scheduleLog.addAttempt(log, attempt));
+    recordAuditEvent(auditLog.EVENT_TYPES.optionSelected, getAttemptAuditDetails(attempt));
+  }
+
+  /**
+   * Stores the outcome of a schedule attempt
+   * @param {Object} attempt - The attempt
+   * @param {Object} changes - Fields to overwrite, e.g. status and actualISO
+   */
+  function updateScheduleAttempt(attempt, changes) {
+    Object.assign(attempt, changes);
+    changeScheduleLog(log => scheduleLog.updateAttempt(log, attempt.id, changes));
+
+    if (changes.status && OUTCOME_EVENTS[changes.status]) {
+      recordAuditEvent(OUTCOME_EVENTS[changes.status], getAttemptAuditDetails(attempt));
     }
-    
-    // Set flag immediately to prevent concurrent injections
-    datePickerMenu.dataset.lastCancelledInjected = 'true';
 
-    const firstMenuItem = datePickerMenu.querySelector('.Az[role="menuitem"]');
-    if (!firstMenuItem) {
-      return; // No menu items to clone
+    const callback = attemptCallbacks.get(attempt.id);
+    if (callback && attempt.status !== scheduleLog.STATUSES.pending) {
+      attemptCallbacks.delete(attempt.id);
+      callback(attempt);
     }
+  }
 
-    // Check if we have a saved scheduled time from chrome.storage
-    chrome.storage.local.get(['scheduled time', 'scheduled time iso'], (result) => {
-      // Double-check the menu still exists and hasn't been recreated
-      const currentMenu = document.querySelector('.ZkmAeb[role="menu"]');
-      if (!currentMenu || currentMenu !== datePickerMenu) {
-        // Menu changed, reset flag
-        datePickerMenu.dataset.lastCancelledInjected = '';
-        return; // Menu changed or disappeared
-      }
-      
-      // Check again if already injected (in case another injection happened)
-      if (currentMenu.querySelector('.last-cancelled-time-option')) {
-        return; // Already injected
-      }
-      
-      // Prefer ISO format if available, fallback to string
-      const savedTimeStr = result['scheduled time iso'] || result['scheduled time'];
-      
-      if (!savedTimeStr) {
-        // Reset flag if we're not injecting
-        datePickerMenu.dataset.lastCancelledInjected = '';
-        return; // No saved time to inject
-      }
-      
-      // Parse the saved time and check if it's in the future
-      let savedTimeDate;
-      try {
-        // If we have ISO format, use it directly
-        if (result['scheduled time iso']) {
-          savedTimeDate = new Date(result['scheduled time iso']);
-        } else {
-          // Try parsing as-is first
-          savedTimeDate = new Date(savedTimeStr);
-          
-          // If that fails, try to parse common Gmail date formats
-          if (isNaN(savedTimeDate.getTime())) {
-            const now = new Date();
-            const timeMatch = savedTimeStr.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-            if (timeMatch) {
-              let hours = parseInt(timeMatch[1]);
-              const minutes = parseInt(timeMatch[2]);
-              const ampm = timeMatch[3].toUpperCase();
-              
-              if (ampm === 'PM' && hours !== 12) hours += 12;
-              if (ampm === 'AM' && hours === 12) hours = 0;
-              
-              // Check if it says "Tomorrow"
-              if (savedTimeStr.toLowerCase().includes('tomorrow')) {
-                savedTimeDate = new Date(now);
-                savedTimeDate.setDate(savedTimeDate.getDate() + 1);
-                savedTimeDate.setHours(hours, minutes, 0, 0);
-              } else {
-                // Try to parse as a date string
-                savedTimeDate = new Date(savedTimeStr);
-              }
-            }
-          }
-        }
-        
-        if (isNaN(savedTimeDate.getTime())) {
-          // Clear invalid time from storage
-          chrome.storage.local.remove(['scheduled time', 'scheduled time iso']);
-          datePickerMenu.dataset.lastCancelledInjected = '';
-          return;
-        }
-      } catch (e) {
-        datePickerMenu.dataset.lastCancelledInjected = '';
-        return;
-      }
-      
-      // Check if current time is ahead of (after) the saved time
-      const now = new Date();
-      
-      if (now >= savedTimeDate) {
-        // Clear past time from storage
-        chrome.storage.local.remove(['scheduled time', 'scheduled time iso']);
-        // Reset flag if we're not injecting
-        datePickerMenu.dataset.lastCancelledInjected = '';
-        return; // Don't show past times
-      }
-      
-      // Time is in the future, inject it
-      // Use ISO format if available for better reliability, otherwise use the string
-      const timeToUse = result['scheduled time iso'] || savedTimeStr;
-      injectMenuItemWithTime(datePickerMenu, firstMenuItem, timeToUse);
+  /**
+   * Loads the user's send mode
+   * @param {Function} callback - Called with one of SEND_MODES
+   */
+  function loadSendMode(callback) {
+    accountStorage.get([STORAGE_KEYS.sendMode], (result) => {
+      const mode = result[STORAGE_KEYS.sendMode];
+      callback(Object.values(SEND_MODES).includes(mode) ? mode : SEND_MODES.auto);
     });
   }
 
   /**
-   * Actually injects the menu item with the saved time
-   * @param {HTMLElement} datePickerMenu - The date picker menu element
-   * @param {HTMLElement} firstMenuItem - The first menu item to use as template
-   * @param {string} savedTime - The saved scheduled time
+   * Finds the Schedule send button of the date picker dialog
+   * @returns {HTMLElement|null} The button, or null if the dialog isn't open
    */
-  function injectMenuItemWithTime(datePickerMenu, firstMenuItem, savedTime) {
-    // Clone the first menu item structure DEEPLY (including all attributes and data)
-    const newMenuItem = firstMenuItem.cloneNode(true);
-    newMenuItem.classList.add('last-cancelled-time-option');
-    
-    // Copy all data attributes and properties from the original
-    Array.from(firstMenuItem.attributes).forEach(attr => {
-      if (!newMenuItem.hasAttribute(attr.name) || attr.name !== 'class') {
-        newMenuItem.setAttribute(attr.name, attr.value);
-      }
-    });
-    
-    // Copy any data properties
-    if (firstMenuItem.dataset) {
-      Object.keys(firstMenuItem.dataset).forEach(key => {
-        newMenuItem.dataset[key] = firstMenuItem.dataset[key];
-      });
-    }
-    
-    // Update the content
-    const titleDiv = newMenuItem.querySelector('.Aj');
-    const timeDiv = newMenuItem.querySelector('.Ay');
-    
-    if (titleDiv) {
-      titleDiv.textContent = 'Last cancelled time';
+  function findScheduleSendButton() {
+    return gmailSelectors.query('scheduleSendButton');
+  }
+
+  /**
+   * Types a value into one of the date picker's inputs, firing the events Gmail listens for
+   * @param {HTMLInputElement} input - The date or time input
+   * @param {string} value - The text to enter
+   */
+  function fillPickerInput(input, value) {
+    input.focus();
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    input.dispatchEvent(new Event('blur', { bubbles: true }));
+    if (input.getAttribute('jsaction')) {
+      input.dispatchEvent(new Event('input', { bubbles: true }));
     }
-    if (timeDiv) {
-      // Format the time for display if it's a valid date
-      let displayTime = savedTime;
-      try {
-        const parsedDate = new Date(savedTime);
-        if (!isNaN(parsedDate.getTime())) {
-          displayTime = formatTimeForDisplay(parsedDate);
-        }
-      } catch (e) {
-        // Could not format time, using raw value
-      }
-      timeDiv.textContent = displayTime;
+  }
+
+  /**
+   * Fills in the date/time picker with a given date, then - depending on the send mode -
+   * clicks Schedule send, highlights it or asks for confirmation, and checks that Gmail
+   * scheduled the requested time. Each step waits for Gmail's UI and logs a failure if it doesn't appear
+   * @param {Date} targetDate - The date/time to schedule
+   * @param {Object} [details] - Where the time came from
+   * @param {string} [details.source] - What requested the time (e.g. a preset label)
+   * @param {string|null} [details.timeZone] - Time zone the time was resolved in, if not local
+   * @param {string|null} [details.sendMode] - One of SEND_MODES to use instead of the user's
+   * @param {Function} [onSettled] - Called with the attempt once it is verified, failed or declined
+   */
+  function fillDatePickerAndSchedule(targetDate, details = {}, onSettled = null) {
+    const { source = '', timeZone = null, sendMode = null } = details;
+    const scheduleAttempt = scheduleLog.createAttempt({
+      targetDate,
+      source,
+      subject: getComposeSubject(getActiveCompose()),
+      ...getActiveDraftContext()
+    });
+    recordScheduleAttempt(scheduleAttempt);
+    if (onSettled) {
+      attemptCallbacks.set(scheduleAttempt.id, onSettled);
     }
 
-    // Set autofocus and tabindex like the first item
-    newMenuItem.setAttribute('tabindex', '0');
-    newMenuItem.setAttribute('autofocus', '');
+    const fail = (detail) => {
+      updateScheduleAttempt(scheduleAttempt, { status: scheduleLog.STATUSES.failed, detail });
+    };
 
-    // Remove autofocus from the first item
-    if (firstMenuItem) {
-      firstMenuItem.removeAttribute('autofocus');
-      firstMenuItem.setAttribute('tabindex', '-1');
+    const datePickerMenu = gmailSelectors.query('datePickerMenu');
+    const pickDateTimeItem = datePickerMenu ? gmailSelectors.query('pickDateTimeItem', datePickerMenu) : null;
+    if (!pickDateTimeItem) {
+      fail(i18n.getMessage('detailMenuNotOpen'));
+      return;
     }
 
-    // Add click handler to fill in the date/time picker with saved time
-    newMenuItem.addEventListener('click', (e) => {
-      // Parse the saved date
-      let parsedDate;
+    // Open the date/time picker and wait for its inputs
+    pickDateTimeItem.click();
+    const findInputs = () => {
+      const dateInput = gmailSelectors.query('dateInput');
+      const timeInput = gmailSelectors.query('timeInput');
+      return dateInput && timeInput ? { dateInput, timeInput } : null;
+    };
+    waitForUI(findInputs, { timeout: CONFIG.timeouts.menu, step: i18n.getMessage('stepDateTimeInputs') }, (error, inputs) => {
+      checkGmailHealth(CONTEXTS.datePicker);
+      if (error) {
+        fail(error.message);
+        return;
+      }
+
       try {
-        parsedDate = new Date(savedTime);
-        if (isNaN(parsedDate.getTime())) {
-          return;
-        }
+        // Match the formats Gmail expects (e.g. DD/MM/YYYY, YYYY-MM-DD, 24-hour time)
+        const locale = getUiLocale();
+        const dateFormat = pickerFormat.detectDateFormat(inputs.dateInput, locale);
+        const timeFormat = pickerFormat.detectTimeFormat(inputs.timeInput, locale);
+        fillPickerInput(inputs.dateInput, pickerFormat.formatDateForInput(targetDate, dateFormat));
+        // Gmail may re-render the time input once the date is set, so look it up again
+        fillPickerInput(gmailSelectors.query('timeInput') || inputs.timeInput,
+          pickerFormat.formatTimeForInput(targetDate, timeFormat));
       } catch (err) {
+        fail(i18n.getMessage('detailFillFailed', err.message));
         return;
       }
-      
-      // Use the reusable function to fill in the date picker
-      fillDatePickerAndSchedule(parsedDate);
-    }, false);
-    
-    // Also handle mousedown - Gmail might listen to this
-    newMenuItem.addEventListener('mousedown', (e) => {
-      // Handle mousedown if needed
-    }, false);
 
-    // Insert after "Tomorrow morning random" if it exists, otherwise at the beginning
-    const tomorrowRandomOption = datePickerMenu.querySelector('.tomorrow-morning-random-option');
-    if (tomorrowRandomOption) {
-      tomorrowRandomOption.insertAdjacentElement('afterend', newMenuItem);
+      // Hand over to the send mode once Schedule send accepts the new values
+      const findEnabledButton = () => {
+        const button = findScheduleSendButton();
+        return button && !button.disabled && button.getAttribute('aria-disabled') !== 'true' ? button : null;
+      };
+      const buttonOptions = {
+        timeout: CONFIG.timeouts.menu,
+        step: i18n.getMessage('stepScheduleSendButton'),
+        root: inputs.dateInput.closest('[role="dialog"]') || document,
+        observe: CONFIG.observation.stateOptions
+      };
+      waitForUI(findEnabledButton, buttonOptions, (buttonError, scheduleButton) => {
+        if (buttonError) {
+          fail(buttonError.message);
+          return;
+        }
+        loadSendMode((mode) => {
+          finishScheduling(sendMode || mode, scheduleButton, scheduleAttempt, targetDate, timeZone);
+        });
+      });
+    });
+  }
+
+  /**
+   * Completes a filled-in date picker according to the send mode
+   * @param {string} mode - One of SEND_MODES
+   * @param {HTMLElement} scheduleButton - Gmail's Schedule send button
+   * @param {Object} attempt - The schedule attempt
+   * @param {Date} targetDate - The requested send time
+   * @param {string|null} timeZone - Time zone the time was resolved in, if not local
+   */
+  function finishScheduling(mode, scheduleButton, attempt, targetDate, timeZone) {
+    if (mode === SEND_MODES.review) {
+      highlightScheduleButton(scheduleButton, attempt, targetDate);
+    } else if (mode === SEND_MODES.confirm) {
+      showConfirmationCard(scheduleButton, attempt, targetDate, timeZone);
     } else {
-      datePickerMenu.insertBefore(newMenuItem, datePickerMenu.firstChild);
+      scheduleButton.click();
+      verifyScheduledTime(attempt, targetDate);
     }
-    
-    // Mark this menu as having the option injected
-    datePickerMenu.dataset.lastCancelledInjected = 'true';
   }
 
   /**
-   * Injects "Tomorrow morning random" option into the datetime picker menu
+   * Highlights Schedule send for the user to click, and verifies the time once they do
+   * @param {HTMLElement} scheduleButton - Gmail's Schedule send button
+   * @param {Object} attempt - The schedule attempt
+   * @param {Date} targetDate - The requested send time
    */
-  function injectTomorrowMorningRandomOption() {
-    // Find the datetime picker menu first
-    const datePickerMenu = document.querySelector('.ZkmAeb[role="menu"]');
-    if (!datePickerMenu) {
-      return; // Menu not visible
+  function highlightScheduleButton(scheduleButton, attempt, targetDate) {
+    updateScheduleAttempt(attempt, { detail: i18n.getMessage('detailWaitingForClick') });
+    scheduleButton.classList.add('schedule-enhancer-highlight');
+    scheduleButton.focus();
+
+    scheduleButton.addEventListener('click', () => {
+      scheduleButton.classList.remove('schedule-enhancer-highlight');
+      verifyScheduledTime(attempt, targetDate);
+    }, { once: true });
+  }
+
+  /**
+   * Shows a card summarising the filled-in time, with buttons to schedule or go back to the picker
+   * @param {HTMLElement} scheduleButton - Gmail's Schedule send button
+   * @param {Object} attempt - The schedule attempt
+   * @param {Date} targetDate - The requested send time
+   * @param {string|null} timeZone - Time zone the time was resolved in, if not local
+   */
+  function showConfirmationCard(scheduleButton, attempt, targetDate, timeZone) {
+    document.querySelector('.schedule-confirm-card')?.remove();
+
+    const card = document.createElement('div');
+    card.className = 'schedule-confirm-card';
+    card.setAttribute('role', 'group');
+    card.setAttribute('aria-label', i18n.getMessage('confirmCardLabel'));
+
+    const addLine = (className, text) => {
+      const line = document.createElement('div');
+      line.className = className;
+      line.textContent = text;
+      card.appendChild(line);
+    };
+
+    const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    addLine('schedule-confirm-time', formatPresetTime(targetDate, timeZone));
+    addLine('schedule-confirm-detail', timeZone
+      ? i18n.getMessage('confirmRecipientZone', [timeZone, localZone])
+      : i18n.getMessage('confirmLocalZone', localZone));
+    if (attempt.source) {
+      addLine('schedule-confirm-detail', i18n.getMessage('confirmSource', attempt.source));
     }
 
-    // Check if we already added the option in THIS specific menu
-    if (datePickerMenu.dataset.tomorrowRandomInjected === 'true') {
-      return; // Already injected in this menu instance
+    const actions = document.createElement('div');
+    actions.className = 'schedule-confirm-actions';
+
+    const backButton = document.createElement('button');
+    backButton.type = 'button';
+    backButton.className = 'schedule-confirm-back';
+    backButton.textContent = i18n.getMessage('confirmEditTime');
+    backButton.addEventListener('click', () => {
+      card.remove();
+      updateScheduleAttempt(attempt, {
+        status: scheduleLog.STATUSES.cancelled,
+        detail: i18n.getMessage('detailNotConfirmed')
+      });
+    });
+
+    const confirmButton = document.createElement('button');
+    confirmButton.type = 'button';
+    confirmButton.className = 'schedule-confirm-send';
+    confirmButton.textContent = i18n.getMessage('confirmScheduleSend');
+    confirmButton.addEventListener('click', () => {
+      card.remove();
+      scheduleButton.click();
+      verifyScheduledTime(attempt, targetDate);
+    });
+
+    actions.appendChild(backButton);
+    actions.appendChild(confirmButton);
+    card.appendChild(actions);
+
+    // Keep the card inside Gmail's dialog so clicks on it don't count as clicks outside
+    const dialog = scheduleButton.closest('[role="dialog"]') || document.body;
+    dialog.appendChild(card);
+    confirmButton.focus();
+  }
+
+  /**
+   * Reads the send time Gmail confirmed, from the "Send scheduled for …" toast or,
+   * when the scheduled conversation is open, from its scheduled label
+   * @param {string|null} threadId - Thread the email was scheduled from
+   * @returns {{date: Date, from: string}|null} The confirmed time and where it was read
+   */
+  function readScheduledConfirmation(threadId) {
+    const toast = gmailSelectors.query('toastMessage');
+    const toastDate = toast ? parseScheduledTime(toast.textContent || '') : null;
+    if (toastDate) {
+      return { date: toastDate, from: i18n.getMessage('detailReadFromToast') };
     }
-    
-    // Also check if the element exists
-    if (datePickerMenu.querySelector('.tomorrow-morning-random-option')) {
-      datePickerMenu.dataset.tomorrowRandomInjected = 'true';
-      return; // Already injected in this menu
+
+    if (threadId && threadId === getCurrentThreadId()) {
+      const labels = gmailSelectors.queryAll('scheduledLabel');
+      const label = labels[labels.length - 1];
+      const labelDate = label ? parseScheduledTime(label.getAttribute('title')) : null;
+      if (labelDate) {
+        return { date: labelDate, from: i18n.getMessage('detailReadFromLabel') };
+      }
     }
 
-    const firstMenuItem = datePickerMenu.querySelector('.Az[role="menuitem"]');
-    if (!firstMenuItem) {
-      return; // No menu items to clone
+    return null;
+  }
+
+  /**
+   * Waits for Gmail's confirmation of a schedule, watching only where it shows up: the toast bar and,
+   * when the scheduled conversation is open, its labels
+   * @param {string|null} threadId - Thread the email was scheduled from
+   * @param {Function} callback - Called once with (error, confirmation); error is a domWait.WaitError or null,
+   *   confirmation is from readScheduledConfirmation
+   */
+  function waitForConfirmation(threadId, callback) {
+    const { observation } = CONFIG;
+    const toastArea = gmailSelectors.query('toastArea');
+    const main = threadId && threadId === getCurrentThreadId() ? gmailSelectors.query('gmailMain') : null;
+    const scopes = [
+      // Until Gmail has shown a toast, there's no toast bar; it's added to <body>
+      toastArea ? { root: toastArea, observe: observation.textOptions } : { root: document.body, observe: observation.pageOptions },
+      ...(main ? [{ root: main, observe: observation.labelOptions }] : [])
+    ];
+
+    const waits = [];
+    let remaining = scopes.length;
+    let settled = false;
+    const onResult = (error, confirmation) => {
+      remaining--;
+      if (settled || (error && remaining > 0)) {
+        return;
+      }
+      settled = true;
+      waits.forEach(wait => wait.cancel());
+      callback(error, confirmation);
+    };
+    scopes.forEach(scope => {
+      if (!settled) {
+        const options = { timeout: CONFIG.timeouts.confirmation, step: i18n.getMessage('stepConfirmation'), ...scope };
+        waits.push(waitForUI(() => readScheduledConfirmation(threadId), options, onResult));
+      }
+    });
+  }
+
+  /**
+   * Waits for Gmail's confirmation of a schedule attempt, logs the outcome and
+   * alerts the user when Gmail scheduled a different time
+   * @param {Object} attempt - The schedule attempt
+   * @param {Date} targetDate - The requested send time
+   */
+  function verifyScheduledTime(attempt, targetDate) {
+    waitForConfirmation(attempt.threadId, (error, confirmation) => {
+      checkGmailHealth(CONTEXTS.confirmation);
+      if (error) {
+        updateScheduleAttempt(attempt, {
+          status: scheduleLog.STATUSES.unverified,
+          detail: error.message
+        });
+        return;
+      }
+
+      const outcome = scheduleLog.evaluateAttempt(targetDate, confirmation.date);
+      updateScheduleAttempt(attempt, { ...outcome, detail: i18n.getMessage('detailReadFrom', confirmation.from) });
+      if (outcome.status === scheduleLog.STATUSES.mismatch) {
+        showVerificationAlert(attempt, targetDate, confirmation.date);
+      }
+    });
+  }
+
+  /**
+   * Clicks the Undo link of Gmail's confirmation toast
+   * @returns {boolean} True if the link was still there
+   */
+  function undoScheduledSend() {
+    const undoLink = gmailSelectors.query('toastUndo');
+    if (!undoLink) {
+      return false;
+    }
+    undoLink.click();
+    return true;
+  }
+
+  /**
+   * Opens the schedule send menu of a compose window, e.g. the draft Gmail reopened after an undo
+   * @param {string|null} draftId - Draft ID of the email, if known (defaults to the newest compose window)
+   * @param {Function} callback - Called with null once the date picker menu is open, or with the
+   *   domWait.WaitError of the step that failed
+   */
+  function openScheduleMenu(draftId, callback) {
+    const findSendOptions = () => {
+      const composes = gmailSelectors.queryAll('composeRoot');
+      const compose = composes.find(element => draftId && getComposeDraftId(element) === draftId) ||
+        composes[composes.length - 1];
+      const moreOptions = compose ? gmailSelectors.query('moreSendOptions', compose) : null;
+      return moreOptions ? { compose, moreOptions } : null;
+    };
+    const findScheduleMenu = () => {
+      const menu = gmailSelectors.query('datePickerMenu');
+      return menu ? gmailSelectors.query('pickDateTimeItem', menu) : null;
+    };
+    const { menu: timeout } = CONFIG.timeouts;
+
+    waitForUI(findSendOptions, { timeout, step: i18n.getMessage('stepComposeWindow') }, (error, found) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+      activeCompose = found.compose;
+      found.moreOptions.click();
+
+      waitForUI(() => gmailSelectors.query('scheduleSendItem'), { timeout, step: i18n.getMessage('stepScheduleSendItem') }, (itemError, scheduleItem) => {
+        if (itemError) {
+          callback(itemError);
+          return;
+        }
+        scheduleItem.click();
+        waitForUI(findScheduleMenu, { timeout, step: i18n.getMessage('stepScheduleMenu') }, menuError => callback(menuError));
+      });
+    });
+  }
+
+  /**
+   * Removes the verification alert, if one is showing
+   */
+  function dismissVerificationAlert() {
+    document.querySelector('.schedule-verify-alert')?.remove();
+  }
+
+  /**
+   * Shows an alert explaining that Gmail scheduled a different time, with Undo and Retry actions
+   * @param {Object} attempt - The schedule attempt
+   * @param {Date} targetDate - The requested send time
+   * @param {Date} actualDate - The send time Gmail confirmed
+   */
+  function showVerificationAlert(attempt, targetDate, actualDate) {
+    dismissVerificationAlert();
+
+    const alertBox = document.createElement('div');
+    alertBox.className = 'schedule-verify-alert';
+    alertBox.setAttribute('role', 'alert');
+
+    const message = document.createElement('div');
+    message.className = 'schedule-verify-message';
+    const times = [formatTimeForDisplay(actualDate), formatTimeForDisplay(targetDate)];
+    message.textContent = attempt.subject
+      ? i18n.getMessage('verifyMismatchSubject', [attempt.subject, ...times])
+      : i18n.getMessage('verifyMismatch', times);
+    alertBox.appendChild(message);
+
+    const actions = document.createElement('div');
+    actions.className = 'schedule-verify-actions';
+
+    const addAction = (label, handler) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'schedule-verify-action';
+      button.textContent = label;
+      button.addEventListener('click', handler);
+      actions.appendChild(button);
+      return button;
+    };
+
+    const showUndoExpired = () => {
+      message.textContent = i18n.getMessage('verifyUndoExpired', formatTimeForDisplay(targetDate));
+      undoButton.remove();
+      retryButton.remove();
+    };
+
+    const undoButton = addAction(i18n.getMessage('verifyUndo'), () => {
+      if (!undoScheduledSend()) {
+        showUndoExpired();
+        return;
+      }
+      updateScheduleAttempt(attempt, { detail: i18n.getMessage('detailUndone', attempt.detail) });
+      dismissVerificationAlert();
+    });
+
+    const retryButton = addAction(i18n.getMessage('verifyRetry'), () => {
+      if (!undoScheduledSend()) {
+        showUndoExpired();
+        return;
+      }
+      updateScheduleAttempt(attempt, { detail: i18n.getMessage('detailUndoneForRetry', attempt.detail) });
+      message.textContent = i18n.getMessage('verifyRescheduling', formatTimeForDisplay(targetDate));
+      undoButton.remove();
+      retryButton.remove();
+
+      openScheduleMenu(attempt.draftId, (error) => {
+        if (!error) {
+          dismissVerificationAlert();
+          fillDatePickerAndSchedule(targetDate, { source: i18n.getMessage('sourceRetry', attempt.source) });
+        } else {
+          message.textContent = i18n.getMessage('verifyDraftBack', formatTimeForDisplay(targetDate));
+        }
+      });
+    });
+
+    addAction(i18n.getMessage('verifyDismiss'), dismissVerificationAlert);
+
+    alertBox.appendChild(actions);
+    document.body.appendChild(alertBox);
+  }
+
+  /**
+   * Reads a message out to screen readers through a shared live region
+   * @param {string} message - What to announce
+   */
+  function announce(message) {
+    let region = document.querySelector('.schedule-enhancer-live');
+    if (!region) {
+      region = document.createElement('div');
+      region.className = 'schedule-enhancer-live';
+      region.setAttribute('role', 'status');
+      region.setAttribute('aria-live', 'polite');
+      document.body.appendChild(region);
     }
 
-    // Calculate the tomorrow morning random time
-    const tomorrowMorning = calculateTomorrowMorningRandom();
-    const displayTime = formatTimeForDisplay(tomorrowMorning);
+    // Clear first so repeating the same message is announced again
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = message;
+    }, 50);
+  }
 
-    // Clone the first menu item structure
+  /**
+   * Clones a Gmail menu item to use as the base of an injected option
+   * @param {HTMLElement} firstMenuItem - The first menu item to use as template
+   * @param {string} className - Class identifying the injected option
+   * @returns {HTMLElement} The cloned menu item
+   */
+  function cloneMenuItem(firstMenuItem, className) {
+    // Clone the first menu item structure DEEPLY (including all attributes and data)
     const newMenuItem = firstMenuItem.cloneNode(true);
-    newMenuItem.classList.add('tomorrow-morning-random-option');
-    
-    // Store the current random time in data attribute
-    newMenuItem.dataset.randomTime = tomorrowMorning.getTime().toString();
+    newMenuItem.classList.add('schedule-enhancer-option', className);
     
     // Copy all data attributes and properties from the original
     Array.from(firstMenuItem.attributes).forEach(attr => {
@@ -465,20 +1136,180 @@
       }
     });
     
+    // Copy any data properties
     if (firstMenuItem.dataset) {
       Object.keys(firstMenuItem.dataset).forEach(key => {
-        if (key !== 'randomTime') { // Don't overwrite our stored time
-          newMenuItem.dataset[key] = firstMenuItem.dataset[key];
-        }
+        newMenuItem.dataset[key] = firstMenuItem.dataset[key];
       });
     }
+
+    // Only the first injected option takes focus
+    newMenuItem.removeAttribute('autofocus');
+    newMenuItem.setAttribute('tabindex', '-1');
+    
+    return newMenuItem;
+  }
+
+  /**
+   * Inserts an injected option into the menu
+   * @param {HTMLElement} datePickerMenu - The date picker menu element
+   * @param {HTMLElement} newMenuItem - The option to insert
+   * @param {HTMLElement|null} previousItem - Item to insert after, or null to insert at the beginning
+   */
+  function insertMenuItem(datePickerMenu, newMenuItem, previousItem) {
+    if (previousItem) {
+      previousItem.insertAdjacentElement('afterend', newMenuItem);
+    } else {
+      datePickerMenu.insertBefore(newMenuItem, datePickerMenu.firstChild);
+    }
+  }
+
+  /**
+   * Lists the elements arrow keys move between in the date picker menu, top to bottom
+   * @param {HTMLElement} datePickerMenu - The date picker menu element
+   * @returns {HTMLElement[]} The typed time field and every menu item
+   */
+  function getMenuStops(datePickerMenu) {
+    return Array.from(datePickerMenu.querySelectorAll('.natural-time-input, [role="menuitem"]'))
+      .filter(element => !element.closest('[aria-hidden="true"]'));
+  }
+
+  /**
+   * Moves focus to a menu stop, keeping a single menu item in the tab order
+   * @param {HTMLElement[]} stops - The menu stops
+   * @param {number} index - Index of the stop to focus
+   */
+  function focusMenuStop(stops, index) {
+    const target = stops[index];
+    stops.forEach(stop => {
+      if (stop.getAttribute('role') === 'menuitem') {
+        stop.setAttribute('tabindex', stop === target ? '0' : '-1');
+      }
+    });
+    target.focus();
+  }
+
+  /**
+   * Adds keyboard support to the date picker menu: arrow keys, Home and End move across
+   * Gmail's items and ours alike, Enter and Space pick an injected option, and the reroll
+   * key picks a new random time
+   * @param {HTMLElement} datePickerMenu - The date picker menu element
+   */
+  function setupMenuKeyboard(datePickerMenu) {
+    // Capture phase, so Gmail's own menu handling doesn't also move the focus
+    datePickerMenu.addEventListener('keydown', (e) => {
+      const stops = getMenuStops(datePickerMenu);
+      const index = stops.findIndex(stop => stop === document.activeElement || stop.contains(document.activeElement));
+      if (index === -1 || e.altKey || e.ctrlKey || e.metaKey) {
+        return;
+      }
+
+      const current = stops[index];
+      const inTextField = current.classList.contains('natural-time-input');
+      const isInjected = current.classList.contains('schedule-enhancer-option');
+      const moves = {
+        ArrowDown: (index + 1) % stops.length,
+        ArrowUp: (index - 1 + stops.length) % stops.length,
+        // Home and End move the caret inside the typed time field
+        Home: inTextField ? null : 0,
+        End: inTextField ? null : stops.length - 1
+      };
+
+      let handled = true;
+      if (moves[e.key] !== undefined && moves[e.key] !== null) {
+        focusMenuStop(stops, moves[e.key]);
+      } else if (isInjected && (e.key === 'Enter' || e.key === ' ')) {
+        current.click();
+      } else if (isInjected && e.key.toLowerCase() === CONFIG.rerollKey &&
+          current.querySelector('.random-time-refresh-btn')) {
+        current.querySelector('.random-time-refresh-btn').click();
+      } else {
+        handled = false;
+      }
+
+      if (handled) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    }, true);
+  }
+
+  /**
+   * Resolves a preset through the business calendar, in the recipient's time zone if the preset asks for it
+   * @param {Object} preset - The time preset
+   * @param {Object} menuContext - Settings shared by every option in the menu
+   * @param {Object} menuContext.calendar - The business calendar
+   * @param {string|null} menuContext.recipientZone - Time zone of the compose window's recipients
+   * @param {Date[]} menuContext.taken - Send times of emails already scheduled through the extension
+   * @returns {{date: Date, shifted: boolean, timeZone: string|null}} The resolved time, whether the
+   *   calendar moved it and the time zone it was resolved in
+   */
+  function resolvePresetTime(preset, { calendar, recipientZone, taken }) {
+    const timeZone = preset.recipientTimeZone ? recipientZone : null;
+
+    // Use the same random roll for both so only the calendar's effect differs
+    const roll = Math.random();
+    const random = () => roll;
+    const date = presets.resolvePreset(preset, { random, calendar, timeZone, taken });
+    const unadjusted = presets.resolvePreset(preset, { random, timeZone, taken });
+    return { date, shifted: date.getTime() !== unadjusted.getTime(), timeZone };
+  }
+
+  /**
+   * Formats a preset time for the menu, showing both zones when it was resolved for a recipient
+   * @param {Date} date - The resolved time
+   * @param {string|null} timeZone - The time zone it was resolved in, or null for local time
+   * @returns {string} Formatted time like "Tue, Jan 6, 8:34 AM Tokyo (7:34 PM here)"
+   */
+  function formatPresetTime(date, timeZone) {
+    if (!timeZone) {
+      return formatTimeForDisplay(date);
+    }
+    const localTime = formatClockTime(date);
+    const zoneTime = formatTimeForDisplay(timezones.toWallClock(date, timeZone));
+    return i18n.getMessage('menuZoneTime', [zoneTime, timezones.getZoneLabel(timeZone), localTime]);
+  }
+
+  /**
+   * Describes a calendar adjustment in the menu item's tooltip
+   * @param {HTMLElement} menuItem - The menu item
+   * @param {boolean} shifted - Whether the business calendar moved the time
+   */
+  function updateShiftTooltip(menuItem, shifted) {
+    if (shifted) {
+      menuItem.setAttribute('title', i18n.getMessage('menuShiftedTooltip'));
+    } else {
+      menuItem.removeAttribute('title');
+    }
+  }
+
+  /**
+   * Injects a time preset into the datetime picker menu
+   * @param {HTMLElement} datePickerMenu - The date picker menu element
+   * @param {HTMLElement} firstMenuItem - The first menu item to use as template
+   * @param {Object} preset - The time preset
+   * @param {Object} menuContext - Settings shared by every option in the menu
+   * @param {HTMLElement|null} previousItem - Item to insert after, or null to insert at the beginning
+   * @returns {HTMLElement} The injected menu item
+   */
+  function injectPresetOption(datePickerMenu, firstMenuItem, preset, menuContext, previousItem) {
+    // Calculate the preset's time
+    const { date: presetTime, shifted, timeZone } = resolvePresetTime(preset, menuContext);
+    const displayTime = formatPresetTime(presetTime, timeZone);
+
+    const newMenuItem = cloneMenuItem(firstMenuItem, 'schedule-preset-option');
+    newMenuItem.dataset.presetId = preset.id;
+    
+    // Store the current time in data attribute
+    newMenuItem.dataset.presetTime = presetTime.getTime().toString();
+    updateShiftTooltip(newMenuItem, shifted);
     
     // Update the content
-    const titleDiv = newMenuItem.querySelector('.Aj');
-    const timeDiv = newMenuItem.querySelector('.Ay');
+    const titleDiv = gmailSelectors.query('menuItemTitle', newMenuItem);
+    const timeDiv = gmailSelectors.query('menuItemTime', newMenuItem);
     
     if (titleDiv) {
-      titleDiv.textContent = 'Tomorrow morning random';
+      titleDiv.textContent = preset.label;
     }
     if (timeDiv) {
       // Clear any existing content first
@@ -488,36 +1319,39 @@
       const timeTextNode = document.createTextNode(displayTime);
       timeDiv.appendChild(timeTextNode);
       
-      // Create refresh button
-      const refreshBtn = document.createElement('span');
-      refreshBtn.className = 'random-time-refresh-btn';
-      refreshBtn.setAttribute('aria-label', 'Get new random time');
-      refreshBtn.setAttribute('title', 'Get new random time');
-      refreshBtn.innerHTML = '↻'; // Refresh symbol
-      
-      // Add click handler for refresh
-      refreshBtn.addEventListener('click', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
+      if (preset.randomMinute) {
+        // Create refresh button; keyboard users reach it through the reroll key on the menu item
+        const refreshBtn = document.createElement('button');
+        refreshBtn.type = 'button';
+        refreshBtn.className = 'random-time-refresh-btn';
+        refreshBtn.tabIndex = -1;
+        refreshBtn.setAttribute('aria-label', i18n.getMessage('menuRerollLabel'));
+        refreshBtn.setAttribute('title', i18n.getMessage('menuRerollTitle', CONFIG.rerollKey.toUpperCase()));
+        refreshBtn.textContent = '↻'; // Refresh symbol
+        newMenuItem.setAttribute('aria-keyshortcuts', CONFIG.rerollKey.toUpperCase());
         
-        // Calculate new random time
-        const newTime = calculateTomorrowMorningRandom();
-        const newDisplayTime = formatTimeForDisplay(newTime);
-        
-        // Update stored time
-        newMenuItem.dataset.randomTime = newTime.getTime().toString();
+        // Add click handler for refresh
+        refreshBtn.addEventListener('click', (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          
+          // Calculate new random time
+          const { date: newTime, shifted: newShifted } = resolvePresetTime(preset, menuContext);
+          
+          // Update stored time
+          newMenuItem.dataset.presetTime = newTime.getTime().toString();
+          updateShiftTooltip(newMenuItem, newShifted);
+          
+          // Update display
+          timeTextNode.textContent = formatPresetTime(newTime, timeZone);
+          announce(i18n.getMessage('announcePresetTime', [preset.label, timeTextNode.textContent]));
+        });
         
-        // Update display
-        timeTextNode.textContent = newDisplayTime;
-      });
-      
-      // Append refresh button to timeDiv
-      timeDiv.appendChild(refreshBtn);
+        // Append refresh button to timeDiv
+        timeDiv.appendChild(refreshBtn);
+      }
     }
 
-    // Set tabindex
-    newMenuItem.setAttribute('tabindex', '0');
-
     // Add click handler (for the menu item itself, not the refresh button)
     newMenuItem.addEventListener('click', (e) => {
       // Don't trigger if clicking the refresh button
@@ -527,57 +1361,920 @@
       }
       
       // Get the current stored time
-      const storedTime = new Date(parseInt(newMenuItem.dataset.randomTime));
-      fillDatePickerAndSchedule(storedTime);
+      const storedTime = new Date(parseInt(newMenuItem.dataset.presetTime));
+      fillDatePickerAndSchedule(storedTime, { source: preset.label, timeZone });
     }, false);
 
-    // Insert at the beginning (random option should be first)
-    datePickerMenu.insertBefore(newMenuItem, datePickerMenu.firstChild);
+    insertMenuItem(datePickerMenu, newMenuItem, previousItem);
+    return newMenuItem;
+  }
+
+  /**
+   * Injects the time recommended by the recipient rule matching the draft
+   * @param {HTMLElement} datePickerMenu - The date picker menu element
+   * @param {HTMLElement} firstMenuItem - The first menu item to use as template
+   * @param {Object} recommendation - From recipientRules.recommend
+   * @param {HTMLElement|null} previousItem - Item to insert after, or null to insert at the beginning
+   * @returns {HTMLElement} The injected menu item
+   */
+  function injectRecommendedOption(datePickerMenu, firstMenuItem, recommendation, previousItem) {
+    const { rule, recipient, pattern, date, timeZone } = recommendation;
+    const label = i18n.getMessage('menuRecommended', rule.name);
+
+    const newMenuItem = cloneMenuItem(firstMenuItem, 'schedule-recommended-option');
+    newMenuItem.dataset.ruleId = rule.id;
+    newMenuItem.setAttribute('title', i18n.getMessage('menuRuleMatch', [recipient, pattern]));
+
+    const titleDiv = gmailSelectors.query('menuItemTitle', newMenuItem);
+    const timeDiv = gmailSelectors.query('menuItemTime', newMenuItem);
+    if (titleDiv) {
+      titleDiv.textContent = label;
+    }
+    if (timeDiv) {
+      timeDiv.textContent = formatPresetTime(date, timeZone);
+    }
+
+    newMenuItem.addEventListener('click', () => {
+      fillDatePickerAndSchedule(date, { source: label, timeZone });
+    }, false);
+
+    insertMenuItem(datePickerMenu, newMenuItem, previousItem);
+    return newMenuItem;
+  }
+
+  /**
+   * Injects the most relevant cancelled send times into the datetime picker menu
+   * @param {HTMLElement} datePickerMenu - The date picker menu element
+   * @param {HTMLElement} firstMenuItem - The first menu item to use as template
+   * @param {Object[]} history - The cancelled time history
+   * @param {HTMLElement|null} previousItem - Item to insert after, or null to insert at the beginning
+   * @returns {HTMLElement|null} The last injected menu item, or previousItem if none were injected
+   */
+  function injectCancelledTimeOptions(datePickerMenu, firstMenuItem, history, previousItem) {
+    // Only future times are kept, this draft's original time and same-thread entries first
+    const draftContext = getActiveDraftContext();
+    const entries = cancelledHistory.rankEntries(history, {
+      ...draftContext,
+      limit: CONFIG.maxCancelledOptions
+    });
     
-    // Mark this menu as having the option injected
-    datePickerMenu.dataset.tomorrowRandomInjected = 'true';
+    entries.forEach((entry, index) => {
+      const label = index === 0 && cancelledHistory.isOriginalFor(entry, draftContext)
+        ? i18n.getMessage('menuRestoreOriginal')
+        : getCancelledEntryLabel(entry, index);
+      previousItem = injectMenuItemWithTime(datePickerMenu, firstMenuItem, entry, label, previousItem);
+    });
+    
+    return previousItem;
   }
 
   /**
-   * Watches for the datetime picker menu to appear and injects our options
+   * Builds the menu label for a cancelled time entry
+   * @param {Object} entry - Cancelled time history entry
+   * @param {number} index - Position of the entry in the ranked list
+   * @returns {string} Label such as "Cancelled: Weekly report" or "Last cancelled time"
    */
-  function watchForDateTimePicker() {
-    let injectionTimeout = null;
+  function getCancelledEntryLabel(entry, index) {
+    if (entry.subject) {
+      const maxLength = 28;
+      const subject = entry.subject.length > maxLength
+        ? `${entry.subject.slice(0, maxLength - 1)}…`
+        : entry.subject;
+      return i18n.getMessage('menuCancelledSubject', subject);
+    }
+    return i18n.getMessage(index === 0 ? 'menuLastCancelled' : 'menuEarlierCancelled');
+  }
+
+  /**
+   * Actually injects a menu item for a saved cancelled time
+   * @param {HTMLElement} datePickerMenu - The date picker menu element
+   * @param {HTMLElement} firstMenuItem - The first menu item to use as template
+   * @param {Object} entry - The cancelled time history entry
+   * @param {string} label - The menu item title
+   * @param {HTMLElement|null} previousItem - Item to insert after, or null to insert at the beginning
+   * @returns {HTMLElement} The injected menu item
+   */
+  function injectMenuItemWithTime(datePickerMenu, firstMenuItem, entry, label, previousItem) {
+    const savedDate = cancelledHistory.getEntryDate(entry);
+
+    const newMenuItem = cloneMenuItem(firstMenuItem, 'last-cancelled-time-option');
     
-    const injectOptions = () => {
-      // Clear any pending injection
-      if (injectionTimeout) {
-        clearTimeout(injectionTimeout);
+    // Update the content
+    const titleDiv = gmailSelectors.query('menuItemTitle', newMenuItem);
+    const timeDiv = gmailSelectors.query('menuItemTime', newMenuItem);
+    
+    if (titleDiv) {
+      titleDiv.textContent = label;
+    }
+    if (timeDiv) {
+      timeDiv.textContent = savedDate ? formatTimeForDisplay(savedDate) : entry.time;
+    }
+
+    // Describe the source email in the tooltip
+    const tooltipParts = [];
+    if (entry.subject) {
+      tooltipParts.push(entry.subject);
+    }
+    if (entry.recipients.length > 0) {
+      tooltipParts.push(i18n.getMessage('menuRecipients', entry.recipients.join(', ')));
+    }
+    if (tooltipParts.length > 0) {
+      newMenuItem.setAttribute('title', tooltipParts.join('\n'));
+    }
+
+    // Add click handler to fill in the date/time picker with saved time
+    newMenuItem.addEventListener('click', () => {
+      if (!savedDate) {
+        return;
       }
       
-      // Debounce to prevent multiple rapid injections
-      // Inject random option first so it appears above cancelled time
-      injectionTimeout = setTimeout(() => {
-        injectTomorrowMorningRandomOption();
-        injectLastCancelledTimeOption();
-      }, 100);
-    };
+      // Use the reusable function to fill in the date picker
+      fillDatePickerAndSchedule(savedDate, { source: label });
+    }, false);
 
-    // Check immediately (will be debounced)
-    injectOptions();
+    insertMenuItem(datePickerMenu, newMenuItem, previousItem);
+    return newMenuItem;
+  }
 
-    // Also watch for it to appear dynamically
-    const pickerObserver = new MutationObserver((mutations) => {
-      const datePickerMenu = document.querySelector('.ZkmAeb[role="menu"]');
-      if (datePickerMenu) {
-        // Only inject if options don't exist
-        const hasLastCancelled = datePickerMenu.querySelector('.last-cancelled-time-option');
-        const hasTomorrowRandom = datePickerMenu.querySelector('.tomorrow-morning-random-option');
+  /**
+   * Injects a free-text field that resolves phrases like "mon 9am" or "in 3 hours"
+   * @param {HTMLElement} datePickerMenu - The date picker menu element
+   * @param {Object} menuContext - Settings shared by every option in the menu
+   * @returns {HTMLElement} The injected field
+   */
+  function injectNaturalTimeEntry(datePickerMenu, menuContext) {
+    const container = document.createElement('div');
+    container.className = 'natural-time-entry';
+    container.setAttribute('role', 'group');
+    container.setAttribute('aria-label', i18n.getMessage('typedTimeLabel'));
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'natural-time-input';
+    input.placeholder = i18n.getMessage('typedTimePlaceholder');
+    input.setAttribute('aria-label', i18n.getMessage('typedTimeInputLabel'));
+
+    const preview = document.createElement('div');
+    preview.className = 'natural-time-preview';
+    preview.setAttribute('aria-live', 'polite');
+
+    let resolvedDate = null;
+
+    // Show a live preview of the resolved time
+    input.addEventListener('input', () => {
+      const text = input.value.trim();
+      resolvedDate = null;
+      preview.classList.remove('natural-time-preview-error');
+
+      if (!text) {
+        preview.textContent = '';
+        return;
+      }
+
+      const parsedDate = naturalTime.parseNaturalTime(text, { calendar: menuContext.calendar, locale: getUiLocale() });
+      if (!parsedDate) {
+        preview.textContent = i18n.getMessage('typedTimeNotUnderstood');
+        preview.classList.add('natural-time-preview-error');
+      } else if (parsedDate <= new Date()) {
+        preview.textContent = i18n.getMessage('typedTimePast', formatTimeForDisplay(parsedDate));
+        preview.classList.add('natural-time-preview-error');
+      } else {
+        resolvedDate = parsedDate;
+        preview.textContent = formatTimeForDisplay(parsedDate);
+      }
+    });
+
+    // Keep Gmail's menu from treating typed characters as menu navigation
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      
+      if (e.key === 'Enter' && resolvedDate) {
+        e.preventDefault();
+        fillDatePickerAndSchedule(resolvedDate, { source: i18n.getMessage('sourceTyped', input.value.trim()) });
+      }
+    });
+    ['keyup', 'keypress', 'click', 'mousedown'].forEach(type => {
+      input.addEventListener(type, (e) => e.stopPropagation());
+    });
+
+    container.appendChild(input);
+    container.appendChild(preview);
+    datePickerMenu.insertBefore(container, datePickerMenu.firstChild);
+    return container;
+  }
+
+  /**
+   * Injects every enabled preset into the datetime picker menu, in the user's order
+   */
+  function injectMenuOptions() {
+    // Find the datetime picker menu first
+    const datePickerMenu = gmailSelectors.query('datePickerMenu');
+    if (!datePickerMenu) {
+      return; // Menu not visible
+    }
+
+    // Check if we already added the options in THIS specific menu
+    if (datePickerMenu.dataset.scheduleOptionsInjected === 'true' || 
+        datePickerMenu.querySelector('.schedule-enhancer-option')) {
+      return; // Already injected in this menu instance
+    }
+    
+    // Set flag immediately to prevent concurrent injections
+    datePickerMenu.dataset.scheduleOptionsInjected = 'true';
+
+    checkGmailHealth(CONTEXTS.scheduleMenu);
+    const firstMenuItem = gmailSelectors.query('presetMenuItem', datePickerMenu);
+    if (!firstMenuItem) {
+      datePickerMenu.dataset.scheduleOptionsInjected = '';
+      return; // No menu items to clone
+    }
+
+    const storageKeys = [
+      STORAGE_KEYS.presets,
+      STORAGE_KEYS.calendar,
+      STORAGE_KEYS.zoneMappings,
+      STORAGE_KEYS.typedTimeEntry,
+      STORAGE_KEYS.scheduleLog,
+      STORAGE_KEYS.recipientRules
+    ];
+    accountStorage.get(storageKeys, (result) => {
+      const enabledPresets = presets.normalizePresets(result[STORAGE_KEYS.presets])
+        .filter(preset => preset.enabled);
+      const recipients = getComposeRecipients(getActiveCompose());
+      const menuContext = {
+        calendar: businessCalendar.normalizeCalendar(result[STORAGE_KEYS.calendar]),
+        recipientZone: timezones.resolveRecipientZone(recipients, result[STORAGE_KEYS.zoneMappings]),
+        // Random minutes keep their distance from emails already scheduled
+        taken: scheduleLog.getScheduledTimes(result[STORAGE_KEYS.scheduleLog])
+      };
+
+      loadCancelledHistory((history) => {
+        // Double-check the menu still exists and hasn't been recreated
+        const currentMenu = gmailSelectors.query('datePickerMenu');
+        if (!currentMenu || currentMenu !== datePickerMenu) {
+          // Menu changed, reset flag
+          datePickerMenu.dataset.scheduleOptionsInjected = '';
+          return; // Menu changed or disappeared
+        }
         
-        if (!hasLastCancelled || !hasTomorrowRandom) {
-          injectOptions();
+        // Check again if already injected (in case another injection happened)
+        if (currentMenu.querySelector('.schedule-enhancer-option')) {
+          return; // Already injected
+        }
+
+        // Free-text entry goes at the very top
+        let previousItem = result[STORAGE_KEYS.typedTimeEntry] === false
+          ? null
+          : injectNaturalTimeEntry(datePickerMenu, menuContext);
+
+        // Then the time a recipient rule asks for, if one matches
+        const recommendation = recipientRules.recommend(
+          recipients,
+          recipientRules.normalizeRules(result[STORAGE_KEYS.recipientRules]),
+          { calendar: menuContext.calendar, timeZone: menuContext.recipientZone, taken: menuContext.taken }
+        );
+        if (recommendation) {
+          previousItem = injectRecommendedOption(datePickerMenu, firstMenuItem, recommendation, previousItem);
+        }
+        enabledPresets.forEach(preset => {
+          if (preset.type === presets.PRESET_TYPES.cancelled) {
+            previousItem = injectCancelledTimeOptions(datePickerMenu, firstMenuItem, history, previousItem);
+          } else {
+            previousItem = injectPresetOption(datePickerMenu, firstMenuItem, preset, menuContext, previousItem);
+          }
+        });
+
+        // The first injected option takes focus instead of Gmail's first item
+        const firstOption = datePickerMenu.querySelector('.schedule-enhancer-option');
+        if (firstOption) {
+          firstOption.setAttribute('tabindex', '0');
+          firstOption.setAttribute('autofocus', '');
+          firstMenuItem.removeAttribute('autofocus');
+          firstMenuItem.setAttribute('tabindex', '-1');
+          if (datePickerMenu.contains(document.activeElement)) {
+            firstOption.focus();
+          }
+        }
+        setupMenuKeyboard(datePickerMenu);
+      });
+    });
+  }
+
+  /**
+   * Checks whether a menu is on screen; Gmail hides closed menus rather than always removing them
+   * @param {HTMLElement} menu - The menu element
+   * @returns {boolean} True if it's in the page and not hidden
+   */
+  function isMenuShown(menu) {
+    return menu.isConnected && menu.style.display !== 'none' && !menu.closest('[aria-hidden="true"]');
+  }
+
+  /**
+   * Watches for the datetime picker menu to appear and injects our options
+   * Page-wide, only the children of <body> are observed; the open menu gets its own observer, which is
+   * disconnected when the menu closes. Checks are batched to one per animation frame
+   */
+  function watchForDateTimePicker() {
+    let frame = null;
+    let menuObserver = null;
+    let watchedMenu = null;
+
+    const stopWatchingMenu = () => {
+      if (menuObserver) {
+        menuObserver.disconnect();
+        countObserver('menu', -1);
+      }
+      menuObserver = null;
+      watchedMenu = null;
+    };
+
+    const checkForMenu = () => {
+      frame = null;
+      const datePickerMenu = gmailSelectors.query('datePickerMenu');
+      if (!datePickerMenu || !isMenuShown(datePickerMenu)) {
+        stopWatchingMenu();
+        return;
+      }
+
+      if (datePickerMenu !== watchedMenu) {
+        stopWatchingMenu();
+        watchedMenu = datePickerMenu;
+        menuObserver = new MutationObserver((records) => {
+          meterMutations('menu', records);
+          scheduleCheck();
+        });
+        menuObserver.observe(datePickerMenu, CONFIG.observation.menuOptions);
+        countObserver('menu', 1);
+      }
+
+      // Only inject if options haven't been injected into this menu yet
+      if (datePickerMenu.dataset.scheduleOptionsInjected !== 'true') {
+        injectMenuOptions();
+      }
+    };
+
+    const scheduleCheck = () => {
+      if (frame === null) {
+        frame = window.requestAnimationFrame(checkForMenu);
+      }
+    };
+
+    const pageObserver = new MutationObserver((records) => {
+      meterMutations('page', records);
+      scheduleCheck();
+    });
+    pageObserver.observe(document.body, CONFIG.observation.pageOptions);
+    countObserver('page', 1);
+
+    // A menu Gmail shows again, or renders deeper in the page, doesn't touch <body>'s children;
+    // clicking Gmail's "Schedule send" item is the cue to look for it, and to check the menu's
+    // Gmail hooks (even if it can't be found)
+    const findShownMenu = () => {
+      const datePickerMenu = gmailSelectors.query('datePickerMenu');
+      return datePickerMenu && isMenuShown(datePickerMenu) ? datePickerMenu : null;
+    };
+    const menuOptions = { timeout: CONFIG.timeouts.menu, step: i18n.getMessage('stepScheduleMenu'), observe: CONFIG.observation.stateOptions };
+    document.addEventListener('click', (e) => {
+      if (gmailSelectors.closest(e.target, 'scheduleSendItem')) {
+        waitForUI(findShownMenu, menuOptions, (error) => {
+          checkGmailHealth(CONTEXTS.scheduleMenu);
+          if (!error) {
+            scheduleCheck();
+          }
+        });
+      }
+    }, true);
+
+    scheduleCheck();
+  }
+
+  /**
+   * Checks the Gmail hooks of a context and stores the results for the popup
+   * Call it while the context is on screen, e.g. when the schedule send menu is open
+   * @param {string} context - One of gmailSelectors.CONTEXTS
+   */
+  function checkGmailHealth(context) {
+    const results = gmailSelectors.checkContext(context, document);
+    accountStorage.get([STORAGE_KEYS.selectorHealth], (result) => {
+      accountStorage.set({
+        [STORAGE_KEYS.selectorHealth]: gmailSelectors.mergeReport(result[STORAGE_KEYS.selectorHealth], results)
+      });
+    });
+  }
+
+  /**
+   * Runs the health check once Gmail has loaded
+   * The schedule send menu is checked each time it's opened, see watchForDateTimePicker
+   */
+  function setupHealthCheck() {
+    // Gmail not loading counts as a result too, so check either way
+    waitForUI(() => gmailSelectors.query('gmailMain'), { timeout: CONFIG.timeouts.page, step: i18n.getMessage('stepGmailMain') }, () => {
+      checkGmailHealth(CONTEXTS.gmail);
+    });
+  }
+
+  /**
+   * Reads the signed-in account from the page title ("Inbox - someone@example.com - Gmail")
+   * An open conversation puts its subject first, and subjects can hold addresses too, so the account
+   * is the last part of the title that is nothing but an address
+   * @returns {string|null} The account address, or null if the title doesn't show one
+   */
+  function getAccountEmail() {
+    const address = document.title.split(' - ').map(part => part.trim()).reverse()
+      .find(part => /^[^\s<>()@]+@[^\s<>()@]+\.[a-z]{2,}$/i.test(part));
+    return address ? address.toLowerCase() : null;
+  }
+
+  /**
+   * Runs a callback once the tab's account is known
+   * @param {Function} callback - Called with the account ID
+   */
+  function whenAccountKnown(callback) {
+    if (account) {
+      callback(account.id);
+    } else {
+      accountWaiters.push(callback);
+    }
+  }
+
+  /**
+   * Works out which Gmail account this tab belongs to and registers it
+   * The account's email address is read from the page title once Gmail sets it; until then, or if it
+   * never shows, the address last seen at the same URL index is used, and failing that the index alone.
+   * Values stored before accounts were kept apart, or under the index before the address was known,
+   * are moved to the account
+   */
+  function setupAccount() {
+    const index = accounts.parseAccountIndex(location.href);
+    browserApi.storage.local.get([accounts.KEYS.registry], (result) => {
+      const registry = result[accounts.KEYS.registry];
+      const titleOptions = {
+        timeout: CONFIG.timeouts.page,
+        step: i18n.getMessage('stepAccountEmail'),
+        root: document.head || document,
+        observe: CONFIG.observation.textOptions
+      };
+      waitForUI(getAccountEmail, titleOptions, (error, titleEmail) => {
+        const email = titleEmail || accounts.findAccountByIndex(registry, index)?.email || null;
+        const id = accounts.getAccountId({ email, index });
+        const sources = email ? [null, accounts.getAccountId({ index })] : [null];
+
+        browserApi.storage.local.get(accounts.getClaimKeys(id, sources), (data) => {
+          const { changes, removed } = accounts.claimData(data, id, sources);
+          browserApi.storage.local.set({
+            ...changes,
+            [accounts.KEYS.registry]: accounts.registerAccount(registry, { email, index })
+          }, () => {
+            browserApi.storage.local.remove(removed, () => {
+              account = { id, email, index };
+              accountWaiters.splice(0).forEach(callback => callback(id));
+            });
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Waits for an injected option to appear in the date picker menu
+   * @param {Function} findOption - Returns the option from the menu element, if it's there
+   * @param {Function} callback - Called with (error, option); error is a domWait.WaitError or null
+   */
+  function waitForMenuOption(findOption, callback) {
+    const findInMenu = () => {
+      const menu = gmailSelectors.query('datePickerMenu');
+      return menu ? findOption(menu) : null;
+    };
+    const options = {
+      timeout: CONFIG.timeouts.menu,
+      step: i18n.getMessage('stepMenuOption'),
+      root: gmailSelectors.query('datePickerMenu') || document
+    };
+    waitForUI(findInMenu, options, callback);
+  }
+
+  /**
+   * Runs a keyboard shortcut: opens the schedule send menu of the compose window in use,
+   * then either focuses the first injected option or schedules with the chosen preset
+   * @param {string} command - Command name from manifest.json
+   */
+  function runShortcut(command) {
+    const presetMatch = command.match(COMMANDS.schedulePreset);
+    if (command !== COMMANDS.openScheduleSend && !presetMatch) {
+      return;
+    }
+    if (gmailSelectors.queryAll('composeRoot').length === 0) {
+      announce(i18n.getMessage('announceOpenDraft'));
+      return;
+    }
+
+    accountStorage.get([STORAGE_KEYS.presets], (result) => {
+      let preset = null;
+      if (presetMatch) {
+        const timePresets = presets.normalizePresets(result[STORAGE_KEYS.presets])
+          .filter(item => item.enabled && item.type === presets.PRESET_TYPES.time);
+        preset = timePresets[parseInt(presetMatch[1], 10) - 1];
+        if (!preset) {
+          announce(i18n.getMessage('announceNoPreset', presetMatch[1]));
+          return;
         }
       }
+
+      openScheduleMenu(getComposeDraftId(getActiveCompose()), (error) => {
+        if (error) {
+          announce(i18n.getMessage('announceOpenFailed', error.message));
+          return;
+        }
+
+        const findOption = preset
+          ? menu => Array.from(menu.querySelectorAll('.schedule-preset-option'))
+            .find(item => item.dataset.presetId === preset.id)
+          : menu => menu.querySelector('.schedule-enhancer-option, .natural-time-input');
+        waitForMenuOption(findOption, (optionError, option) => {
+          if (optionError) {
+            announce(i18n.getMessage('announceOpenFailed', optionError.message));
+          } else if (preset) {
+            announce(i18n.getMessage('announceSchedulingWith', preset.label));
+            option.click();
+          } else {
+            option.focus();
+            announce(i18n.getMessage('announceMenuOpen'));
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Checks whether Gmail is showing the list of the Scheduled label (not an open email)
+   * @returns {boolean} True in the Scheduled list, on any page
+   */
+  function isScheduledListView() {
+    return /^#scheduled(\/p\d+)?$/.test(window.location.hash);
+  }
+
+  /**
+   * Reads the scheduled emails ticked with Gmail's own row checkboxes
+   * @returns {Object[]} The emails, as { threadId, subject, scheduledDate }
+   */
+  function getSelectedScheduledEmails() {
+    return gmailSelectors.queryAll('listRow')
+      .filter(row => gmailSelectors.query('listRowCheckbox', row)?.getAttribute('aria-checked') === 'true')
+      .map(row => {
+        const thread = gmailSelectors.query('listRowThread', row);
+        const time = gmailSelectors.query('listRowTime', row);
+        return {
+          threadId: thread ? thread.getAttribute('data-legacy-thread-id') : null,
+          subject: thread?.textContent?.trim() || '',
+          scheduledDate: time ? parseScheduledTime(time.getAttribute('title')) : null
+        };
+      })
+      .filter(email => email.threadId);
+  }
+
+  /**
+   * Waits for a scheduled email to open, after navigating to it
+   * @param {string} threadId - Thread ID of the email
+   * @param {Function} callback - Called with (error, cancelButton); error is a domWait.WaitError or null
+   */
+  function waitForScheduledEmail(threadId, callback) {
+    const findCancelButton = () => (getCurrentThreadId() === threadId ? gmailSelectors.query('cancelSendButton') : null);
+    waitForUI(findCancelButton, { timeout: CONFIG.timeouts.page, step: i18n.getMessage('stepScheduledEmail') }, (error, cancelButton) => {
+      if (error) {
+        checkGmailHealth(CONTEXTS.scheduledEmail);
+      }
+      callback(error, cancelButton);
+    });
+  }
+
+  /**
+   * Explains why a schedule attempt made during a bulk reschedule isn't a success
+   * @param {Object} attempt - The settled attempt
+   * @returns {string|null} What went wrong, or null if Gmail confirmed the new time
+   */
+  function describeBulkFailure(attempt) {
+    const { STATUSES } = scheduleLog;
+    if (attempt.status === STATUSES.verified) {
+      return null;
+    }
+    if (attempt.status === STATUSES.mismatch) {
+      return i18n.getMessage('bulkFailureMismatch', formatTimeForDisplay(new Date(attempt.actualISO)));
+    }
+    if (attempt.status === STATUSES.unverified) {
+      return i18n.getMessage('bulkFailureUnverified');
+    }
+    if (attempt.status === STATUSES.cancelled) {
+      return i18n.getMessage('bulkFailureDeclined');
+    }
+    return attempt.detail || i18n.getMessage('bulkFailureGeneric');
+  }
+
+  /**
+   * Reschedules one email of a bulk run: opens it, cancels the send (saving its time as usual),
+   * then schedules the reopened draft for the planned time
+   * @param {Object} item - The run item
+   * @param {string} source - What to record as the source of the schedule attempt
+   * @param {Function} callback - Called with what went wrong, or null once Gmail confirmed the new time
+   */
+  function rescheduleScheduledEmail(item, source, callback) {
+    // Failures before a schedule attempt starts are not in the schedule log, so audit them here
+    const fail = (detail) => {
+      recordAuditEvent(auditLog.EVENT_TYPES.failed, {
+        source,
+        subject: item.subject,
+        threadId: item.threadId,
+        targetISO: item.targetISO,
+        actualISO: item.fromISO,
+        detail
+      });
+      callback(detail);
+    };
+
+    window.location.hash = `#scheduled/${item.threadId}`;
+
+    waitForScheduledEmail(item.threadId, (error, cancelButton) => {
+      if (error) {
+        fail(i18n.getMessage('bulkFailureNotOpened', error.message));
+        return;
+      }
+
+      // Don't cancel an email whose time changed since it was selected
+      const label = gmailSelectors.query('scheduledLabel');
+      const currentDate = label ? parseScheduledTime(label.getAttribute('title')) : null;
+      if (!currentDate || Math.abs(currentDate.getTime() - new Date(item.fromISO).getTime()) >= 60 * 1000) {
+        fail(i18n.getMessage('bulkFailureTimeChanged'));
+        return;
+      }
+
+      // Goes through the Cancel send listener, so the original time lands in the history
+      const knownDraftIds = getOpenDraftIds();
+      cancelButton.click();
+
+      // The email is cancelled by now, so point to where its old time was saved
+      const failAfterCancel = (detail) => {
+        fail(i18n.getMessage('bulkFailureNotRescheduled', [detail, i18n.getMessage('menuLastCancelled')]));
+      };
+      waitForNewDraft(knownDraftIds, (draftError, draftId) => {
+        if (draftError) {
+          failAfterCancel(draftError.message);
+          return;
+        }
+        openScheduleMenu(draftId, (menuError) => {
+          if (menuError) {
+            failAfterCancel(menuError.message);
+            return;
+          }
+          // The run was confirmed when it started, and an email left waiting for a click would hold it up
+          // with the email already cancelled, so Schedule send is clicked whatever the send mode
+          fillDatePickerAndSchedule(new Date(item.targetISO), { source, sendMode: SEND_MODES.auto }, (attempt) => {
+            callback(describeBulkFailure(attempt));
+          });
+        });
+      });
     });
+  }
+
+  /**
+   * Shows the progress of the bulk run in a floating panel, creating it if needed
+   */
+  function renderBulkPanel() {
+    let panel = document.querySelector('.schedule-bulk-panel');
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.className = 'schedule-bulk-panel';
+      panel.setAttribute('role', 'region');
+      panel.setAttribute('aria-label', i18n.getMessage('bulkPanelLabel'));
+      document.body.appendChild(panel);
+    }
+    panel.textContent = '';
 
-    pickerObserver.observe(document.body, {
-      childList: true,
-      subtree: true
+    const summary = document.createElement('div');
+    summary.className = 'schedule-bulk-summary';
+    summary.textContent = bulkReschedule.describeProgress(bulkRun.items);
+    panel.appendChild(summary);
+
+    const { ITEM_STATUSES } = bulkReschedule;
+    const current = bulkRun.finished ? null : bulkReschedule.getNextItem(bulkRun.items);
+    const list = document.createElement('ol');
+    list.className = 'schedule-bulk-items';
+    bulkRun.items.forEach(item => {
+      const entry = document.createElement('li');
+      entry.className = 'schedule-bulk-item';
+      entry.dataset.status = item === current ? 'running' : item.status;
+      const times = `${formatTimeForDisplay(new Date(item.fromISO))} → ${formatTimeForDisplay(new Date(item.targetISO))}`;
+      const state = {
+        [ITEM_STATUSES.done]: 'bulkStateDone',
+        [ITEM_STATUSES.failed]: 'bulkStateFailed',
+        [ITEM_STATUSES.skipped]: 'bulkStateSkipped'
+      }[item.status] || (item === current ? 'bulkStateRunning' : 'bulkStateWaiting');
+      entry.textContent = i18n.getMessage('bulkItem', [item.subject || i18n.getMessage('noSubject'), times, i18n.getMessage(state)]);
+      list.appendChild(entry);
+    });
+    panel.appendChild(list);
+
+    const actions = document.createElement('div');
+    actions.className = 'schedule-bulk-actions';
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'schedule-bulk-action';
+    if (bulkRun.finished) {
+      button.textContent = i18n.getMessage('bulkClose');
+      button.addEventListener('click', () => {
+        panel.remove();
+        bulkRun = null;
+      });
+    } else {
+      button.textContent = i18n.getMessage(bulkRun.stopRequested ? 'bulkStopping' : 'bulkStop');
+      button.disabled = bulkRun.stopRequested;
+      // Stopping waits for the current email, so no email is left cancelled but unscheduled
+      button.addEventListener('click', () => {
+        bulkRun.stopRequested = true;
+        renderBulkPanel();
+        announce(i18n.getMessage('bulkStoppingAnnounce'));
+      });
+    }
+    actions.appendChild(button);
+    panel.appendChild(actions);
+  }
+
+  /**
+   * Reschedules the next email of the bulk run, or finishes the run
+   */
+  function runNextBulkItem() {
+    const item = bulkReschedule.getNextItem(bulkRun.items);
+    if (item && bulkRun.stopRequested) {
+      bulkRun.items = bulkReschedule.stopRun(bulkRun.items, i18n.getMessage('bulkStoppedBefore'));
+    }
+    if (!item || bulkRun.stopRequested) {
+      bulkRun.finished = true;
+      renderBulkPanel();
+      announce(bulkReschedule.describeProgress(bulkRun.items));
+      window.location.hash = '#scheduled';
+      return;
+    }
+
+    renderBulkPanel();
+    announce(bulkReschedule.describeProgress(bulkRun.items));
+    rescheduleScheduledEmail(item, bulkRun.source, (error) => {
+      bulkRun.items = bulkReschedule.completeItem(bulkRun.items, item.threadId, error);
+      runNextBulkItem();
+    });
+  }
+
+  /**
+   * Plans and starts a bulk reschedule of the selected emails
+   * @param {HTMLElement} bar - The bulk reschedule bar
+   */
+  function startBulkReschedule(bar) {
+    const message = bar.querySelector('.schedule-bulk-message');
+    if (bulkRun && !bulkRun.finished) {
+      message.textContent = i18n.getMessage('bulkAlreadyRunning');
+      return;
+    }
+
+    const emails = getSelectedScheduledEmails();
+    const choice = bar.querySelector('.schedule-bulk-choice').value;
+    const storageKeys = [STORAGE_KEYS.presets, STORAGE_KEYS.calendar, STORAGE_KEYS.scheduleLog];
+    accountStorage.get(storageKeys, (result) => {
+      let action = {
+        type: bulkReschedule.ACTIONS.shift,
+        amount: Number(bar.querySelector('.schedule-bulk-amount').value),
+        unit: bar.querySelector('.schedule-bulk-unit').value
+      };
+      if (choice !== bulkReschedule.ACTIONS.shift) {
+        const preset = presets.normalizePresets(result[STORAGE_KEYS.presets]).find(item => item.id === choice);
+        if (!preset) {
+          message.textContent = i18n.getMessage('bulkPresetGone');
+          return;
+        }
+        action = { type: bulkReschedule.ACTIONS.preset, preset };
+      }
+
+      const { items, problems } = bulkReschedule.planReschedule(emails, action, {
+        calendar: businessCalendar.normalizeCalendar(result[STORAGE_KEYS.calendar]),
+        taken: scheduleLog.getScheduledTimes(result[STORAGE_KEYS.scheduleLog])
+      });
+      if (problems.length > 0) {
+        message.textContent = problems[0];
+        announce(problems[0]);
+        return;
+      }
+
+      message.textContent = '';
+      document.querySelector('.schedule-bulk-panel')?.remove();
+      bulkRun = {
+        items,
+        source: i18n.getMessage('sourceBulk', bulkReschedule.describeAction(action)),
+        stopRequested: false,
+        finished: false
+      };
+      runNextBulkItem();
+    });
+  }
+
+  /**
+   * Adds the bulk reschedule bar above the Scheduled list
+   * @param {HTMLElement} threadList - Gmail's thread list
+   */
+  function injectBulkBar(threadList) {
+    const bar = document.createElement('div');
+    bar.className = 'schedule-bulk-bar';
+    bar.setAttribute('role', 'group');
+    bar.setAttribute('aria-label', i18n.getMessage('bulkBarLabel'));
+
+    const label = document.createElement('span');
+    label.className = 'schedule-bulk-label';
+    label.textContent = i18n.getMessage('bulkBarTitle');
+
+    const choice = document.createElement('select');
+    choice.className = 'schedule-bulk-choice';
+    choice.setAttribute('aria-label', i18n.getMessage('bulkChoiceLabel'));
+    choice.appendChild(new Option(i18n.getMessage('bulkMoveBy'), bulkReschedule.ACTIONS.shift));
+
+    const amount = document.createElement('input');
+    amount.type = 'number';
+    amount.className = 'schedule-bulk-amount';
+    amount.step = '1';
+    amount.value = '1';
+    amount.setAttribute('aria-label', i18n.getMessage('bulkAmountLabel'));
+
+    const unit = document.createElement('select');
+    unit.className = 'schedule-bulk-unit';
+    unit.setAttribute('aria-label', i18n.getMessage('bulkUnitLabel'));
+    const unitLabels = { [bulkReschedule.SHIFT_UNITS.hours]: 'bulkUnitHours', [bulkReschedule.SHIFT_UNITS.days]: 'bulkUnitDays' };
+    Object.values(bulkReschedule.SHIFT_UNITS).forEach(value => unit.appendChild(new Option(i18n.getMessage(unitLabels[value]), value)));
+
+    choice.addEventListener('change', () => {
+      const shifting = choice.value === bulkReschedule.ACTIONS.shift;
+      amount.hidden = !shifting;
+      unit.hidden = !shifting;
+    });
+
+    const start = document.createElement('button');
+    start.type = 'button';
+    start.className = 'schedule-bulk-start';
+    start.textContent = i18n.getMessage('bulkStart');
+    start.addEventListener('click', () => startBulkReschedule(bar));
+
+    const message = document.createElement('span');
+    message.className = 'schedule-bulk-message';
+
+    [label, choice, amount, unit, start, message].forEach(element => bar.appendChild(element));
+    threadList.insertBefore(bar, threadList.firstChild);
+
+    // Offer the enabled time presets as destinations
+    accountStorage.get([STORAGE_KEYS.presets], (result) => {
+      presets.normalizePresets(result[STORAGE_KEYS.presets])
+        .filter(preset => preset.enabled && preset.type === presets.PRESET_TYPES.time)
+        .forEach(preset => choice.appendChild(new Option(i18n.getMessage('bulkMoveTo', preset.label), preset.id)));
+    });
+  }
+
+  /**
+   * Shows the bulk reschedule bar whenever the Scheduled list is open
+   */
+  function setupBulkReschedule() {
+    let pendingWait = null;
+    const showBar = () => {
+      if (pendingWait) {
+        pendingWait.cancel('Left the Scheduled list');
+        pendingWait = null;
+      }
+      if (!isScheduledListView() || document.querySelector('.schedule-bulk-bar')) {
+        return;
+      }
+      const options = { timeout: CONFIG.timeouts.page, step: i18n.getMessage('stepScheduledList') };
+      pendingWait = waitForUI(() => gmailSelectors.query('threadList'), options, (error, threadList) => {
+        pendingWait = null;
+        if (error?.code === domWait.ERROR_CODES.cancelled) {
+          return;
+        }
+        checkGmailHealth(CONTEXTS.scheduledList);
+        if (threadList && isScheduledListView()) {
+          injectBulkBar(threadList);
+        }
+      });
+    };
+
+    window.addEventListener('hashchange', showBar);
+    showBar();
+  }
+
+  /**
+   * Answers the popup's connection checks and runs the keyboard shortcuts the background forwards
+   */
+  function setupMessaging() {
+    browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (messages.isMessage(message, messages.MESSAGE_TYPES.ping)) {
+        sendResponse(messages.createMessage(messages.MESSAGE_TYPES.status, {
+          connected: true,
+          account: getAccountEmail(),
+          composeOpen: gmailSelectors.queryAll('composeRoot').length > 0,
+          observers: getObserverStats()
+        }));
+      } else if (messages.isMessage(message, messages.MESSAGE_TYPES.command)) {
+        runShortcut(message.command);
+      }
     });
   }
 
@@ -585,11 +2282,26 @@
    * Initializes the extension
    */
   function init() {
+    // Keep this account's settings and saved times apart from other signed-in accounts
+    setupAccount();
+
+    // Report which Gmail hooks resolve
+    setupHealthCheck();
+
+    // Let the popup see that this tab is connected, and listen for keyboard shortcuts
+    setupMessaging();
+
     // Set up simple cancel button listener
     setupCancelButtonListener();
 
+    // Remember which compose window opens the schedule send menu
+    setupComposeTracking();
+
     // Watch for datetime picker menu
     watchForDateTimePicker();
+
+    // Offer bulk rescheduling in the Scheduled list
+    setupBulkReschedule();
   }
 
   // Wait for DOM to be ready
@@ -0,0 +1,327 @@
+// Gmail accounts for Gmail Schedule Send Enhancer
+// Tells apart the Gmail accounts signed in to one browser (/mail/u/0, /mail/u/1, …) and keeps
+// each account's settings and saved times under its own chrome.storage keys
+
+(function(root) {
+  'use strict';
+
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const i18n = isModule ? require('./i18n') : root.ScheduleSendEnhancer.i18n;
+
+  // chrome.storage.local keys shared by every account
+  const KEYS = {
+    // Accounts seen on this computer, by account ID: { email, index, lastSeen }
+    registry: 'accounts',
+    // Account last picked in the popup or on the options page
+    selected: 'selected account'
+  };
+
+  // Keys stored once per account. The schema version, sync state and selector health report
+  // describe this computer or Gmail itself, so they are shared
+  const ACCOUNT_KEYS = [
+    'cancelled times',
+    'presets',
+    'business calendar',
+    'time zone mappings',
+    'send mode',
+    'typed time entry',
+    'recipient rules',
+    'reminders',
+    'schedule log',
+    'audit log'
+  ];
+
+  // Per-account keys look like "account:ana@example.com:presets"
+  const KEY_PREFIX = 'account:';
+  const SCOPED_KEY_PATTERN = /^account:([^:]+):(.+)$/;
+
+  const GMAIL_URL = 'https://mail.google.com/mail/u/';
+
+  /**
+   * Reads the account index from a Gmail URL
+   * @param {string} url - Page URL
+   * @returns {number} The index, e.g. 1 for https://mail.google.com/mail/u/1/; 0 when the URL has none
+   */
+  function parseAccountIndex(url) {
+    const match = String(url || '').match(/\/mail\/u\/(\d+)/);
+    return match ? parseInt(match[1], 10) : 0;
+  }
+
+  /**
+   * Returns the ID an account's data is stored under
+   * The email address stays the same when accounts are signed in in a different order, so it is
+   * preferred; the URL index is only used until the address is known
+   * @param {Object} account - The account
+   * @param {string|null} [account.email] - Account email address
+   * @param {number} [account.index] - Index in the Gmail URL
+   * @returns {string} e.g. "ana@example.com" or "u/1"
+   */
+  function getAccountId({ email = null, index = 0 }) {
+    return email ? email.toLowerCase() : `u/${index}`;
+  }
+
+  /**
+   * Checks whether a key is stored once per account
+   * @param {string} key - Storage key
+   * @returns {boolean} True for per-account keys
+   */
+  function isAccountKey(key) {
+    return ACCOUNT_KEYS.includes(key);
+  }
+
+  /**
+   * Returns the key a value is stored under for an account
+   * @param {string} key - Storage key, e.g. "presets"
+   * @param {string} accountId - Account ID
+   * @returns {string} The account's key, or the key itself if it's shared by every account
+   */
+  function scopeKey(key, accountId) {
+    return isAccountKey(key) ? `${KEY_PREFIX}${accountId}:${key}` : key;
+  }
+
+  /**
+   * Splits a per-account key into its account and key
+   * @param {string} scopedKey - Storage key
+   * @returns {{accountId: string, key: string}|null} The parts, or null if it isn't a per-account key
+   */
+  function parseKey(scopedKey) {
+    const match = String(scopedKey).match(SCOPED_KEY_PATTERN);
+    return match && isAccountKey(match[2]) ? { accountId: match[1], key: match[2] } : null;
+  }
+
+  /**
+   * Returns the key a stored value has in every account
+   * @param {string} scopedKey - Storage key
+   * @returns {string} e.g. "presets" for "account:ana@example.com:presets"
+   */
+  function getBaseKey(scopedKey) {
+    const parsed = parseKey(scopedKey);
+    return parsed ? parsed.key : scopedKey;
+  }
+
+  /**
+   * Returns the keys values are stored under for an account
+   * @param {string|string[]} keys - Storage keys
+   * @param {string} accountId - Account ID
+   * @returns {string[]} The keys
+   */
+  function scopeKeys(keys, accountId) {
+    return [].concat(keys).map(key => scopeKey(key, accountId));
+  }
+
+  /**
+   * Moves values to the keys they are stored under for an account
+   * @param {Object} data - Values by key
+   * @param {string} accountId - Account ID
+   * @returns {Object} Values by stored key
+   */
+  function scopeData(data, accountId) {
+    const scoped = {};
+    Object.keys(data).forEach(key => {
+      scoped[scopeKey(key, accountId)] = data[key];
+    });
+    return scoped;
+  }
+
+  /**
+   * Picks an account's values out of stored values (or storage changes), under their plain keys
+   * Other accounts' values are left out; shared values are kept
+   * @param {Object} data - Values by stored key
+   * @param {string} accountId - Account ID
+   * @returns {Object} Values by key
+   */
+  function unscopeData(data, accountId) {
+    const values = {};
+    Object.keys(data || {}).forEach(scopedKey => {
+      const parsed = parseKey(scopedKey);
+      if (!parsed && !isAccountKey(scopedKey)) {
+        values[scopedKey] = data[scopedKey];
+      } else if (parsed && parsed.accountId === accountId) {
+        values[parsed.key] = data[scopedKey];
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Lists the accounts that have values in storage
+   * @param {Object} data - Values by stored key
+   * @returns {string[]} Account IDs
+   */
+  function listStoredAccounts(data) {
+    const ids = Object.keys(data || {}).map(parseKey).filter(Boolean).map(parsed => parsed.accountId);
+    return Array.from(new Set(ids));
+  }
+
+  /**
+   * Lists the keys claimData reads
+   * @param {string} accountId - Account taking the values over
+   * @param {Array<string|null>} sources - Accounts to take them from; null stands for values stored
+   *   before accounts were kept apart
+   * @returns {string[]} Storage keys
+   */
+  function getClaimKeys(accountId, sources) {
+    return [accountId, ...sources].flatMap(source => (
+      source === null ? ACCOUNT_KEYS : scopeKeys(ACCOUNT_KEYS, source)
+    ));
+  }
+
+  /**
+   * Moves values to an account: values stored before accounts were kept apart, and values stored
+   * under the account's URL index before its email address was known
+   * A value the account already has is kept, and the other one is left where it is
+   * @param {Object} data - Stored values, see getClaimKeys
+   * @param {string} accountId - Account taking the values over
+   * @param {Array<string|null>} sources - Accounts to take them from, first match wins
+   * @returns {{changes: Object, removed: string[]}} Values to write and keys to remove
+   */
+  function claimData(data, accountId, sources) {
+    const changes = {};
+    const removed = [];
+    ACCOUNT_KEYS.forEach(key => {
+      const target = scopeKey(key, accountId);
+      sources.forEach(source => {
+        const sourceKey = source === null ? key : scopeKey(key, source);
+        if (sourceKey === target || data[sourceKey] === undefined || data[target] !== undefined || target in changes) {
+          return;
+        }
+        changes[target] = data[sourceKey];
+        removed.push(sourceKey);
+      });
+    });
+    return { changes, removed };
+  }
+
+  /**
+   * Records that an account was seen
+   * @param {Object|undefined} registry - The stored accounts
+   * @param {Object} account - The account, as { email, index }
+   * @param {number} [now] - Current time (ms since epoch)
+   * @returns {Object} The updated accounts
+   */
+  function registerAccount(registry, { email = null, index = 0 }, now = Date.now()) {
+    const id = getAccountId({ email, index });
+    const updated = { ...(registry || {}) };
+    // The index now belongs to this account
+    Object.keys(updated).forEach(otherId => {
+      if (otherId !== id && updated[otherId].index === index) {
+        if (otherId === getAccountId({ index })) {
+          delete updated[otherId];
+        } else {
+          updated[otherId] = { ...updated[otherId], index: null };
+        }
+      }
+    });
+    updated[id] = { email: email ? email.toLowerCase() : null, index, lastSeen: now };
+    return updated;
+  }
+
+  /**
+   * Lists the stored accounts
+   * @param {Object|undefined} registry - The stored accounts
+   * @returns {Object[]} Accounts as { id, email, index, lastSeen }, in Gmail's order
+   */
+  function listAccounts(registry) {
+    return Object.keys(registry || {})
+      .map(id => ({ id, ...registry[id] }))
+      .sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Finds the account signed in at a URL index
+   * @param {Object|undefined} registry - The stored accounts
+   * @param {number} index - Index in the Gmail URL
+   * @returns {Object|null} The account, as { id, email, index, lastSeen }
+   */
+  function findAccountByIndex(registry, index) {
+    return listAccounts(registry).find(account => account.index === index) || null;
+  }
+
+  /**
+   * Picks the account to show when none is given
+   * @param {Object|undefined} registry - The stored accounts
+   * @param {string|undefined} selected - Account last picked by the user
+   * @returns {string|null} Account ID, or null if no account has been seen
+   */
+  function getDefaultAccountId(registry, selected) {
+    if (selected && registry && registry[selected]) {
+      return selected;
+    }
+    const [latest] = listAccounts(registry).sort((a, b) => b.lastSeen - a.lastSeen);
+    return latest ? latest.id : null;
+  }
+
+  /**
+   * Names an account for the popup and the options page
+   * @param {Object} account - The account, as { email, index }
+   * @returns {string} e.g. "ana@example.com" or "Account 2 (/u/1)"
+   */
+  function describeAccount({ email, index }) {
+    return email || i18n.getMessage('accountUnnamed', [index + 1, index]);
+  }
+
+  /**
+   * Returns the Gmail URL of an account
+   * @param {Object|null} account - The account, as { index }
+   * @returns {string} e.g. "https://mail.google.com/mail/u/1/"
+   */
+  function getAccountUrl(account) {
+    return `${GMAIL_URL}${account && Number.isInteger(account.index) ? account.index : 0}/`;
+  }
+
+  /**
+   * Wraps a chrome.storage area so per-account keys are read and written for one account
+   * Callers use the plain keys; shared keys pass through unchanged
+   * @param {Object} area - chrome.storage area, e.g. chrome.storage.local
+   * @param {Function} resolveAccount - Called with a callback that takes the account ID; may wait
+   *   until the account is known
+   * @returns {Object} { get(keys, callback), set(values, callback), remove(keys, callback) }
+   */
+  function createAccountStorage(area, resolveAccount) {
+    return {
+      get(keys, callback) {
+        resolveAccount(accountId => {
+          area.get(scopeKeys(keys, accountId), result => callback(unscopeData(result, accountId)));
+        });
+      },
+      set(values, callback) {
+        resolveAccount(accountId => area.set(scopeData(values, accountId), callback));
+      },
+      remove(keys, callback) {
+        resolveAccount(accountId => area.remove(scopeKeys(keys, accountId), callback));
+      }
+    };
+  }
+
+  const api = {
+    KEYS,
+    ACCOUNT_KEYS,
+    parseAccountIndex,
+    getAccountId,
+    isAccountKey,
+    scopeKey,
+    parseKey,
+    getBaseKey,
+    scopeKeys,
+    scopeData,
+    unscopeData,
+    listStoredAccounts,
+    getClaimKeys,
+    claimData,
+    registerAccount,
+    listAccounts,
+    findAccountByIndex,
+    getDefaultAccountId,
+    describeAccount,
+    getAccountUrl,
+    createAccountStorage
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.accounts = api;
+  }
+
+})(globalThis);
@@ -0,0 +1,190 @@
+// Audit log for Gmail Schedule Send Enhancer
+// An append-only record of what the extension cancelled, scheduled and failed to schedule, with CSV and JSON export
+
+(function(root) {
+  'use strict';
+
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const i18n = isModule ? require('./i18n') : root.ScheduleSendEnhancer.i18n;
+
+  // Maximum number of events kept in storage
+  const MAX_EVENTS = 1000;
+
+  // Identifies exported logs
+  const EXPORT_FORMAT = 'schedule-send-enhancer-audit-log';
+
+  // What happened
+  const EVENT_TYPES = {
+    // "Cancel send" was clicked and the email's time saved
+    cancelCaptured: 'cancel-captured',
+    // A menu option (preset, cancelled time, typed time, retry or bulk reschedule) requested a time
+    optionSelected: 'option-selected',
+    // Gmail confirmed the requested time
+    verified: 'verified',
+    // Gmail confirmed a different time
+    mismatch: 'mismatch',
+    // Gmail's confirmation couldn't be found or read
+    unverified: 'unverified',
+    // The picker couldn't be filled, or a bulk reschedule step failed
+    failed: 'failed',
+    // The user declined the confirmation card
+    declined: 'declined'
+  };
+
+  // How each event type is shown to the user
+  const EVENT_LABELS = {
+    [EVENT_TYPES.cancelCaptured]: i18n.getMessage('auditCancelCaptured'),
+    [EVENT_TYPES.optionSelected]: i18n.getMessage('auditOptionSelected'),
+    [EVENT_TYPES.verified]: i18n.getMessage('auditVerified'),
+    [EVENT_TYPES.mismatch]: i18n.getMessage('auditMismatch'),
+    [EVENT_TYPES.unverified]: i18n.getMessage('auditUnverified'),
+    [EVENT_TYPES.failed]: i18n.getMessage('auditFailed'),
+    [EVENT_TYPES.declined]: i18n.getMessage('auditDeclined')
+  };
+
+  // Exported columns, in order: event field and CSV header
+  const COLUMNS = [
+    ['at', 'Time'],
+    ['type', 'Event'],
+    ['source', 'Source'],
+    ['subject', 'Subject'],
+    ['recipients', 'Recipients'],
+    ['threadId', 'Thread ID'],
+    ['draftId', 'Draft ID'],
+    ['targetISO', 'Requested time'],
+    ['actualISO', 'Gmail time'],
+    ['detail', 'Detail'],
+    ['attemptId', 'Attempt ID']
+  ];
+
+  /**
+   * Creates an audit event
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} [details] - What the event is about
+   * @param {string} [details.source] - What requested the time, e.g. a preset label
+   * @param {string} [details.subject] - Subject of the email
+   * @param {string[]} [details.recipients] - Recipient addresses
+   * @param {string|null} [details.threadId] - Thread ID of the conversation
+   * @param {string|null} [details.draftId] - Draft ID of the compose window
+   * @param {string|null} [details.targetISO] - Time the extension requested
+   * @param {string|null} [details.actualISO] - Time Gmail had or confirmed
+   * @param {string} [details.detail] - Extra information, e.g. why it failed
+   * @param {string|null} [details.attemptId] - Schedule attempt the event belongs to
+   * @param {number} [at] - When it happened (ms since epoch)
+   * @returns {Object} The event
+   */
+  function createEvent(type, details = {}, at = Date.now()) {
+    return {
+      id: `${at.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      at: new Date(at).toISOString(),
+      type,
+      source: details.source || '',
+      subject: details.subject || '',
+      recipients: Array.isArray(details.recipients) ? details.recipients : [],
+      threadId: details.threadId || null,
+      draftId: details.draftId || null,
+      targetISO: details.targetISO || null,
+      actualISO: details.actualISO || null,
+      detail: details.detail || '',
+      attemptId: details.attemptId || null
+    };
+  }
+
+  /**
+   * Adds an event to the front of the log, dropping the oldest beyond the cap
+   * @param {Object[]} log - Existing log, newest first
+   * @param {Object} event - Event to add
+   * @param {number} [maxEvents] - Maximum number of events to keep
+   * @returns {Object[]} The new log
+   */
+  function addEvent(log, event, maxEvents = MAX_EVENTS) {
+    return [event, ...(Array.isArray(log) ? log : [])].slice(0, maxEvents);
+  }
+
+  /**
+   * Picks the events matching a filter
+   * @param {Object[]} log - The log, newest first
+   * @param {Object} [filter] - What to keep
+   * @param {string[]} [filter.types] - Event types to keep (all if empty)
+   * @param {string} [filter.query] - Text to look for in the subject, source, recipients or detail
+   * @param {Date|null} [filter.from] - Earliest event time (inclusive)
+   * @param {Date|null} [filter.to] - Latest event time (exclusive)
+   * @returns {Object[]} The matching events, newest first
+   */
+  function filterEvents(log, { types = [], query = '', from = null, to = null } = {}) {
+    const needle = query.trim().toLowerCase();
+    return (Array.isArray(log) ? log : []).filter(event => {
+      const at = new Date(event.at);
+      if (types.length > 0 && !types.includes(event.type)) {
+        return false;
+      }
+      if ((from && at < from) || (to && at >= to)) {
+        return false;
+      }
+      if (needle) {
+        const haystack = [event.subject, event.source, event.detail, ...(event.recipients || [])].join('\n').toLowerCase();
+        return haystack.includes(needle);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Quotes a value for a CSV cell
+   * Cells that a spreadsheet would run as a formula are prefixed with an apostrophe
+   * @param {*} value - The value
+   * @returns {string} The cell
+   */
+  function toCsvCell(value) {
+    let text = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Writes events as CSV (RFC 4180), one row per event
+   * @param {Object[]} events - The events
+   * @returns {string} The CSV text, with a header row
+   */
+  function toCSV(events) {
+    const rows = [COLUMNS.map(([, header]) => header)]
+      .concat(events.map(event => COLUMNS.map(([field]) => event[field])));
+    return rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Writes events as a JSON export
+   * @param {Object[]} events - The events
+   * @param {Date} [now] - Time of the export
+   * @returns {string} The JSON text
+   */
+  function toJSON(events, now = new Date()) {
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      exportedAt: now.toISOString(),
+      events
+    }, null, 2);
+  }
+
+  const api = {
+    MAX_EVENTS,
+    EXPORT_FORMAT,
+    EVENT_TYPES,
+    EVENT_LABELS,
+    createEvent,
+    addEvent,
+    filterEvents,
+    toCSV,
+    toJSON
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.auditLog = api;
+  }
+
+})(globalThis);
@@ -0,0 +1,166 @@
+// Browser extension APIs for Gmail Schedule Send Enhancer
+// One callback-style interface over Chrome's chrome.* and Firefox's promise-based browser.*, so the
+// extension's pages, content script and background script run unchanged in both browsers
+
+(function(root) {
+  'use strict';
+
+  // Error of the API call whose callback is running, as chrome.runtime.lastError reports it
+  let lastError = null;
+
+  // Page listing the extension's keyboard shortcuts in Chrome
+  const CHROME_SHORTCUTS_URL = 'chrome://extensions/shortcuts';
+
+  /**
+   * Returns the browser's extension API namespace
+   * Firefox (and Safari) provide the promise-based `browser`; Chrome only `chrome`, callback-based
+   * @returns {Object} browser or chrome
+   */
+  function getNamespace() {
+    return root.browser?.runtime ? root.browser : root.chrome;
+  }
+
+  /**
+   * Checks whether the API returns promises rather than taking callbacks
+   * @returns {boolean} True in Firefox
+   */
+  function isPromiseBased() {
+    return getNamespace() === root.browser;
+  }
+
+  /**
+   * Returns the error of the API call whose callback is running
+   * Only meaningful inside a callback passed to this module, like chrome.runtime.lastError
+   * @returns {{message: string}|null} The error, or null if the call succeeded
+   */
+  function getLastError() {
+    return lastError;
+  }
+
+  /**
+   * Runs an API callback with the call's error available to getLastError
+   * @param {Function|undefined} callback - The caller's callback
+   * @param {*} result - The call's result
+   * @param {Object|null} error - The call's error
+   */
+  function settle(callback, result, error) {
+    if (typeof callback !== 'function') {
+      return;
+    }
+    lastError = error ? { message: error.message || String(error) } : null;
+    try {
+      callback(result);
+    } finally {
+      lastError = null;
+    }
+  }
+
+  /**
+   * Wraps an API method so it takes a trailing callback in every browser
+   * @param {string} path - Dotted path of the method below the namespace, e.g. "storage.local.get"
+   * @returns {Function} Called with the method's arguments and an optional callback
+   */
+  function wrap(path) {
+    const parts = path.split('.');
+    const name = parts.pop();
+    return (...args) => {
+      const callback = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+      const target = parts.reduce((object, part) => object[part], getNamespace());
+      if (isPromiseBased()) {
+        Promise.resolve(target[name](...args)).then(
+          result => settle(callback, result, null),
+          error => settle(callback, undefined, error)
+        );
+        return;
+      }
+      // Always pass a callback, so Chrome counts its lastError as checked
+      target[name](...args, result => settle(callback, result, root.chrome.runtime?.lastError || null));
+    };
+  }
+
+  /**
+   * Wraps an API event
+   * @param {string} path - Dotted path of the event below the namespace, e.g. "alarms.onAlarm"
+   * @returns {{addListener: Function}} The event
+   */
+  function wrapEvent(path) {
+    const getEvent = () => path.split('.').reduce((object, part) => object[part], getNamespace());
+    return {
+      addListener: listener => getEvent().addListener(listener)
+    };
+  }
+
+  /**
+   * Wraps a storage area
+   * @param {string} areaName - 'local' or 'sync'
+   * @returns {Object} { get(keys, callback), set(values, callback), remove(keys, callback) }
+   */
+  function wrapStorageArea(areaName) {
+    return {
+      get: wrap(`storage.${areaName}.get`),
+      set: wrap(`storage.${areaName}.set`),
+      remove: wrap(`storage.${areaName}.remove`)
+    };
+  }
+
+  /**
+   * Opens the browser's page for changing the extension's keyboard shortcuts
+   * Firefox has an API for it; Chrome only the chrome://extensions/shortcuts page
+   */
+  function openShortcutSettings() {
+    const namespace = getNamespace();
+    if (typeof namespace.commands?.openShortcutSettings === 'function') {
+      wrap('commands.openShortcutSettings')();
+      return;
+    }
+    wrap('tabs.create')({ url: CHROME_SHORTCUTS_URL });
+  }
+
+  const api = {
+    getLastError,
+    openShortcutSettings,
+    storage: {
+      local: wrapStorageArea('local'),
+      sync: wrapStorageArea('sync'),
+      onChanged: wrapEvent('storage.onChanged')
+    },
+    runtime: {
+      openOptionsPage: wrap('runtime.openOptionsPage'),
+      onMessage: wrapEvent('runtime.onMessage'),
+      onInstalled: wrapEvent('runtime.onInstalled'),
+      onStartup: wrapEvent('runtime.onStartup')
+    },
+    tabs: {
+      query: wrap('tabs.query'),
+      sendMessage: wrap('tabs.sendMessage'),
+      create: wrap('tabs.create'),
+      update: wrap('tabs.update')
+    },
+    windows: {
+      update: wrap('windows.update')
+    },
+    alarms: {
+      create: wrap('alarms.create'),
+      clear: wrap('alarms.clear'),
+      getAll: wrap('alarms.getAll'),
+      onAlarm: wrapEvent('alarms.onAlarm')
+    },
+    notifications: {
+      create: wrap('notifications.create'),
+      clear: wrap('notifications.clear'),
+      onClicked: wrapEvent('notifications.onClicked')
+    },
+    commands: {
+      getAll: wrap('commands.getAll'),
+      onCommand: wrapEvent('commands.onCommand')
+    }
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.browserApi = api;
+  }
+
+})(globalThis);
@@ -0,0 +1,204 @@
+// Bulk rescheduling for Gmail Schedule Send Enhancer
+// Plans new send times for several scheduled emails and tracks a run that reschedules them one by one
+
+(function(root) {
+  'use strict';
+
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const presets = isModule ? require('./presets') : root.ScheduleSendEnhancer.presets;
+  const i18n = isModule ? require('./i18n') : root.ScheduleSendEnhancer.i18n;
+
+  // How the new times are chosen
+  const ACTIONS = {
+    // Move every email by the same offset
+    shift: 'shift',
+    // Move every email to a time preset
+    preset: 'preset'
+  };
+
+  // Units of a shift
+  const SHIFT_UNITS = {
+    hours: 'hours',
+    days: 'days'
+  };
+
+  // Progress of one email in a run
+  const ITEM_STATUSES = {
+    // Not started yet
+    pending: 'pending',
+    // Rescheduled and confirmed by Gmail
+    done: 'done',
+    // Something went wrong; the run stopped here
+    failed: 'failed',
+    // Left alone because the run stopped first
+    skipped: 'skipped'
+  };
+
+  const HOUR_MS = 60 * 60 * 1000;
+
+  /**
+   * Moves a date by a number of hours or days
+   * Days keep the time of day, even across a daylight saving change
+   * @param {Date} date - The date to move
+   * @param {number} amount - How far to move it (negative moves it earlier)
+   * @param {string} unit - One of SHIFT_UNITS
+   * @returns {Date} The moved date
+   */
+  function shiftDate(date, amount, unit) {
+    if (unit === SHIFT_UNITS.days) {
+      const shifted = new Date(date);
+      shifted.setDate(shifted.getDate() + amount);
+      return shifted;
+    }
+    return new Date(date.getTime() + amount * HOUR_MS);
+  }
+
+  /**
+   * Describes an action for progress messages and the schedule log
+   * @param {Object} action - The action
+   * @returns {string} e.g. "+2 days" or "Tomorrow morning random"
+   */
+  function describeAction(action) {
+    if (action.type === ACTIONS.preset) {
+      return action.preset.label;
+    }
+    const name = action.unit === SHIFT_UNITS.days ? 'bulkShiftDays' : 'bulkShiftHours';
+    return i18n.getPlural(name, Math.abs(action.amount), `${action.amount > 0 ? '+' : ''}${action.amount}`);
+  }
+
+  /**
+   * Works out the new send time of each selected email
+   * Preset times are spread out from each other and from emails already scheduled
+   * @param {Object[]} emails - Selected emails, as { threadId, subject, scheduledDate }
+   * @param {Object} action - { type: 'shift', amount, unit } or { type: 'preset', preset }
+   * @param {Object} [options] - Planning options
+   * @param {Date} [options.now] - Current time
+   * @param {Object|null} [options.calendar] - Business calendar for preset times
+   * @param {Date[]} [options.taken] - Send times of emails already scheduled
+   * @param {Function} [options.random] - Random number generator for preset times
+   * @returns {{items: Object[], problems: string[]}} One item per email, and why the plan can't run
+   */
+  function planReschedule(emails, action, {
+    now = new Date(),
+    calendar = null,
+    taken = [],
+    random = Math.random
+  } = {}) {
+    const problems = [];
+    if (emails.length === 0) {
+      problems.push(i18n.getMessage('bulkSelectEmails'));
+    }
+    if (action.type === ACTIONS.shift && (!Number.isInteger(action.amount) || action.amount === 0)) {
+      problems.push(i18n.getMessage('bulkWholeNumber'));
+    }
+    if (problems.length > 0) {
+      return { items: [], problems };
+    }
+
+    const planned = [...taken];
+    const items = emails.map(email => {
+      const label = email.subject ? i18n.getMessage('emailQuoted', email.subject) : i18n.getMessage('emailUnnamed');
+      let targetDate = null;
+      if (!email.scheduledDate) {
+        problems.push(i18n.getMessage('bulkNoTime', label));
+      } else if (action.type === ACTIONS.shift) {
+        targetDate = shiftDate(email.scheduledDate, action.amount, action.unit);
+      } else {
+        targetDate = presets.resolvePreset(action.preset, { now, calendar, taken: planned, random });
+        planned.push(targetDate);
+      }
+      if (targetDate && targetDate <= now) {
+        problems.push(i18n.getMessage('bulkIntoPast', label));
+      }
+
+      return {
+        threadId: email.threadId,
+        subject: email.subject || '',
+        fromISO: email.scheduledDate ? email.scheduledDate.toISOString() : null,
+        targetISO: targetDate ? targetDate.toISOString() : null,
+        status: ITEM_STATUSES.pending,
+        detail: ''
+      };
+    });
+
+    return { items, problems };
+  }
+
+  /**
+   * Returns the next email to reschedule
+   * @param {Object[]} items - The run's items
+   * @returns {Object|null} The first pending item, or null when the run is over
+   */
+  function getNextItem(items) {
+    return items.find(item => item.status === ITEM_STATUSES.pending) || null;
+  }
+
+  /**
+   * Records the outcome of one email; a failure stops the run, skipping the emails after it
+   * @param {Object[]} items - The run's items
+   * @param {string} threadId - Thread ID of the email
+   * @param {string|null} error - What went wrong, or null if it was rescheduled
+   * @returns {Object[]} The updated items
+   */
+  function completeItem(items, threadId, error) {
+    const updated = items.map(item => (item.threadId === threadId
+      ? { ...item, status: error ? ITEM_STATUSES.failed : ITEM_STATUSES.done, detail: error || '' }
+      : item));
+    return error ? stopRun(updated, i18n.getMessage('bulkNotAttempted')) : updated;
+  }
+
+  /**
+   * Skips every email that hasn't been started
+   * @param {Object[]} items - The run's items
+   * @param {string} detail - Why they were skipped
+   * @returns {Object[]} The updated items
+   */
+  function stopRun(items, detail) {
+    return items.map(item => (item.status === ITEM_STATUSES.pending
+      ? { ...item, status: ITEM_STATUSES.skipped, detail }
+      : item));
+  }
+
+  /**
+   * Summarises a run for the progress panel
+   * @param {Object[]} items - The run's items
+   * @returns {string} e.g. "Rescheduling 3 of 5…" or "Stopped: 2 of 5 rescheduled"
+   */
+  function describeProgress(items) {
+    const total = items.length;
+    const done = items.filter(item => item.status === ITEM_STATUSES.done).length;
+    const failed = items.find(item => item.status === ITEM_STATUSES.failed);
+
+    if (failed) {
+      return i18n.getMessage('bulkProgressFailed', [done, total, failed.subject || i18n.getMessage('emailUnnamed'), failed.detail]);
+    }
+    if (getNextItem(items)) {
+      return i18n.getMessage('bulkProgressRunning', [done + 1, total]);
+    }
+    if (done < total) {
+      return i18n.getMessage('bulkProgressStopped', [done, total]);
+    }
+    return i18n.getPlural('bulkProgressDone', total);
+  }
+
+  const api = {
+    ACTIONS,
+    SHIFT_UNITS,
+    ITEM_STATUSES,
+    shiftDate,
+    describeAction,
+    planReschedule,
+    getNextItem,
+    completeItem,
+    stopRun,
+    describeProgress
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.bulkReschedule = api;
+  }
+
+})(globalThis);
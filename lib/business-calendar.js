@@ -0,0 +1,252 @@
+// Business calendar for Gmail Schedule Send Enhancer
+// Working week model used to keep preset times on working days and hours
+
+(function(root) {
+  'use strict';
+
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const i18n = isModule ? require('./i18n') : root.ScheduleSendEnhancer.i18n;
+
+  // Monday to Friday, 8 AM to 6 PM, no holidays
+  const DEFAULT_CALENDAR = {
+    enabled: true,
+    workingDays: [1, 2, 3, 4, 5],
+    workingHours: { start: '08:00', end: '18:00' },
+    holidays: []
+  };
+
+  // Safety limit when searching for the next working day
+  const MAX_DAYS_AHEAD = 366;
+
+  /**
+   * Formats a date as a local "YYYY-MM-DD" key
+   * @param {Date} date - The date
+   * @returns {string} The date key
+   */
+  function toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Parses a "HH:MM" string into minutes after midnight
+   * @param {string} value - Time in 24-hour "HH:MM" format
+   * @returns {number|null} Minutes after midnight, or null if the value is invalid
+   */
+  function parseTimeOfDay(value) {
+    const match = typeof value === 'string' && value.match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) {
+      return null;
+    }
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) {
+      return null;
+    }
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Checks whether a "YYYY-MM-DD" string names a real calendar day
+   * @param {string} value - The date key
+   * @returns {boolean} True for dates such as "2026-12-25", false for "2026-13-45" or "2026-02-30"
+   */
+  function isValidDateKey(value) {
+    const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) {
+      return false;
+    }
+    const date = new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+    return toDateKey(date) === value;
+  }
+
+  /**
+   * Fills in missing fields of a stored calendar
+   * @param {Object|undefined} stored - Calendar loaded from storage
+   * @returns {Object} The calendar
+   */
+  function normalizeCalendar(stored) {
+    const calendar = { ...JSON.parse(JSON.stringify(DEFAULT_CALENDAR)), ...(stored || {}) };
+    calendar.workingDays = Array.isArray(calendar.workingDays) ? calendar.workingDays : [];
+    calendar.holidays = Array.isArray(calendar.holidays) ? calendar.holidays : [];
+    return calendar;
+  }
+
+  /**
+   * Checks whether a date falls on a working day that isn't a holiday
+   * @param {Date} date - The date
+   * @param {Object} calendar - The business calendar
+   * @returns {boolean} True if the date is a business day
+   */
+  function isBusinessDay(date, calendar) {
+    const dateKey = toDateKey(date);
+    return calendar.workingDays.includes(date.getDay()) &&
+      !calendar.holidays.some(holiday => holiday.date === dateKey);
+  }
+
+  /**
+   * Moves a time onto the next business day and within working hours
+   * Times already inside working hours on a business day are returned unchanged;
+   * times on other days keep their time of day, clamped to working hours
+   * @param {Date} date - The resolved time
+   * @param {Object} calendar - The business calendar
+   * @returns {Date} The adjusted time
+   */
+  function adjustToBusinessTime(date, calendar) {
+    if (!calendar || !calendar.enabled || calendar.workingDays.length === 0) {
+      return date;
+    }
+
+    const start = parseTimeOfDay(calendar.workingHours?.start) ?? 0;
+    const end = parseTimeOfDay(calendar.workingHours?.end) ?? 24 * 60 - 1;
+    const adjusted = new Date(date);
+    let minuteOfDay = adjusted.getHours() * 60 + adjusted.getMinutes();
+
+    // After hours rolls over to the start of the next day
+    if (minuteOfDay > end) {
+      adjusted.setDate(adjusted.getDate() + 1);
+      minuteOfDay = start;
+    } else if (minuteOfDay < start) {
+      minuteOfDay = start;
+    }
+
+    let daysAhead = 0;
+    while (!isBusinessDay(adjusted, calendar) && daysAhead < MAX_DAYS_AHEAD) {
+      adjusted.setDate(adjusted.getDate() + 1);
+      daysAhead++;
+    }
+
+    adjusted.setHours(Math.floor(minuteOfDay / 60), minuteOfDay % 60, 0, 0);
+    return adjusted;
+  }
+
+  /**
+   * Parses a holiday list in JSON format
+   * Accepts an array of "YYYY-MM-DD" strings or { date, name } objects,
+   * optionally wrapped in { holidays: [...] }. Entries that aren't real dates are skipped
+   * @param {string} text - The JSON text
+   * @returns {Object[]} Holidays as { date, name }
+   */
+  function parseHolidaysJson(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data?.holidays;
+    if (!Array.isArray(list)) {
+      throw new Error(i18n.getMessage('holidaysNotArray'));
+    }
+
+    return list.map(item => (
+      typeof item === 'string' ? { date: item, name: '' } : { date: item?.date, name: item?.name || '' }
+    )).filter(holiday => isValidDateKey(holiday.date));
+  }
+
+  /**
+   * Parses the date part of an iCalendar DTSTART/DTEND value
+   * @param {string} value - The property value, e.g. "20261225" or "20261225T000000Z"
+   * @returns {Date|null} Midnight of that day, or null if invalid
+   */
+  function parseIcsDate(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)) : null;
+  }
+
+  /**
+   * Parses a holiday list in iCalendar (.ics) format
+   * Each VEVENT becomes one holiday per day between DTSTART and DTEND (exclusive)
+   * @param {string} text - The iCalendar text
+   * @returns {Object[]} Holidays as { date, name }
+   */
+  function parseHolidaysIcs(text) {
+    // Unfold continuation lines (RFC 5545 section 3.1)
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const holidays = [];
+    let event = null;
+
+    lines.forEach(line => {
+      if (line === 'BEGIN:VEVENT') {
+        event = {};
+        return;
+      }
+      if (line === 'END:VEVENT') {
+        if (event && event.start) {
+          const day = new Date(event.start);
+          const end = event.end && event.end > event.start ? event.end : new Date(event.start.getTime() + 1);
+          while (day < end) {
+            holidays.push({ date: toDateKey(day), name: event.name || '' });
+            day.setDate(day.getDate() + 1);
+          }
+        }
+        event = null;
+        return;
+      }
+      if (!event) {
+        return;
+      }
+
+      const separator = line.indexOf(':');
+      if (separator === -1) {
+        return;
+      }
+      const name = line.slice(0, separator).split(';')[0].toUpperCase();
+      const value = line.slice(separator + 1);
+
+      if (name === 'DTSTART') {
+        event.start = parseIcsDate(value);
+      } else if (name === 'DTEND') {
+        event.end = parseIcsDate(value);
+      } else if (name === 'SUMMARY') {
+        event.name = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+      }
+    });
+
+    return holidays;
+  }
+
+  /**
+   * Parses an imported holiday file, detecting its format
+   * @param {string} text - The file contents
+   * @returns {Object[]} Holidays as { date, name }
+   */
+  function parseHolidays(text) {
+    return text.trimStart().startsWith('BEGIN:VCALENDAR')
+      ? parseHolidaysIcs(text)
+      : parseHolidaysJson(text);
+  }
+
+  /**
+   * Merges imported holidays into an existing list, de-duplicated and sorted by date
+   * @param {Object[]} existing - Current holidays
+   * @param {Object[]} imported - Holidays to add
+   * @returns {Object[]} The merged list
+   */
+  function mergeHolidays(existing, imported) {
+    const byDate = new Map();
+    [...existing, ...imported].forEach(holiday => {
+      if (!byDate.has(holiday.date) || (!byDate.get(holiday.date).name && holiday.name)) {
+        byDate.set(holiday.date, holiday);
+      }
+    });
+    return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  const api = {
+    DEFAULT_CALENDAR,
+    toDateKey,
+    parseTimeOfDay,
+    normalizeCalendar,
+    isBusinessDay,
+    adjustToBusinessTime,
+    parseHolidaysJson,
+    parseHolidaysIcs,
+    parseHolidays,
+    mergeHolidays
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.businessCalendar = api;
+  }
+
+})(globalThis);
@@ -0,0 +1,161 @@
+// Cancelled time history for Gmail Schedule Send Enhancer
+// Pure helpers for recording, de-duplicating and ranking cancelled schedule times
+
+(function(root) {
+  'use strict';
+
+  // Maximum number of cancelled times kept in storage
+  const MAX_ENTRIES = 10;
+
+  /**
+   * Creates a history entry from the details captured when "Cancel send" is clicked
+   * @param {Object} details - Captured details
+   * @param {string} details.time - The raw scheduled time string from Gmail
+   * @param {string|null} details.timeISO - The scheduled time in ISO format, if it could be parsed
+   * @param {string} [details.subject] - Subject of the cancelled email
+   * @param {string[]} [details.recipients] - Recipient addresses of the cancelled email
+   * @param {string|null} [details.threadId] - Gmail thread ID of the cancelled email
+   * @param {string|null} [details.draftId] - ID of the draft Gmail reopens after the cancel
+   * @param {number} [details.cancelledAt] - When the email was cancelled (ms since epoch)
+   * @returns {Object} The history entry
+   */
+  function createEntry(details) {
+    return {
+      time: details.time || null,
+      timeISO: details.timeISO || null,
+      subject: details.subject || '',
+      recipients: Array.isArray(details.recipients) ? details.recipients : [],
+      threadId: details.threadId || null,
+      draftId: details.draftId || null,
+      cancelledAt: details.cancelledAt || Date.now()
+    };
+  }
+
+  /**
+   * Checks whether two entries describe the same cancelled send
+   * @param {Object} a - First entry
+   * @param {Object} b - Second entry
+   * @returns {boolean} True if both entries have the same time and thread
+   */
+  function isSameEntry(a, b) {
+    return (a.timeISO || a.time) === (b.timeISO || b.time) &&
+      (a.threadId || null) === (b.threadId || null);
+  }
+
+  /**
+   * Adds an entry to the front of the history, removing duplicates and capping its length
+   * @param {Object[]} history - Existing history, newest first
+   * @param {Object} entry - Entry to add
+   * @param {number} [maxEntries] - Maximum number of entries to keep
+   * @returns {Object[]} The new history, newest first
+   */
+  function addEntry(history, entry, maxEntries = MAX_ENTRIES) {
+    const rest = (history || []).filter(existing => !isSameEntry(existing, entry));
+    return [entry, ...rest].slice(0, maxEntries);
+  }
+
+  /**
+   * Applies changes to the stored copy of an entry
+   * @param {Object[]} history - Existing history, newest first
+   * @param {Object} entry - Entry to update
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Object[]} The new history
+   */
+  function updateEntry(history, entry, changes) {
+    return (history || []).map(existing => (
+      isSameEntry(existing, entry) ? { ...existing, ...changes } : existing
+    ));
+  }
+
+  /**
+   * Removes an entry from the history
+   * @param {Object[]} history - Existing history, newest first
+   * @param {Object} entry - Entry to remove
+   * @returns {Object[]} The new history
+   */
+  function removeEntry(history, entry) {
+    return (history || []).filter(existing => !isSameEntry(existing, entry));
+  }
+
+  /**
+   * Checks whether an entry holds the original time of the draft being scheduled
+   * The draft ID is compared when both sides have one, otherwise the thread ID
+   * @param {Object} entry - History entry
+   * @param {Object} context - The draft being scheduled
+   * @param {string|null} [context.draftId] - Draft ID of the compose window
+   * @param {string|null} [context.threadId] - Thread ID of the conversation
+   * @returns {boolean} True if the entry was cancelled from the same draft
+   */
+  function isOriginalFor(entry, { draftId = null, threadId = null } = {}) {
+    if (entry.draftId && draftId) {
+      return entry.draftId === draftId;
+    }
+    return Boolean(entry.threadId && threadId && entry.threadId === threadId);
+  }
+
+  /**
+   * Returns the scheduled date of an entry
+   * @param {Object} entry - History entry
+   * @returns {Date|null} The scheduled date, or null if the entry has no valid time
+   */
+  function getEntryDate(entry) {
+    const date = new Date(entry.timeISO || entry.time);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Removes entries whose scheduled time is invalid or no longer in the future
+   * @param {Object[]} history - History to prune
+   * @param {Date} [now] - Current time
+   * @returns {Object[]} Entries that are still usable
+   */
+  function pruneExpired(history, now = new Date()) {
+    return (history || []).filter(entry => {
+      const date = getEntryDate(entry);
+      return date !== null && date > now;
+    });
+  }
+
+  /**
+   * Picks the most relevant future entries to offer in the date picker menu
+   * The draft's own original time comes first, then entries from the same thread,
+   * then the most recently cancelled ones
+   * @param {Object[]} history - History, newest first
+   * @param {Object} [options] - Ranking options
+   * @param {string|null} [options.draftId] - Draft ID of the email being scheduled
+   * @param {string|null} [options.threadId] - Thread ID of the email being scheduled
+   * @param {Date} [options.now] - Current time
+   * @param {number} [options.limit] - Maximum number of entries to return
+   * @returns {Object[]} Ranked entries
+   */
+  function rankEntries(history, { draftId = null, threadId = null, now = new Date(), limit = 3 } = {}) {
+    const future = pruneExpired(history, now);
+    const originals = future.filter(entry => isOriginalFor(entry, { draftId, threadId }));
+    const sameThread = threadId
+      ? future.filter(entry => entry.threadId === threadId && !originals.includes(entry))
+      : [];
+    const others = future.filter(entry => !originals.includes(entry) && !sameThread.includes(entry));
+    return [...originals, ...sameThread, ...others].slice(0, limit);
+  }
+
+  const api = {
+    MAX_ENTRIES,
+    createEntry,
+    isSameEntry,
+    addEntry,
+    updateEntry,
+    removeEntry,
+    isOriginalFor,
+    getEntryDate,
+    pruneExpired,
+    rankEntries
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.cancelledHistory = api;
+  }
+
+})(globalThis);
@@ -0,0 +1,141 @@
+// Event-driven waiting for Gmail's DOM for Gmail Schedule Send Enhancer
+// Waits for an element or condition with a MutationObserver instead of polling, with a timeout and cancellation
+
+(function(root) {
+  'use strict';
+
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const i18n = isModule ? require('./i18n') : root.ScheduleSendEnhancer.i18n;
+
+  // How long to wait when no timeout is given (ms)
+  const DEFAULT_TIMEOUT = 5000;
+
+  // What a mutation has to touch to re-check the condition
+  const OBSERVE_OPTIONS = {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    characterData: true
+  };
+
+  // Why a wait ended without a result
+  const ERROR_CODES = {
+    // The condition wasn't met in time
+    timeout: 'timeout',
+    // The wait was cancelled by its caller
+    cancelled: 'cancelled',
+    // Checking the condition threw
+    failed: 'failed'
+  };
+
+  /**
+   * Error passed to the callback of a wait that ended without a result
+   */
+  class WaitError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} step - What was being waited for, e.g. "date picker"
+     * @param {string} message - Human-readable explanation
+     * @param {Error} [cause] - Error thrown by the condition, for ERROR_CODES.failed
+     */
+    constructor(code, step, message, cause) {
+      super(message);
+      this.name = 'WaitError';
+      this.code = code;
+      this.step = step;
+      this.cause = cause;
+    }
+  }
+
+  /**
+   * Waits until a selector matches or a predicate returns something truthy
+   * The condition is checked straight away and after every DOM mutation under the root
+   * @param {string|Function} condition - CSS selector, or function returning the result when ready
+   * @param {Object|number} [options] - Wait options, or just the timeout (ms)
+   * @param {number} [options.timeout] - How long to wait (ms)
+   * @param {Node} [options.root] - What to observe and search (defaults to the document)
+   * @param {string} [options.step] - What is being waited for, used in error messages
+   * @param {Object} [options.observe] - MutationObserver options, to narrow what is observed
+   * @param {Function} [options.onMutations] - Called with the records of every observer callback, e.g. to meter them
+   * @param {Function} callback - Called once with (error, result); error is a WaitError or null
+   * @returns {{cancel: Function}} Handle to stop waiting; cancel(reason) calls back with a cancelled error
+   */
+  function waitFor(condition, options, callback) {
+    const {
+      timeout = DEFAULT_TIMEOUT,
+      root: scope = root.document,
+      step = typeof condition === 'string' ? condition : i18n.getMessage('stepCondition'),
+      observe = OBSERVE_OPTIONS,
+      onMutations = null
+    } = typeof options === 'number' ? { timeout: options } : (options || {});
+    const check = typeof condition === 'function' ? condition : () => scope.querySelector(condition);
+
+    let done = false;
+    let observer = null;
+    let timer = null;
+
+    const finish = (error, result) => {
+      if (done) {
+        return;
+      }
+      done = true;
+      if (observer) {
+        observer.disconnect();
+      }
+      clearTimeout(timer);
+      callback(error, result);
+    };
+
+    const evaluate = () => {
+      try {
+        const result = check();
+        if (result) {
+          finish(null, result);
+        }
+      } catch (e) {
+        finish(new WaitError(ERROR_CODES.failed, step, i18n.getMessage('waitCheckFailed', [step, e.message]), e));
+      }
+    };
+
+    const handle = {
+      cancel: (reason = i18n.getMessage('waitCancelledReason')) => {
+        finish(new WaitError(ERROR_CODES.cancelled, step, i18n.getMessage('waitCancelled', [reason, step])));
+      }
+    };
+
+    evaluate();
+    if (done) {
+      return handle;
+    }
+
+    const view = (scope.ownerDocument || scope).defaultView || root;
+    observer = new view.MutationObserver((records) => {
+      if (onMutations) {
+        onMutations(records);
+      }
+      evaluate();
+    });
+    observer.observe(scope, observe);
+    timer = setTimeout(() => {
+      finish(new WaitError(ERROR_CODES.timeout, step, i18n.getMessage('waitTimeout', [step, timeout / 1000])));
+    }, timeout);
+
+    return handle;
+  }
+
+  const api = {
+    DEFAULT_TIMEOUT,
+    OBSERVE_OPTIONS,
+    ERROR_CODES,
+    WaitError,
+    waitFor
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.domWait = api;
+  }
+
+})(globalThis);
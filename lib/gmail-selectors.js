@@ -0,0 +1,496 @@
+// Gmail DOM selector registry for Gmail Schedule Send Enhancer
+// Every Gmail element the extension hooks into, with ordered fallback strategies and a health check
+
+(function(root) {
+  'use strict';
+
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const i18n = isModule ? require('./i18n') : root.ScheduleSendEnhancer.i18n;
+  const gmailStrings = isModule ? require('./gmail-strings') : root.ScheduleSendEnhancer.gmailStrings;
+
+  // User-facing names of the features that depend on Gmail's DOM
+  const FEATURES = {
+    menuOptions: i18n.getMessage('featureMenuOptions'),
+    autoSchedule: i18n.getMessage('featureAutoSchedule'),
+    cancelledTimes: i18n.getMessage('featureCancelledTimes'),
+    draftContext: i18n.getMessage('featureDraftContext'),
+    verification: i18n.getMessage('featureVerification'),
+    retry: i18n.getMessage('featureRetry'),
+    bulkReschedule: i18n.getMessage('featureBulkReschedule')
+  };
+
+  // When a hook can be checked: Gmail only renders most elements in a specific situation
+  const CONTEXTS = {
+    // Gmail has finished loading
+    gmail: 'gmail',
+    // A compose window or inline reply is open
+    compose: 'compose',
+    // The schedule send menu (with "Pick date & time") is open
+    scheduleMenu: 'scheduleMenu',
+    // The "Pick date & time" dialog is open
+    datePicker: 'datePicker',
+    // A scheduled email is open
+    scheduledEmail: 'scheduledEmail',
+    // Gmail has just confirmed a scheduled send
+    confirmation: 'confirmation',
+    // The list of the Scheduled label is showing
+    scheduledList: 'scheduledList'
+  };
+
+  // Health of a hook
+  const STATUSES = {
+    // The primary strategy matched
+    ok: 'ok',
+    // Only a fallback strategy matched
+    fallback: 'fallback',
+    // No strategy matched
+    missing: 'missing'
+  };
+
+  // Matches a clock time such as "8:00 AM", "08:00" or "8.00"
+  const CLOCK_PATTERN = /\d{1,2}[:.]\d{2}/;
+
+  /**
+   * Checks whether an element's text is Gmail's text for something, in the page's language
+   * @param {string} key - What the text names, a key of gmailStrings.STRINGS.en
+   * @returns {Function} Predicate for an element
+   */
+  function hasText(key) {
+    return element => gmailStrings.matchesText(key, element.textContent, gmailStrings.getPageLanguage(element));
+  }
+
+  /**
+   * Checks whether an element's aria-label is Gmail's label for something, in the page's language
+   * @param {string} key - What the label names, a key of gmailStrings.STRINGS.en
+   * @param {boolean} [partial] - Accept labels that merely contain it
+   * @returns {Function} Predicate for an element
+   */
+  function hasLabel(key, partial = false) {
+    const matches = partial ? gmailStrings.containsText : gmailStrings.matchesText;
+    return element => matches(key, element.getAttribute('aria-label'), gmailStrings.getPageLanguage(element));
+  }
+
+  /**
+   * Finds the text inputs of the date picker dialog, in document order
+   * @param {ParentNode} scope - Where to search
+   * @returns {HTMLInputElement[]} The inputs
+   */
+  function getPickerInputs(scope) {
+    const dialog = Array.from(scope.querySelectorAll('[role="dialog"]'))
+      .find(element => element.querySelectorAll('input[type="text"], input:not([type])').length === 2);
+    return dialog ? Array.from(dialog.querySelectorAll('input[type="text"], input:not([type])')) : [];
+  }
+
+  // Hooks into Gmail's DOM. Strategies are tried in order; the first is Gmail's current markup,
+  // the rest rely on ARIA roles, labels and structure that survive class name changes.
+  // A strategy is a CSS selector with an optional filter, or a find(scope) function.
+  const HOOKS = {
+    gmailMain: {
+      feature: FEATURES.menuOptions,
+      context: CONTEXTS.gmail,
+      strategies: [
+        { label: 'main role', selector: 'div[role="main"]' }
+      ]
+    },
+    composeRoot: {
+      feature: FEATURES.draftContext,
+      context: CONTEXTS.compose,
+      strategies: [
+        { label: 'compose classes', selector: '.M9, .ip' },
+        { label: 'dialog role', selector: 'div[role="dialog"]' }
+      ]
+    },
+    composeDraftInput: {
+      feature: FEATURES.draftContext,
+      context: CONTEXTS.compose,
+      strategies: [
+        { label: 'draft field', selector: 'input[name="draft"]' }
+      ]
+    },
+    composeSubject: {
+      feature: FEATURES.draftContext,
+      context: CONTEXTS.compose,
+      strategies: [
+        { label: 'subject field', selector: 'input[name="subjectbox"]' },
+        { label: 'subject label', selector: 'input[aria-label]', filter: hasLabel('subject') }
+      ]
+    },
+    composeRecipientChips: {
+      feature: FEATURES.draftContext,
+      context: null,
+      strategies: [
+        { label: 'hovercard chips', selector: '[data-hovercard-id*="@"]' },
+        { label: 'email attribute', selector: 'span[email]' }
+      ]
+    },
+    composeRecipientInputs: {
+      feature: FEATURES.draftContext,
+      context: null,
+      strategies: [
+        { label: 'recipient fields', selector: 'input[name="to"], input[name="cc"]' }
+      ]
+    },
+    moreSendOptions: {
+      feature: FEATURES.retry,
+      context: CONTEXTS.compose,
+      strategies: [
+        { label: 'send options classes', selector: '.T-I.hG[role="button"]' },
+        { label: 'send options label', selector: '[role="button"][aria-label]', filter: hasLabel('sendOptions', true) }
+      ]
+    },
+    scheduleSendItem: {
+      feature: FEATURES.retry,
+      context: null,
+      strategies: [
+        { label: 'selector attribute', selector: '[role="menuitem"][selector="scheduledSend"]' },
+        { label: 'menu item text', selector: '[role="menuitem"]', filter: hasText('scheduleSend') }
+      ]
+    },
+    datePickerMenu: {
+      feature: FEATURES.menuOptions,
+      context: CONTEXTS.scheduleMenu,
+      strategies: [
+        { label: 'menu classes', selector: '.ZkmAeb[role="menu"]' },
+        {
+          label: 'menu of times',
+          selector: '[role="menu"]',
+          filter: menu => Array.from(menu.querySelectorAll('[role="menuitem"]'))
+            .filter(item => CLOCK_PATTERN.test(item.textContent || '')).length >= 2
+        }
+      ]
+    },
+    presetMenuItem: {
+      feature: FEATURES.menuOptions,
+      context: CONTEXTS.scheduleMenu,
+      strategies: [
+        { label: 'menu item classes', selector: '.Az[role="menuitem"]' },
+        {
+          label: 'menu item with a time',
+          selector: '[role="menuitem"]',
+          filter: item => CLOCK_PATTERN.test(item.textContent || '')
+        }
+      ]
+    },
+    menuItemTitle: {
+      feature: FEATURES.menuOptions,
+      context: CONTEXTS.scheduleMenu,
+      strategies: [
+        { label: 'title class', selector: '.Aj' },
+        { label: 'first column', selector: '[role="menuitem"] > div:first-child:not(:last-child)' }
+      ]
+    },
+    menuItemTime: {
+      feature: FEATURES.menuOptions,
+      context: CONTEXTS.scheduleMenu,
+      strategies: [
+        { label: 'time class', selector: '.Ay' },
+        { label: 'last column', selector: '[role="menuitem"] > div:last-child:not(:first-child)' }
+      ]
+    },
+    pickDateTimeItem: {
+      feature: FEATURES.autoSchedule,
+      context: CONTEXTS.scheduleMenu,
+      strategies: [
+        { label: 'menu item class', selector: '.AM[role="menuitem"]' },
+        {
+          label: 'menu item without a time',
+          selector: '[role="menuitem"]:last-child',
+          filter: item => !CLOCK_PATTERN.test(item.textContent || '')
+        }
+      ]
+    },
+    dateInput: {
+      feature: FEATURES.autoSchedule,
+      context: CONTEXTS.datePicker,
+      strategies: [
+        { label: 'input ID', selector: 'input#c5', filter: hasLabel('date') },
+        { label: 'jsname and label', selector: 'input[jsname="YPqjbf"]', filter: hasLabel('date') },
+        { label: 'first dialog input', find: scope => getPickerInputs(scope)[0] || null }
+      ]
+    },
+    timeInput: {
+      feature: FEATURES.autoSchedule,
+      context: CONTEXTS.datePicker,
+      strategies: [
+        { label: 'input ID', selector: 'input#c6', filter: hasLabel('time') },
+        { label: 'jsname and label', selector: 'input[jsname="YPqjbf"]', filter: hasLabel('time') },
+        { label: 'second dialog input', find: scope => getPickerInputs(scope)[1] || null }
+      ]
+    },
+    scheduleSendButton: {
+      feature: FEATURES.autoSchedule,
+      context: CONTEXTS.datePicker,
+      strategies: [
+        {
+          label: 'button jsname',
+          selector: 'button',
+          filter: button => Array.from(button.querySelectorAll('span[jsname="V67aGc"]'))
+            .some(hasText('scheduleSend'))
+        },
+        { label: 'dialog button text', selector: '[role="dialog"] button', filter: hasText('scheduleSend') },
+        {
+          label: 'last dialog button',
+          find: scope => {
+            const dialog = getPickerInputs(scope)[0]?.closest('[role="dialog"]');
+            const buttons = dialog ? dialog.querySelectorAll('button') : [];
+            return buttons[buttons.length - 1] || null;
+          }
+        }
+      ]
+    },
+    scheduledLabel: {
+      feature: FEATURES.cancelledTimes,
+      context: CONTEXTS.scheduledEmail,
+      strategies: [
+        { label: 'label class', selector: 'span.g3[title]' },
+        {
+          label: 'titled time in conversation',
+          selector: '[role="main"] [role="listitem"] span[title]',
+          filter: span => CLOCK_PATTERN.test(span.getAttribute('title') || '')
+        }
+      ]
+    },
+    cancelSendButton: {
+      feature: FEATURES.bulkReschedule,
+      context: CONTEXTS.scheduledEmail,
+      strategies: [
+        { label: 'scheduled bar button', selector: '.bHm [role="button"]', filter: hasText('cancelSend') },
+        { label: 'button text', selector: '[role="main"] [role="button"]', filter: hasText('cancelSend') }
+      ]
+    },
+    threadList: {
+      feature: FEATURES.bulkReschedule,
+      context: CONTEXTS.scheduledList,
+      strategies: [
+        { label: 'thread list attribute', selector: '[gh="tl"]' },
+        { label: 'grid container', find: scope => scope.querySelector('[role="main"] [role="grid"]')?.parentElement || null }
+      ]
+    },
+    listRow: {
+      feature: FEATURES.bulkReschedule,
+      context: CONTEXTS.scheduledList,
+      strategies: [
+        { label: 'row class', selector: 'tr.zA' },
+        { label: 'grid row', selector: '[role="main"] [role="grid"] [role="row"]' }
+      ]
+    },
+    listRowCheckbox: {
+      feature: FEATURES.bulkReschedule,
+      context: CONTEXTS.scheduledList,
+      strategies: [
+        { label: 'checkbox class', selector: '.oZ-jc[role="checkbox"]' },
+        { label: 'checkbox in row', selector: '[role="row"] [role="checkbox"]' }
+      ]
+    },
+    listRowThread: {
+      feature: FEATURES.bulkReschedule,
+      context: CONTEXTS.scheduledList,
+      strategies: [
+        { label: 'subject with thread ID', selector: '.bog [data-legacy-thread-id]' },
+        { label: 'thread ID in row', selector: '[role="row"] [data-legacy-thread-id]' }
+      ]
+    },
+    listRowTime: {
+      feature: FEATURES.bulkReschedule,
+      context: CONTEXTS.scheduledList,
+      strategies: [
+        { label: 'date column', selector: '.xW span[title]' },
+        {
+          label: 'titled time in row',
+          selector: '[role="row"] span[title]',
+          filter: span => CLOCK_PATTERN.test(span.getAttribute('title') || '')
+        }
+      ]
+    },
+    threadSubject: {
+      feature: FEATURES.cancelledTimes,
+      context: CONTEXTS.scheduledEmail,
+      strategies: [
+        { label: 'subject class', selector: 'h2.hP' },
+        { label: 'thread heading', selector: '[role="main"] h2[data-legacy-thread-id], [role="main"] h2[data-thread-perm-id]' }
+      ]
+    },
+    messageRecipients: {
+      feature: FEATURES.cancelledTimes,
+      context: null,
+      strategies: [
+        { label: 'recipient classes', selector: '.adn span.g2[email]' },
+        { label: 'recipients in conversation', selector: '[role="main"] [role="listitem"] span[email]' }
+      ]
+    },
+    toastMessage: {
+      feature: FEATURES.verification,
+      context: CONTEXTS.confirmation,
+      strategies: [
+        { label: 'toast class', selector: '.bAq' },
+        { label: 'alert role', selector: '[role="alert"]', filter: element => CLOCK_PATTERN.test(element.textContent || '') }
+      ]
+    },
+    toastArea: {
+      feature: FEATURES.verification,
+      context: null,
+      strategies: [
+        { label: 'toast bar class', selector: '.b8' },
+        { label: 'live alert region', selector: '[role="alert"][aria-live]' }
+      ]
+    },
+    toastUndo: {
+      feature: FEATURES.retry,
+      context: null,
+      strategies: [
+        { label: 'undo ID', selector: '#link_undo' },
+        { label: 'undo link text', selector: '[role="alert"] [role="link"], [role="alert"] [role="button"]', filter: hasText('undo') }
+      ]
+    }
+  };
+
+  /**
+   * Runs one strategy
+   * @param {Object} strategy - The strategy
+   * @param {ParentNode} scope - Where to search
+   * @returns {Element[]} Matching elements, in document order
+   */
+  function runStrategy(strategy, scope) {
+    if (strategy.find) {
+      const element = strategy.find(scope);
+      return element ? [element] : [];
+    }
+    const elements = Array.from(scope.querySelectorAll(strategy.selector));
+    return strategy.filter ? elements.filter(strategy.filter) : elements;
+  }
+
+  /**
+   * Resolves a hook, trying its strategies in order
+   * @param {string} name - Hook name, a key of HOOKS
+   * @param {ParentNode} scope - Where to search
+   * @returns {{elements: Element[], strategyIndex: number}} The matches of the first strategy that matched
+   */
+  function resolve(name, scope) {
+    const hook = HOOKS[name];
+    if (!hook) {
+      throw new Error(`Unknown Gmail hook: ${name}`);
+    }
+
+    for (let index = 0; index < hook.strategies.length; index++) {
+      const elements = runStrategy(hook.strategies[index], scope);
+      if (elements.length > 0) {
+        return { elements, strategyIndex: index };
+      }
+    }
+    return { elements: [], strategyIndex: -1 };
+  }
+
+  /**
+   * Finds the first element of a hook
+   * @param {string} name - Hook name, a key of HOOKS
+   * @param {ParentNode} [scope] - Where to search
+   * @returns {Element|null} The element, or null if no strategy matched
+   */
+  function query(name, scope = root.document) {
+    return resolve(name, scope).elements[0] || null;
+  }
+
+  /**
+   * Finds every element of a hook, using the first strategy that matches anything
+   * @param {string} name - Hook name, a key of HOOKS
+   * @param {ParentNode} [scope] - Where to search
+   * @returns {Element[]} The elements
+   */
+  function queryAll(name, scope = root.document) {
+    return resolve(name, scope).elements;
+  }
+
+  /**
+   * Finds the closest ancestor (or the element itself) matching a hook's selector strategies
+   * @param {Element} element - Where to start
+   * @param {string} name - Hook name, a key of HOOKS
+   * @returns {Element|null} The ancestor, or null if none matches
+   */
+  function closest(element, name) {
+    for (const strategy of HOOKS[name].strategies) {
+      if (!strategy.selector) {
+        continue;
+      }
+      const match = element.closest?.(strategy.selector);
+      if (match && (!strategy.filter || strategy.filter(match))) {
+        return match;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Checks every hook of a context
+   * @param {string} context - One of CONTEXTS
+   * @param {ParentNode} [scope] - Where to search
+   * @returns {Object} Results by hook name, as { status, strategy }
+   */
+  function checkContext(context, scope = root.document) {
+    const results = {};
+    Object.keys(HOOKS)
+      .filter(name => HOOKS[name].context === context)
+      .forEach(name => {
+        const { strategyIndex } = resolve(name, scope);
+        let status = STATUSES.missing;
+        if (strategyIndex === 0) {
+          status = STATUSES.ok;
+        } else if (strategyIndex > 0) {
+          status = STATUSES.fallback;
+        }
+        results[name] = {
+          status,
+          strategy: strategyIndex === -1 ? null : HOOKS[name].strategies[strategyIndex].label
+        };
+      });
+    return results;
+  }
+
+  /**
+   * Merges new check results into a stored health report
+   * @param {Object|undefined} report - The stored report, as { hooks: { name: result } }
+   * @param {Object} results - Results from checkContext
+   * @param {number} [checkedAt] - When the check ran (ms since epoch)
+   * @returns {Object} The new report
+   */
+  function mergeReport(report, results, checkedAt = Date.now()) {
+    const hooks = { ...(report?.hooks || {}) };
+    Object.keys(results).forEach(name => {
+      hooks[name] = { ...results[name], checkedAt };
+    });
+    return { hooks, checkedAt };
+  }
+
+  /**
+   * Lists the features a health report says are unavailable
+   * @param {Object|undefined} report - The health report
+   * @returns {string[]} Feature names from FEATURES, in FEATURES order
+   */
+  function getUnavailableFeatures(report) {
+    const hooks = report?.hooks || {};
+    const broken = new Set(Object.keys(hooks)
+      .filter(name => HOOKS[name] && hooks[name].status === STATUSES.missing)
+      .map(name => HOOKS[name].feature));
+    return Object.values(FEATURES).filter(feature => broken.has(feature));
+  }
+
+  const api = {
+    FEATURES,
+    CONTEXTS,
+    STATUSES,
+    HOOKS,
+    query,
+    queryAll,
+    closest,
+    checkContext,
+    mergeReport,
+    getUnavailableFeatures
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.gmailSelectors = api;
+  }
+
+})(globalThis);
@@ -0,0 +1,165 @@
+// Gmail's own UI text for Gmail Schedule Send Enhancer
+// Gmail shows its buttons and labels in the account's language; these tables let the extension
+// recognise them in every language it knows, falling back to English
+
+(function(root) {
+  'use strict';
+
+  // Gmail text by language, then by what it names. A value is one text or a list of variants
+  const STRINGS = {
+    en: {
+      // Button of a scheduled email, and of the "Pick date & time" dialog
+      cancelSend: 'Cancel send',
+      scheduleSend: 'Schedule send',
+      // aria-label of the date and time inputs of the "Pick date & time" dialog
+      date: 'Date',
+      time: 'Time',
+      // Link in the confirmation toast
+      undo: 'Undo',
+      // aria-label of the compose subject field
+      subject: 'Subject',
+      // Part of the aria-label of the arrow next to Send
+      sendOptions: 'send options'
+    },
+    de: {
+      cancelSend: 'Senden abbrechen',
+      scheduleSend: 'Senden planen',
+      date: 'Datum',
+      time: 'Uhrzeit',
+      undo: 'Rückgängig machen',
+      subject: 'Betreff',
+      sendOptions: 'Sendeoptionen'
+    },
+    es: {
+      cancelSend: 'Cancelar envío',
+      scheduleSend: 'Programar envío',
+      date: 'Fecha',
+      time: 'Hora',
+      undo: 'Deshacer',
+      subject: 'Asunto',
+      sendOptions: 'opciones de envío'
+    },
+    fr: {
+      cancelSend: 'Annuler l\'envoi',
+      scheduleSend: 'Programmer l\'envoi',
+      date: 'Date',
+      time: 'Heure',
+      undo: 'Annuler',
+      subject: 'Objet',
+      sendOptions: 'options d\'envoi'
+    },
+    it: {
+      cancelSend: 'Annulla invio',
+      scheduleSend: 'Programma invio',
+      date: 'Data',
+      time: 'Ora',
+      undo: 'Annulla',
+      subject: 'Oggetto',
+      sendOptions: 'opzioni di invio'
+    },
+    ja: {
+      cancelSend: '送信をキャンセル',
+      scheduleSend: '送信日時を設定',
+      date: '日付',
+      time: '時刻',
+      undo: '元に戻す',
+      subject: '件名',
+      sendOptions: '送信オプション'
+    },
+    nl: {
+      cancelSend: 'Verzenden annuleren',
+      scheduleSend: 'Verzenden plannen',
+      date: 'Datum',
+      time: 'Tijd',
+      undo: 'Ongedaan maken',
+      subject: 'Onderwerp',
+      sendOptions: 'verzendopties'
+    },
+    pt: {
+      cancelSend: 'Cancelar envio',
+      scheduleSend: ['Programar envio', 'Agendar envio'],
+      date: 'Data',
+      time: 'Hora',
+      undo: 'Desfazer',
+      subject: 'Assunto',
+      sendOptions: 'opções de envio'
+    }
+  };
+
+  // Language of the fallback table
+  const DEFAULT_LANGUAGE = 'en';
+
+  /**
+   * Puts text in a form that compares equal across Gmail's spacing, case and apostrophe styles
+   * @param {string} text - The text
+   * @returns {string} The normalized text
+   */
+  function normalize(text) {
+    return String(text || '').replace(/[’‘]/g, '\'').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  /**
+   * Reads the language Gmail is shown in
+   * @param {Node|Object} [node] - Any node of the Gmail page
+   * @returns {string} Lowercased language tag, e.g. "de" or "pt-br"; '' if unknown
+   */
+  function getPageLanguage(node) {
+    const document = node?.ownerDocument || (node?.documentElement ? node : null);
+    return String(document?.documentElement?.lang || '').toLowerCase();
+  }
+
+  /**
+   * Lists the texts Gmail may use for something
+   * The table of the page language comes first (or of its base language, e.g. "pt" for "pt-br"),
+   * then English, which Gmail shows while a translation is missing
+   * @param {string} key - What the text names, a key of STRINGS.en
+   * @param {string} [language] - Gmail's language tag
+   * @returns {string[]} The texts
+   */
+  function getStrings(key, language = '') {
+    const tag = String(language).toLowerCase();
+    const table = STRINGS[tag] || STRINGS[tag.split('-')[0]];
+    const texts = [].concat(table?.[key] || [], STRINGS[DEFAULT_LANGUAGE][key] || []);
+    return Array.from(new Set(texts));
+  }
+
+  /**
+   * Checks whether text is Gmail's text for something
+   * @param {string} key - What the text names, a key of STRINGS.en
+   * @param {string} text - Text found on the page
+   * @param {string} [language] - Gmail's language tag
+   * @returns {boolean} True if it matches exactly, ignoring case and spacing
+   */
+  function matchesText(key, text, language) {
+    const normalized = normalize(text);
+    return getStrings(key, language).some(expected => normalize(expected) === normalized);
+  }
+
+  /**
+   * Checks whether text contains Gmail's text for something
+   * @param {string} key - What the text names, a key of STRINGS.en
+   * @param {string} text - Text found on the page
+   * @param {string} [language] - Gmail's language tag
+   * @returns {boolean} True if it contains it, ignoring case and spacing
+   */
+  function containsText(key, text, language) {
+    const normalized = normalize(text);
+    return getStrings(key, language).some(expected => normalized.includes(normalize(expected)));
+  }
+
+  const api = {
+    STRINGS,
+    getPageLanguage,
+    getStrings,
+    matchesText,
+    containsText
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.gmailStrings = api;
+  }
+
+})(globalThis);
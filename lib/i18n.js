@@ -0,0 +1,134 @@
+// Translated UI strings for Gmail Schedule Send Enhancer
+// Reads the extension's own text from _locales/*/messages.json through chrome.i18n, and
+// localises extension pages marked up with data-i18n attributes
+
+(function(root) {
+  'use strict';
+
+  const isModule = typeof module !== 'undefined' && module.exports;
+
+  // English messages, for tests and anywhere chrome.i18n is missing
+  const FALLBACK_MESSAGES = isModule ? require('../_locales/en/messages.json') : null;
+
+  // Language of the fallback messages
+  const DEFAULT_LANGUAGE = 'en';
+
+  // Attributes localizePage fills: data-i18n-<attribute>="messageName"
+  const PAGE_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+
+  /**
+   * Builds a message the way chrome.i18n does: named $PLACEHOLDERS$ become their content, then
+   * $1…$9 become the substitutions and $$ a dollar sign
+   * @param {Object} messages - Parsed messages.json
+   * @param {string} name - Message name
+   * @param {string|string[]} [substitutions] - Values for $1…$9
+   * @returns {string} The message, or '' if there is no such message
+   */
+  function formatMessage(messages, name, substitutions = []) {
+    const entry = messages && messages[name];
+    if (!entry) {
+      return '';
+    }
+    const values = [].concat(substitutions).map(String);
+    const placeholders = entry.placeholders || {};
+    return entry.message
+      .replace(/\$([A-Za-z0-9_@]+)\$/g, (match, placeholder) => placeholders[placeholder.toLowerCase()]?.content ?? '')
+      .replace(/\$(\$|[1-9])/g, (match, token) => (token === '$' ? '$' : values[token - 1] ?? ''));
+  }
+
+  /**
+   * Checks whether chrome.i18n can be used
+   * @returns {boolean} True in the extension
+   */
+  function hasChromeI18n() {
+    return typeof root.chrome?.i18n?.getMessage === 'function';
+  }
+
+  /**
+   * Looks up a message
+   * @param {string} name - Message name
+   * @param {Array} substitutions - Values for $1…$9
+   * @returns {string} The message, or '' if there is no such message
+   */
+  function lookup(name, substitutions) {
+    const values = substitutions.map(String);
+    if (hasChromeI18n()) {
+      return root.chrome.i18n.getMessage(name, values) || '';
+    }
+    return formatMessage(FALLBACK_MESSAGES, name, values);
+  }
+
+  /**
+   * Returns a message in the browser's language
+   * @param {string} name - Message name in _locales/en/messages.json
+   * @param {*|Array} [substitutions] - Values for $1…$9, converted to strings
+   * @returns {string} The message; the name itself if there is no such message
+   */
+  function getMessage(name, substitutions = []) {
+    return lookup(name, [].concat(substitutions)) || name;
+  }
+
+  /**
+   * Returns the language of the messages in use
+   * This is the catalogue Chrome picked, which is the browser's language only if the extension
+   * has been translated into it
+   * @returns {string} Language tag from the catalogue, e.g. "de"
+   */
+  function getLanguage() {
+    return lookup('languageCode', []) || DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Returns the message for a count, picking the plural form the language uses
+   * Messages are named <name>_one, <name>_other and so on after Intl.PluralRules categories;
+   * <name>_other is used when a language's form is missing
+   * @param {string} name - Message name without the plural suffix
+   * @param {number} count - The count
+   * @param {*|Array} [substitutions] - Values for $1…$9 (defaults to the count)
+   * @returns {string} The message
+   */
+  function getPlural(name, count, substitutions = [count]) {
+    const values = [].concat(substitutions);
+    let category = 'other';
+    try {
+      category = new Intl.PluralRules(getLanguage()).select(count);
+    } catch (e) {
+      // Unknown language tag: the "other" form is always there
+    }
+    return lookup(`${name}_${category}`, values) || getMessage(`${name}_other`, values);
+  }
+
+  /**
+   * Fills in the text of an extension page
+   * Elements name their message with data-i18n (text) or data-i18n-placeholder, data-i18n-title
+   * and data-i18n-aria-label (attributes)
+   * @param {Document} document - The page
+   */
+  function localizePage(document) {
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = getMessage(element.getAttribute('data-i18n'));
+    });
+    PAGE_ATTRIBUTES.forEach(attribute => {
+      document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+        element.setAttribute(attribute, getMessage(element.getAttribute(`data-i18n-${attribute}`)));
+      });
+    });
+    document.documentElement.lang = getLanguage();
+  }
+
+  const api = {
+    formatMessage,
+    getMessage,
+    getPlural,
+    getLanguage,
+    localizePage
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.i18n = api;
+  }
+
+})(globalThis);
@@ -0,0 +1,50 @@
+// Extension messaging for Gmail Schedule Send Enhancer
+// Message types exchanged between the extension pages and the content script running in Gmail
+
+(function(root) {
+  'use strict';
+
+  // Message types
+  const MESSAGE_TYPES = {
+    // Popup → content script: is this Gmail tab connected?
+    ping: 'ping',
+    // Content script → popup: reply to a ping
+    status: 'status',
+    // Background → content script: a keyboard shortcut from the commands API was pressed
+    command: 'command'
+  };
+
+  /**
+   * Creates a message
+   * @param {string} type - One of MESSAGE_TYPES
+   * @param {Object} [payload] - Message fields
+   * @returns {Object} The message
+   */
+  function createMessage(type, payload = {}) {
+    return { ...payload, type };
+  }
+
+  /**
+   * Checks whether a value is a message of the given type
+   * @param {*} message - Received value
+   * @param {string} type - One of MESSAGE_TYPES
+   * @returns {boolean} True if it's a message of that type
+   */
+  function isMessage(message, type) {
+    return Boolean(message) && typeof message === 'object' && message.type === type;
+  }
+
+  const api = {
+    MESSAGE_TYPES,
+    createMessage,
+    isMessage
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.messages = api;
+  }
+
+})(globalThis);
@@ -0,0 +1,406 @@
+// Natural-language time parser for Gmail Schedule Send Enhancer
+// Turns phrases like "mon 9am", "in 3 hours" or "end of day" into a send time
+
+(function(root) {
+  'use strict';
+
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const businessCalendar = isModule ? require('./business-calendar') : root.ScheduleSendEnhancer.businessCalendar;
+  const scheduledTitleParser = isModule ? require('./scheduled-title-parser') : root.ScheduleSendEnhancer.scheduledTitleParser;
+
+  const WEEKDAYS = {
+    sun: 0, sunday: 0,
+    mon: 1, monday: 1,
+    tue: 2, tues: 2, tuesday: 2,
+    wed: 3, weds: 3, wednesday: 3,
+    thu: 4, thur: 4, thurs: 4, thursday: 4,
+    fri: 5, friday: 5,
+    sat: 6, saturday: 6
+  };
+
+  const MONTHS = {
+    jan: 0, january: 0,
+    feb: 1, february: 1,
+    mar: 2, march: 2,
+    apr: 3, april: 3,
+    may: 4,
+    jun: 5, june: 5,
+    jul: 6, july: 6,
+    aug: 7, august: 7,
+    sep: 8, sept: 8, september: 8,
+    oct: 9, october: 9,
+    nov: 10, november: 10,
+    dec: 11, december: 11
+  };
+
+  const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+  };
+
+  // Times of day named in words, in minutes after midnight
+  const NAMED_TIMES = {
+    noon: 12 * 60,
+    midday: 12 * 60,
+    midnight: 0,
+    morning: 9 * 60,
+    afternoon: 14 * 60,
+    evening: 18 * 60,
+    tonight: 20 * 60
+  };
+
+  const UNIT_MS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000
+  };
+
+  // Used when a phrase names a day but no time, or "end of day" without a calendar
+  const DEFAULT_START = 9 * 60;
+  const DEFAULT_END = 17 * 60;
+
+  const WEEKDAY_PATTERN = Object.keys(WEEKDAYS).sort((a, b) => b.length - a.length).join('|');
+  const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+  const AMOUNT_PATTERN = `\\d+|${Object.keys(NUMBER_WORDS).join('|')}`;
+  const UNIT_PATTERN = 'minutes?|mins?|m|hours?|hrs?|h|days?|d|weeks?|wks?|w';
+
+  /**
+   * Maps a unit word to its canonical name
+   * @param {string} unit - Unit as typed, e.g. "hrs"
+   * @returns {string} One of minute, hour, day, week
+   */
+  function normalizeUnit(unit) {
+    if (/^m/.test(unit)) {
+      return 'minute';
+    }
+    if (/^h/.test(unit)) {
+      return 'hour';
+    }
+    return /^d/.test(unit) ? 'day' : 'week';
+  }
+
+  /**
+   * Returns midnight of the given date
+   * @param {Date} date - The date
+   * @returns {Date} A new date at 00:00 local time
+   */
+  function startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+  }
+
+  /**
+   * Finds the first or last business day of a month
+   * @param {number} year - Full year
+   * @param {number} month - Month (0-based, may overflow into the next year)
+   * @param {boolean} last - True for the last business day, false for the first
+   * @param {Object} calendar - Business calendar
+   * @returns {Date} Midnight of that day
+   */
+  function findBusinessDayOfMonth(year, month, last, calendar) {
+    const day = last ? new Date(year, month + 1, 0) : new Date(year, month, 1);
+    const targetMonth = day.getMonth();
+    while (!businessCalendar.isBusinessDay(day, calendar) && day.getMonth() === targetMonth) {
+      day.setDate(day.getDate() + (last ? -1 : 1));
+    }
+    return day;
+  }
+
+  /**
+   * Creates a local date, rejecting days that don't exist (e.g. February 30)
+   * @param {number} year - Full year
+   * @param {number} month - Month (0-based)
+   * @param {number} date - Day of the month
+   * @returns {Date|null} Midnight of that day, or null if it doesn't exist
+   */
+  function createDate(year, month, date) {
+    const day = new Date(year, month, date);
+    return day.getMonth() === month && day.getDate() === date ? day : null;
+  }
+
+  /**
+   * Converts a 12- or 24-hour clock reading to minutes after midnight
+   * @param {number} hours - Hours as typed
+   * @param {number} minutes - Minutes as typed
+   * @param {string|undefined} meridiem - "am", "pm", "a", "p" or undefined for 24-hour time
+   * @returns {number|null} Minutes after midnight, or null if the reading is impossible
+   */
+  function clockToMinutes(hours, minutes, meridiem) {
+    if (minutes > 59) {
+      return null;
+    }
+    if (meridiem) {
+      if (hours < 1 || hours > 12) {
+        return null;
+      }
+      const isPm = meridiem.startsWith('p');
+      return ((hours % 12) + (isPm ? 12 : 0)) * 60 + minutes;
+    }
+    return hours > 23 ? null : hours * 60 + minutes;
+  }
+
+  /**
+   * Parses a natural-language phrase into a send time
+   *
+   * Understood phrases include:
+   * - Relative offsets: "in 3 hours", "in 45 min", "in 2 days", "in 1h 30m"
+   * - Days: "today", "tomorrow", "mon", "next tue", "next week", "jan 5", "5 january", "2026-01-05", "1/5"
+   * - Times: "9am", "2:30pm", "14:30", "noon", "morning", "end of day", "eod"
+   * - Business days: "end of week", "first business day of next month", "last business day of this month"
+   *
+   * A weekday alone means its next occurrence (today counts if the time is still ahead). "next" only skips
+   * today, so on a Monday "next tue" is tomorrow and "next mon" is a week away.
+   * Numeric dates like "1/5" are read in the order of the locale: month first in US English, day first elsewhere.
+   * A day without a time uses the start of working hours, a time without a day uses its next occurrence.
+   * With a calendar, "today", "tomorrow" or "next week" without a time and the end of the day or week
+   * move to the next business time, so "tomorrow" on a Friday is Monday; a weekday or date typed out is kept.
+   * @param {string} text - The phrase
+   * @param {Object} [options] - Parsing options
+   * @param {Date} [options.now] - Current time
+   * @param {Object} [options.calendar] - Business calendar for working hours and business days
+   * @param {string} [options.locale] - Locale of Gmail's UI, e.g. "en-GB", for the order of numeric dates
+   * @returns {Date|null} The resolved time, or null if the phrase isn't understood
+   */
+  function parseNaturalTime(text, { now = new Date(), calendar = null, locale } = {}) {
+    if (typeof text !== 'string') {
+      return null;
+    }
+
+    const workCalendar = businessCalendar.normalizeCalendar(calendar || {});
+    const dayStart = calendar ? businessCalendar.parseTimeOfDay(workCalendar.workingHours.start) ?? DEFAULT_START : DEFAULT_START;
+    const dayEnd = calendar ? businessCalendar.parseTimeOfDay(workCalendar.workingHours.end) ?? DEFAULT_END : DEFAULT_END;
+
+    let rest = text.toLowerCase()
+      .replace(/[,.!?]+(\s|$)/g, ' ')
+      .replace(/\b(at|on|the|of the)\b/g, match => (match === 'of the' ? 'of' : ' '))
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!rest) {
+      return null;
+    }
+
+    /**
+     * Removes the first match of a pattern from the remaining text
+     * @param {RegExp} regex - Pattern to find
+     * @returns {Array|null} The match, or null
+     */
+    const take = (regex) => {
+      const match = rest.match(regex);
+      if (match) {
+        rest = `${rest.slice(0, match.index)} ${rest.slice(match.index + match[0].length)}`
+          .replace(/\s+/g, ' ')
+          .trim();
+      }
+      return match;
+    };
+
+    let day = null;          // Midnight of the target day
+    let minuteOfDay = null;  // Time of day
+    let skipToday = false;   // Whether "today" is excluded when resolving a weekday
+    let weekday = null;
+    let offsetMs = null;
+    let relativeDay = false; // Whether the day was given relative to today, e.g. "tomorrow"
+    let endOfDay = false;    // Whether the time is the end of the working day
+
+    // Relative offsets, e.g. "in 3 hours" or "in 1h 30m"
+    const relativeMatch = take(new RegExp(
+      `\\bin ((?:(?:${AMOUNT_PATTERN}) ?(?:${UNIT_PATTERN})\\b ?(?:and )?)+)`
+    ));
+    if (relativeMatch) {
+      offsetMs = 0;
+      const partRegex = new RegExp(`(${AMOUNT_PATTERN}) ?(${UNIT_PATTERN})\\b`, 'g');
+      let part;
+      while ((part = partRegex.exec(relativeMatch[1])) !== null) {
+        const amount = NUMBER_WORDS[part[1]] ?? parseInt(part[1], 10);
+        offsetMs += amount * UNIT_MS[normalizeUnit(part[2])];
+      }
+    }
+
+    // End of the working day
+    if (take(/\b(end of day|eod|close of business|cob)\b/)) {
+      minuteOfDay = dayEnd;
+      endOfDay = true;
+    }
+
+    // End of the working week
+    if (take(/\b(end of (this )?week|eow)\b/)) {
+      day = startOfDay(now);
+      const weekDays = workCalendar.workingDays.filter(workingDay => workingDay >= 1);
+      const lastWorkingDay = weekDays.length > 0 ? Math.max(...weekDays) : 5;
+      day.setDate(day.getDate() + ((lastWorkingDay - day.getDay() + 7) % 7));
+      minuteOfDay = minuteOfDay ?? dayEnd;
+      endOfDay = minuteOfDay === dayEnd;
+    }
+
+    // First or last business day of this or next month
+    const monthDayMatch = take(/\b(first|last) (?:business|working|week) ?day of (this|next) month\b/);
+    if (monthDayMatch) {
+      const monthOffset = monthDayMatch[2] === 'next' ? 1 : 0;
+      day = findBusinessDayOfMonth(now.getFullYear(), now.getMonth() + monthOffset, monthDayMatch[1] === 'last', workCalendar);
+    } else if (take(/\bnext month\b/)) {
+      day = findBusinessDayOfMonth(now.getFullYear(), now.getMonth() + 1, false, workCalendar);
+    }
+
+    // Next week means next Monday
+    if (take(/\bnext week\b/)) {
+      day = startOfDay(now);
+      day.setDate(day.getDate() + ((8 - day.getDay()) % 7 || 7));
+      relativeDay = true;
+    }
+
+    // Named days
+    if (take(/\bday after (tomorrow|tmrw?)\b/)) {
+      day = startOfDay(now);
+      day.setDate(day.getDate() + 2);
+      relativeDay = true;
+    } else if (take(/\b(tomorrow|tmrw|tmr|tmw)\b/)) {
+      day = startOfDay(now);
+      day.setDate(day.getDate() + 1);
+      relativeDay = true;
+    } else if (take(/\btoday\b/)) {
+      day = startOfDay(now);
+      relativeDay = true;
+    }
+
+    // Weekdays, optionally preceded by "next" or "this"
+    const weekdayMatch = take(new RegExp(`\\b(?:(next|this) )?(${WEEKDAY_PATTERN})\\b`));
+    if (weekdayMatch) {
+      weekday = WEEKDAYS[weekdayMatch[2]];
+      skipToday = weekdayMatch[1] === 'next';
+    }
+
+    // Calendar dates
+    const isoMatch = take(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+    const numericMatch = !isoMatch && take(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+    const monthNameMatch = !isoMatch && !numericMatch && (
+      take(new RegExp(`\\b(${MONTH_PATTERN}) (\\d{1,2})(?:st|nd|rd|th)?(?: (\\d{4}))?\\b`)) ||
+      take(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)? (${MONTH_PATTERN})(?: (\\d{4}))?\\b`))
+    );
+    let explicitYear = false;
+    if (isoMatch) {
+      day = createDate(parseInt(isoMatch[1], 10), parseInt(isoMatch[2], 10) - 1, parseInt(isoMatch[3], 10));
+      explicitYear = true;
+    } else if (numericMatch) {
+      let year = now.getFullYear();
+      if (numericMatch[3]) {
+        year = parseInt(numericMatch[3], 10);
+        year = year < 100 ? 2000 + year : year;
+        explicitYear = true;
+      }
+      const monthFirst = scheduledTitleParser.isMonthFirstLocale(locale);
+      const month = parseInt(numericMatch[monthFirst ? 1 : 2], 10);
+      const date = parseInt(numericMatch[monthFirst ? 2 : 1], 10);
+      day = createDate(year, month - 1, date);
+    } else if (monthNameMatch) {
+      const monthFirst = MONTHS[monthNameMatch[1]] !== undefined;
+      const month = monthFirst ? MONTHS[monthNameMatch[1]] : MONTHS[monthNameMatch[2]];
+      const date = parseInt(monthFirst ? monthNameMatch[2] : monthNameMatch[1], 10);
+      explicitYear = Boolean(monthNameMatch[3]);
+      day = createDate(explicitYear ? parseInt(monthNameMatch[3], 10) : now.getFullYear(), month, date);
+    }
+    if ((isoMatch || numericMatch || monthNameMatch) && day === null) {
+      return null;
+    }
+
+    // Clock times
+    const clockMatch = take(/\b(\d{1,2}):(\d{2}) ?(am|pm|a|p)?\b/) ||
+      take(/\b(\d{1,2}) ?(am|pm|a|p)\b/);
+    if (clockMatch) {
+      const hasMinutes = clockMatch.length === 4;
+      const hours = parseInt(clockMatch[1], 10);
+      const minutes = hasMinutes ? parseInt(clockMatch[2], 10) : 0;
+      const meridiem = hasMinutes ? clockMatch[3] : clockMatch[2];
+      minuteOfDay = clockToMinutes(hours, minutes, meridiem);
+      if (minuteOfDay === null) {
+        return null;
+      }
+    } else {
+      const namedMatch = take(new RegExp(`\\b(${Object.keys(NAMED_TIMES).join('|')})\\b`));
+      if (namedMatch) {
+        minuteOfDay = NAMED_TIMES[namedMatch[1]];
+        if (namedMatch[1] === 'tonight' && day === null && weekday === null) {
+          day = startOfDay(now);
+        }
+      } else if ((day !== null || weekday !== null) && /^\d{1,2}$/.test(rest)) {
+        // A bare hour after a day, e.g. "mon 9": working-hours guess, 1-6 means afternoon
+        const hours = parseInt(take(/^\d{1,2}$/)[0], 10);
+        if (hours > 23) {
+          return null;
+        }
+        minuteOfDay = (hours >= 1 && hours <= 6 ? hours + 12 : hours) * 60;
+      }
+    }
+
+    // Anything left over wasn't understood
+    if (rest) {
+      return null;
+    }
+    if (offsetMs === null && day === null && weekday === null && minuteOfDay === null) {
+      return null;
+    }
+
+    // Relative offsets move from now; a time of day then replaces the clock reading
+    if (offsetMs !== null) {
+      const target = new Date(now.getTime() + offsetMs);
+      if (minuteOfDay !== null) {
+        target.setHours(Math.floor(minuteOfDay / 60), minuteOfDay % 60, 0, 0);
+      }
+      return target;
+    }
+
+    const dayOnly = minuteOfDay === null;
+    const time = minuteOfDay ?? dayStart;
+    const hours = Math.floor(time / 60);
+    const minutes = time % 60;
+
+    if (weekday !== null) {
+      const base = day || startOfDay(now);
+      let offset = (weekday - base.getDay() + 7) % 7;
+      const candidate = new Date(base);
+      candidate.setHours(hours, minutes, 0, 0);
+      if (offset === 0 && (skipToday || (day === null && candidate <= now))) {
+        offset = 7;
+      }
+      day = new Date(base);
+      day.setDate(day.getDate() + offset);
+    }
+
+    if (day === null) {
+      // Time only: today if still ahead, otherwise tomorrow
+      day = startOfDay(now);
+      const candidate = new Date(day);
+      candidate.setHours(hours, minutes, 0, 0);
+      if (candidate <= now) {
+        day.setDate(day.getDate() + 1);
+      }
+    } else if ((monthNameMatch || numericMatch) && !explicitYear) {
+      // A date without a year that has already passed means next year
+      const candidate = new Date(day);
+      candidate.setHours(hours, minutes, 0, 0);
+      if (candidate <= now) {
+        day.setFullYear(day.getFullYear() + 1);
+      }
+    }
+
+    const target = new Date(day);
+    target.setHours(hours, minutes, 0, 0);
+    if (calendar && (endOfDay || (relativeDay && dayOnly && weekday === null))) {
+      return businessCalendar.adjustToBusinessTime(target, workCalendar);
+    }
+    return target;
+  }
+
+  const api = {
+    parseNaturalTime
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.naturalTime = api;
+  }
+
+})(globalThis);
@@ -0,0 +1,124 @@
+// Observer performance budget for Gmail Schedule Send Enhancer
+// Counts MutationObserver callbacks over a sliding minute so their cost can be compared with a budget
+
+(function(root) {
+  'use strict';
+
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const i18n = isModule ? require('./i18n') : root.ScheduleSendEnhancer.i18n;
+
+  // Length of the sliding window rates are measured over (ms)
+  const WINDOW_MS = 60 * 1000;
+
+  // Mutation callbacks per minute, across every observer, that the extension aims to stay under
+  const DEFAULT_BUDGET = 120;
+
+  /**
+   * Creates an empty meter
+   * @param {number} [now] - When metering starts (ms since epoch)
+   * @returns {Object} The meter
+   */
+  function createMeter(now = Date.now()) {
+    return {
+      since: now,
+      // One [time, observer name, record count] entry per callback in the current window
+      recent: [],
+      totalCallbacks: 0,
+      totalRecords: 0
+    };
+  }
+
+  /**
+   * Finds the first callback still in the window
+   * @param {Object[]} recent - Recent callbacks, oldest first
+   * @param {number} now - Current time (ms since epoch)
+   * @returns {number} Its index, or the list's length when every callback has left the window
+   */
+  function windowStart(recent, now) {
+    let start = 0;
+    while (start < recent.length && recent[start][0] <= now - WINDOW_MS) {
+      start++;
+    }
+    return start;
+  }
+
+  /**
+   * Records one observer callback
+   * The meter is updated in place, so a callback costs the same however many came before it
+   * @param {Object} meter - The meter
+   * @param {string} name - Which observer fired, e.g. "page" or "menu"
+   * @param {number} records - How many mutation records it was given
+   * @param {number} [now] - When it fired (ms since epoch)
+   * @returns {Object} The same meter
+   */
+  function recordCallback(meter, name, records, now = Date.now()) {
+    const expired = windowStart(meter.recent, now);
+    if (expired > 0) {
+      meter.recent.splice(0, expired);
+    }
+    meter.recent.push([now, name, records]);
+    meter.totalCallbacks += 1;
+    meter.totalRecords += records;
+    return meter;
+  }
+
+  /**
+   * Summarises a meter against a budget
+   * Until a full minute has passed, the rate is the count so far rather than an extrapolation
+   * @param {Object} meter - The meter
+   * @param {Object} [options] - Summary options
+   * @param {number} [options.budget] - Allowed callbacks per minute
+   * @param {number} [options.now] - Current time (ms since epoch)
+   * @returns {Object} { callbacksPerMinute, recordsPerMinute, byObserver, totalCallbacks, totalRecords, budget, overBudget }
+   */
+  function getStats(meter, { budget = DEFAULT_BUDGET, now = Date.now() } = {}) {
+    const byObserver = {};
+    let callbacksPerMinute = 0;
+    let recordsPerMinute = 0;
+    for (let index = windowStart(meter.recent, now); index < meter.recent.length; index++) {
+      const [, name, records] = meter.recent[index];
+      byObserver[name] = (byObserver[name] || 0) + 1;
+      callbacksPerMinute++;
+      recordsPerMinute += records;
+    }
+
+    return {
+      callbacksPerMinute,
+      recordsPerMinute,
+      byObserver,
+      totalCallbacks: meter.totalCallbacks,
+      totalRecords: meter.totalRecords,
+      budget,
+      overBudget: callbacksPerMinute > budget
+    };
+  }
+
+  /**
+   * Describes stats for the debug panel
+   * @param {Object} stats - From getStats
+   * @returns {string} e.g. "14 of 120 callbacks per minute (menu 9, page 5)"
+   */
+  function describeStats(stats) {
+    const observers = Object.keys(stats.byObserver).sort()
+      .map(name => `${name} ${stats.byObserver[name]}`);
+    const summary = i18n.getMessage('observerStats', [stats.callbacksPerMinute, stats.budget]);
+    return observers.length > 0 ? i18n.getMessage('observerStatsByObserver', [summary, observers.join(', ')]) : summary;
+  }
+
+  const api = {
+    WINDOW_MS,
+    DEFAULT_BUDGET,
+    createMeter,
+    recordCallback,
+    getStats,
+    describeStats
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.observerBudget = api;
+  }
+
+})(globalThis);
@@ -0,0 +1,254 @@
+// Date and time formats for Gmail's custom date picker inputs
+// Detects the format Gmail expects and formats dates to match
+
+(function(root) {
+  'use strict';
+
+  // Fixed sample used to read a locale's field order (day 23 and month 11 can't be confused)
+  const SAMPLE_DATE = new Date(2033, 10, 23, 15, 4);
+
+  /**
+   * Falls back to en-US for locales the browser doesn't know or can't parse
+   * @param {string} locale - BCP 47 locale
+   * @returns {string} A locale Intl accepts
+   */
+  function resolveLocale(locale) {
+    try {
+      return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0 ? locale : 'en-US';
+    } catch (e) {
+      return 'en-US';
+    }
+  }
+
+  /**
+   * Reads the date format a locale uses for numeric dates
+   * @param {string} locale - BCP 47 locale, e.g. "de-DE"
+   * @returns {{order: string[], separator: string, padDay: boolean, padMonth: boolean}} The format
+   */
+  function getLocaleDateFormat(locale) {
+    const parts = new Intl.DateTimeFormat(resolveLocale(locale), { year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(SAMPLE_DATE);
+
+    const order = parts.filter(part => ['year', 'month', 'day'].includes(part.type)).map(part => part.type);
+    const literal = parts.find(part => part.type === 'literal');
+    return {
+      order,
+      separator: literal ? literal.value.trim() || literal.value : '/',
+      padDay: true,
+      padMonth: true
+    };
+  }
+
+  /**
+   * Reads the time format a locale uses
+   * @param {string} locale - BCP 47 locale
+   * @returns {{hour12: boolean, padHour: boolean, amLabel: string, pmLabel: string, meridiemFirst: boolean}}
+   *   The format
+   */
+  function getLocaleTimeFormat(locale) {
+    const resolvedLocale = resolveLocale(locale);
+    const formatter = new Intl.DateTimeFormat(resolvedLocale, { hour: 'numeric', minute: '2-digit' });
+    const morningParts = formatter.formatToParts(new Date(2033, 10, 23, 8, 4));
+
+    // Read the AM/PM labels from a 12-hour formatter, since 24-hour locales may still show them
+    const meridiemFormatter = new Intl.DateTimeFormat(resolvedLocale, { hour: 'numeric', minute: '2-digit', hour12: true });
+    const amParts = meridiemFormatter.formatToParts(new Date(2033, 10, 23, 8, 4));
+    const pmParts = meridiemFormatter.formatToParts(SAMPLE_DATE);
+    const getDayPeriod = parts => parts.find(part => part.type === 'dayPeriod');
+    const hour12 = morningParts.some(part => part.type === 'dayPeriod');
+
+    return {
+      hour12,
+      padHour: morningParts.find(part => part.type === 'hour').value.length === 2,
+      amLabel: getDayPeriod(amParts) ? getDayPeriod(amParts).value : 'AM',
+      pmLabel: getDayPeriod(pmParts) ? getDayPeriod(pmParts).value : 'PM',
+      meridiemFirst: hour12 && morningParts.findIndex(part => part.type === 'dayPeriod') <
+        morningParts.findIndex(part => part.type === 'hour')
+    };
+  }
+
+  /**
+   * Detects the date format from an input's placeholder (e.g. "MM/DD/YYYY", "TT.MM.JJJJ", "jj/mm/aaaa")
+   * @param {string} placeholder - The placeholder text
+   * @returns {Object|null} The format, or null if the placeholder doesn't describe one
+   */
+  function parseDatePlaceholder(placeholder) {
+    const match = (placeholder || '').trim().match(/^(\p{L}+)([^\p{L}]+)(\p{L}+)\2(\p{L}+)$/u);
+    if (!match) {
+      return null;
+    }
+
+    // Four letters is the year; "m" is the month in every supported language; the rest is the day
+    const groups = [match[1], match[3], match[4]];
+    const order = groups.map(group => {
+      if (group.length === 4) {
+        return 'year';
+      }
+      return group[0].toLowerCase() === 'm' ? 'month' : 'day';
+    });
+    if (new Set(order).size !== 3) {
+      return null;
+    }
+
+    return {
+      order,
+      separator: match[2],
+      padDay: groups[order.indexOf('day')].length === 2,
+      padMonth: groups[order.indexOf('month')].length === 2
+    };
+  }
+
+  /**
+   * Detects the date format from a value already in the input (e.g. "10/19/2026", "19.10.2026")
+   * @param {string} value - The input value
+   * @param {string[]} localeOrder - Field order to fall back on when day and month are ambiguous
+   * @returns {Object|null} The format, or null if the value doesn't describe one
+   */
+  function parseDateValue(value, localeOrder) {
+    const match = (value || '').trim().match(/^(\d{1,4})(\D+)(\d{1,4})\2(\d{1,4})$/);
+    if (!match) {
+      return null;
+    }
+
+    const numbers = [match[1], match[3], match[4]];
+    const yearIndex = numbers.findIndex(number => number.length === 4);
+    if (yearIndex === -1) {
+      return null;
+    }
+
+    const order = ['day', 'day', 'day'];
+    order[yearIndex] = 'year';
+    const others = [0, 1, 2].filter(index => index !== yearIndex);
+    const [first, second] = others.map(index => parseInt(numbers[index], 10));
+
+    if (first > 12 && second <= 12) {
+      order[others[1]] = 'month';
+    } else if (second > 12 && first <= 12) {
+      order[others[0]] = 'month';
+    } else {
+      // Ambiguous (e.g. "03/04/2026"): keep the locale's order of day and month
+      const localeMonthFirst = localeOrder.indexOf('month') < localeOrder.indexOf('day');
+      order[localeMonthFirst ? others[0] : others[1]] = 'month';
+    }
+
+    return {
+      order,
+      separator: match[2],
+      padDay: numbers[order.indexOf('day')].length === 2,
+      padMonth: numbers[order.indexOf('month')].length === 2
+    };
+  }
+
+  /**
+   * Detects the date format Gmail's Date input expects
+   * The placeholder wins, then the current value, then the locale
+   * @param {{placeholder?: string, value?: string}} input - The Date input (or its attributes)
+   * @param {string} locale - Gmail's UI locale
+   * @returns {{order: string[], separator: string, padDay: boolean, padMonth: boolean}} The format
+   */
+  function detectDateFormat(input, locale) {
+    const localeFormat = getLocaleDateFormat(locale);
+    return parseDatePlaceholder(input.placeholder) ||
+      parseDateValue(input.value, localeFormat.order) ||
+      localeFormat;
+  }
+
+  /**
+   * Detects the time format Gmail's Time input expects from its current value
+   * (e.g. "8:00 AM", "08:00", "午前8:00"), falling back to the locale
+   * @param {{value?: string}} input - The Time input (or its attributes)
+   * @param {string} locale - Gmail's UI locale
+   * @returns {{hour12: boolean, padHour: boolean, amLabel: string, pmLabel: string, meridiemFirst: boolean}}
+   *   The format
+   */
+  function detectTimeFormat(input, locale) {
+    const localeFormat = getLocaleTimeFormat(locale);
+    const value = (input.value || '').trim();
+    const match = value.match(/^(\D*?)\s*(\d{1,2}):(\d{2})\s*(\D*)$/);
+    if (!match) {
+      return localeFormat;
+    }
+
+    const meridiem = (match[1] || match[4]).trim();
+    const hour12 = Boolean(meridiem);
+
+    // "8:00" and "08:00" show the padding; "10:00" doesn't, so use the locale's (24-hour clocks usually pad)
+    let padHour = match[2].length === 2 && match[2].startsWith('0');
+    if (match[2].length === 2 && !padHour) {
+      padHour = localeFormat.hour12 === hour12 ? localeFormat.padHour : !hour12;
+    }
+
+    if (!hour12) {
+      return { ...localeFormat, hour12: false, padHour, meridiemFirst: false };
+    }
+
+    // Keep the locale's labels (Gmail shows the same ones), but follow the value's layout and case
+    const matchCase = (label) => {
+      if (meridiem === meridiem.toUpperCase() && meridiem !== meridiem.toLowerCase()) {
+        return label.toUpperCase();
+      }
+      if (meridiem === meridiem.toLowerCase() && meridiem !== meridiem.toUpperCase()) {
+        return label.toLowerCase();
+      }
+      return label;
+    };
+    return {
+      ...localeFormat,
+      hour12: true,
+      padHour,
+      amLabel: matchCase(localeFormat.amLabel),
+      pmLabel: matchCase(localeFormat.pmLabel),
+      meridiemFirst: Boolean(match[1].trim())
+    };
+  }
+
+  /**
+   * Formats a date for Gmail's Date input
+   * @param {Date} date - The date
+   * @param {Object} format - Format from detectDateFormat
+   * @returns {string} The formatted date, e.g. "10/19/2026" or "19.10.2026"
+   */
+  function formatDateForInput(date, format) {
+    const fields = {
+      year: String(date.getFullYear()),
+      month: format.padMonth ? String(date.getMonth() + 1).padStart(2, '0') : String(date.getMonth() + 1),
+      day: format.padDay ? String(date.getDate()).padStart(2, '0') : String(date.getDate())
+    };
+    return format.order.map(field => fields[field]).join(format.separator);
+  }
+
+  /**
+   * Formats a time for Gmail's Time input
+   * @param {Date} date - The date
+   * @param {Object} format - Format from detectTimeFormat
+   * @returns {string} The formatted time, e.g. "8:34 AM", "08:34" or "午前8:34"
+   */
+  function formatTimeForInput(date, format) {
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    const hours = format.hour12 ? date.getHours() % 12 || 12 : date.getHours();
+    const clock = `${format.padHour ? String(hours).padStart(2, '0') : hours}:${minutes}`;
+
+    if (!format.hour12) {
+      return clock;
+    }
+    const meridiem = date.getHours() >= 12 ? format.pmLabel : format.amLabel;
+    return format.meridiemFirst ? `${meridiem}${clock}` : `${clock} ${meridiem}`;
+  }
+
+  const api = {
+    getLocaleDateFormat,
+    getLocaleTimeFormat,
+    detectDateFormat,
+    detectTimeFormat,
+    formatDateForInput,
+    formatTimeForInput
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.pickerFormat = api;
+  }
+
+})(globalThis);
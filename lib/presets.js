@@ -0,0 +1,220 @@
+// Scheduling presets for Gmail Schedule Send Enhancer
+// Defines the preset model and resolves a preset to a concrete send time
+
+(function(root) {
+  'use strict';
+
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const businessCalendar = isModule ? require('./business-calendar') : root.ScheduleSendEnhancer.businessCalendar;
+  const timezones = isModule ? require('./timezones') : root.ScheduleSendEnhancer.timezones;
+  const randomTime = isModule ? require('./random-time') : root.ScheduleSendEnhancer.randomTime;
+  const i18n = isModule ? require('./i18n') : root.ScheduleSendEnhancer.i18n;
+
+  // Preset kinds: a computed time, or the saved cancelled times
+  const PRESET_TYPES = {
+    time: 'time',
+    cancelled: 'cancelled'
+  };
+
+  // Day rules a time preset can use
+  const DAY_RULES = {
+    tomorrow: 'tomorrow',
+    nextWeekday: 'nextWeekday',
+    nextMonday: 'nextMonday',
+    daysFromNow: 'daysFromNow',
+    weekday: 'weekday'
+  };
+
+  // Presets used until the user saves their own
+  const DEFAULT_PRESETS = [
+    {
+      id: 'tomorrow-morning-random',
+      type: PRESET_TYPES.time,
+      label: i18n.getMessage('presetTomorrowMorningRandom'),
+      enabled: true,
+      dayRule: { type: DAY_RULES.tomorrow },
+      time: { start: '08:00', end: '08:59' },
+      randomMinute: true
+    },
+    {
+      id: 'cancelled-times',
+      type: PRESET_TYPES.cancelled,
+      label: i18n.getMessage('presetCancelledTimes'),
+      enabled: true
+    }
+  ];
+
+  /**
+   * Returns the preset's time window in minutes after midnight
+   * A preset without an end time (or with an end before its start) is a single time
+   * @param {Object} preset - Time preset
+   * @returns {{start: number, end: number}} The window
+   */
+  function getTimeWindow(preset) {
+    const start = businessCalendar.parseTimeOfDay(preset.time?.start) ?? 8 * 60;
+    const end = businessCalendar.parseTimeOfDay(preset.time?.end);
+    return { start, end: end !== null && end >= start ? end : start };
+  }
+
+  /**
+   * Resolves the day a preset's day rule points at
+   * @param {Object} dayRule - The day rule
+   * @param {Date} now - Current time
+   * @param {number} windowStart - Start of the preset's time window (minutes after midnight)
+   * @returns {Date} Midnight of the target day
+   */
+  function resolveDay(dayRule, now, windowStart) {
+    const day = new Date(now);
+    day.setHours(0, 0, 0, 0);
+    const minutesNow = now.getHours() * 60 + now.getMinutes();
+    const windowAhead = minutesNow < windowStart;
+
+    switch (dayRule?.type) {
+      case DAY_RULES.nextWeekday:
+        do {
+          day.setDate(day.getDate() + 1);
+        } while (day.getDay() === 0 || day.getDay() === 6);
+        break;
+
+      case DAY_RULES.nextMonday:
+        do {
+          day.setDate(day.getDate() + 1);
+        } while (day.getDay() !== 1);
+        break;
+
+      case DAY_RULES.daysFromNow: {
+        // "0 days" is today while the window is ahead, then tomorrow, like the weekday rule
+        const days = Math.max(0, parseInt(dayRule.days, 10) || 0);
+        day.setDate(day.getDate() + (days === 0 && !windowAhead ? 1 : days));
+        break;
+      }
+
+      case DAY_RULES.weekday: {
+        // Today counts if the window hasn't started yet, otherwise the next occurrence
+        const weekday = parseInt(dayRule.weekday, 10) || 0;
+        let offset = (weekday - day.getDay() + 7) % 7;
+        if (offset === 0 && !windowAhead) {
+          offset = 7;
+        }
+        day.setDate(day.getDate() + offset);
+        break;
+      }
+
+      case DAY_RULES.tomorrow:
+      default:
+        // In the small hours before a morning window starts, "tomorrow" still means today
+        if (!(windowAhead && windowStart < 12 * 60)) {
+          day.setDate(day.getDate() + 1);
+        }
+        break;
+    }
+
+    return day;
+  }
+
+  /**
+   * Resolves a time preset to a concrete send time
+   * When a business calendar is given, the time is moved onto working days and hours.
+   * When a time zone is given, the day rule, window and calendar apply to that zone's wall clock.
+   * Random minutes keep the preset's minimum gap from the other emails on the target day
+   * @param {Object} preset - Time preset
+   * @param {Object} [options] - Resolution options
+   * @param {Date} [options.now] - Current time
+   * @param {Function} [options.random] - Random number generator returning values in [0, 1)
+   * @param {Object} [options.calendar] - Business calendar
+   * @param {string|null} [options.timeZone] - IANA time zone to schedule in (defaults to local time)
+   * @param {Date[]} [options.taken] - Send times of emails already scheduled
+   * @returns {Date} The resolved send time
+   */
+  function resolvePreset(preset, {
+    now = new Date(),
+    random = Math.random,
+    calendar = null,
+    timeZone = null,
+    taken = []
+  } = {}) {
+    if (timeZone) {
+      const wallClock = resolvePreset(preset, {
+        now: timezones.toWallClock(now, timeZone),
+        random,
+        calendar,
+        taken: taken.map(date => timezones.toWallClock(date, timeZone))
+      });
+      return timezones.fromWallClock(wallClock, timeZone);
+    }
+
+    const { start, end } = getTimeWindow(preset);
+    const targetDate = resolveDay(preset.dayRule, now, start);
+
+    // Pick a random minute within the window (inclusive), or its start
+    const minuteOfDay = preset.randomMinute
+      ? randomTime.pickMinute({ start, end }, {
+        random,
+        distribution: preset.distribution,
+        avoidRoundMinutes: Boolean(preset.avoidRoundMinutes),
+        taken: taken
+          .filter(date => date.toDateString() === targetDate.toDateString())
+          .map(date => date.getHours() * 60 + date.getMinutes()),
+        minGap: Math.max(0, parseInt(preset.minGapMinutes, 10) || 0)
+      })
+      : start;
+    targetDate.setHours(Math.floor(minuteOfDay / 60), minuteOfDay % 60, 0, 0);
+
+    return calendar ? businessCalendar.adjustToBusinessTime(targetDate, calendar) : targetDate;
+  }
+
+  /**
+   * Fills in missing fields of stored presets, falling back to the defaults
+   * @param {Object[]|undefined} stored - Presets loaded from storage
+   * @returns {Object[]} Presets in the user's order
+   */
+  function normalizePresets(stored) {
+    if (!Array.isArray(stored) || stored.length === 0) {
+      return JSON.parse(JSON.stringify(DEFAULT_PRESETS));
+    }
+    return stored.map(preset => ({
+      ...preset,
+      type: preset.type === PRESET_TYPES.cancelled ? PRESET_TYPES.cancelled : PRESET_TYPES.time,
+      label: preset.label || '',
+      enabled: preset.enabled !== false
+    }));
+  }
+
+  /**
+   * Creates a new time preset with sensible defaults
+   * @returns {Object} The preset
+   */
+  function createPreset() {
+    return {
+      id: `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      type: PRESET_TYPES.time,
+      label: i18n.getMessage('presetNew'),
+      enabled: true,
+      dayRule: { type: DAY_RULES.tomorrow },
+      time: { start: '09:00', end: '09:00' },
+      randomMinute: false,
+      distribution: randomTime.DISTRIBUTIONS.uniform,
+      avoidRoundMinutes: false,
+      minGapMinutes: 0,
+      recipientTimeZone: false
+    };
+  }
+
+  const api = {
+    PRESET_TYPES,
+    DAY_RULES,
+    DEFAULT_PRESETS,
+    getTimeWindow,
+    resolvePreset,
+    normalizePresets,
+    createPreset
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.presets = api;
+  }
+
+})(globalThis);
@@ -0,0 +1,127 @@
+// Random send times for Gmail Schedule Send Enhancer
+// Seedable random numbers, and random minutes spread out from emails already scheduled
+
+(function(root) {
+  'use strict';
+
+  // How random minutes are spread over a window
+  const DISTRIBUTIONS = {
+    // Every minute equally likely
+    uniform: 'uniform',
+    // Minutes near the middle of the window more likely than its edges
+    centered: 'centered'
+  };
+
+  // Minutes on this step (:00, :15, :30, :45) look hand-picked rather than natural
+  const ROUND_MINUTE_STEP = 15;
+
+  /**
+   * Creates a seeded random number generator (mulberry32)
+   * The same seed always gives the same sequence
+   * @param {number|string} seed - The seed
+   * @returns {Function} Generator returning values in [0, 1)
+   */
+  function createRandom(seed) {
+    let state = 0;
+    String(seed).split('').forEach(character => {
+      state = (Math.imul(state, 31) + character.charCodeAt(0)) >>> 0;
+    });
+
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let value = state;
+      value = Math.imul(value ^ (value >>> 15), value | 1);
+      value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+      return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Checks whether a minute falls on a round quarter hour
+   * @param {number} minuteOfDay - Minutes after midnight
+   * @returns {boolean} True for :00, :15, :30 and :45
+   */
+  function isRoundMinute(minuteOfDay) {
+    return minuteOfDay % ROUND_MINUTE_STEP === 0;
+  }
+
+  /**
+   * Returns how far a minute is from the closest taken minute
+   * @param {number} minuteOfDay - Minutes after midnight
+   * @param {number[]} taken - Minutes already used by other emails
+   * @returns {number} Distance in minutes, or Infinity if nothing is taken
+   */
+  function getDistance(minuteOfDay, taken) {
+    return taken.reduce((closest, minute) => Math.min(closest, Math.abs(minuteOfDay - minute)), Infinity);
+  }
+
+  /**
+   * Picks a random minute within a window
+   * Minutes too close to other emails are avoided; if none are far enough, the minutes furthest
+   * from them are used. Round minutes are avoided unless the window has nothing else
+   * @param {{start: number, end: number}} window - The window in minutes after midnight (inclusive)
+   * @param {Object} [options] - Picking options
+   * @param {Function} [options.random] - Random number generator returning values in [0, 1)
+   * @param {string} [options.distribution] - One of DISTRIBUTIONS
+   * @param {boolean} [options.avoidRoundMinutes] - Whether to skip :00, :15, :30 and :45
+   * @param {number[]} [options.taken] - Minutes already used by other emails that day
+   * @param {number} [options.minGap] - Minimum distance from taken minutes
+   * @returns {number} The minute after midnight
+   */
+  function pickMinute({ start, end }, {
+    random = Math.random,
+    distribution = DISTRIBUTIONS.uniform,
+    avoidRoundMinutes = false,
+    taken = [],
+    minGap = 0
+  } = {}) {
+    const minutes = [];
+    for (let minute = start; minute <= end; minute++) {
+      minutes.push(minute);
+    }
+
+    let candidates = minutes;
+    if (avoidRoundMinutes && minutes.some(minute => !isRoundMinute(minute))) {
+      candidates = minutes.filter(minute => !isRoundMinute(minute));
+    }
+
+    if (minGap > 0 && taken.length > 0) {
+      const spaced = candidates.filter(minute => getDistance(minute, taken) >= minGap);
+      if (spaced.length > 0) {
+        candidates = spaced;
+      } else {
+        // The window is crowded: stay as far from the other emails as it allows
+        const furthest = Math.max(...candidates.map(minute => getDistance(minute, taken)));
+        candidates = candidates.filter(minute => getDistance(minute, taken) === furthest);
+      }
+    }
+
+    const weights = candidates.map(minute => (
+      distribution === DISTRIBUTIONS.centered ? Math.min(minute - start, end - minute) + 1 : 1
+    ));
+    let roll = random() * weights.reduce((total, weight) => total + weight, 0);
+    for (let index = 0; index < candidates.length; index++) {
+      roll -= weights[index];
+      if (roll < 0) {
+        return candidates[index];
+      }
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  const api = {
+    DISTRIBUTIONS,
+    ROUND_MINUTE_STEP,
+    createRandom,
+    isRoundMinute,
+    pickMinute
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.randomTime = api;
+  }
+
+})(globalThis);
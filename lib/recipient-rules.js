@@ -0,0 +1,211 @@
+// Recipient scheduling rules for Gmail Schedule Send Enhancer
+// Matches a draft's recipients against user-defined rules and works out the send time they recommend
+
+(function(root) {
+  'use strict';
+
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const presets = isModule ? require('./presets') : root.ScheduleSendEnhancer.presets;
+  const timezones = isModule ? require('./timezones') : root.ScheduleSendEnhancer.timezones;
+  const businessCalendar = isModule ? require('./business-calendar') : root.ScheduleSendEnhancer.businessCalendar;
+  const i18n = isModule ? require('./i18n') : root.ScheduleSendEnhancer.i18n;
+
+  // What a rule says about the send time
+  const RULE_TYPES = {
+    // Always send at a given day and time, e.g. "Tuesday 10:00"
+    sendAt: 'sendAt',
+    // Only send between two times of day, e.g. "never after 18:00"
+    window: 'window'
+  };
+
+  // Used when a window rule is missing its times
+  const DEFAULT_WINDOW = { start: '08:00', end: '18:00' };
+
+  // Window rules recommend times on this grid (minutes)
+  const ROUND_MINUTES = 15;
+
+  /**
+   * Splits a list of patterns typed by the user
+   * @param {string} text - Addresses, domains or wildcards separated by commas, semicolons or spaces
+   * @returns {string[]} The patterns, lowercased
+   */
+  function parsePatterns(text) {
+    return String(text || '').split(/[\s,;]+/)
+      .map(pattern => pattern.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Creates a new rule with sensible defaults
+   * @returns {Object} The rule
+   */
+  function createRule() {
+    return {
+      id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      name: i18n.getMessage('ruleNew'),
+      enabled: true,
+      patterns: [],
+      type: RULE_TYPES.sendAt,
+      dayRule: { type: presets.DAY_RULES.weekday, weekday: 2 },
+      time: { start: '10:00', end: '10:00' },
+      randomMinute: false,
+      window: { ...DEFAULT_WINDOW },
+      recipientTimeZone: false
+    };
+  }
+
+  /**
+   * Fills in missing fields of stored rules
+   * @param {Object[]|undefined} stored - Rules loaded from storage
+   * @returns {Object[]} Rules in the user's order
+   */
+  function normalizeRules(stored) {
+    if (!Array.isArray(stored)) {
+      return [];
+    }
+    return stored.map(rule => ({
+      ...createRule(),
+      ...rule,
+      name: rule.name || '',
+      enabled: rule.enabled !== false,
+      patterns: Array.isArray(rule.patterns) ? rule.patterns : parsePatterns(rule.patterns),
+      type: rule.type === RULE_TYPES.window ? RULE_TYPES.window : RULE_TYPES.sendAt
+    }));
+  }
+
+  /**
+   * Explains what is wrong with a rule
+   * @param {Object} rule - The rule
+   * @returns {string|null} The problem, or null if the rule can be saved
+   */
+  function validateRule(rule) {
+    if (!rule.name.trim()) {
+      return i18n.getMessage('ruleNeedsName');
+    }
+    if (rule.patterns.length === 0) {
+      return i18n.getMessage('ruleNeedsPattern', rule.name);
+    }
+    if (rule.type === RULE_TYPES.window) {
+      const start = businessCalendar.parseTimeOfDay(rule.window?.start);
+      const end = businessCalendar.parseTimeOfDay(rule.window?.end);
+      if (start === null || end === null || end <= start) {
+        return i18n.getMessage('ruleNeedsWindow', rule.name);
+      }
+    } else if (businessCalendar.parseTimeOfDay(rule.time?.start) === null) {
+      return i18n.getMessage('ruleNeedsTime', rule.name);
+    }
+    return null;
+  }
+
+  /**
+   * Finds the rule for a set of recipients
+   * The most specific pattern matching any recipient wins (an address beats a domain, which beats
+   * a wildcard); among equals, the rule listed first
+   * @param {string[]} recipients - Recipient addresses, primary recipient first
+   * @param {Object[]} rules - The rules
+   * @returns {{rule: Object, recipient: string, pattern: string}|null} The match, or null if no enabled rule matches
+   */
+  function findMatchingRule(recipients, rules) {
+    let best = null;
+    (rules || []).filter(rule => rule.enabled).forEach(rule => {
+      (recipients || []).forEach(recipient => {
+        rule.patterns.forEach(pattern => {
+          if (!timezones.matchesPattern(recipient, pattern)) {
+            return;
+          }
+          const specificity = timezones.getPatternSpecificity(pattern);
+          if (!best || specificity > best.specificity) {
+            best = { rule, recipient, pattern, specificity };
+          }
+        });
+      });
+    });
+    return best ? { rule: best.rule, recipient: best.recipient, pattern: best.pattern } : null;
+  }
+
+  /**
+   * Resolves a window rule to the earliest time on the grid that falls inside its window
+   * @param {Object} rule - Window rule
+   * @param {Date} now - Current time
+   * @returns {Date} The send time
+   */
+  function resolveWindow(rule, now) {
+    const start = businessCalendar.parseTimeOfDay(rule.window?.start) ?? businessCalendar.parseTimeOfDay(DEFAULT_WINDOW.start);
+    const end = businessCalendar.parseTimeOfDay(rule.window?.end) ?? businessCalendar.parseTimeOfDay(DEFAULT_WINDOW.end);
+
+    const date = new Date(now);
+    date.setSeconds(0, 0);
+    date.setMinutes((Math.floor(date.getMinutes() / ROUND_MINUTES) + 1) * ROUND_MINUTES);
+
+    const minuteOfDay = date.getHours() * 60 + date.getMinutes();
+    if (minuteOfDay > end) {
+      date.setDate(date.getDate() + 1);
+    }
+    if (minuteOfDay < start || minuteOfDay > end) {
+      date.setHours(Math.floor(start / 60), start % 60, 0, 0);
+    }
+    return date;
+  }
+
+  /**
+   * Resolves a rule to a concrete send time
+   * Send-at rules resolve like a time preset; window rules take the next slot inside their window.
+   * Both follow the business calendar, and the recipient's clock when a time zone is given
+   * @param {Object} rule - The rule
+   * @param {Object} [options] - Resolution options
+   * @param {Date} [options.now] - Current time
+   * @param {Function} [options.random] - Random number generator for random minutes
+   * @param {Object|null} [options.calendar] - Business calendar
+   * @param {string|null} [options.timeZone] - IANA time zone to schedule in (defaults to local time)
+   * @param {Date[]} [options.taken] - Send times of emails already scheduled
+   * @returns {Date} The send time
+   */
+  function resolveRuleTime(rule, { now = new Date(), random = Math.random, calendar = null, timeZone = null, taken = [] } = {}) {
+    if (rule.type !== RULE_TYPES.window) {
+      return presets.resolvePreset(rule, { now, random, calendar, timeZone, taken });
+    }
+
+    const wallClockNow = timeZone ? timezones.toWallClock(now, timeZone) : now;
+    const windowStart = resolveWindow(rule, wallClockNow);
+    const date = calendar ? businessCalendar.adjustToBusinessTime(windowStart, calendar) : windowStart;
+    return timeZone ? timezones.fromWallClock(date, timeZone) : date;
+  }
+
+  /**
+   * Recommends a send time for a draft's recipients
+   * @param {string[]} recipients - Recipient addresses, primary recipient first
+   * @param {Object[]} rules - The rules
+   * @param {Object} [options] - Resolution options, see resolveRuleTime; timeZone is only
+   *   used by rules set to the recipient's time zone
+   * @returns {{rule: Object, recipient: string, pattern: string, date: Date, timeZone: string|null}|null}
+   *   The recommendation, or null if no rule matches
+   */
+  function recommend(recipients, rules, options = {}) {
+    const match = findMatchingRule(recipients, rules);
+    if (!match) {
+      return null;
+    }
+    const timeZone = match.rule.recipientTimeZone ? options.timeZone || null : null;
+    return { ...match, timeZone, date: resolveRuleTime(match.rule, { ...options, timeZone }) };
+  }
+
+  const api = {
+    RULE_TYPES,
+    DEFAULT_WINDOW,
+    parsePatterns,
+    createRule,
+    normalizeRules,
+    validateRule,
+    findMatchingRule,
+    resolveRuleTime,
+    recommend
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.recipientRules = api;
+  }
+
+})(globalThis);
@@ -0,0 +1,204 @@
+// Send reminders for Gmail Schedule Send Enhancer
+// Works out when to remind about cancelled emails that haven't been rescheduled,
+// and about emails scheduled through the extension that are about to go out
+
+(function(root) {
+  'use strict';
+
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const cancelledHistory = isModule ? require('./cancelled-history') : root.ScheduleSendEnhancer.cancelledHistory;
+  const scheduleLog = isModule ? require('./schedule-log') : root.ScheduleSendEnhancer.scheduleLog;
+  const i18n = isModule ? require('./i18n') : root.ScheduleSendEnhancer.i18n;
+
+  // What a reminder is about
+  const REMINDER_TYPES = {
+    // A cancelled email whose original time is coming up and which hasn't been rescheduled
+    cancelled: 'cancelled',
+    // An email scheduled through the extension that is about to be sent
+    headsUp: 'heads-up'
+  };
+
+  // Prefix of the alarm and notification names of reminders
+  const ALARM_PREFIX = 'reminder:';
+
+  // Used for missing or invalid settings
+  const DEFAULT_SETTINGS = {
+    cancelled: { enabled: true, leadMinutes: 15 },
+    headsUp: { enabled: false, leadMinutes: 10 }
+  };
+
+  // Longest lead time accepted (minutes), a day
+  const MAX_LEAD_MINUTES = 24 * 60;
+
+  const MINUTE_MS = 60 * 1000;
+
+  /**
+   * Fills in missing or invalid reminder settings with the defaults
+   * @param {*} value - The stored settings
+   * @returns {Object} { cancelled: { enabled, leadMinutes }, headsUp: { enabled, leadMinutes } }
+   */
+  function normalizeSettings(value) {
+    const settings = {};
+    Object.keys(DEFAULT_SETTINGS).forEach(type => {
+      const stored = value && typeof value === 'object' ? value[type] || {} : {};
+      const leadMinutes = Number(stored.leadMinutes);
+      settings[type] = {
+        enabled: typeof stored.enabled === 'boolean' ? stored.enabled : DEFAULT_SETTINGS[type].enabled,
+        leadMinutes: Number.isInteger(leadMinutes) && leadMinutes >= 1 && leadMinutes <= MAX_LEAD_MINUTES
+          ? leadMinutes
+          : DEFAULT_SETTINGS[type].leadMinutes
+      };
+    });
+    return settings;
+  }
+
+  /**
+   * Checks whether a cancelled email has been scheduled again since it was cancelled
+   * @param {Object} entry - Cancelled history entry
+   * @param {Object[]} log - Schedule log, newest first
+   * @returns {boolean} True if the extension scheduled the same draft afterwards, see scheduleLog.isScheduled
+   */
+  function isRescheduled(entry, log) {
+    return (log || []).some(attempt => scheduleLog.isScheduled(attempt) &&
+      attempt.requestedAt >= (entry.cancelledAt || 0) &&
+      cancelledHistory.isOriginalFor(entry, { draftId: attempt.draftId, threadId: attempt.threadId }));
+  }
+
+  /**
+   * Lists every reminder the stored data calls for, past or future
+   * Cancelled emails that were rescheduled, and scheduled emails that were cancelled or
+   * scheduled again later, are left out
+   * @param {Object} data - Stored data
+   * @param {Object[]} [data.history] - Cancelled history, newest first
+   * @param {Object[]} [data.log] - Schedule log, newest first
+   * @param {Object} [data.settings] - Reminder settings
+   * @returns {Object[]} Reminders as { id, type, fireAt, sendISO, leadMinutes, subject, threadId, draftId }
+   */
+  function listReminders({ history = [], log = [], settings } = {}) {
+    const { cancelled, headsUp } = normalizeSettings(settings);
+    const reminders = [];
+
+    if (cancelled.enabled) {
+      (history || []).forEach(entry => {
+        const sendDate = cancelledHistory.getEntryDate(entry);
+        if (!sendDate || isRescheduled(entry, log)) {
+          return;
+        }
+        reminders.push({
+          id: `${ALARM_PREFIX}${REMINDER_TYPES.cancelled}:${entry.threadId || ''}@${sendDate.toISOString()}`,
+          type: REMINDER_TYPES.cancelled,
+          fireAt: sendDate.getTime() - cancelled.leadMinutes * MINUTE_MS,
+          sendISO: sendDate.toISOString(),
+          leadMinutes: cancelled.leadMinutes,
+          subject: entry.subject || '',
+          threadId: entry.threadId || null,
+          draftId: entry.draftId || null
+        });
+      });
+    }
+
+    if (headsUp.enabled) {
+      const seen = [];
+      (log || []).forEach(attempt => {
+        // Only the newest attempt for each draft counts
+        const context = { draftId: attempt.draftId, threadId: attempt.threadId };
+        const superseded = seen.some(newer => cancelledHistory.isOriginalFor(newer, context));
+        seen.push(context);
+        const sendDate = new Date(attempt.actualISO || attempt.targetISO);
+        const cancelledSince = (history || []).some(entry => entry.cancelledAt > attempt.requestedAt &&
+          cancelledHistory.isOriginalFor(entry, context));
+        if (superseded || cancelledSince || !scheduleLog.isScheduled(attempt) || isNaN(sendDate.getTime())) {
+          return;
+        }
+        reminders.push({
+          id: `${ALARM_PREFIX}${REMINDER_TYPES.headsUp}:${attempt.id}`,
+          type: REMINDER_TYPES.headsUp,
+          fireAt: sendDate.getTime() - headsUp.leadMinutes * MINUTE_MS,
+          sendISO: sendDate.toISOString(),
+          leadMinutes: headsUp.leadMinutes,
+          subject: attempt.subject || '',
+          threadId: attempt.threadId || null,
+          draftId: attempt.draftId || null
+        });
+      });
+    }
+
+    return reminders;
+  }
+
+  /**
+   * Picks the reminders that still need an alarm
+   * A reminder whose lead time has already started (e.g. an email cancelled 5 minutes before
+   * it was due, with a 15 minute lead) isn't planned
+   * @param {Object[]} reminders - From listReminders
+   * @param {Date} [now] - Current time
+   * @returns {Object[]} Reminders due after now
+   */
+  function planReminders(reminders, now = new Date()) {
+    return reminders.filter(reminder => reminder.fireAt > now.getTime());
+  }
+
+  /**
+   * Writes the notification for a reminder
+   * @param {Object} reminder - The reminder
+   * @param {Object} [options] - Formatting options
+   * @param {Date} [options.now] - Current time
+   * @param {string} [options.locale] - Locale for the time
+   * @returns {{title: string, message: string}} The notification text
+   */
+  function describeReminder(reminder, { now = new Date(), locale } = {}) {
+    const sendDate = new Date(reminder.sendISO);
+    const minutes = Math.max(1, Math.round((sendDate.getTime() - now.getTime()) / MINUTE_MS));
+    const away = i18n.getPlural('reminderMinutes', minutes);
+    const time = sendDate.toLocaleString(locale, {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+    const email = reminder.subject ? i18n.getMessage('emailQuoted', reminder.subject) : i18n.getMessage('emailUnnamed');
+
+    if (reminder.type === REMINDER_TYPES.headsUp) {
+      return {
+        title: i18n.getMessage('reminderHeadsUpTitle', away),
+        message: i18n.getMessage('reminderHeadsUpMessage', [email, time])
+      };
+    }
+    return {
+      title: i18n.getMessage('reminderCancelledTitle', email),
+      message: i18n.getMessage('reminderCancelledMessage', [time, away])
+    };
+  }
+
+  /**
+   * Returns the part of the Gmail URL that opens a reminder's email
+   * @param {Object} reminder - The reminder
+   * @returns {string} e.g. "#drafts/18b7a1c2d3e4f5a6" or "#scheduled"
+   */
+  function getReminderHash(reminder) {
+    const folder = reminder.type === REMINDER_TYPES.headsUp ? 'scheduled' : 'drafts';
+    return reminder.threadId ? `#${folder}/${reminder.threadId}` : `#${folder}`;
+  }
+
+  const api = {
+    REMINDER_TYPES,
+    ALARM_PREFIX,
+    DEFAULT_SETTINGS,
+    MAX_LEAD_MINUTES,
+    normalizeSettings,
+    isRescheduled,
+    listReminders,
+    planReminders,
+    describeReminder,
+    getReminderHash
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.reminders = api;
+  }
+
+})(globalThis);
@@ -0,0 +1,144 @@
+// Schedule attempt log for Gmail Schedule Send Enhancer
+// Records every automatic "Schedule send" and whether Gmail confirmed the requested time
+
+(function(root) {
+  'use strict';
+
+  // Maximum number of attempts kept in storage
+  const MAX_ENTRIES = 50;
+
+  // Gmail shows scheduled times to the minute
+  const TOLERANCE_MS = 60 * 1000;
+
+  // Outcomes of a schedule attempt
+  const STATUSES = {
+    // Not settled yet: waiting for Gmail's confirmation, or in review and confirm mode for the user,
+    // who may never click Schedule send
+    pending: 'pending',
+    // Gmail confirmed the requested time
+    verified: 'verified',
+    // Gmail confirmed a different time
+    mismatch: 'mismatch',
+    // Gmail's confirmation couldn't be found or read
+    unverified: 'unverified',
+    // The picker couldn't be filled or Schedule send wasn't found
+    failed: 'failed',
+    // The user declined the confirmation card
+    cancelled: 'cancelled'
+  };
+
+  // Outcomes of attempts whose email Gmail was asked to schedule, whether or not it confirmed the time
+  const SCHEDULED_STATUSES = [STATUSES.verified, STATUSES.mismatch, STATUSES.unverified];
+
+  /**
+   * Creates a log entry for a schedule attempt
+   * @param {Object} details - Attempt details
+   * @param {Date} details.targetDate - The requested send time
+   * @param {string} [details.source] - What started the attempt, e.g. a preset label
+   * @param {string} [details.subject] - Subject of the email being scheduled
+   * @param {string|null} [details.draftId] - Draft ID of the compose window
+   * @param {string|null} [details.threadId] - Thread ID of the conversation
+   * @param {number} [details.requestedAt] - When the attempt started (ms since epoch)
+   * @returns {Object} The log entry
+   */
+  function createAttempt(details) {
+    const requestedAt = details.requestedAt || Date.now();
+    return {
+      id: `${requestedAt.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      requestedAt,
+      targetISO: details.targetDate.toISOString(),
+      source: details.source || '',
+      subject: details.subject || '',
+      draftId: details.draftId || null,
+      threadId: details.threadId || null,
+      status: STATUSES.pending,
+      actualISO: null,
+      detail: ''
+    };
+  }
+
+  /**
+   * Adds an attempt to the front of the log, capping its length
+   * @param {Object[]} log - Existing log, newest first
+   * @param {Object} attempt - Attempt to add
+   * @param {number} [maxEntries] - Maximum number of entries to keep
+   * @returns {Object[]} The new log, newest first
+   */
+  function addAttempt(log, attempt, maxEntries = MAX_ENTRIES) {
+    return [attempt, ...(log || []).filter(existing => existing.id !== attempt.id)].slice(0, maxEntries);
+  }
+
+  /**
+   * Applies changes to the stored copy of an attempt
+   * @param {Object[]} log - Existing log, newest first
+   * @param {string} id - ID of the attempt
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Object[]} The new log
+   */
+  function updateAttempt(log, id, changes) {
+    return (log || []).map(existing => (existing.id === id ? { ...existing, ...changes } : existing));
+  }
+
+  /**
+   * Compares the requested time with the time Gmail confirmed
+   * @param {Date} targetDate - The requested send time
+   * @param {Date|null} actualDate - The confirmed send time, or null if it couldn't be read
+   * @returns {{status: string, actualISO: string|null}} The outcome
+   */
+  function evaluateAttempt(targetDate, actualDate) {
+    if (!actualDate || isNaN(actualDate.getTime())) {
+      return { status: STATUSES.unverified, actualISO: null };
+    }
+
+    // Gmail drops the seconds, so compare whole minutes
+    const target = Math.floor(targetDate.getTime() / TOLERANCE_MS);
+    const actual = Math.floor(actualDate.getTime() / TOLERANCE_MS);
+    return {
+      status: target === actual ? STATUSES.verified : STATUSES.mismatch,
+      actualISO: actualDate.toISOString()
+    };
+  }
+
+  /**
+   * Checks whether an attempt scheduled its email
+   * @param {Object} attempt - Log entry
+   * @returns {boolean} True once Schedule send was clicked, whether or not Gmail confirmed the time
+   */
+  function isScheduled(attempt) {
+    return SCHEDULED_STATUSES.includes(attempt.status);
+  }
+
+  /**
+   * Lists the future send times of emails scheduled through the extension
+   * Pending, failed and declined attempts don't count; confirmed times win over requested ones
+   * @param {Object[]} log - The log, newest first
+   * @param {Date} [now] - Current time
+   * @returns {Date[]} The send times
+   */
+  function getScheduledTimes(log, now = new Date()) {
+    return (log || [])
+      .filter(isScheduled)
+      .map(attempt => new Date(attempt.actualISO || attempt.targetISO))
+      .filter(date => !isNaN(date.getTime()) && date > now);
+  }
+
+  const api = {
+    MAX_ENTRIES,
+    STATUSES,
+    SCHEDULED_STATUSES,
+    createAttempt,
+    addAttempt,
+    updateAttempt,
+    evaluateAttempt,
+    isScheduled,
+    getScheduledTimes
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.scheduleLog = api;
+  }
+
+})(globalThis);
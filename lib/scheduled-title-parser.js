@@ -0,0 +1,254 @@
+// Scheduled-time title parser for Gmail Schedule Send Enhancer
+// Reads the scheduled send time from Gmail's localised title strings
+// (e.g. "Mon, Oct 19, 2026, 8:00 AM", "Mo., 19. Okt. 2026, 08:00", "2026年10月19日(月) 8:00")
+
+(function(root) {
+  'use strict';
+
+  // Month name stems, matched against the start of accent-folded words
+  // Covers English, German, French, Spanish, Italian, Portuguese, Dutch, Swedish, Danish,
+  // Norwegian, Polish and Russian
+  const MONTH_STEMS = [
+    ['jan', 'ene', 'gen', 'sty', 'янв'],
+    ['feb', 'fev', 'lut', 'фев'],
+    ['mar', 'mrt', 'мар'],
+    ['apr', 'avr', 'abr', 'kwi', 'апр'],
+    ['may', 'mai', 'mag', 'mei', 'maj', 'мая', 'маи'],
+    ['jun', 'juin', 'giu', 'cze', 'июн'],
+    ['jul', 'juil', 'lug', 'lip', 'июл'],
+    ['aug', 'aou', 'ago', 'sie', 'авг'],
+    ['sep', 'set', 'wrz', 'сен'],
+    ['oct', 'okt', 'ott', 'out', 'paz', 'окт'],
+    ['nov', 'lis', 'ноя'],
+    ['dec', 'dez', 'dic', 'gru', 'des', 'дек']
+  ];
+
+  // Weekday stems that collide with month stems ("mar." is Tuesday in French, Spanish and Italian)
+  const WEEKDAY_STEMS = ['mar'];
+
+  // Words for "today" and "tomorrow" in the supported languages
+  const RELATIVE_DAYS = {
+    today: ['today', 'heute', 'aujourd', 'hoy', 'oggi', 'hoje', 'vandaag', 'idag', 'i dag', 'dzisiaj', 'сегодня', '今日', '今天', '오늘'],
+    tomorrow: ['tomorrow', 'morgen', 'demain', 'manana', 'domani', 'amanha', 'imorgon', 'i morgen', 'jutro', 'завтра', '明日', '明天', '내일']
+  };
+
+  // Meridiem markers; CJK markers come before the time
+  const AM_PATTERN = /(?:\b(?:a\.? ?m\.?|am)(?![a-z])|午前|上午|오전)/;
+  const PM_PATTERN = /(?:\b(?:p\.? ?m\.?|pm)(?![a-z])|午後|下午|오후)/;
+
+  /**
+   * Lowercases text, removes accents and normalises the spaces Gmail uses
+   * @param {string} text - Text to fold
+   * @returns {string} Folded text
+   */
+  function fold(text) {
+    // Recompose after stripping accents so Hangul syllables survive the decomposition
+    return text
+      .normalize('NFKC')
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .normalize('NFC')
+      .replace(/[\u00a0\u2009\u202f]/g, ' ')
+      .toLowerCase();
+  }
+
+  /**
+   * Finds the month a word names
+   * @param {string} word - Accent-folded word
+   * @returns {number|null} Month (0-based), or null if the word isn't a month
+   */
+  function matchMonth(word) {
+    if (word.length < 3) {
+      return null;
+    }
+    const month = MONTH_STEMS.findIndex(stems => stems.some(stem => word.startsWith(stem)));
+    return month === -1 ? null : month;
+  }
+
+  /**
+   * Creates a local date, rejecting days that don't exist (e.g. February 30)
+   * @param {number} year - Full year
+   * @param {number} month - Month (0-based)
+   * @param {number} day - Day of the month
+   * @param {number} minuteOfDay - Minutes after midnight
+   * @returns {Date|null} The date, or null if it doesn't exist
+   */
+  function createDate(year, month, day, minuteOfDay) {
+    const date = new Date(year, month, day, Math.floor(minuteOfDay / 60), minuteOfDay % 60, 0, 0);
+    return date.getMonth() === month && date.getDate() === day ? date : null;
+  }
+
+  /**
+   * Checks whether a locale writes numeric dates month first (e.g. "10/19/2026")
+   * @param {string|undefined} locale - BCP 47 locale, e.g. "en-US"
+   * @returns {boolean} True for month-first locales
+   */
+  function isMonthFirstLocale(locale) {
+    return /^en(-us)?$|^en-(ph|ca)$/i.test(locale || 'en-US');
+  }
+
+  /**
+   * Extracts the time of day from a title
+   * @param {string} text - Folded title
+   * @returns {{minuteOfDay: number, rest: string}|null} The time and the title without it
+   */
+  function extractTime(text) {
+    const match = text.match(/(\d{1,2}) ?(?::|h) ?(\d{2})(?!\d)/) ||
+      text.match(/(?:^|\s)(\d{1,2})\.(\d{2})(?![\d.])/);
+    if (!match) {
+      return null;
+    }
+
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    const isAm = AM_PATTERN.test(text);
+    const isPm = PM_PATTERN.test(text);
+
+    if (isAm || isPm) {
+      if (hours < 1 || hours > 12) {
+        return null;
+      }
+      hours = (hours % 12) + (isPm ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59) {
+      return null;
+    }
+
+    const rest = `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`
+      .replace(AM_PATTERN, ' ')
+      .replace(PM_PATTERN, ' ');
+    return { minuteOfDay: hours * 60 + minutes, rest };
+  }
+
+  /**
+   * Extracts a date written with digits only
+   * Handles CJK ("2026年10月19日", "2026년 10월 19일"), ISO ("2026-10-19"), year-first ("2026/10/19")
+   * and day/month orders ("19.10.2026", "19/10/2026", "10/19/2026")
+   * @param {string} text - Folded title without the time
+   * @param {boolean} monthFirst - Whether ambiguous slashed dates are month first
+   * @returns {{year: number, month: number, day: number}|null} The date (month 0-based)
+   */
+  function extractNumericDate(text, monthFirst) {
+    const cjk = text.match(/(?:(\d{4}) ?[年년] ?)?(\d{1,2}) ?[月월] ?(\d{1,2}) ?[日일]?/);
+    if (cjk) {
+      return { year: cjk[1] ? parseInt(cjk[1], 10) : null, month: parseInt(cjk[2], 10) - 1, day: parseInt(cjk[3], 10) };
+    }
+
+    const yearFirst = text.match(/(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    if (yearFirst) {
+      return { year: parseInt(yearFirst[1], 10), month: parseInt(yearFirst[2], 10) - 1, day: parseInt(yearFirst[3], 10) };
+    }
+
+    const dayMonth = text.match(/(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})(?!\d)/);
+    if (dayMonth) {
+      let first = parseInt(dayMonth[1], 10);
+      let second = parseInt(dayMonth[3], 10);
+      const year = parseInt(dayMonth[4], 10);
+      // Slashes follow the locale unless the first number can't be a month; dots and dashes are day first
+      const isMonthFirst = dayMonth[2] === '/' && monthFirst && first <= 12;
+      if (isMonthFirst) {
+        [first, second] = [second, first];
+      }
+      return { year: year < 100 ? 2000 + year : year, month: second - 1, day: first };
+    }
+
+    return null;
+  }
+
+  /**
+   * Extracts a date that names its month in words, e.g. "Oct 19, 2026" or "19. Okt. 2026"
+   * @param {string} text - Folded title without the time
+   * @returns {{year: number|null, month: number, day: number}|null} The date (month 0-based)
+   */
+  function extractNamedDate(text) {
+    const words = text.match(/\p{L}+/gu) || [];
+    const candidates = words
+      .map(word => ({ word, month: matchMonth(word) }))
+      .filter(candidate => candidate.month !== null);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    // Weekdays come before the month, so prefer a word that isn't also a weekday
+    const nonWeekdays = candidates.filter(candidate => (
+      !WEEKDAY_STEMS.some(stem => candidate.word.startsWith(stem))
+    ));
+    const { month } = candidates.length > 1 && nonWeekdays.length > 0
+      ? nonWeekdays[nonWeekdays.length - 1]
+      : candidates[candidates.length - 1];
+
+    const numbers = (text.match(/\d+/g) || []).map(number => parseInt(number, 10));
+    const year = numbers.find(number => number >= 1000) ?? null;
+    const day = numbers.find(number => number >= 1 && number <= 31);
+    return day === undefined ? null : { year, month, day };
+  }
+
+  /**
+   * Extracts a relative day ("Tomorrow, 8:00 AM", "Morgen, 08:00")
+   * @param {string} text - Folded title without the time
+   * @param {Date} now - Current time
+   * @returns {{year: number, month: number, day: number}|null} The date (month 0-based)
+   */
+  function extractRelativeDate(text, now) {
+    const offset = RELATIVE_DAYS.tomorrow.some(word => text.includes(word))
+      ? 1
+      : RELATIVE_DAYS.today.some(word => text.includes(word)) ? 0 : null;
+    if (offset === null) {
+      return null;
+    }
+    const date = new Date(now);
+    date.setDate(date.getDate() + offset);
+    return { year: date.getFullYear(), month: date.getMonth(), day: date.getDate() };
+  }
+
+  /**
+   * Parses the scheduled send time from a Gmail title string in any supported UI language
+   * Dates without a year resolve to the next occurrence, since scheduled times are in the future
+   * @param {string} title - The title, e.g. of Gmail's span.g3 element
+   * @param {Object} [options] - Parsing options
+   * @param {Date} [options.now] - Current time
+   * @param {string} [options.locale] - Gmail's UI locale, used for ambiguous slashed dates
+   * @returns {Date|null} The scheduled time, or null if the title couldn't be parsed
+   */
+  function parseScheduledTitle(title, { now = new Date(), locale = 'en-US' } = {}) {
+    if (!title || typeof title !== 'string') {
+      return null;
+    }
+
+    const folded = fold(title);
+    const time = extractTime(folded);
+    if (!time) {
+      return null;
+    }
+
+    const date = extractNumericDate(time.rest, isMonthFirstLocale(locale)) ||
+      extractNamedDate(time.rest) ||
+      extractRelativeDate(time.rest, now);
+    if (!date) {
+      return null;
+    }
+
+    if (date.year !== null) {
+      return createDate(date.year, date.month, date.day, time.minuteOfDay);
+    }
+
+    const thisYear = createDate(now.getFullYear(), date.month, date.day, time.minuteOfDay);
+    if (thisYear && thisYear.getTime() < now.getTime() - 24 * 60 * 60 * 1000) {
+      return createDate(now.getFullYear() + 1, date.month, date.day, time.minuteOfDay);
+    }
+    return thisYear;
+  }
+
+  const api = {
+    isMonthFirstLocale,
+    parseScheduledTitle
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.scheduledTitleParser = api;
+  }
+
+})(globalThis);
@@ -0,0 +1,434 @@
+// Settings sync for Gmail Schedule Send Enhancer
+// Schema migration, chrome.storage.sync layout and conflict resolution, and JSON backups
+
+(function(root) {
+  'use strict';
+
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const cancelledHistory = isModule ? require('./cancelled-history') : root.ScheduleSendEnhancer.cancelledHistory;
+  const accounts = isModule ? require('./accounts') : root.ScheduleSendEnhancer.accounts;
+  const i18n = isModule ? require('./i18n') : root.ScheduleSendEnhancer.i18n;
+
+  // Version of the stored data layout
+  // 1: a single cancelled time under 'scheduled time' / 'scheduled time iso'
+  // 2: the cancelled time history and the settings keys
+  const SCHEMA_VERSION = 2;
+
+  // chrome.storage.local keys
+  const KEYS = {
+    schemaVersion: 'schema version',
+    syncEnabled: 'sync enabled',
+    syncState: 'sync state',
+    history: 'cancelled times',
+    // Single-time keys written by schema version 1
+    legacy: ['scheduled time', 'scheduled time iso']
+  };
+
+  // Keys shared between devices and included in backups, with a check for their stored shape
+  // Each is stored and synced once per Gmail account (see lib/accounts.js); a backup holds one account's values.
+  // The schedule log and the selector health report describe this device only, so they stay local
+  const SYNCED_KEYS = {
+    'presets': Array.isArray,
+    'business calendar': value => Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+    'time zone mappings': Array.isArray,
+    'send mode': value => typeof value === 'string',
+    'typed time entry': value => typeof value === 'boolean',
+    'cancelled times': Array.isArray,
+    'recipient rules': Array.isArray,
+    'reminders': value => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+  };
+
+  // chrome.storage.sync limits (see chrome.storage.sync.QUOTA_BYTES and friends)
+  const QUOTA = {
+    bytes: 102400,
+    bytesPerItem: 8192,
+    maxItems: 512,
+    writesPerMinute: 120,
+    writesPerHour: 1800
+  };
+
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+
+  // The windows the write quotas are counted over
+  const WRITE_WINDOWS = [
+    { length: MINUTE, limit: QUOTA.writesPerMinute },
+    { length: HOUR, limit: QUOTA.writesPerHour }
+  ];
+
+  // Identifies files written by exportBackup
+  const BACKUP_FORMAT = 'gmail-schedule-send-enhancer';
+
+  /**
+   * Upgrades stored data to the current schema version
+   * @param {Object} data - Stored values, including the schema version and legacy keys
+   * @param {Object} [options] - Migration options
+   * @param {Function} [options.parseTime] - Parses a legacy time string without an ISO copy
+   * @returns {{changes: Object, removed: string[]}} Values to write and keys to remove
+   */
+  function migrate(data, { parseTime = () => null } = {}) {
+    const version = data[KEYS.schemaVersion] || 1;
+    if (version >= SCHEMA_VERSION) {
+      return { changes: {}, removed: [] };
+    }
+
+    const changes = { [KEYS.schemaVersion]: SCHEMA_VERSION };
+    const legacyTime = data['scheduled time'];
+    if (legacyTime) {
+      // Older versions only kept the last cancelled time
+      const legacyDate = data['scheduled time iso'] ? new Date(data['scheduled time iso']) : parseTime(legacyTime);
+      const history = data[KEYS.history] || [];
+      if (legacyDate && !isNaN(legacyDate.getTime())) {
+        const legacyEntry = cancelledHistory.createEntry({
+          time: legacyTime,
+          timeISO: legacyDate.toISOString(),
+          cancelledAt: 0
+        });
+        if (!history.some(entry => cancelledHistory.isSameEntry(entry, legacyEntry))) {
+          changes[KEYS.history] = [...history, legacyEntry].slice(0, cancelledHistory.MAX_ENTRIES);
+        }
+      }
+    }
+
+    return { changes, removed: KEYS.legacy.filter(key => key in data) };
+  }
+
+  /**
+   * Checks whether a stored key is synced
+   * Values stored before accounts were kept apart wait to be claimed by an account and aren't synced
+   * @param {string} key - Storage key, e.g. "account:ana@example.com:presets"
+   * @returns {boolean} True if the key is an account's copy of a synced key
+   */
+  function isSyncedKey(key) {
+    return Boolean(accounts.parseKey(key)) && accounts.getBaseKey(key) in SYNCED_KEYS;
+  }
+
+  /**
+   * Hashes a stored value, to tell whether it changed since it was last synced
+   * @param {*} value - The value
+   * @returns {string|null} The hash, or null for a missing value
+   */
+  function hashValue(value) {
+    if (value === undefined) {
+      return null;
+    }
+
+    const json = JSON.stringify(value);
+    let hash = 5381;
+    for (let index = 0; index < json.length; index++) {
+      hash = ((hash * 33) ^ json.charCodeAt(index)) >>> 0;
+    }
+    return `${json.length}:${hash.toString(16)}`;
+  }
+
+  /**
+   * Measures an item the way chrome.storage.sync counts it against its quotas
+   * @param {string} key - Item key
+   * @param {*} value - Item value
+   * @returns {number} Size in bytes of the key and the JSON of the value
+   */
+  function getItemBytes(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  }
+
+  /**
+   * Returns the sync key of one chunk of a value too large for a single item
+   * @param {string} key - The value's key
+   * @param {number} index - Chunk index
+   * @returns {string} The chunk key, e.g. "business calendar#0"
+   */
+  function getChunkKey(key, index) {
+    return `${key}#${index}`;
+  }
+
+  /**
+   * Splits a JSON string into pieces that each fit in a sync item
+   * @param {string} json - The JSON
+   * @param {string} key - The value's key
+   * @returns {string[]} The pieces
+   */
+  function splitIntoChunks(json, key) {
+    // Leave room for the longest chunk key and the quotes around the piece
+    const limit = QUOTA.bytesPerItem - getItemBytes(getChunkKey(key, QUOTA.maxItems), '');
+    const chunks = [];
+    let chunk = '';
+    let chunkBytes = 0;
+    for (const character of json) {
+      const characterBytes = getItemBytes('', character) - 2;
+      if (chunkBytes + characterBytes > limit) {
+        chunks.push(chunk);
+        chunk = '';
+        chunkBytes = 0;
+      }
+      chunk += character;
+      chunkBytes += characterBytes;
+    }
+    chunks.push(chunk);
+    return chunks;
+  }
+
+  /**
+   * Lays a value out as chrome.storage.sync items
+   * Small values are stored next to their metadata; larger ones are split into chunk items
+   * @param {string} key - The value's key
+   * @param {Object} record - The value and its metadata
+   * @param {*} record.value - The value
+   * @param {number} record.updatedAt - When the value was written (ms since epoch)
+   * @param {string} record.device - ID of the device that wrote it
+   * @returns {Object} The items to write
+   */
+  function packValue(key, { value, updatedAt, device }) {
+    const meta = { schemaVersion: SCHEMA_VERSION, updatedAt, device };
+    if (getItemBytes(key, { ...meta, value }) <= QUOTA.bytesPerItem) {
+      return { [key]: { ...meta, value } };
+    }
+
+    const chunks = splitIntoChunks(JSON.stringify(value), key);
+    const items = { [key]: { ...meta, chunks: chunks.length } };
+    chunks.forEach((chunk, index) => {
+      items[getChunkKey(key, index)] = chunk;
+    });
+    return items;
+  }
+
+  /**
+   * Reads a value back from chrome.storage.sync items
+   * @param {string} key - The value's key
+   * @param {Object} items - Sync items, including the value's chunks
+   * @returns {Object|null} The record as { value, updatedAt, device }, or null if it's missing or incomplete
+   */
+  function unpackValue(key, items) {
+    const meta = items[key];
+    if (!meta || typeof meta !== 'object' || meta.schemaVersion > SCHEMA_VERSION) {
+      return null;
+    }
+    if ('value' in meta) {
+      return { value: meta.value, updatedAt: meta.updatedAt, device: meta.device };
+    }
+
+    // The chunks of a value written on another device can arrive after its metadata
+    const chunks = [];
+    for (let index = 0; index < meta.chunks; index++) {
+      const chunk = items[getChunkKey(key, index)];
+      if (typeof chunk !== 'string') {
+        return null;
+      }
+      chunks.push(chunk);
+    }
+    try {
+      return { value: JSON.parse(chunks.join('')), updatedAt: meta.updatedAt, device: meta.device };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Lists the chunk keys a value no longer uses after it's rewritten
+   * @param {string} key - The value's key
+   * @param {Object} oldItems - Current sync items
+   * @param {Object} newItems - Items about to be written for the value
+   * @returns {string[]} Chunk keys to remove
+   */
+  function getStaleChunkKeys(key, oldItems, newItems) {
+    const oldCount = oldItems[key]?.chunks || 0;
+    const newCount = newItems[key]?.chunks || 0;
+    const stale = [];
+    for (let index = newCount; index < oldCount; index++) {
+      stale.push(getChunkKey(key, index));
+    }
+    return stale;
+  }
+
+  /**
+   * Checks that writing items keeps chrome.storage.sync within its quotas
+   * @param {Object} currentItems - Everything currently in sync storage
+   * @param {Object} newItems - Items about to be written
+   * @param {string[]} [removedKeys] - Keys about to be removed
+   * @returns {string|null} A description of the exceeded quota, or null if the write fits
+   */
+  function checkQuota(currentItems, newItems, removedKeys = []) {
+    const items = { ...currentItems, ...newItems };
+    removedKeys.forEach(key => delete items[key]);
+
+    const keys = Object.keys(items);
+    const bytes = keys.reduce((total, key) => total + getItemBytes(key, items[key]), 0);
+    if (bytes > QUOTA.bytes) {
+      return i18n.getMessage('syncQuotaBytes', [Math.ceil(bytes / 1024), QUOTA.bytes / 1024]);
+    }
+    if (keys.length > QUOTA.maxItems) {
+      return i18n.getMessage('syncQuotaItems', [keys.length, QUOTA.maxItems]);
+    }
+    return null;
+  }
+
+  /**
+   * Works out how long to wait before more writes fit in chrome.storage.sync's write quotas
+   * @param {number[]} writes - When recent writes were made (ms since epoch), see recordWrites
+   * @param {number} count - Writes about to be made (each set or remove call counts as one)
+   * @param {number} [now] - Current time (ms since epoch)
+   * @returns {number} Delay in ms, 0 if the writes fit now
+   */
+  function getWriteDelay(writes, count, now = Date.now()) {
+    return WRITE_WINDOWS.reduce((delay, { length, limit }) => {
+      const recent = (writes || []).filter(time => now - time < length).sort((a, b) => a - b);
+      const excess = Math.min(recent.length + count - limit, recent.length);
+      // Once the oldest writes leave the window, there's room for the new ones
+      return excess > 0 ? Math.max(delay, recent[excess - 1] + length - now) : delay;
+    }, 0);
+  }
+
+  /**
+   * Adds writes to the record of recent writes, dropping those too old to count against a quota
+   * @param {number[]} writes - When recent writes were made (ms since epoch)
+   * @param {number} count - Writes made now
+   * @param {number} [now] - Current time (ms since epoch)
+   * @returns {number[]} The updated record
+   */
+  function recordWrites(writes, count, now = Date.now()) {
+    return [...(writes || []).filter(time => now - time < HOUR), ...new Array(count).fill(now)];
+  }
+
+  /**
+   * Combines two versions of a value written concurrently on different devices
+   * Cancelled times from both devices are kept; for other keys the later write wins
+   * @param {string} key - The value's key, for one account
+   * @param {Object} local - This device's record, as { value, updatedAt, device }
+   * @param {Object} remote - The synced record, as { value, updatedAt, device }
+   * @returns {*} The merged value
+   */
+  function mergeValues(key, local, remote) {
+    if (accounts.getBaseKey(key) === KEYS.history) {
+      return [...(local.value || []), ...(remote.value || [])]
+        .sort((a, b) => b.cancelledAt - a.cancelledAt)
+        .reduce((history, entry) => (
+          history.some(existing => cancelledHistory.isSameEntry(existing, entry)) ? history : [...history, entry]
+        ), [])
+        .slice(0, cancelledHistory.MAX_ENTRIES);
+    }
+
+    const remoteWins = remote.updatedAt > local.updatedAt ||
+      (remote.updatedAt === local.updatedAt && String(remote.device) > String(local.device));
+    return remoteWins ? remote.value : local.value;
+  }
+
+  /**
+   * Decides how to reconcile a key between this device and sync storage
+   * @param {string} key - The value's key
+   * @param {Object} state - What is known about the key
+   * @param {*} state.localValue - The value in chrome.storage.local (undefined if unset)
+   * @param {Object|null} state.remote - The synced record, or null if there is none
+   * @param {Object} [state.synced] - The record last synced from this device, as { updatedAt, hash }
+   * @param {number} [state.localChangedAt] - When the local value last changed (ms since epoch)
+   * @param {string} state.device - This device's ID
+   * @param {number} [state.now] - Current time (ms since epoch)
+   * @returns {Object} { action: 'none' | 'push' | 'pull' | 'merge', value, updatedAt }
+   */
+  function decideSync(key, { localValue, remote, synced, localChangedAt, device, now = Date.now() }) {
+    const localChanged = localValue !== undefined && (!synced || hashValue(localValue) !== synced.hash);
+    const remoteChanged = Boolean(remote) && (!synced || remote.updatedAt !== synced.updatedAt);
+
+    if (!remoteChanged) {
+      return localChanged ? { action: 'push', value: localValue, updatedAt: now } : { action: 'none' };
+    }
+    if (!localChanged || hashValue(localValue) === hashValue(remote.value)) {
+      return { action: 'pull', value: remote.value, updatedAt: remote.updatedAt };
+    }
+
+    // Both sides changed. A device joining sync for the first time defers to what's already synced
+    const local = { value: localValue, updatedAt: synced ? (localChangedAt || now) : 0, device };
+    const value = mergeValues(key, local, remote);
+    if (hashValue(value) === hashValue(remote.value)) {
+      return { action: 'pull', value: remote.value, updatedAt: remote.updatedAt };
+    }
+    return { action: 'merge', value, updatedAt: now };
+  }
+
+  /**
+   * Creates a backup of the synced keys
+   * @param {Object} data - Stored values
+   * @param {Date} [now] - Export time
+   * @returns {Object} The backup, ready to be written as JSON
+   */
+  function exportBackup(data, now = new Date()) {
+    const backupData = {};
+    Object.keys(SYNCED_KEYS).forEach(key => {
+      if (data[key] !== undefined) {
+        backupData[key] = data[key];
+      }
+    });
+    return {
+      format: BACKUP_FORMAT,
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: now.toISOString(),
+      data: backupData
+    };
+  }
+
+  /**
+   * Reads a backup file, migrating it to the current schema version
+   * @param {string} text - Contents of the file
+   * @param {Object} [options] - Options passed to migrate
+   * @returns {{data: Object, skipped: string[]}} Values to store and the keys left out because they were malformed
+   * @throws {Error} If the file isn't a backup or was made by a newer version
+   */
+  function importBackup(text, options = {}) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (e) {
+      throw new Error(i18n.getMessage('backupInvalidJson'));
+    }
+    if (!backup || backup.format !== BACKUP_FORMAT || !backup.data || typeof backup.data !== 'object') {
+      throw new Error(i18n.getMessage('backupWrongFormat'));
+    }
+    if (!(backup.schemaVersion <= SCHEMA_VERSION)) {
+      throw new Error(i18n.getMessage('backupTooNew'));
+    }
+
+    const { changes } = migrate({ ...backup.data, [KEYS.schemaVersion]: backup.schemaVersion }, options);
+    const migrated = { ...backup.data, ...changes };
+    const data = {};
+    const skipped = [];
+    Object.keys(SYNCED_KEYS).forEach(key => {
+      if (migrated[key] === undefined) {
+        return;
+      }
+      if (SYNCED_KEYS[key](migrated[key])) {
+        data[key] = migrated[key];
+      } else {
+        skipped.push(key);
+      }
+    });
+    return { data, skipped };
+  }
+
+  const api = {
+    SCHEMA_VERSION,
+    KEYS,
+    SYNCED_KEYS,
+    QUOTA,
+    migrate,
+    isSyncedKey,
+    hashValue,
+    getItemBytes,
+    getChunkKey,
+    packValue,
+    unpackValue,
+    getStaleChunkKeys,
+    checkQuota,
+    getWriteDelay,
+    recordWrites,
+    mergeValues,
+    decideSync,
+    exportBackup,
+    importBackup
+  };
+
+  if (isModule) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.settingsSync = api;
+  }
+
+})(globalThis);
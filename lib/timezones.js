@@ -0,0 +1,210 @@
+// Recipient time zones for Gmail Schedule Send Enhancer
+// Maps recipients to IANA time zones and converts wall-clock times between zones
+
+(function(root) {
+  'use strict';
+
+  // Cached Intl formatters, one per time zone
+  const formatters = new Map();
+
+  /**
+   * Checks whether a string is a time zone the browser knows
+   * @param {string} zone - IANA time zone name, e.g. "Asia/Tokyo"
+   * @returns {boolean} True if the zone is valid
+   */
+  function isValidZone(zone) {
+    if (!zone || typeof zone !== 'string') {
+      return false;
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: zone });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Returns a formatter that exposes the wall-clock fields of a time zone
+   * @param {string} zone - IANA time zone name
+   * @returns {Intl.DateTimeFormat} The formatter
+   */
+  function getFormatter(zone) {
+    if (!formatters.has(zone)) {
+      formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }));
+    }
+    return formatters.get(zone);
+  }
+
+  /**
+   * Returns the wall-clock fields of an instant in a time zone
+   * @param {Date} date - The instant
+   * @param {string} zone - IANA time zone name
+   * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+   *   The fields (month is 1-based)
+   */
+  function getZonedParts(date, zone) {
+    const parts = {};
+    getFormatter(zone).formatToParts(date).forEach(part => {
+      if (part.type !== 'literal') {
+        parts[part.type] = parseInt(part.value, 10);
+      }
+    });
+    return parts;
+  }
+
+  /**
+   * Returns the UTC offset of a time zone at an instant
+   * @param {Date} date - The instant
+   * @param {string} zone - IANA time zone name
+   * @returns {number} Offset in milliseconds (positive east of UTC)
+   */
+  function getZoneOffset(date, zone) {
+    const parts = getZonedParts(date, zone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  /**
+   * Returns a local Date whose fields match the wall clock of an instant in a time zone,
+   * so local date arithmetic can be done "as if" in that zone
+   * @param {Date} date - The instant
+   * @param {string} zone - IANA time zone name
+   * @returns {Date} Local date with the zone's wall-clock fields
+   */
+  function toWallClock(date, zone) {
+    const parts = getZonedParts(date, zone);
+    return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  }
+
+  /**
+   * Converts a wall-clock time in a time zone back to the real instant
+   * Around DST changes this behaves like local Date: a time the clocks skip (spring forward) moves
+   * forward by the skipped amount, and a time that happens twice (fall back) is the earlier one
+   * @param {Date} wallClock - Local date whose fields hold the wall-clock time in the zone
+   * @param {string} zone - IANA time zone name
+   * @returns {Date} The instant
+   */
+  function fromWallClock(wallClock, zone) {
+    const asUtc = Date.UTC(
+      wallClock.getFullYear(),
+      wallClock.getMonth(),
+      wallClock.getDate(),
+      wallClock.getHours(),
+      wallClock.getMinutes(),
+      wallClock.getSeconds()
+    );
+
+    // The offsets a day either side cover any DST change near the time
+    const day = 24 * 60 * 60 * 1000;
+    const before = asUtc - getZoneOffset(new Date(asUtc - day), zone);
+    const after = asUtc - getZoneOffset(new Date(asUtc + day), zone);
+    const shows = (instant) => {
+      const parts = getZonedParts(new Date(instant), zone);
+      return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) === asUtc;
+    };
+
+    const matches = [before, after].filter(shows);
+    // No match means the clocks skip this time; the offset before the change moves it forward
+    return new Date(matches.length > 0 ? Math.min(...matches) : before);
+  }
+
+  /**
+   * Returns a short, human-readable name for a time zone
+   * @param {string} zone - IANA time zone name, e.g. "America/New_York"
+   * @returns {string} The city part, e.g. "New York"
+   */
+  function getZoneLabel(zone) {
+    return zone.split('/').pop().replace(/_/g, ' ');
+  }
+
+  /**
+   * Checks whether an address matches a mapping pattern
+   * Patterns are a full address ("legal@acme.com"), a domain ("acme.com", also matching
+   * subdomains) or a wildcard ("*@acme.co.jp", "*.jp")
+   * @param {string} email - Recipient address
+   * @param {string} pattern - Mapping pattern
+   * @returns {boolean} True if the address matches
+   */
+  function matchesPattern(email, pattern) {
+    const address = email.trim().toLowerCase();
+    const rule = pattern.trim().toLowerCase();
+    if (!address || !rule) {
+      return false;
+    }
+
+    if (rule.includes('*')) {
+      const regex = new RegExp(`^${rule.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+      return regex.test(address) || regex.test(address.split('@')[1] || '');
+    }
+    if (rule.includes('@')) {
+      return address === rule;
+    }
+    const domain = address.split('@')[1] || '';
+    return domain === rule || domain.endsWith(`.${rule}`);
+  }
+
+  /**
+   * Ranks how specific a mapping pattern is, so exact addresses beat domains and wildcards
+   * @param {string} pattern - Mapping pattern
+   * @returns {number} Higher is more specific
+   */
+  function getPatternSpecificity(pattern) {
+    if (pattern.includes('*')) {
+      return 0;
+    }
+    return pattern.includes('@') ? 2 : 1;
+  }
+
+  /**
+   * Resolves the time zone for a set of recipients
+   * The most specific mapping matching any recipient wins; among equals, the first recipient
+   * @param {string[]} recipients - Recipient addresses, primary recipient first
+   * @param {Object[]} mappings - Mappings as { pattern, zone }
+   * @returns {string|null} The IANA time zone, or null if no mapping matches
+   */
+  function resolveRecipientZone(recipients, mappings) {
+    let best = null;
+    (recipients || []).forEach(email => {
+      (mappings || []).forEach(mapping => {
+        if (!isValidZone(mapping.zone) || !matchesPattern(email, mapping.pattern || '')) {
+          return;
+        }
+        const specificity = getPatternSpecificity(mapping.pattern);
+        if (!best || specificity > best.specificity) {
+          best = { zone: mapping.zone, specificity };
+        }
+      });
+    });
+    return best ? best.zone : null;
+  }
+
+  const api = {
+    isValidZone,
+    getZonedParts,
+    getZoneOffset,
+    toWallClock,
+    fromWallClock,
+    getZoneLabel,
+    matchesPattern,
+    getPatternSpecificity,
+    resolveRecipientZone
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScheduleSendEnhancer = root.ScheduleSendEnhancer || {};
+    root.ScheduleSendEnhancer.timezones = api;
+  }
+
+})(globalThis);
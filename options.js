@@ -0,0 +1,978 @@
+// Options page script for Gmail Schedule Send Enhancer
+// Edits the settings of the Gmail account picked at the top of the page: the presets injected into the
+// date picker menu, the business calendar and its holidays, recipient time zones, recipient rules, the send
+// mode and reminders. Also shows the keyboard shortcuts, turns sync on and off, exports and imports backups,
+// and shows and exports the activity log
+
+(function() {
+  'use strict';
+
+  const {
+    browserApi,
+    i18n,
+    accounts,
+    presets,
+    businessCalendar,
+    timezones,
+    settingsSync,
+    randomTime,
+    auditLog,
+    reminders,
+    recipientRules
+  } = globalThis.ScheduleSendEnhancer;
+
+  // chrome.storage keys
+  const PRESETS_KEY = 'presets';
+  const CALENDAR_KEY = 'business calendar';
+  const ZONE_MAPPINGS_KEY = 'time zone mappings';
+  const SEND_MODE_KEY = 'send mode';
+  const AUDIT_LOG_KEY = 'audit log';
+  const REMINDERS_KEY = 'reminders';
+  const RULES_KEY = 'recipient rules';
+
+  // Reminder settings and the inputs editing them
+  const REMINDER_INPUTS = {
+    cancelled: { enabled: 'reminder-cancelled-enabled', leadMinutes: 'reminder-cancelled-lead' },
+    headsUp: { enabled: 'reminder-heads-up-enabled', leadMinutes: 'reminder-heads-up-lead' }
+  };
+  const { syncEnabled: SYNC_ENABLED_KEY, syncState: SYNC_STATE_KEY } = settingsSync.KEYS;
+
+  const DAY_RULE_LABELS = {
+    [presets.DAY_RULES.tomorrow]: i18n.getMessage('optionsDayTomorrow'),
+    [presets.DAY_RULES.nextWeekday]: i18n.getMessage('optionsDayNextWeekday'),
+    [presets.DAY_RULES.nextMonday]: i18n.getMessage('optionsDayNextMonday'),
+    [presets.DAY_RULES.daysFromNow]: i18n.getMessage('optionsDayDaysFromNow'),
+    [presets.DAY_RULES.weekday]: i18n.getMessage('optionsDaySpecificWeekday')
+  };
+
+  const DISTRIBUTION_LABELS = {
+    [randomTime.DISTRIBUTIONS.uniform]: i18n.getMessage('optionsSpreadEvenly'),
+    [randomTime.DISTRIBUTIONS.centered]: i18n.getMessage('optionsMostlyMidWindow')
+  };
+
+  const RULE_TYPE_LABELS = {
+    [recipientRules.RULE_TYPES.sendAt]: i18n.getMessage('optionsRuleSendOn'),
+    [recipientRules.RULE_TYPES.window]: i18n.getMessage('optionsRuleOnlyBetween')
+  };
+
+  /**
+   * Names the days of the week in the language of the page
+   * @param {string} width - 'long' (Monday) or 'short' (Mon)
+   * @returns {string[]} Names from Sunday to Saturday
+   */
+  function getWeekdayNames(width) {
+    const format = new Intl.DateTimeFormat(i18n.getLanguage(), { weekday: width });
+    // 4 January 1970 was a Sunday
+    return Array.from({ length: 7 }, (_, day) => format.format(new Date(1970, 0, 4 + day)));
+  }
+
+  const WEEKDAY_LABELS = getWeekdayNames('long');
+  const WEEKDAY_SHORT_LABELS = getWeekdayNames('short');
+
+  // Presets being edited
+  let presetList = [];
+  // Business calendar being edited
+  let calendar = businessCalendar.normalizeCalendar();
+  // Recipient → time zone mappings being edited
+  let zoneMappings = [];
+  // Recipient rules being edited
+  let ruleList = [];
+  // Activity log, newest first
+  let auditEvents = [];
+  // Account whose settings are edited
+  let accountId = null;
+
+  // chrome.storage.local, with each per-account key read and written for the account being edited
+  const storage = accounts.createAccountStorage(browserApi.storage.local, callback => callback(accountId));
+
+  /**
+   * Creates an element with the given attributes and children
+   * @param {string} tagName - Element tag name
+   * @param {Object} [attributes] - Properties to assign to the element
+   * @param {Array<Node|string>} [children] - Child nodes or text
+   * @returns {HTMLElement} The element
+   */
+  function createElement(tagName, attributes = {}, children = []) {
+    const element = document.createElement(tagName);
+    Object.assign(element, attributes);
+    children.forEach(child => {
+      element.append(child);
+    });
+    return element;
+  }
+
+  /**
+   * Creates a <select> with the given options
+   * @param {Object<string, string>} options - Option values mapped to labels
+   * @param {string} value - Selected value
+   * @param {Function} onChange - Called with the new value
+   * @returns {HTMLSelectElement} The select element
+   */
+  function createSelect(options, value, onChange) {
+    const select = createElement('select', {}, Object.entries(options).map(([optionValue, label]) => (
+      createElement('option', { value: optionValue, textContent: label, selected: optionValue === String(value) })
+    )));
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  }
+
+  /**
+   * Shows a short status message under a section
+   * @param {string} message - Message to show
+   * @param {string} [statusId] - ID of the status element
+   */
+  function showStatus(message, statusId = 'preset-status') {
+    const status = document.getElementById(statusId);
+    status.textContent = message;
+    setTimeout(() => {
+      if (status.textContent === message) {
+        status.textContent = '';
+      }
+    }, 3000);
+  }
+
+  /**
+   * Moves a preset up or down in the list
+   * @param {number} index - Index of the preset
+   * @param {number} direction - -1 to move up, 1 to move down
+   */
+  function movePreset(index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= presetList.length) {
+      return;
+    }
+    [presetList[index], presetList[target]] = [presetList[target], presetList[index]];
+    renderPresets();
+  }
+
+  /**
+   * Builds the day rule fields of a preset or recipient rule: the rule, then its day count or weekday
+   * @param {Object} item - The preset or rule; its dayRule is edited in place
+   * @param {Function} rerender - Redraws the list when the day rule changes its fields
+   * @returns {Array<Node|string>} The fields
+   */
+  function createDayRuleFields(item, rerender) {
+    item.dayRule = item.dayRule || { type: presets.DAY_RULES.tomorrow };
+    const fields = [createSelect(DAY_RULE_LABELS, item.dayRule.type, (value) => {
+      item.dayRule = { type: value };
+      if (value === presets.DAY_RULES.daysFromNow) {
+        item.dayRule.days = 1;
+      } else if (value === presets.DAY_RULES.weekday) {
+        item.dayRule.weekday = 1;
+      }
+      rerender();
+    })];
+
+    if (item.dayRule.type === presets.DAY_RULES.daysFromNow) {
+      const daysInput = createElement('input', { type: 'number', min: 0, max: 365, value: item.dayRule.days ?? 1 });
+      daysInput.addEventListener('input', () => {
+        item.dayRule.days = Math.max(0, parseInt(daysInput.value, 10) || 0);
+      });
+      fields.push(daysInput, i18n.getMessage('optionsDays'));
+    } else if (item.dayRule.type === presets.DAY_RULES.weekday) {
+      const weekdayOptions = Object.fromEntries(WEEKDAY_LABELS.map((label, day) => [day, label]));
+      fields.push(createSelect(weekdayOptions, item.dayRule.weekday ?? 1, (value) => {
+        item.dayRule.weekday = parseInt(value, 10);
+      }));
+    }
+    return fields;
+  }
+
+  /**
+   * Builds the editor row for a preset
+   * @param {Object} preset - The preset
+   * @param {number} index - Position of the preset in the list
+   * @returns {HTMLElement} The row element
+   */
+  function renderPresetRow(preset, index) {
+    const row = createElement('div', { className: `preset${preset.enabled ? '' : ' disabled'}` });
+
+    const enabledInput = createElement('input', { type: 'checkbox', checked: preset.enabled, title: i18n.getMessage('optionsShowInMenu') });
+    enabledInput.addEventListener('change', () => {
+      preset.enabled = enabledInput.checked;
+      row.classList.toggle('disabled', !preset.enabled);
+    });
+    row.append(enabledInput);
+
+    if (preset.type === presets.PRESET_TYPES.cancelled) {
+      row.append(createElement('span', {
+        className: 'label-input',
+        textContent: i18n.getMessage('optionsCancelledPreset')
+      }));
+    } else {
+      const labelInput = createElement('input', {
+        type: 'text',
+        className: 'label-input',
+        value: preset.label,
+        placeholder: i18n.getMessage('optionsLabel')
+      });
+      labelInput.addEventListener('input', () => {
+        preset.label = labelInput.value;
+      });
+      row.append(labelInput);
+
+      // Day rule with its extra field
+      row.append(...createDayRuleFields(preset, renderPresets));
+
+      // Time or time window
+      preset.time = preset.time || { start: '09:00', end: '09:00' };
+      const startInput = createElement('input', { type: 'time', value: preset.time.start, title: i18n.getMessage('optionsFrom') });
+      const endInput = createElement('input', { type: 'time', value: preset.time.end || preset.time.start, title: i18n.getMessage('optionsUntil') });
+      startInput.addEventListener('input', () => {
+        preset.time.start = startInput.value;
+      });
+      endInput.addEventListener('input', () => {
+        preset.time.end = endInput.value;
+      });
+      row.append(i18n.getMessage('optionsAt'), startInput, '–', endInput);
+
+      const randomInput = createElement('input', { type: 'checkbox', checked: Boolean(preset.randomMinute) });
+      randomInput.addEventListener('change', () => {
+        preset.randomMinute = randomInput.checked;
+        renderPresets();
+      });
+      row.append(createElement('label', {}, [randomInput, ' ', i18n.getMessage('optionsRandomMinute')]));
+
+      // How the random minute is picked
+      if (preset.randomMinute) {
+        row.append(createSelect(DISTRIBUTION_LABELS, preset.distribution || randomTime.DISTRIBUTIONS.uniform, (value) => {
+          preset.distribution = value;
+        }));
+
+        const roundInput = createElement('input', { type: 'checkbox', checked: Boolean(preset.avoidRoundMinutes) });
+        roundInput.addEventListener('change', () => {
+          preset.avoidRoundMinutes = roundInput.checked;
+        });
+        row.append(createElement('label', {}, [roundInput, ' ', i18n.getMessage('optionsAvoidRound')]));
+
+        const gapInput = createElement('input', {
+          type: 'number',
+          min: 0,
+          max: 120,
+          value: preset.minGapMinutes ?? 0,
+          title: i18n.getMessage('optionsGapTitle')
+        });
+        gapInput.addEventListener('input', () => {
+          preset.minGapMinutes = Math.max(0, parseInt(gapInput.value, 10) || 0);
+        });
+        row.append(gapInput, i18n.getMessage('optionsMinApart'));
+      }
+
+      const zoneInput = createElement('input', { type: 'checkbox', checked: Boolean(preset.recipientTimeZone) });
+      zoneInput.addEventListener('change', () => {
+        preset.recipientTimeZone = zoneInput.checked;
+      });
+      row.append(createElement('label', {}, [zoneInput, ' ', i18n.getMessage('optionsRecipientZone')]));
+    }
+
+    const upButton = createElement('button', { type: 'button', textContent: '↑', title: i18n.getMessage('optionsMoveUp'), disabled: index === 0 });
+    const downButton = createElement('button', {
+      type: 'button',
+      textContent: '↓',
+      title: i18n.getMessage('optionsMoveDown'),
+      disabled: index === presetList.length - 1
+    });
+    upButton.addEventListener('click', () => movePreset(index, -1));
+    downButton.addEventListener('click', () => movePreset(index, 1));
+    const orderButtons = createElement('span', { className: 'order-buttons' }, [upButton, ' ', downButton]);
+    row.append(orderButtons);
+
+    // The cancelled times entry can be disabled but not deleted
+    if (preset.type !== presets.PRESET_TYPES.cancelled) {
+      const deleteButton = createElement('button', { type: 'button', textContent: i18n.getMessage('delete') });
+      deleteButton.addEventListener('click', () => {
+        presetList.splice(index, 1);
+        renderPresets();
+      });
+      row.append(deleteButton);
+    }
+
+    return row;
+  }
+
+  /**
+   * Renders the preset list
+   */
+  function renderPresets() {
+    const container = document.getElementById('preset-list');
+    container.replaceChildren(...presetList.map(renderPresetRow));
+  }
+
+  /**
+   * Validates and saves the presets
+   */
+  function savePresets() {
+    const invalid = presetList.find(preset => (
+      preset.type === presets.PRESET_TYPES.time &&
+      (!preset.label.trim() || businessCalendar.parseTimeOfDay(preset.time?.start) === null)
+    ));
+    if (invalid) {
+      showStatus(i18n.getMessage('optionsPresetNeedsLabel'));
+      return;
+    }
+
+    storage.set({ [PRESETS_KEY]: presetList }, () => {
+      showStatus(i18n.getMessage('optionsPresetsSaved'));
+    });
+  }
+
+  /**
+   * Renders the business calendar settings
+   */
+  function renderCalendar() {
+    document.getElementById('calendar-enabled').checked = calendar.enabled;
+    document.getElementById('working-hours-start').value = calendar.workingHours.start;
+    document.getElementById('working-hours-end').value = calendar.workingHours.end;
+
+    const workingDays = document.getElementById('working-days');
+    workingDays.replaceChildren(i18n.getMessage('optionsWorkingDays'), ...WEEKDAY_SHORT_LABELS.map((label, day) => {
+      const dayInput = createElement('input', { type: 'checkbox', checked: calendar.workingDays.includes(day) });
+      dayInput.addEventListener('change', () => {
+        calendar.workingDays = dayInput.checked
+          ? [...calendar.workingDays, day].sort()
+          : calendar.workingDays.filter(workingDay => workingDay !== day);
+      });
+      return createElement('label', {}, [dayInput, ` ${label}`]);
+    }));
+
+    renderHolidays();
+  }
+
+  /**
+   * Renders the holiday list
+   */
+  function renderHolidays() {
+    const list = document.getElementById('holiday-list');
+    if (calendar.holidays.length === 0) {
+      list.replaceChildren(createElement('li', { textContent: i18n.getMessage('optionsNoHolidays') }));
+      return;
+    }
+
+    list.replaceChildren(...calendar.holidays.map(holiday => {
+      const removeButton = createElement('button', { type: 'button', textContent: i18n.getMessage('optionsRemove') });
+      removeButton.addEventListener('click', () => {
+        calendar.holidays = calendar.holidays.filter(existing => existing !== holiday);
+        renderHolidays();
+      });
+      return createElement('li', {}, [`${holiday.date} ${holiday.name}`, removeButton]);
+    }));
+  }
+
+  /**
+   * Imports holidays from the selected .ics or .json file
+   * @param {File} file - The selected file
+   */
+  function importHolidays(file) {
+    const reader = new FileReader();
+    reader.addEventListener('load', () => {
+      try {
+        const imported = businessCalendar.parseHolidays(reader.result);
+        calendar.holidays = businessCalendar.mergeHolidays(calendar.holidays, imported);
+        renderHolidays();
+        showStatus(i18n.getPlural('optionsHolidaysImported', imported.length), 'calendar-status');
+      } catch (e) {
+        showStatus(i18n.getMessage('optionsImportFailed', [file.name, e.message]), 'calendar-status');
+      }
+    });
+    reader.readAsText(file);
+  }
+
+  /**
+   * Validates and saves the business calendar
+   */
+  function saveCalendar() {
+    calendar.enabled = document.getElementById('calendar-enabled').checked;
+    calendar.workingHours = {
+      start: document.getElementById('working-hours-start').value,
+      end: document.getElementById('working-hours-end').value
+    };
+
+    if (!calendar.workingHours.start || !calendar.workingHours.end ||
+        calendar.workingHours.start >= calendar.workingHours.end) {
+      showStatus(i18n.getMessage('optionsHoursOrder'), 'calendar-status');
+      return;
+    }
+    if (calendar.enabled && calendar.workingDays.length === 0) {
+      showStatus(i18n.getMessage('optionsSelectWorkingDay'), 'calendar-status');
+      return;
+    }
+
+    storage.set({ [CALENDAR_KEY]: calendar }, () => {
+      showStatus(i18n.getMessage('optionsBusinessHoursSaved'), 'calendar-status');
+    });
+  }
+
+  /**
+   * Renders the recipient time zone mappings
+   */
+  function renderZoneMappings() {
+    const container = document.getElementById('zone-mapping-list');
+    container.replaceChildren(...zoneMappings.map((mapping, index) => {
+      const patternInput = createElement('input', {
+        type: 'text',
+        className: 'label-input',
+        value: mapping.pattern,
+        placeholder: i18n.getMessage('optionsZonePattern')
+      });
+      patternInput.addEventListener('input', () => {
+        mapping.pattern = patternInput.value.trim();
+      });
+
+      const zoneInput = createElement('input', { type: 'text', value: mapping.zone, placeholder: 'Asia/Tokyo' });
+      zoneInput.setAttribute('list', 'time-zone-names');
+      zoneInput.addEventListener('input', () => {
+        mapping.zone = zoneInput.value.trim();
+      });
+
+      const removeButton = createElement('button', { type: 'button', textContent: i18n.getMessage('optionsRemove') });
+      removeButton.addEventListener('click', () => {
+        zoneMappings.splice(index, 1);
+        renderZoneMappings();
+      });
+
+      return createElement('div', { className: 'preset' }, [patternInput, '→', zoneInput, removeButton]);
+    }));
+  }
+
+  /**
+   * Validates and saves the recipient time zone mappings
+   */
+  function saveZoneMappings() {
+    const mappings = zoneMappings.filter(mapping => mapping.pattern || mapping.zone);
+    const invalid = mappings.find(mapping => !mapping.pattern || !timezones.isValidZone(mapping.zone));
+    if (invalid) {
+      showStatus(i18n.getMessage('optionsZoneInvalid', invalid.zone || invalid.pattern), 'zone-status');
+      return;
+    }
+
+    zoneMappings = mappings;
+    storage.set({ [ZONE_MAPPINGS_KEY]: zoneMappings }, () => {
+      renderZoneMappings();
+      showStatus(i18n.getMessage('optionsZonesSaved'), 'zone-status');
+    });
+  }
+
+  /**
+   * Moves a recipient rule up or down the list; among equally specific matches the higher rule wins
+   * @param {number} index - Index of the rule
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  function moveRule(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= ruleList.length) {
+      return;
+    }
+    [ruleList[index], ruleList[target]] = [ruleList[target], ruleList[index]];
+    renderRules();
+  }
+
+  /**
+   * Builds the editor row for a recipient rule
+   * @param {Object} rule - The rule
+   * @param {number} index - Index of the rule in the list
+   * @returns {HTMLElement} The row
+   */
+  function renderRuleRow(rule, index) {
+    const row = createElement('div', { className: rule.enabled ? 'preset' : 'preset disabled' });
+
+    const enabledInput = createElement('input', { type: 'checkbox', checked: rule.enabled, title: i18n.getMessage('optionsUseRule') });
+    enabledInput.addEventListener('change', () => {
+      rule.enabled = enabledInput.checked;
+      row.classList.toggle('disabled', !rule.enabled);
+    });
+
+    const nameInput = createElement('input', { type: 'text', className: 'label-input', value: rule.name, placeholder: i18n.getMessage('optionsRuleName') });
+    nameInput.addEventListener('input', () => {
+      rule.name = nameInput.value;
+    });
+
+    const patternsInput = createElement('input', {
+      type: 'text',
+      className: 'label-input',
+      value: rule.patterns.join(', '),
+      placeholder: 'legal@*, ourco.com'
+    });
+    patternsInput.addEventListener('input', () => {
+      rule.patterns = recipientRules.parsePatterns(patternsInput.value);
+    });
+    row.append(enabledInput, nameInput, patternsInput);
+
+    row.append(createSelect(RULE_TYPE_LABELS, rule.type, (value) => {
+      rule.type = value;
+      renderRules();
+    }));
+
+    if (rule.type === recipientRules.RULE_TYPES.window) {
+      const startInput = createElement('input', { type: 'time', value: rule.window.start, title: i18n.getMessage('optionsNotBefore') });
+      const endInput = createElement('input', { type: 'time', value: rule.window.end, title: i18n.getMessage('optionsNotAfter') });
+      startInput.addEventListener('input', () => {
+        rule.window.start = startInput.value;
+      });
+      endInput.addEventListener('input', () => {
+        rule.window.end = endInput.value;
+      });
+      row.append(startInput, i18n.getMessage('optionsAnd'), endInput);
+    } else {
+      row.append(...createDayRuleFields(rule, renderRules));
+
+      const timeInput = createElement('input', { type: 'time', value: rule.time.start });
+      timeInput.addEventListener('input', () => {
+        rule.time = { start: timeInput.value, end: timeInput.value };
+      });
+      row.append(i18n.getMessage('optionsAt'), timeInput);
+    }
+
+    const zoneInput = createElement('input', { type: 'checkbox', checked: Boolean(rule.recipientTimeZone) });
+    zoneInput.addEventListener('change', () => {
+      rule.recipientTimeZone = zoneInput.checked;
+    });
+    row.append(createElement('label', {}, [zoneInput, ' ', i18n.getMessage('optionsRecipientZone')]));
+
+    const upButton = createElement('button', { type: 'button', textContent: '↑', title: i18n.getMessage('optionsMoveUp'), disabled: index === 0 });
+    const downButton = createElement('button', {
+      type: 'button',
+      textContent: '↓',
+      title: i18n.getMessage('optionsMoveDown'),
+      disabled: index === ruleList.length - 1
+    });
+    upButton.addEventListener('click', () => moveRule(index, -1));
+    downButton.addEventListener('click', () => moveRule(index, 1));
+
+    const deleteButton = createElement('button', { type: 'button', textContent: i18n.getMessage('delete') });
+    deleteButton.addEventListener('click', () => {
+      ruleList.splice(index, 1);
+      renderRules();
+    });
+    row.append(createElement('span', { className: 'order-buttons' }, [upButton, ' ', downButton]), deleteButton);
+
+    return row;
+  }
+
+  /**
+   * Renders the recipient rules
+   */
+  function renderRules() {
+    const container = document.getElementById('rule-list');
+    container.replaceChildren(...ruleList.map(renderRuleRow));
+  }
+
+  /**
+   * Validates and saves the recipient rules
+   */
+  function saveRules() {
+    const problem = ruleList.map(recipientRules.validateRule).find(Boolean);
+    if (problem) {
+      showStatus(i18n.getMessage('optionsRuleProblem', problem), 'rule-status');
+      return;
+    }
+
+    storage.set({ [RULES_KEY]: ruleList }, () => {
+      showStatus(i18n.getMessage('optionsRulesSaved'), 'rule-status');
+    });
+  }
+
+  /**
+   * Shows which rule, if any, the schedule send menu would recommend for the test recipients
+   * Uses the rules, business hours and time zones as currently edited
+   */
+  function testRules() {
+    const recipients = recipientRules.parsePatterns(document.getElementById('rule-test-recipients').value);
+    const result = document.getElementById('rule-test-result');
+    const recommendation = recipientRules.recommend(recipients, ruleList, {
+      calendar,
+      timeZone: timezones.resolveRecipientZone(recipients, zoneMappings)
+    });
+
+    if (!recommendation) {
+      result.textContent = recipients.length > 0 ? i18n.getMessage('optionsNoRuleMatches') : i18n.getMessage('optionsEnterAddresses');
+      return;
+    }
+    const { rule, recipient, pattern, date, timeZone } = recommendation;
+    const time = date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short', timeZone: timeZone || undefined });
+    result.textContent = timeZone
+      ? i18n.getMessage('optionsRecommendedInZone', [rule.name, time, timezones.getZoneLabel(timeZone), recipient, pattern])
+      : i18n.getMessage('optionsRecommended', [rule.name, time, recipient, pattern]);
+  }
+
+  /**
+   * Selects the stored send mode
+   * @param {string|undefined} sendMode - The stored send mode
+   */
+  function renderSendMode(sendMode) {
+    const radios = document.querySelectorAll('input[name="send-mode"]');
+    const selected = Array.from(radios).find(radio => radio.value === sendMode) || radios[0];
+    selected.checked = true;
+  }
+
+  /**
+   * Fills in the reminder settings
+   * @param {*} value - The stored reminder settings
+   */
+  function renderReminders(value) {
+    const settings = reminders.normalizeSettings(value);
+    Object.keys(REMINDER_INPUTS).forEach(type => {
+      document.getElementById(REMINDER_INPUTS[type].enabled).checked = settings[type].enabled;
+      document.getElementById(REMINDER_INPUTS[type].leadMinutes).value = settings[type].leadMinutes;
+    });
+  }
+
+  /**
+   * Saves the reminder settings, rejecting lead times out of range
+   */
+  function saveReminders() {
+    const settings = {};
+    Object.keys(REMINDER_INPUTS).forEach(type => {
+      settings[type] = {
+        enabled: document.getElementById(REMINDER_INPUTS[type].enabled).checked,
+        leadMinutes: Number(document.getElementById(REMINDER_INPUTS[type].leadMinutes).value)
+      };
+    });
+
+    const invalid = Object.keys(settings).some(type => {
+      const { leadMinutes } = settings[type];
+      return !Number.isInteger(leadMinutes) || leadMinutes < 1 || leadMinutes > reminders.MAX_LEAD_MINUTES;
+    });
+    if (invalid) {
+      showStatus(i18n.getMessage('optionsMinutesRange', reminders.MAX_LEAD_MINUTES), 'reminder-status');
+      return;
+    }
+
+    storage.set({ [REMINDERS_KEY]: settings }, () => {
+      showStatus(i18n.getMessage('optionsSaved'), 'reminder-status');
+    });
+  }
+
+  /**
+   * Lists the keyboard shortcuts with the keys currently assigned to them
+   */
+  function renderShortcuts() {
+    browserApi.commands.getAll((commands) => {
+      document.getElementById('shortcut-list').replaceChildren(...commands
+        .filter(command => command.description)
+        .map(command => createElement('li', {}, [
+          createElement('kbd', { textContent: command.shortcut || i18n.getMessage('optionsShortcutNotSet') }),
+          command.description
+        ])));
+    });
+  }
+
+  /**
+   * Shows whether sync is on, when it last ran and what stopped it
+   * @param {boolean} enabled - Whether sync is turned on
+   * @param {Object|undefined} state - Sync bookkeeping written by the background worker
+   */
+  function renderSyncState(enabled, state) {
+    document.getElementById('sync-enabled').checked = enabled;
+
+    let text = i18n.getMessage('optionsSyncLocal');
+    if (enabled && state?.error) {
+      text = i18n.getMessage('optionsSyncPaused', state.error);
+    } else if (enabled && state?.lastSyncedAt) {
+      text = i18n.getMessage('optionsLastSynced', new Date(state.lastSyncedAt).toLocaleString());
+    } else if (enabled) {
+      text = i18n.getMessage('optionsSyncWaiting');
+    }
+    document.getElementById('sync-state').textContent = text;
+  }
+
+  /**
+   * Saves text to a file in the user's downloads
+   * @param {string} text - File contents
+   * @param {string} type - MIME type
+   * @param {string} fileName - Suggested file name
+   */
+  function downloadFile(text, type, fileName) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    createElement('a', { href: url, download: fileName }).click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Downloads the synced settings and saved times as a JSON file
+   */
+  function exportSettings() {
+    storage.get(Object.keys(settingsSync.SYNCED_KEYS), (result) => {
+      const backup = settingsSync.exportBackup(result);
+      downloadFile(JSON.stringify(backup, null, 2), 'application/json',
+        `schedule-send-enhancer-${backup.exportedAt.slice(0, 10)}.json`);
+      showStatus(i18n.getMessage('optionsExported'), 'sync-status');
+    });
+  }
+
+  /**
+   * Reads the activity log filters
+   * @returns {Object} Filter for auditLog.filterEvents
+   */
+  function getAuditFilter() {
+    const type = document.getElementById('audit-type').value;
+    const from = document.getElementById('audit-from').value;
+    const to = document.getElementById('audit-to').value;
+    const toDate = to ? new Date(`${to}T00:00`) : null;
+    if (toDate) {
+      // Include the whole "to" day
+      toDate.setDate(toDate.getDate() + 1);
+    }
+    return {
+      types: type ? [type] : [],
+      query: document.getElementById('audit-query').value,
+      from: from ? new Date(`${from}T00:00`) : null,
+      to: toDate
+    };
+  }
+
+  /**
+   * Formats a time of the activity log
+   * @param {string|null} iso - ISO 8601 time
+   * @returns {string} The local date and time, or an empty string
+   */
+  function formatAuditTime(iso) {
+    return iso ? new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '';
+  }
+
+  /**
+   * Lists the activity log events matching the filters
+   */
+  function renderAuditLog() {
+    const events = auditLog.filterEvents(auditEvents, getAuditFilter());
+    document.getElementById('audit-events').replaceChildren(...events.map(event => {
+      const row = createElement('tr', {}, [
+        createElement('td', { textContent: formatAuditTime(event.at) }),
+        createElement('td', { textContent: auditLog.EVENT_LABELS[event.type] || event.type }),
+        createElement('td', { textContent: [event.subject || i18n.getMessage('noSubject'), event.source].filter(Boolean).join(' · ') }),
+        createElement('td', { textContent: formatAuditTime(event.targetISO) }),
+        createElement('td', { textContent: formatAuditTime(event.actualISO) }),
+        createElement('td', { textContent: event.detail })
+      ]);
+      row.dataset.type = event.type;
+      return row;
+    }));
+
+    document.getElementById('audit-summary').textContent = auditEvents.length === 0
+      ? i18n.getMessage('optionsAuditEmpty')
+      : i18n.getPlural('optionsAuditSummary', auditEvents.length, [events.length, auditEvents.length]);
+  }
+
+  /**
+   * Downloads the activity log events matching the filters
+   * @param {string} format - 'csv' or 'json'
+   */
+  function exportAuditLog(format) {
+    const events = auditLog.filterEvents(auditEvents, getAuditFilter());
+    const now = new Date();
+    const fileName = `schedule-send-enhancer-activity-${now.toISOString().slice(0, 10)}.${format}`;
+    if (format === 'csv') {
+      downloadFile(auditLog.toCSV(events), 'text/csv', fileName);
+    } else {
+      downloadFile(auditLog.toJSON(events, now), 'application/json', fileName);
+    }
+    showStatus(i18n.getPlural('optionsAuditExported', events.length), 'audit-status');
+  }
+
+  /**
+   * Loads the activity log and lists it
+   */
+  function loadAuditLog() {
+    storage.get([AUDIT_LOG_KEY], (result) => {
+      auditEvents = Array.isArray(result[AUDIT_LOG_KEY]) ? result[AUDIT_LOG_KEY] : [];
+      renderAuditLog();
+    });
+  }
+
+  /**
+   * Replaces the settings and saved times with the ones in a backup file
+   * @param {File} file - The selected file
+   */
+  function importSettings(file) {
+    const reader = new FileReader();
+    reader.addEventListener('load', () => {
+      try {
+        const { data, skipped } = settingsSync.importBackup(reader.result);
+        storage.set(data, () => {
+          loadSettings();
+          showStatus(skipped.length > 0
+            ? i18n.getMessage('optionsImportedExcept', [file.name, skipped.join(', ')])
+            : i18n.getMessage('optionsImported', file.name), 'sync-status');
+        });
+      } catch (e) {
+        showStatus(i18n.getMessage('optionsImportFailed', [file.name, e.message]), 'sync-status');
+      }
+    });
+    reader.readAsText(file);
+  }
+
+  /**
+   * Loads the stored settings into the editors
+   */
+  function loadSettings() {
+    const keys = [PRESETS_KEY, CALENDAR_KEY, ZONE_MAPPINGS_KEY, RULES_KEY, SEND_MODE_KEY, REMINDERS_KEY, SYNC_ENABLED_KEY, SYNC_STATE_KEY];
+    storage.get(keys, (result) => {
+      presetList = presets.normalizePresets(result[PRESETS_KEY]);
+      calendar = businessCalendar.normalizeCalendar(result[CALENDAR_KEY]);
+      zoneMappings = Array.isArray(result[ZONE_MAPPINGS_KEY]) ? result[ZONE_MAPPINGS_KEY] : [];
+      ruleList = recipientRules.normalizeRules(result[RULES_KEY]);
+      renderPresets();
+      renderCalendar();
+      renderZoneMappings();
+      renderRules();
+      renderSendMode(result[SEND_MODE_KEY]);
+      renderReminders(result[REMINDERS_KEY]);
+      renderSyncState(result[SYNC_ENABLED_KEY] === true, result[SYNC_STATE_KEY]);
+    });
+  }
+
+  /**
+   * Picks the account to edit, the one last picked in the popup or here, and fills the account switcher
+   * @param {Function} callback - Called once the account is set
+   */
+  function chooseAccount(callback) {
+    browserApi.storage.local.get([accounts.KEYS.registry, accounts.KEYS.selected], (result) => {
+      const registry = result[accounts.KEYS.registry];
+      const list = accounts.listAccounts(registry);
+      // Before Gmail has been opened, settings go where the first account will find them
+      accountId = accounts.getDefaultAccountId(registry, result[accounts.KEYS.selected]) || accounts.getAccountId({ index: 0 });
+
+      document.getElementById('account').replaceChildren(...list.map(account => createElement('option', {
+        value: account.id,
+        textContent: accounts.describeAccount(account),
+        selected: account.id === accountId
+      })));
+      document.getElementById('account-row').classList.toggle('hidden', list.length < 2);
+      callback();
+    });
+  }
+
+  /**
+   * Initializes the options page
+   */
+  function init() {
+    i18n.localizePage(document);
+    chooseAccount(() => {
+      loadSettings();
+      loadAuditLog();
+    });
+    renderShortcuts();
+
+    document.getElementById('account').addEventListener('change', (e) => {
+      accountId = e.target.value;
+      browserApi.storage.local.set({ [accounts.KEYS.selected]: accountId });
+      loadSettings();
+      loadAuditLog();
+    });
+
+    // Suggest the time zones the browser knows
+    if (typeof Intl.supportedValuesOf === 'function') {
+      document.getElementById('time-zone-names').replaceChildren(
+        ...Intl.supportedValuesOf('timeZone').map(zone => createElement('option', { value: zone }))
+      );
+    }
+
+    document.getElementById('add-preset').addEventListener('click', () => {
+      presetList.push(presets.createPreset());
+      renderPresets();
+    });
+
+    document.getElementById('reset-presets').addEventListener('click', () => {
+      presetList = presets.normalizePresets();
+      renderPresets();
+      showStatus(i18n.getMessage('optionsDefaultsRestored'));
+    });
+
+    document.getElementById('save-presets').addEventListener('click', savePresets);
+
+    document.getElementById('holiday-import').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        importHolidays(file);
+      }
+      e.target.value = '';
+    });
+
+    document.getElementById('clear-holidays').addEventListener('click', () => {
+      calendar.holidays = [];
+      renderHolidays();
+    });
+
+    document.getElementById('save-calendar').addEventListener('click', saveCalendar);
+
+    document.getElementById('add-zone-mapping').addEventListener('click', () => {
+      zoneMappings.push({ pattern: '', zone: '' });
+      renderZoneMappings();
+    });
+
+    document.getElementById('save-zone-mappings').addEventListener('click', saveZoneMappings);
+
+    document.getElementById('add-rule').addEventListener('click', () => {
+      ruleList.push(recipientRules.createRule());
+      renderRules();
+    });
+
+    document.getElementById('save-rules').addEventListener('click', saveRules);
+    document.getElementById('test-rules').addEventListener('click', testRules);
+
+    document.querySelectorAll('input[name="send-mode"]').forEach(radio => {
+      radio.addEventListener('change', () => {
+        storage.set({ [SEND_MODE_KEY]: radio.value }, () => {
+          showStatus(i18n.getMessage('optionsSaved'), 'send-mode-status');
+        });
+      });
+    });
+
+    Object.values(REMINDER_INPUTS).forEach(inputs => {
+      Object.values(inputs).forEach(id => document.getElementById(id).addEventListener('change', saveReminders));
+    });
+
+    document.getElementById('sync-enabled').addEventListener('change', (e) => {
+      storage.set({ [SYNC_ENABLED_KEY]: e.target.checked }, () => {
+        showStatus(i18n.getMessage(e.target.checked ? 'optionsSyncOn' : 'optionsSyncOff'), 'sync-status');
+      });
+    });
+
+    // Shortcuts can only be changed on the browser's own page
+    document.getElementById('change-shortcuts').addEventListener('click', browserApi.openShortcutSettings);
+
+    document.getElementById('export-backup').addEventListener('click', exportSettings);
+
+    document.getElementById('import-backup').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        importSettings(file);
+      }
+      e.target.value = '';
+    });
+
+    // Filter the activity log by event type, dates and text
+    document.getElementById('audit-type').replaceChildren(
+      createElement('option', { value: '', textContent: i18n.getMessage('optionsAllEvents') }),
+      ...Object.entries(auditLog.EVENT_LABELS).map(([value, label]) => createElement('option', { value, textContent: label }))
+    );
+    ['audit-type', 'audit-from', 'audit-to', 'audit-query'].forEach(id => {
+      document.getElementById(id).addEventListener('input', renderAuditLog);
+    });
+    document.getElementById('export-audit-csv').addEventListener('click', () => exportAuditLog('csv'));
+    document.getElementById('export-audit-json').addEventListener('click', () => exportAuditLog('json'));
+    document.getElementById('clear-audit').addEventListener('click', () => {
+      if (window.confirm(i18n.getMessage('optionsClearAuditConfirm'))) {
+        storage.remove(AUDIT_LOG_KEY, () => {
+          showStatus(i18n.getMessage('optionsAuditCleared'), 'audit-status');
+        });
+      }
+    });
+
+    // Show new activity and sync progress made by the background worker while the page is open
+    browserApi.storage.onChanged.addListener((changes, areaName) => {
+      const accountChanges = areaName === 'local' && accountId ? accounts.unscopeData(changes, accountId) : {};
+      if (accountChanges[AUDIT_LOG_KEY]) {
+        auditEvents = accountChanges[AUDIT_LOG_KEY].newValue || [];
+        renderAuditLog();
+      }
+      if (areaName === 'local' && (changes[SYNC_STATE_KEY] || changes[SYNC_ENABLED_KEY])) {
+        storage.get([SYNC_ENABLED_KEY, SYNC_STATE_KEY], (result) => {
+          renderSyncState(result[SYNC_ENABLED_KEY] === true, result[SYNC_STATE_KEY]);
+        });
+      }
+    });
+  }
+
+  init();
+
+})();
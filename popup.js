@@ -0,0 +1,464 @@
+// Popup script for Gmail Schedule Send Enhancer
+// Dashboard for the menu options, saved cancelled times and the connection to Gmail
+
+(function() {
+  'use strict';
+
+  const {
+    browserApi,
+    i18n,
+    accounts,
+    cancelledHistory,
+    presets,
+    businessCalendar,
+    gmailSelectors,
+    messages,
+    observerBudget,
+    scheduleLog
+  } = globalThis.ScheduleSendEnhancer;
+
+  // chrome.storage keys
+  const HISTORY_KEY = 'cancelled times';
+  const PRESETS_KEY = 'presets';
+  const CALENDAR_KEY = 'business calendar';
+  const SELECTOR_HEALTH_KEY = 'selector health';
+  const TYPED_TIME_ENTRY_KEY = 'typed time entry';
+  const SCHEDULE_LOG_KEY = 'schedule log';
+
+  const GMAIL_URL_PREFIX = 'https://mail.google.com/';
+  const GMAIL_URL_PATTERN = `${GMAIL_URL_PREFIX}*`;
+
+  const STATUS_LABELS = {
+    [gmailSelectors.STATUSES.ok]: i18n.getMessage('hookFound'),
+    [gmailSelectors.STATUSES.fallback]: i18n.getMessage('hookFallback'),
+    [gmailSelectors.STATUSES.missing]: i18n.getMessage('hookMissing')
+  };
+
+  // Stored settings and data shown in the popup
+  const state = {
+    // Account whose settings and saved times are shown, and the accounts seen on this computer
+    accountId: null,
+    registry: {},
+    presetList: [],
+    calendar: businessCalendar.normalizeCalendar(),
+    history: [],
+    taken: [],
+    typedTimeEntry: true
+  };
+
+  // chrome.storage.local, with each per-account key read and written for the account shown
+  const storage = accounts.createAccountStorage(browserApi.storage.local, callback => callback(state.accountId));
+
+  /**
+   * Creates an element with the given attributes and children
+   * @param {string} tagName - Element tag name
+   * @param {Object} [attributes] - Properties to assign to the element
+   * @param {Array<Node|string>} [children] - Child nodes or text
+   * @returns {HTMLElement} The element
+   */
+  function createElement(tagName, attributes = {}, children = []) {
+    const element = document.createElement(tagName);
+    Object.assign(element, attributes);
+    children.forEach(child => element.append(child));
+    return element;
+  }
+
+  /**
+   * Formats a date for the popup
+   * @param {Date} date - The date
+   * @returns {string} Formatted date like "Tue, Oct 20, 8:34 AM"
+   */
+  function formatDate(date) {
+    return date.toLocaleString(undefined, {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  }
+
+  /**
+   * Formats a date as the value of a datetime-local input
+   * @param {Date} date - The date
+   * @returns {string} Local date and time like "2026-10-20T08:34"
+   */
+  function toDateTimeLocalValue(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+      `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  /**
+   * Shows the overall status, naming every feature Gmail's UI changes have broken
+   * @param {Object|undefined} report - The stored health report
+   */
+  function renderStatus(report) {
+    const status = document.getElementById('status');
+    const unavailable = gmailSelectors.getUnavailableFeatures(report);
+
+    status.classList.remove('warning');
+    if (!report) {
+      status.textContent = i18n.getMessage('popupActiveUnchecked');
+      return;
+    }
+    if (unavailable.length === 0) {
+      status.textContent = i18n.getMessage('popupActive');
+      return;
+    }
+
+    const list = document.createElement('ul');
+    unavailable.forEach(feature => {
+      const item = document.createElement('li');
+      item.textContent = i18n.getMessage('popupFeatureUnavailable', feature);
+      list.appendChild(item);
+    });
+
+    status.classList.add('warning');
+    status.replaceChildren(i18n.getMessage('popupGmailChanged'), list);
+  }
+
+  /**
+   * Lists every hook that has been checked, with the strategy that found it
+   * @param {Object|undefined} report - The stored health report
+   */
+  function renderHooks(report) {
+    const hooks = report?.hooks || {};
+    const names = Object.keys(gmailSelectors.HOOKS).filter(name => hooks[name]);
+    if (names.length === 0) {
+      return;
+    }
+
+    document.getElementById('hook-list').replaceChildren(...names.map(name => {
+      const row = document.createElement('tr');
+      [name, STATUS_LABELS[hooks[name].status] || hooks[name].status, hooks[name].strategy || ''].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      return row;
+    }));
+    document.getElementById('hooks').classList.remove('hidden');
+  }
+
+  /**
+   * Shows the cost of the extension's observers in each connected Gmail tab
+   * @param {Object[]} replies - Status replies from the Gmail tabs
+   */
+  function renderPerformance(replies) {
+    const tabs = replies.filter(reply => reply.observers);
+    if (tabs.length === 0) {
+      return;
+    }
+
+    document.getElementById('performance-list').replaceChildren(...tabs.map((reply, index) => {
+      const { observers } = reply;
+      const connected = Object.keys(observers.connected || {}).sort()
+        .map(name => `${observers.connected[name]} ${name}`);
+      const row = document.createElement('tr');
+      row.classList.toggle('over-budget', observers.overBudget);
+      [
+        reply.account || i18n.getMessage('popupGmailTab', index + 1),
+        `${observers.overBudget ? '⚠ ' : ''}${observerBudget.describeStats(observers)}`,
+        connected.length > 0 ? i18n.getMessage('popupObserving', connected.join(', ')) : i18n.getMessage('popupNotObserving')
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      return row;
+    }));
+    document.getElementById('performance').classList.remove('hidden');
+  }
+
+  /**
+   * Describes what a preset will resolve to next
+   * @param {Object} preset - The preset
+   * @returns {string} Description such as "Next: Tue, Oct 20, 8:34 AM (random minute)"
+   */
+  function describePreset(preset) {
+    if (preset.type === presets.PRESET_TYPES.cancelled) {
+      const count = cancelledHistory.pruneExpired(state.history).length;
+      return i18n.getPlural('popupSavedTimes', count);
+    }
+
+    const notes = [];
+    if (preset.randomMinute) {
+      notes.push(i18n.getMessage('popupRandomMinute'));
+    }
+    if (preset.recipientTimeZone) {
+      notes.push(i18n.getMessage('popupRecipientZone'));
+    }
+    const next = formatDate(presets.resolvePreset(preset, { calendar: state.calendar, taken: state.taken }));
+    return notes.length > 0
+      ? i18n.getMessage('popupNextWithNotes', [next, notes.join(', ')])
+      : i18n.getMessage('popupNext', next);
+  }
+
+  /**
+   * Renders a toggle row for a menu option
+   * @param {string} label - Option label
+   * @param {string} detail - Text under the label
+   * @param {boolean} enabled - Whether the option is on
+   * @param {Function} onToggle - Called with the new state
+   * @returns {HTMLElement} The row
+   */
+  function renderToggle(label, detail, enabled, onToggle) {
+    const checkbox = createElement('input', { type: 'checkbox', checked: enabled });
+    checkbox.setAttribute('aria-label', i18n.getMessage('popupShowInMenu', label));
+    checkbox.addEventListener('change', () => onToggle(checkbox.checked));
+
+    return createElement('li', {}, [
+      checkbox,
+      createElement('div', { className: 'item-main' }, [
+        createElement('div', { textContent: label }),
+        createElement('div', { className: 'item-detail', textContent: detail })
+      ])
+    ]);
+  }
+
+  /**
+   * Renders the menu option toggles with the next value of each preset
+   */
+  function renderOptions() {
+    const rows = [
+      renderToggle(i18n.getMessage('typedTimeLabel'), i18n.getMessage('popupTypedTimeDetail'), state.typedTimeEntry, (enabled) => {
+        state.typedTimeEntry = enabled;
+        storage.set({ [TYPED_TIME_ENTRY_KEY]: enabled });
+      }),
+      ...state.presetList.map(preset => renderToggle(preset.label, describePreset(preset), preset.enabled, (enabled) => {
+        preset.enabled = enabled;
+        storage.set({ [PRESETS_KEY]: state.presetList });
+      }))
+    ];
+    document.getElementById('option-list').replaceChildren(...rows);
+  }
+
+  /**
+   * Saves the cancelled time history and re-renders it
+   * @param {Object[]} history - The new history
+   */
+  function saveHistory(history) {
+    state.history = history;
+    storage.set({ [HISTORY_KEY]: history });
+    renderCancelledTimes();
+    renderOptions();
+  }
+
+  /**
+   * Replaces a cancelled time row with an editor for its time
+   * @param {HTMLElement} row - The row
+   * @param {Object} entry - The history entry
+   * @param {Date} date - The entry's current time
+   */
+  function editCancelledTime(row, entry, date) {
+    const input = createElement('input', { type: 'datetime-local', value: toDateTimeLocalValue(date) });
+    input.setAttribute('aria-label', i18n.getMessage('popupNewTime'));
+    const saveButton = createElement('button', { type: 'button', textContent: i18n.getMessage('save') });
+    const cancelButton = createElement('button', { type: 'button', textContent: i18n.getMessage('cancel') });
+    const error = createElement('div', { className: 'item-detail' });
+
+    saveButton.addEventListener('click', () => {
+      const newDate = new Date(input.value);
+      if (isNaN(newDate.getTime()) || newDate <= new Date()) {
+        error.textContent = i18n.getMessage('popupPickFuture');
+        return;
+      }
+      saveHistory(cancelledHistory.updateEntry(state.history, entry, {
+        time: formatDate(newDate),
+        timeISO: newDate.toISOString()
+      }));
+    });
+    cancelButton.addEventListener('click', renderCancelledTimes);
+
+    row.replaceChildren(
+      createElement('div', { className: 'item-main' }, [input, error]),
+      saveButton,
+      cancelButton
+    );
+    input.focus();
+  }
+
+  /**
+   * Renders the saved cancelled times with their source email
+   */
+  function renderCancelledTimes() {
+    const list = document.getElementById('cancelled-list');
+    const entries = cancelledHistory.pruneExpired(state.history);
+    if (entries.length === 0) {
+      list.replaceChildren(createElement('li', {
+        className: 'empty',
+        textContent: i18n.getMessage('popupNoSavedTimes')
+      }));
+      return;
+    }
+
+    list.replaceChildren(...entries.map(entry => {
+      const date = cancelledHistory.getEntryDate(entry);
+      const source = [entry.subject || i18n.getMessage('noSubject')];
+      if (entry.recipients.length > 0) {
+        source.push(i18n.getMessage('popupRecipientsTo', entry.recipients.join(', ')));
+      }
+
+      const editButton = createElement('button', { type: 'button', textContent: i18n.getMessage('edit') });
+      const deleteButton = createElement('button', { type: 'button', textContent: i18n.getMessage('delete') });
+      const row = createElement('li', {}, [
+        createElement('div', { className: 'item-main' }, [
+          createElement('div', { textContent: formatDate(date) }),
+          createElement('div', { className: 'item-detail', textContent: source.join(' '), title: source.join(' ') })
+        ]),
+        editButton,
+        deleteButton
+      ]);
+
+      editButton.addEventListener('click', () => editCancelledTime(row, entry, date));
+      deleteButton.addEventListener('click', () => {
+        saveHistory(cancelledHistory.removeEntry(state.history, entry));
+      });
+      return row;
+    }));
+  }
+
+  /**
+   * Asks every open Gmail tab whether the content script is running in it
+   */
+  function checkConnection() {
+    const connection = document.getElementById('connection');
+
+    browserApi.tabs.query({ url: GMAIL_URL_PATTERN }, (tabs) => {
+      if (tabs.length === 0) {
+        connection.className = 'connection disconnected';
+        connection.textContent = i18n.getMessage('popupNoGmailTab');
+        return;
+      }
+
+      const replies = [];
+      let pending = tabs.length;
+      const finish = () => {
+        pending--;
+        if (pending > 0) {
+          return;
+        }
+
+        if (replies.length === 0) {
+          connection.className = 'connection disconnected';
+          connection.textContent = i18n.getMessage('popupNotConnected');
+          return;
+        }
+        const accounts = replies.map(reply => reply.account).filter(Boolean);
+        connection.className = 'connection connected';
+        const connected = i18n.getPlural('popupConnected', replies.length);
+        connection.textContent = accounts.length > 0
+          ? i18n.getMessage('popupConnectedAccounts', [connected, Array.from(new Set(accounts)).join(', ')])
+          : connected;
+        renderPerformance(replies);
+      };
+
+      tabs.forEach(tab => {
+        browserApi.tabs.sendMessage(tab.id, messages.createMessage(messages.MESSAGE_TYPES.ping), (response) => {
+          // Tabs opened before the extension was installed have no content script
+          if (!browserApi.getLastError() && messages.isMessage(response, messages.MESSAGE_TYPES.status)) {
+            replies.push(response);
+          }
+          finish();
+        });
+      });
+    });
+  }
+
+  /**
+   * Loads everything the popup shows and renders it
+   */
+  function load() {
+    const keys = [HISTORY_KEY, PRESETS_KEY, CALENDAR_KEY, SELECTOR_HEALTH_KEY, TYPED_TIME_ENTRY_KEY, SCHEDULE_LOG_KEY];
+    storage.get(keys, (result) => {
+      state.presetList = presets.normalizePresets(result[PRESETS_KEY]);
+      state.calendar = businessCalendar.normalizeCalendar(result[CALENDAR_KEY]);
+      state.history = result[HISTORY_KEY] || [];
+      state.typedTimeEntry = result[TYPED_TIME_ENTRY_KEY] !== false;
+      state.taken = scheduleLog.getScheduledTimes(result[SCHEDULE_LOG_KEY]);
+
+      renderStatus(result[SELECTOR_HEALTH_KEY]);
+      renderHooks(result[SELECTOR_HEALTH_KEY]);
+      renderOptions();
+      renderCancelledTimes();
+    });
+  }
+
+  /**
+   * Fills the account switcher, which is only shown when more than one account has been seen
+   */
+  function renderAccounts() {
+    const list = accounts.listAccounts(state.registry);
+    const select = document.getElementById('account');
+    select.replaceChildren(...list.map(account => createElement('option', {
+      value: account.id,
+      textContent: accounts.describeAccount(account),
+      selected: account.id === state.accountId
+    })));
+    document.getElementById('account-row').classList.toggle('hidden', list.length < 2);
+  }
+
+  /**
+   * Picks the account to show: the one of the Gmail tab the popup was opened from,
+   * otherwise the one picked last
+   * @param {Function} callback - Called once state.accountId is set
+   */
+  function chooseAccount(callback) {
+    browserApi.storage.local.get([accounts.KEYS.registry, accounts.KEYS.selected], (result) => {
+      state.registry = result[accounts.KEYS.registry] || {};
+      browserApi.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        const tab = tabs[0];
+        const tabAccount = tab && tab.url && tab.url.startsWith(GMAIL_URL_PREFIX)
+          ? accounts.findAccountByIndex(state.registry, accounts.parseAccountIndex(tab.url))
+          : null;
+        // Before Gmail has been opened, settings go where the first account will find them
+        state.accountId = tabAccount?.id ||
+          accounts.getDefaultAccountId(state.registry, result[accounts.KEYS.selected]) ||
+          accounts.getAccountId({ index: 0 });
+        renderAccounts();
+        callback();
+      });
+    });
+  }
+
+  /**
+   * Initializes the popup
+   */
+  function init() {
+    i18n.localizePage(document);
+    chooseAccount(load);
+    checkConnection();
+
+    // Pick up times cancelled, health checks run and accounts seen while the popup is open
+    browserApi.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !state.accountId) {
+        return;
+      }
+      if (changes[accounts.KEYS.registry]) {
+        state.registry = changes[accounts.KEYS.registry].newValue || {};
+        renderAccounts();
+      }
+      const accountChanges = accounts.unscopeData(changes, state.accountId);
+      if (accountChanges[HISTORY_KEY] || accountChanges[SELECTOR_HEALTH_KEY]) {
+        load();
+      }
+    });
+
+    document.getElementById('account').addEventListener('change', (e) => {
+      state.accountId = e.target.value;
+      browserApi.storage.local.set({ [accounts.KEYS.selected]: state.accountId });
+      load();
+    });
+
+    // The options page opens on the account shown here
+    document.getElementById('open-options').addEventListener('click', () => {
+      browserApi.storage.local.set({ [accounts.KEYS.selected]: state.accountId }, () => {
+        browserApi.runtime.openOptionsPage();
+      });
+    });
+  }
+
+  init();
+
+})();
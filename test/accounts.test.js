@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parseAccountIndex,
+  getAccountId,
+  scopeKey,
+  parseKey,
+  scopeData,
+  unscopeData,
+  listStoredAccounts,
+  getClaimKeys,
+  claimData,
+  registerAccount,
+  listAccounts,
+  findAccountByIndex,
+  getDefaultAccountId,
+  describeAccount,
+  getAccountUrl,
+  createAccountStorage
+} = require('../lib/accounts');
+
+const NOW = new Date(2026, 9, 19, 10, 0).getTime();
+
+test('accounts are told apart by email address, or by URL index until it is known', () => {
+  assert.strictEqual(parseAccountIndex('https://mail.google.com/mail/u/2/#inbox'), 2);
+  assert.strictEqual(parseAccountIndex('https://mail.google.com/mail/#inbox'), 0);
+  assert.strictEqual(getAccountId({ email: 'Ana@Example.com', index: 2 }), 'ana@example.com');
+  assert.strictEqual(getAccountId({ index: 2 }), 'u/2');
+});
+
+test('only per-account keys are scoped', () => {
+  assert.strictEqual(scopeKey('presets', 'ana@example.com'), 'account:ana@example.com:presets');
+  assert.strictEqual(scopeKey('selector health', 'ana@example.com'), 'selector health');
+  assert.deepStrictEqual(parseKey('account:u/1:schedule log'), { accountId: 'u/1', key: 'schedule log' });
+  assert.strictEqual(parseKey('account:ana@example.com:presets#2'), null);
+  assert.strictEqual(parseKey('presets'), null);
+});
+
+test('an account sees its own values and the shared ones, under plain keys', () => {
+  const data = {
+    ...scopeData({ 'send mode': 'review', 'sync enabled': true }, 'ana@example.com'),
+    ...scopeData({ 'send mode': 'auto' }, 'sam@example.com'),
+    // Not yet claimed by an account
+    'presets': []
+  };
+
+  assert.deepStrictEqual(unscopeData(data, 'ana@example.com'), { 'send mode': 'review', 'sync enabled': true });
+  assert.deepStrictEqual(unscopeData(data, 'sam@example.com'), { 'send mode': 'auto', 'sync enabled': true });
+  assert.deepStrictEqual(listStoredAccounts(data), ['ana@example.com', 'sam@example.com']);
+});
+
+test('values from before accounts were kept apart, or from the URL index, move to the account', () => {
+  const sources = [null, 'u/1'];
+  assert.ok(getClaimKeys('ana@example.com', sources).includes('account:u/1:presets'));
+
+  const { changes, removed } = claimData({
+    'cancelled times': ['legacy'],
+    'account:u/1:cancelled times': ['index'],
+    'account:u/1:send mode': 'review',
+    'presets': ['legacy'],
+    'account:ana@example.com:presets': ['own']
+  }, 'ana@example.com', sources);
+
+  assert.deepStrictEqual(changes, {
+    'account:ana@example.com:cancelled times': ['legacy'],
+    'account:ana@example.com:send mode': 'review'
+  });
+  assert.deepStrictEqual(removed, ['cancelled times', 'account:u/1:send mode']);
+});
+
+test('the registry follows accounts as their URL index changes', () => {
+  let registry = registerAccount(undefined, { index: 0 }, NOW);
+  registry = registerAccount(registry, { email: 'ana@example.com', index: 0 }, NOW + 1);
+  registry = registerAccount(registry, { email: 'sam@example.com', index: 1 }, NOW + 2);
+  // Signed in again in the other order
+  registry = registerAccount(registry, { email: 'sam@example.com', index: 0 }, NOW + 3);
+
+  assert.deepStrictEqual(listAccounts(registry), [
+    { id: 'sam@example.com', email: 'sam@example.com', index: 0, lastSeen: NOW + 3 },
+    { id: 'ana@example.com', email: 'ana@example.com', index: null, lastSeen: NOW + 1 }
+  ]);
+  assert.strictEqual(findAccountByIndex(registry, 0).id, 'sam@example.com');
+  assert.strictEqual(findAccountByIndex(registry, 1), null);
+  assert.strictEqual(getDefaultAccountId(registry, 'ana@example.com'), 'ana@example.com');
+  assert.strictEqual(getDefaultAccountId(registry, 'gone@example.com'), 'sam@example.com');
+  assert.strictEqual(getDefaultAccountId(undefined), null);
+});
+
+test('accounts are named and opened by their index', () => {
+  assert.strictEqual(describeAccount({ email: 'ana@example.com', index: 0 }), 'ana@example.com');
+  assert.strictEqual(describeAccount({ email: null, index: 1 }), 'Account 2 (/u/1)');
+  assert.strictEqual(getAccountUrl({ index: 1 }), 'https://mail.google.com/mail/u/1/');
+  assert.strictEqual(getAccountUrl({ index: null }), 'https://mail.google.com/mail/u/0/');
+});
+
+test('account storage reads and writes the account\'s keys once the account is known', () => {
+  const data = { 'account:ana@example.com:presets': ['ana'], 'account:sam@example.com:presets': ['sam'] };
+  const area = {
+    get: (keys, callback) => callback(Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]]))),
+    set: (values, callback) => {
+      Object.assign(data, values);
+      callback?.();
+    },
+    remove: (keys, callback) => {
+      keys.forEach(key => delete data[key]);
+      callback?.();
+    }
+  };
+  const waiting = [];
+  const storage = createAccountStorage(area, callback => waiting.push(callback));
+
+  let result = null;
+  storage.get(['presets', 'sync enabled'], (values) => {
+    result = values;
+  });
+  storage.set({ 'send mode': 'auto', 'sync enabled': true });
+  assert.strictEqual(result, null, 'nothing is read before the account is known');
+
+  waiting.forEach(callback => callback('ana@example.com'));
+  assert.deepStrictEqual(result, { presets: ['ana'] });
+  assert.strictEqual(data['account:ana@example.com:send mode'], 'auto');
+  assert.strictEqual(data['sync enabled'], true);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  EXPORT_FORMAT,
+  EVENT_TYPES,
+  createEvent,
+  addEvent,
+  filterEvents,
+  toCSV,
+  toJSON
+} = require('../lib/audit-log');
+
+// Monday, October 19 2026, 10:00 AM local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+/**
+ * Builds a log of a cancel, a preset request and its confirmation, newest first
+ * @returns {Object[]} The log
+ */
+function buildLog() {
+  const target = new Date(2026, 9, 20, 8, 30).toISOString();
+  return [
+    createEvent(EVENT_TYPES.cancelCaptured, {
+      subject: 'Budget review',
+      recipients: ['mia@acme.co.jp'],
+      actualISO: new Date(2026, 9, 22, 15, 15).toISOString()
+    }, NOW.getTime() - 2 * 24 * 60 * 60 * 1000),
+    createEvent(EVENT_TYPES.optionSelected, { source: 'Tomorrow morning random', subject: 'Quarterly numbers', targetISO: target }, NOW.getTime()),
+    createEvent(EVENT_TYPES.verified, { source: 'Tomorrow morning random', subject: 'Quarterly numbers', targetISO: target, actualISO: target }, NOW.getTime() + 1000)
+  ].reduce((log, event) => addEvent(log, event), []);
+}
+
+test('events are added newest first and capped', () => {
+  const log = buildLog();
+  assert.deepStrictEqual(log.map(event => event.type), ['verified', 'option-selected', 'cancel-captured']);
+  assert.strictEqual(log[0].at, new Date(NOW.getTime() + 1000).toISOString());
+  assert.deepStrictEqual(log[2].recipients, ['mia@acme.co.jp']);
+  assert.strictEqual(log[1].actualISO, null);
+
+  assert.deepStrictEqual(addEvent(log, createEvent(EVENT_TYPES.failed), 2).map(event => event.type), ['failed', 'verified']);
+});
+
+test('events can be filtered by type, text and date', () => {
+  const log = buildLog();
+  assert.deepStrictEqual(filterEvents(log, { types: [EVENT_TYPES.verified, EVENT_TYPES.cancelCaptured] }).map(event => event.type),
+    ['verified', 'cancel-captured']);
+  assert.deepStrictEqual(filterEvents(log, { query: 'MIA@' }).map(event => event.subject), ['Budget review']);
+  assert.deepStrictEqual(filterEvents(log, { query: 'morning' }).length, 2);
+  assert.deepStrictEqual(
+    filterEvents(log, { from: new Date(2026, 9, 19), to: new Date(2026, 9, 20) }).map(event => event.type),
+    ['verified', 'option-selected']
+  );
+  assert.strictEqual(filterEvents(undefined).length, 0);
+});
+
+test('CSV exports quote special characters and defuse formulas', () => {
+  const csv = toCSV([createEvent(EVENT_TYPES.failed, {
+    subject: '=HYPERLINK("x")',
+    recipients: ['a@example.com', 'b@example.com'],
+    detail: 'Line one\nline two, with a comma'
+  }, NOW.getTime())]);
+  const [header, row] = csv.split('\r\n');
+
+  assert.strictEqual(header, 'Time,Event,Source,Subject,Recipients,Thread ID,Draft ID,Requested time,Gmail time,Detail,Attempt ID');
+  assert.ok(row.startsWith(`${NOW.toISOString()},failed,,"'=HYPERLINK(""x"")",a@example.com; b@example.com,,,,,"Line one`));
+  assert.ok(csv.endsWith('line two, with a comma",\r\n'));
+});
+
+test('JSON exports carry their format and export time', () => {
+  const exported = JSON.parse(toJSON(buildLog(), NOW));
+  assert.strictEqual(exported.format, EXPORT_FORMAT);
+  assert.strictEqual(exported.exportedAt, NOW.toISOString());
+  assert.strictEqual(exported.events.length, 3);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const browserApi = require('../lib/browser-api');
+
+/**
+ * Makes a namespace available as a global for the length of a test
+ * @param {Object} t - The test context
+ * @param {string} name - 'chrome' or 'browser'
+ * @param {Object} namespace - The stand-in namespace
+ */
+function useGlobal(t, name, namespace) {
+  globalThis[name] = namespace;
+  t.after(() => { delete globalThis[name]; });
+}
+
+test('Chrome calls take callbacks, with errors from chrome.runtime.lastError', (t) => {
+  const chrome = {
+    runtime: { lastError: null },
+    storage: {
+      local: {
+        get(keys, callback) {
+          callback({ [keys[0]]: 1 });
+        },
+        set(values, callback) {
+          chrome.runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' };
+          callback();
+          chrome.runtime.lastError = null;
+        }
+      }
+    }
+  };
+  useGlobal(t, 'chrome', chrome);
+
+  let read = null;
+  browserApi.storage.local.get(['a'], (result) => {
+    read = { result, error: browserApi.getLastError() };
+  });
+  assert.deepStrictEqual(read, { result: { a: 1 }, error: null });
+
+  let written = null;
+  browserApi.storage.local.set({ a: 2 }, () => {
+    written = browserApi.getLastError();
+  });
+  assert.deepStrictEqual(written, { message: 'QUOTA_BYTES quota exceeded' });
+  assert.strictEqual(browserApi.getLastError(), null, 'the error only lasts for the callback');
+
+  assert.doesNotThrow(() => browserApi.storage.local.set({ a: 3 }), 'callbacks are optional');
+});
+
+test('Firefox promises are turned into callbacks', async (t) => {
+  const browser = {
+    runtime: {},
+    storage: {
+      sync: {
+        get: keys => Promise.resolve({ [keys]: 'synced' }),
+        set: () => Promise.reject(new Error('Quota exceeded'))
+      }
+    }
+  };
+  useGlobal(t, 'chrome', { runtime: {} });
+  useGlobal(t, 'browser', browser);
+
+  const read = await new Promise((resolve) => {
+    browserApi.storage.sync.get('a', result => resolve({ result, error: browserApi.getLastError() }));
+  });
+  assert.deepStrictEqual(read, { result: { a: 'synced' }, error: null });
+
+  const written = await new Promise((resolve) => {
+    browserApi.storage.sync.set({ a: 1 }, result => resolve({ result, error: browserApi.getLastError() }));
+  });
+  assert.deepStrictEqual(written, { result: undefined, error: { message: 'Quota exceeded' } });
+});
+
+test('events and shortcut settings use the browser in use', (t) => {
+  const opened = [];
+  const listeners = [];
+  const chrome = {
+    runtime: {},
+    alarms: { onAlarm: { addListener: listener => listeners.push(listener) } },
+    tabs: { create: (options, callback) => { opened.push(options.url); callback(); } }
+  };
+  useGlobal(t, 'chrome', chrome);
+
+  const listener = () => {};
+  browserApi.alarms.onAlarm.addListener(listener);
+  assert.deepStrictEqual(listeners, [listener]);
+
+  browserApi.openShortcutSettings();
+  assert.deepStrictEqual(opened, ['chrome://extensions/shortcuts']);
+
+  let firefoxOpened = false;
+  useGlobal(t, 'browser', {
+    runtime: {},
+    commands: { openShortcutSettings: () => { firefoxOpened = true; return Promise.resolve(); } }
+  });
+  browserApi.openShortcutSettings();
+  assert.ok(firefoxOpened);
+  assert.deepStrictEqual(opened, ['chrome://extensions/shortcuts'], 'Firefox has its own page');
+});
@@ -0,0 +1,245 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const vm = require('node:vm');
+const zlib = require('node:zlib');
+
+const {
+  TARGETS,
+  readBackgroundScripts,
+  createManifest,
+  createZip,
+  build
+} = require('../build');
+
+// Synchronous API methods, which return their value in Firefox too
+const SYNC_RESULTS = {
+  'i18n.getMessage': '',
+  'i18n.getUILanguage': 'en'
+};
+
+// What the stubbed asynchronous API methods return
+const RESULTS = {
+  'storage.local.get': {},
+  'storage.sync.get': {},
+  'alarms.getAll': [],
+  'tabs.query': []
+};
+
+/**
+ * Creates a stand-in for the chrome or browser namespace that records API calls and listeners
+ * @param {boolean} promiseBased - True to return promises like Firefox, false to call back like Chrome
+ * @returns {{namespace: Object, calls: string[], listeners: Object<string, Function>}} The namespace and its records
+ */
+function createNamespace(promiseBased) {
+  const calls = [];
+  const listeners = {};
+  const node = apiPath => new Proxy(function() {}, {
+    get(target, name) {
+      if (name === 'addListener') {
+        return listener => { listeners[apiPath] = listener; };
+      }
+      if (name === 'then' || name === 'lastError') {
+        return undefined;
+      }
+      return node(apiPath ? `${apiPath}.${name}` : name);
+    },
+    apply(target, thisArg, args) {
+      calls.push(apiPath);
+      if (apiPath in SYNC_RESULTS) {
+        return SYNC_RESULTS[apiPath];
+      }
+      if (promiseBased) {
+        return Promise.resolve(RESULTS[apiPath]);
+      }
+      const callback = args.find(arg => typeof arg === 'function');
+      if (callback) {
+        callback(RESULTS[apiPath]);
+      }
+      return undefined;
+    }
+  });
+  return { namespace: node(''), calls, listeners };
+}
+
+/**
+ * Lists the files below a folder
+ * @param {string} dir - Folder
+ * @param {string} [prefix] - Path of dir inside the bundle
+ * @returns {string[]} Paths relative to dir, with forward slashes, sorted
+ */
+function listBundle(dir, prefix = '') {
+  return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })
+    .flatMap(entry => {
+      const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+      return entry.isDirectory() ? listBundle(dir, name) : [name];
+    })
+    .sort();
+}
+
+/**
+ * Lists the files a manifest refers to
+ * @param {Object} manifest - Parsed manifest
+ * @returns {string[]} Paths inside the bundle
+ */
+function listManifestFiles(manifest) {
+  return [
+    ...(manifest.background.scripts || [manifest.background.service_worker]),
+    ...manifest.content_scripts.flatMap(script => [...(script.js || []), ...(script.css || [])]),
+    manifest.action.default_popup,
+    manifest.options_ui.page,
+    ...Object.values(manifest.icons),
+    ...Object.values(manifest.action.default_icon || {}),
+    `_locales/${manifest.default_locale}/messages.json`
+  ];
+}
+
+/**
+ * Reads every entry of a zip archive, checking each one's CRC
+ * @param {Buffer} zip - The archive
+ * @returns {Object<string, Buffer>} Contents by path
+ */
+function readZip(zip) {
+  const end = zip.length - 22;
+  assert.strictEqual(zip.readUInt32LE(end), 0x06054b50, 'the archive ends with its directory');
+  const count = zip.readUInt16LE(end + 10);
+  let position = zip.readUInt32LE(end + 16);
+
+  const files = {};
+  for (let index = 0; index < count; index++) {
+    assert.strictEqual(zip.readUInt32LE(position), 0x02014b50, 'directory entry');
+    const crc = zip.readUInt32LE(position + 16);
+    const compressedSize = zip.readUInt32LE(position + 20);
+    const nameLength = zip.readUInt16LE(position + 28);
+    const extraLength = zip.readUInt16LE(position + 30);
+    const commentLength = zip.readUInt16LE(position + 32);
+    const offset = zip.readUInt32LE(position + 42);
+    const name = zip.toString('utf8', position + 46, position + 46 + nameLength);
+
+    assert.strictEqual(zip.readUInt32LE(offset), 0x04034b50, `${name} has a local header`);
+    const dataStart = offset + 30 + zip.readUInt16LE(offset + 26) + zip.readUInt16LE(offset + 28);
+    const data = zlib.inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize));
+    assert.strictEqual(zlib.crc32(data), crc, `${name} matches its CRC`);
+
+    files[name] = data;
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+}
+
+/**
+ * Runs a bundle's background scripts the way the browser loads them
+ * @param {string} dir - Unpacked bundle
+ * @param {Object} manifest - The bundle's manifest
+ * @param {Object} globals - chrome and/or browser namespaces
+ */
+function loadBackground(dir, manifest, globals) {
+  const context = vm.createContext({ console, setTimeout, clearTimeout, ...globals });
+  const run = file => vm.runInContext(fs.readFileSync(path.join(dir, file), 'utf8'), context, { filename: file });
+  if (manifest.background.service_worker) {
+    context.importScripts = (...files) => files.forEach(run);
+    run(manifest.background.service_worker);
+    return;
+  }
+  manifest.background.scripts.forEach(run);
+}
+
+test('background libraries are read from importScripts', () => {
+  const source = "if (ready) {\n  importScripts('lib/a.js',\n    'lib/b.js');\n}";
+  assert.deepStrictEqual(readBackgroundScripts(source), ['lib/a.js', 'lib/b.js']);
+  assert.throws(() => readBackgroundScripts('self.onmessage = null;'), /importScripts/);
+});
+
+test('only the Firefox manifest changes', () => {
+  const manifest = { name: 'Test', background: { service_worker: 'background.js' } };
+  assert.strictEqual(createManifest(manifest, TARGETS.chrome, ['lib/a.js']), manifest);
+
+  const firefox = createManifest(manifest, TARGETS.firefox, ['lib/a.js']);
+  assert.deepStrictEqual(firefox.background, { scripts: ['lib/a.js', 'background.js'] });
+  assert.ok(firefox.browser_specific_settings.gecko.id);
+  assert.deepStrictEqual(manifest.background, { service_worker: 'background.js' }, 'the source is left alone');
+});
+
+test('zip archives round-trip', () => {
+  const files = [
+    { name: 'a.txt', data: Buffer.from('hello') },
+    { name: 'lib/empty.js', data: Buffer.alloc(0) }
+  ];
+  const zip = createZip(files);
+  assert.deepStrictEqual(readZip(zip), { 'a.txt': Buffer.from('hello'), 'lib/empty.js': Buffer.alloc(0) });
+  assert.deepStrictEqual(createZip(files), zip, 'the same files give the same archive');
+});
+
+test('the Chrome and Firefox packages are valid', async (t) => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-send-build-'));
+  t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+  const results = build({ outDir });
+  const english = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '_locales', 'en', 'messages.json'), 'utf8'));
+
+  for (const target of Object.values(TARGETS)) {
+    const { dir, zip } = results[target];
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+    const bundle = listBundle(dir);
+
+    assert.strictEqual(manifest.manifest_version, 3, `${target} manifest version`);
+    assert.match(manifest.version, /^\d+(\.\d+){0,3}$/, `${target} version`);
+    (JSON.stringify(manifest).match(/__MSG_\w+__/g) || []).forEach(token => {
+      assert.ok(english[token.slice(6, -2)], `${target} ${token} is translated`);
+    });
+
+    listManifestFiles(manifest).forEach(file => {
+      assert.ok(bundle.includes(file), `${target} has ${file}`);
+    });
+    bundle.filter(file => file.endsWith('.html')).forEach(page => {
+      const html = fs.readFileSync(path.join(dir, page), 'utf8');
+      Array.from(html.matchAll(/<(?:script|link)[^>]+(?:src|href)="([^"]+)"/g), ([, file]) => file).forEach(file => {
+        assert.ok(bundle.includes(file), `${target} ${page} can load ${file}`);
+      });
+    });
+    bundle.filter(file => file.endsWith('.js')).forEach(file => {
+      assert.doesNotThrow(() => new vm.Script(fs.readFileSync(path.join(dir, file), 'utf8'), { filename: file }), `${target} ${file} parses`);
+    });
+
+    const archived = readZip(fs.readFileSync(zip));
+    assert.deepStrictEqual(Object.keys(archived).sort(), bundle, `${target} package holds the bundle`);
+    bundle.forEach(file => {
+      assert.ok(archived[file].equals(fs.readFileSync(path.join(dir, file))), `${target} package ${file}`);
+    });
+  }
+
+  const chrome = results.chrome.manifest;
+  assert.strictEqual(chrome.background.service_worker, 'background.js');
+  assert.strictEqual(chrome.background.scripts, undefined);
+  assert.strictEqual(chrome.browser_specific_settings, undefined);
+
+  const firefox = results.firefox.manifest;
+  assert.strictEqual(firefox.background.service_worker, undefined);
+  assert.strictEqual(firefox.background.scripts[firefox.background.scripts.length - 1], 'background.js');
+  assert.match(firefox.browser_specific_settings.gecko.id, /@/);
+});
+
+test('the background script starts in both browsers', async (t) => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-send-build-'));
+  t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+  const results = build({ outDir });
+
+  const chrome = createNamespace(false);
+  loadBackground(results.chrome.dir, results.chrome.manifest, { chrome: chrome.namespace });
+
+  // Firefox also has chrome, but the extension should use browser
+  const browser = createNamespace(true);
+  const firefoxChrome = createNamespace(false);
+  loadBackground(results.firefox.dir, results.firefox.manifest, { browser: browser.namespace, chrome: firefoxChrome.namespace });
+
+  for (const { listeners, calls } of [chrome, browser]) {
+    ['runtime.onInstalled', 'runtime.onStartup', 'alarms.onAlarm', 'storage.onChanged'].forEach(event => {
+      assert.strictEqual(typeof listeners[event], 'function', `listens to ${event}`);
+    });
+    listeners['runtime.onStartup']();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.ok(calls.includes('alarms.getAll'), 'startup reads the saved reminders, then updates their alarms');
+  }
+  assert.deepStrictEqual(Object.keys(firefoxChrome.listeners), []);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  ACTIONS,
+  SHIFT_UNITS,
+  ITEM_STATUSES,
+  shiftDate,
+  describeAction,
+  planReschedule,
+  getNextItem,
+  completeItem,
+  stopRun,
+  describeProgress
+} = require('../lib/bulk-reschedule');
+const { createRandom } = require('../lib/random-time');
+
+// Monday, October 19 2026, 10:00 AM local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+const EMAILS = [
+  { threadId: 'a', subject: 'Quarterly numbers', scheduledDate: new Date(2026, 9, 20, 8, 34) },
+  { threadId: 'b', subject: 'Agenda for Thursday', scheduledDate: new Date(2026, 9, 20, 9, 5) },
+  { threadId: 'c', subject: 'Offsite logistics', scheduledDate: new Date(2026, 9, 21, 14, 0) }
+];
+
+test('shifts by days keep the time of day, shifts by hours keep the interval', () => {
+  const date = new Date(2026, 9, 20, 8, 34);
+  assert.deepStrictEqual(shiftDate(date, 3, SHIFT_UNITS.days), new Date(2026, 9, 23, 8, 34));
+  assert.deepStrictEqual(shiftDate(date, -1, SHIFT_UNITS.days), new Date(2026, 9, 19, 8, 34));
+  assert.strictEqual(shiftDate(date, 5, SHIFT_UNITS.hours).getTime() - date.getTime(), 5 * 60 * 60 * 1000);
+
+  assert.strictEqual(describeAction({ type: ACTIONS.shift, amount: 1, unit: SHIFT_UNITS.days }), '+1 day');
+  assert.strictEqual(describeAction({ type: ACTIONS.shift, amount: -3, unit: SHIFT_UNITS.hours }), '-3 hours');
+});
+
+test('a shift plan moves every email by the same offset', () => {
+  const { items, problems } = planReschedule(EMAILS, { type: ACTIONS.shift, amount: 2, unit: SHIFT_UNITS.hours }, { now: NOW });
+
+  assert.deepStrictEqual(problems, []);
+  assert.deepStrictEqual(
+    items.map(item => [item.threadId, new Date(item.targetISO).getHours(), new Date(item.targetISO).getMinutes()]),
+    [['a', 10, 34], ['b', 11, 5], ['c', 16, 0]]
+  );
+  items.forEach(item => assert.strictEqual(item.status, ITEM_STATUSES.pending));
+});
+
+test('a preset plan spreads the emails over the preset window', () => {
+  const preset = {
+    id: 'outreach',
+    type: 'time',
+    label: 'Outreach',
+    dayRule: { type: 'tomorrow' },
+    time: { start: '08:00', end: '08:59' },
+    randomMinute: true,
+    minGapMinutes: 10
+  };
+  const { items } = planReschedule(EMAILS, { type: ACTIONS.preset, preset }, {
+    now: NOW,
+    random: createRandom('bulk'),
+    taken: [new Date(2026, 9, 20, 8, 30)]
+  });
+
+  const minutes = items.map(item => new Date(item.targetISO).getMinutes()).concat(30).sort((a, b) => a - b);
+  minutes.slice(1).forEach((minute, index) => assert.ok(minute - minutes[index] >= 10, minutes.join(',')));
+  items.forEach(item => assert.strictEqual(new Date(item.targetISO).getDate(), 20));
+});
+
+test('plans that would move an email into the past or lack a time are refused', () => {
+  assert.deepStrictEqual(
+    planReschedule([], { type: ACTIONS.shift, amount: 1, unit: SHIFT_UNITS.days }, { now: NOW }).problems,
+    ['Select at least one scheduled email']
+  );
+  assert.deepStrictEqual(
+    planReschedule(EMAILS, { type: ACTIONS.shift, amount: 1.5, unit: SHIFT_UNITS.days }, { now: NOW }).problems,
+    ['Enter a whole number of hours or days to move the emails by']
+  );
+  assert.deepStrictEqual(
+    planReschedule([...EMAILS, { threadId: 'd', subject: '', scheduledDate: null }],
+      { type: ACTIONS.shift, amount: -1, unit: SHIFT_UNITS.days }, { now: NOW }).problems,
+    ['"Quarterly numbers" would move into the past', '"Agenda for Thursday" would move into the past', 'An email has no readable send time']
+  );
+});
+
+test('a failure stops the run and the emails after it are not attempted', () => {
+  let { items } = planReschedule(EMAILS, { type: ACTIONS.shift, amount: 1, unit: SHIFT_UNITS.days }, { now: NOW });
+  assert.strictEqual(describeProgress(items), 'Rescheduling 1 of 3…');
+
+  items = completeItem(items, getNextItem(items).threadId, null);
+  assert.strictEqual(getNextItem(items).threadId, 'b');
+  assert.strictEqual(describeProgress(items), 'Rescheduling 2 of 3…');
+
+  items = completeItem(items, 'b', 'Gmail did not confirm the new time');
+  assert.strictEqual(getNextItem(items), null);
+  assert.deepStrictEqual(items.map(item => item.status), ['done', 'failed', 'skipped']);
+  assert.strictEqual(describeProgress(items), 'Stopped: 1 of 3 rescheduled. Agenda for Thursday: Gmail did not confirm the new time');
+});
+
+test('a stopped run reports how far it got', () => {
+  let { items } = planReschedule(EMAILS, { type: ACTIONS.shift, amount: 1, unit: SHIFT_UNITS.days }, { now: NOW });
+  items = stopRun(completeItem(items, 'a', null), 'Stopped before this email');
+  assert.strictEqual(describeProgress(items), 'Stopped: 1 of 3 rescheduled');
+
+  items = planReschedule(EMAILS.slice(0, 1), { type: ACTIONS.shift, amount: 1, unit: SHIFT_UNITS.days }, { now: NOW }).items;
+  assert.strictEqual(describeProgress(completeItem(items, 'a', null)), 'Rescheduled 1 email');
+});
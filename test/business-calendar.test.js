@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  DEFAULT_CALENDAR,
+  parseTimeOfDay,
+  normalizeCalendar,
+  adjustToBusinessTime,
+  parseHolidaysJson,
+  parseHolidaysIcs,
+  parseHolidays,
+  mergeHolidays
+} = require('../lib/business-calendar');
+
+// Monday to Friday, 8 AM to 6 PM, Christmas off
+const CALENDAR = normalizeCalendar({ holidays: [{ date: '2026-12-25', name: 'Christmas Day' }] });
+
+test('times of day are validated', () => {
+  assert.strictEqual(parseTimeOfDay('08:30'), 8 * 60 + 30);
+  assert.strictEqual(parseTimeOfDay('9:05'), 9 * 60 + 5);
+  assert.strictEqual(parseTimeOfDay('23:59'), 23 * 60 + 59);
+  assert.strictEqual(parseTimeOfDay('24:00'), null);
+  assert.strictEqual(parseTimeOfDay('12:60'), null);
+  assert.strictEqual(parseTimeOfDay('8am'), null);
+  assert.strictEqual(parseTimeOfDay(undefined), null);
+});
+
+test('times inside working hours on a business day are kept', () => {
+  const date = new Date(2026, 9, 20, 10, 15);
+  assert.strictEqual(adjustToBusinessTime(date, CALENDAR).getTime(), date.getTime());
+});
+
+test('times outside working hours move into them', () => {
+  // Before hours moves to the start of the same day
+  assert.deepStrictEqual(adjustToBusinessTime(new Date(2026, 9, 20, 6, 0), CALENDAR), new Date(2026, 9, 20, 8, 0));
+  // After hours rolls over to the start of the next day
+  assert.deepStrictEqual(adjustToBusinessTime(new Date(2026, 9, 20, 19, 0), CALENDAR), new Date(2026, 9, 21, 8, 0));
+  // Friday evening and the weekend go to Monday morning; weekend times inside hours keep their time
+  assert.deepStrictEqual(adjustToBusinessTime(new Date(2026, 9, 23, 18, 30), CALENDAR), new Date(2026, 9, 26, 8, 0));
+  assert.deepStrictEqual(adjustToBusinessTime(new Date(2026, 9, 24, 9, 45), CALENDAR), new Date(2026, 9, 26, 9, 45));
+  // Holidays are skipped
+  assert.deepStrictEqual(adjustToBusinessTime(new Date(2026, 11, 24, 19, 0), CALENDAR), new Date(2026, 11, 28, 8, 0));
+});
+
+test('a disabled or empty calendar leaves times alone', () => {
+  const saturday = new Date(2026, 9, 24, 9, 0);
+  assert.strictEqual(adjustToBusinessTime(saturday, { ...CALENDAR, enabled: false }), saturday);
+  assert.strictEqual(adjustToBusinessTime(saturday, { ...CALENDAR, workingDays: [] }), saturday);
+  assert.strictEqual(adjustToBusinessTime(saturday, null), saturday);
+});
+
+test('stored calendars are completed with the defaults', () => {
+  const calendar = normalizeCalendar({ workingDays: 'weekdays' });
+  assert.deepStrictEqual(calendar.workingDays, []);
+  assert.deepStrictEqual(calendar.workingHours, DEFAULT_CALENDAR.workingHours);
+  assert.deepStrictEqual(normalizeCalendar(undefined).workingDays, [1, 2, 3, 4, 5]);
+});
+
+test('JSON holiday lists accept strings, objects and a wrapper, and skip impossible dates', () => {
+  const text = JSON.stringify({
+    holidays: [
+      '2026-12-25',
+      { date: '2026-12-26', name: 'Boxing Day' },
+      '2026-13-45',
+      '2026-02-30',
+      { date: '26-12-31' },
+      { name: 'No date' },
+      null
+    ]
+  });
+  assert.deepStrictEqual(parseHolidaysJson(text), [
+    { date: '2026-12-25', name: '' },
+    { date: '2026-12-26', name: 'Boxing Day' }
+  ]);
+  assert.deepStrictEqual(parseHolidaysJson('["2028-02-29"]'), [{ date: '2028-02-29', name: '' }]);
+  assert.throws(() => parseHolidaysJson('{"days": []}'), /array of holidays/);
+  assert.throws(() => parseHolidaysJson('not json'), SyntaxError);
+});
+
+test('iCalendar events become one holiday per day, with folded lines unfolded', () => {
+  const text = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20261224',
+    'DTEND;VALUE=DATE:20261227',
+    'SUMMARY:Christmas\\, Boxing Day and',
+    '  the weekend',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART:20270101T000000Z',
+    'SUMMARY:New Year',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:No start',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  const name = 'Christmas, Boxing Day and the weekend';
+  assert.deepStrictEqual(parseHolidaysIcs(text), [
+    { date: '2026-12-24', name },
+    { date: '2026-12-25', name },
+    { date: '2026-12-26', name },
+    { date: '2027-01-01', name: 'New Year' }
+  ]);
+  assert.deepStrictEqual(parseHolidays(`\n${text}`), parseHolidaysIcs(text), 'the format is detected');
+});
+
+test('imported holidays are merged by date, keeping names', () => {
+  const merged = mergeHolidays(
+    [{ date: '2026-12-25', name: '' }, { date: '2026-01-01', name: 'New Year' }],
+    [{ date: '2026-12-25', name: 'Christmas Day' }, { date: '2026-01-01', name: 'Other name' }]
+  );
+  assert.deepStrictEqual(merged, [
+    { date: '2026-01-01', name: 'New Year' },
+    { date: '2026-12-25', name: 'Christmas Day' }
+  ]);
+});
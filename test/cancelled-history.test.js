@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  MAX_ENTRIES,
+  createEntry,
+  addEntry,
+  updateEntry,
+  removeEntry,
+  isOriginalFor,
+  pruneExpired,
+  rankEntries
+} = require('../lib/cancelled-history');
+
+// Monday, October 19 2026, 10:00 AM local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+/**
+ * Creates an entry cancelled from a time some hours after NOW
+ * @param {number} hours - Hours between NOW and the scheduled time
+ * @param {Object} [details] - Other entry details
+ * @returns {Object} The entry
+ */
+function entryAt(hours, details = {}) {
+  const date = new Date(NOW.getTime() + hours * 3600000);
+  return createEntry({ time: date.toString(), timeISO: date.toISOString(), cancelledAt: NOW.getTime(), ...details });
+}
+
+test('entries keep the details of the cancelled email', () => {
+  const entry = createEntry({ time: 'Tue, Oct 20, 8:34 AM', timeISO: null, subject: 'Report', threadId: 't1' });
+  assert.strictEqual(entry.subject, 'Report');
+  assert.deepStrictEqual(entry.recipients, []);
+  assert.strictEqual(entry.draftId, null);
+  assert.strictEqual(typeof entry.cancelledAt, 'number');
+});
+
+test('adding a time already in the history moves it to the front', () => {
+  const first = entryAt(1, { threadId: 't1' });
+  const second = entryAt(2, { threadId: 't2' });
+  const sameTimeOtherThread = entryAt(1, { threadId: 't3' });
+
+  let history = addEntry([], first);
+  history = addEntry(history, second);
+  history = addEntry(history, sameTimeOtherThread);
+  assert.strictEqual(history.length, 3, 'the same time from another thread is a different entry');
+
+  const again = entryAt(1, { threadId: 't1', subject: 'Edited' });
+  history = addEntry(history, again);
+  assert.strictEqual(history.length, 3);
+  assert.strictEqual(history[0].subject, 'Edited');
+  assert.strictEqual(history.filter(entry => entry.threadId === 't1').length, 1);
+
+  assert.deepStrictEqual(removeEntry(history, first).map(entry => entry.threadId), ['t3', 't2']);
+});
+
+test('the history is capped, dropping the oldest cancels', () => {
+  let history = [];
+  for (let index = 0; index < MAX_ENTRIES + 3; index++) {
+    history = addEntry(history, entryAt(index + 1));
+  }
+  assert.strictEqual(history.length, MAX_ENTRIES);
+  assert.strictEqual(history[0].timeISO, entryAt(MAX_ENTRIES + 3).timeISO);
+  assert.strictEqual(history[MAX_ENTRIES - 1].timeISO, entryAt(4).timeISO);
+
+  assert.strictEqual(addEntry(history, entryAt(100), 2).length, 2);
+});
+
+test('past and unreadable times are pruned', () => {
+  const history = [
+    entryAt(1),
+    entryAt(-1),
+    entryAt(0),
+    createEntry({ time: 'not a date', timeISO: null }),
+    createEntry({ time: 'Tue Oct 20 2026 08:34:00', timeISO: null })
+  ];
+  const pruned = pruneExpired(history, NOW);
+  assert.deepStrictEqual(pruned, [history[0], history[4]]);
+  assert.deepStrictEqual(pruneExpired(null, NOW), []);
+});
+
+test('times from the same thread come first, then the most recently cancelled', () => {
+  const history = [
+    entryAt(5, { threadId: 'other' }),
+    entryAt(4, { threadId: 'mine' }),
+    entryAt(-2, { threadId: 'mine' }),
+    entryAt(3),
+    entryAt(2, { threadId: 'mine' }),
+    entryAt(1)
+  ];
+
+  const ranked = rankEntries(history, { threadId: 'mine', now: NOW, limit: 10 });
+  assert.deepStrictEqual(ranked, [history[1], history[4], history[0], history[3], history[5]]);
+
+  assert.deepStrictEqual(rankEntries(history, { threadId: 'mine', now: NOW }), [history[1], history[4], history[0]]);
+  assert.deepStrictEqual(rankEntries(history, { now: NOW, limit: 2 }), [history[0], history[1]]);
+});
+
+test('the draft ID decides which time is the original when both sides have one', () => {
+  const entry = entryAt(1, { threadId: 't1', draftId: 'r-1' });
+  assert.ok(isOriginalFor(entry, { draftId: 'r-1', threadId: 't1' }));
+  assert.ok(isOriginalFor(entry, { draftId: 'r-1', threadId: null }));
+  assert.ok(!isOriginalFor(entry, { draftId: 'r-2', threadId: 't1' }), 'another draft in the same thread');
+
+  // Without a draft ID on either side, the thread decides
+  const withoutDraft = entryAt(1, { threadId: 't1' });
+  assert.ok(isOriginalFor(withoutDraft, { draftId: 'r-2', threadId: 't1' }));
+  assert.ok(isOriginalFor(entry, { threadId: 't1' }));
+  assert.ok(!isOriginalFor(withoutDraft, { draftId: 'r-2', threadId: 't2' }));
+  assert.ok(!isOriginalFor(entryAt(1), { threadId: null }), 'no IDs at all');
+  assert.ok(!isOriginalFor(entryAt(1), {}));
+});
+
+test('the original time is ranked before other times from its thread', () => {
+  const history = [
+    entryAt(3, { threadId: 't1', draftId: 'r-other' }),
+    entryAt(2),
+    entryAt(1, { threadId: 't1', draftId: 'r-1' })
+  ];
+  const ranked = rankEntries(history, { draftId: 'r-1', threadId: 't1', now: NOW });
+  assert.deepStrictEqual(ranked, [history[2], history[0], history[1]]);
+});
+
+test('updates change only the matching entry', () => {
+  const first = entryAt(1, { threadId: 't1' });
+  const second = entryAt(2, { threadId: 't2' });
+  const history = [second, first];
+
+  const updated = updateEntry(history, { ...first, subject: 'ignored' }, { draftId: 'r-1' });
+  assert.strictEqual(updated[1].draftId, 'r-1');
+  assert.strictEqual(updated[0].draftId, null);
+  assert.strictEqual(first.draftId, null, 'the stored entries are not changed in place');
+  assert.deepStrictEqual(updateEntry(history, entryAt(5), { draftId: 'r-5' }), history);
+});
@@ -0,0 +1,816 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadGmail, readFixture } = require('./helpers/gmail-dom');
+
+// Monday, October 19 2026, 10:00 AM local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+// The account of the fixtures, from their page titles
+const ACCOUNT = 'someone@example.com';
+
+/**
+ * Reads a value the content script stored for the fixtures' account
+ * @param {Object} gmail - The harness
+ * @param {string} key - Storage key, e.g. "schedule log"
+ * @returns {*} The value
+ */
+function stored(gmail, key) {
+  return gmail.storage[`account:${ACCOUNT}:${key}`];
+}
+
+/**
+ * Plays Gmail's part: "More send options" opens a menu whose "Schedule send" item opens the
+ * schedule send menu, "Pick date & time" opens the date picker, and "Schedule send" records
+ * what was in the inputs, closes the dialog and shows the confirmation toast
+ * @param {Object} gmail - The harness
+ * @param {Function} [toastFor] - Returns the toast text for the scheduled values
+ * @returns {Object[]} The values of every Schedule send click, as { date, time }
+ */
+function emulateGmail(gmail, toastFor = ({ date, time }) => `Send scheduled for ${date}, ${time}`) {
+  const scheduled = [];
+  gmail.document.addEventListener('click', (e) => {
+    if (e.target.closest('.hG[role="button"]')) {
+      gmail.document.body.insertAdjacentHTML('beforeend',
+        '<div class="send-options" role="menu"><div role="menuitem" selector="scheduledSend">Schedule send</div></div>');
+      return;
+    }
+    if (e.target.closest('[selector="scheduledSend"]')) {
+      gmail.document.querySelector('.send-options').remove();
+      gmail.insertFixture('schedule-menu.html');
+      return;
+    }
+    if (e.target.closest('.AM[role="menuitem"]')) {
+      gmail.document.querySelector('.ZkmAeb')?.remove();
+      gmail.insertFixture('date-picker.html');
+      return;
+    }
+
+    const button = e.target.closest('button');
+    if (button && button.textContent.trim() === 'Schedule send') {
+      const values = {
+        date: gmail.document.querySelector('#c5').value,
+        time: gmail.document.querySelector('#c6').value
+      };
+      scheduled.push(values);
+      button.closest('[role="dialog"]').remove();
+      gmail.document.body.insertAdjacentHTML('beforeend',
+        `<div class="vh"><span class="aT"><span class="bAq">${toastFor(values)}</span></span></div>`);
+    }
+  });
+  return scheduled;
+}
+
+/**
+ * Opens the schedule send menu from the compose window and waits for the injection
+ * @param {Object} gmail - The harness
+ * @returns {Promise<Element>} The menu
+ */
+async function openScheduleMenu(gmail) {
+  const compose = gmail.document.querySelector('.M9');
+  compose.dispatchEvent(new gmail.window.MouseEvent('mousedown', { bubbles: true }));
+  const menu = gmail.insertFixture('schedule-menu.html');
+  await gmail.advance(500);
+  return menu;
+}
+
+/**
+ * Clicks a menu option and lets the picker-filling flow run to the end
+ * @param {Object} gmail - The harness
+ * @param {Element} option - The menu option
+ */
+async function clickAndWait(gmail, option) {
+  option.dispatchEvent(new gmail.window.MouseEvent('click', { bubbles: true }));
+  await gmail.advance(10000);
+}
+
+test('options are injected into the schedule send menu exactly once', async () => {
+  const gmail = await loadGmail({ now: NOW });
+  const menu = await openScheduleMenu(gmail);
+
+  // Unrelated DOM churn must not inject a second copy
+  for (let index = 0; index < 3; index++) {
+    gmail.document.body.appendChild(gmail.document.createElement('div'));
+    menu.setAttribute('aria-activedescendant', `item-${index}`);
+    await gmail.advance(200);
+  }
+
+  assert.strictEqual(menu.querySelectorAll('.natural-time-entry').length, 1);
+  assert.strictEqual(menu.querySelectorAll('.schedule-preset-option').length, 1);
+  assert.strictEqual(menu.querySelectorAll('.last-cancelled-time-option').length, 0);
+  assert.strictEqual(menu.querySelector('.schedule-preset-option .Aj').textContent, 'Tomorrow morning random');
+  await gmail.close();
+});
+
+test('a preset fills the picker with its time and schedules it', async () => {
+  const gmail = await loadGmail({ now: NOW, random: 0.5 });
+  const scheduled = emulateGmail(gmail);
+  const menu = await openScheduleMenu(gmail);
+
+  const option = menu.querySelector('.schedule-preset-option');
+  assert.strictEqual(
+    Number(option.dataset.presetTime),
+    new Date(2026, 9, 20, 8, 30).getTime()
+  );
+
+  await clickAndWait(gmail, option);
+
+  assert.deepStrictEqual(scheduled, [{ date: '10/20/2026', time: '8:30 AM' }]);
+  const [attempt] = stored(gmail, 'schedule log');
+  assert.strictEqual(attempt.status, 'verified');
+  assert.strictEqual(attempt.source, 'Tomorrow morning random');
+  assert.strictEqual(attempt.subject, 'Quarterly numbers');
+  assert.strictEqual(attempt.draftId, 'r-4918201839574839201');
+
+  const events = stored(gmail, 'audit log');
+  assert.deepStrictEqual(events.map(event => event.type), ['verified', 'option-selected']);
+  assert.strictEqual(events[0].attemptId, attempt.id);
+  assert.strictEqual(events[0].actualISO, new Date(2026, 9, 20, 8, 30).toISOString());
+  await gmail.close();
+});
+
+test('the confirmation is read from Gmail\'s toast bar when its text changes later', async () => {
+  const gmail = await loadGmail({ now: NOW, random: 0.5 });
+  const { document } = gmail;
+  // Gmail keeps one toast bar and rewrites its text, here a second after Schedule send is clicked
+  document.body.insertAdjacentHTML('afterbegin', '<div class="b8 UC" role="alert" aria-live="assertive"><div class="vh"></div></div>');
+  emulateGmail(gmail, () => 'Scheduling…');
+  document.addEventListener('click', (e) => {
+    if (e.target.closest('button')?.textContent.trim() === 'Schedule send') {
+      gmail.window.setTimeout(() => {
+        document.querySelector('.b8 .vh').innerHTML = '<span class="aT"><span class="bAq">Send scheduled for Tue, Oct 20, 8:30 AM</span></span>';
+      }, 1000);
+    }
+  });
+  const menu = await openScheduleMenu(gmail);
+
+  await clickAndWait(gmail, menu.querySelector('.schedule-preset-option'));
+
+  const [attempt] = stored(gmail, 'schedule log');
+  assert.strictEqual(attempt.status, 'verified');
+  assert.strictEqual(attempt.actualISO, new Date(2026, 9, 20, 8, 30).toISOString());
+  await gmail.close();
+});
+
+test('the rule matching a recipient is recommended at the top and schedules its time', async () => {
+  const gmail = await loadGmail({
+    now: NOW,
+    storage: {
+      'recipient rules': [
+        { id: 'rule-team', name: 'Team hours', patterns: ['example.com'], type: 'window', window: { start: '08:00', end: '18:00' } },
+        {
+          id: 'rule-acme',
+          name: 'Acme on Tuesdays',
+          patterns: ['kenji@acme.co.jp'],
+          type: 'sendAt',
+          dayRule: { type: 'weekday', weekday: 2 },
+          time: { start: '10:00', end: '10:00' }
+        }
+      ]
+    }
+  });
+  const scheduled = emulateGmail(gmail);
+  const menu = await openScheduleMenu(gmail);
+
+  // The exact address beats the team's domain
+  const option = menu.querySelector('.schedule-enhancer-option');
+  assert.ok(option.classList.contains('schedule-recommended-option'));
+  assert.strictEqual(option.querySelector('.Aj').textContent, 'Recommended: Acme on Tuesdays');
+  assert.strictEqual(option.getAttribute('title'), 'kenji@acme.co.jp matches kenji@acme.co.jp');
+
+  await clickAndWait(gmail, option);
+
+  assert.deepStrictEqual(scheduled, [{ date: '10/20/2026', time: '10:00 AM' }]);
+  assert.strictEqual(stored(gmail, 'schedule log')[0].source, 'Recommended: Acme on Tuesdays');
+  await gmail.close();
+});
+
+test('a cancelled time fills the picker with the saved time', async () => {
+  const savedTime = new Date(2026, 9, 22, 15, 15);
+  const gmail = await loadGmail({
+    now: NOW,
+    storage: {
+      'cancelled times': [{
+        time: 'Thu, Oct 22, 2026, 3:15 PM',
+        timeISO: savedTime.toISOString(),
+        subject: 'Budget review',
+        recipients: ['mia@acme.co.jp'],
+        threadId: '18b7a1c2d3e4f5a6',
+        draftId: null,
+        cancelledAt: NOW.getTime() - 60000
+      }]
+    }
+  });
+  const scheduled = emulateGmail(gmail);
+  const menu = await openScheduleMenu(gmail);
+
+  const option = menu.querySelector('.last-cancelled-time-option');
+  assert.strictEqual(option.querySelector('.Aj').textContent, 'Cancelled: Budget review');
+
+  await clickAndWait(gmail, option);
+  assert.deepStrictEqual(scheduled, [{ date: '10/22/2026', time: '3:15 PM' }]);
+  await gmail.close();
+});
+
+test('times saved before accounts were kept apart move to the first account, and other accounts stay out', async () => {
+  const entry = {
+    time: 'Thu, Oct 22, 2026, 3:15 PM',
+    timeISO: new Date(2026, 9, 22, 15, 15).toISOString(),
+    subject: 'Budget review',
+    recipients: [],
+    threadId: '18b7a1c2d3e4f5a6',
+    draftId: null,
+    cancelledAt: NOW.getTime() - 60000
+  };
+  const workTimes = [{ ...entry, subject: 'Work plan', threadId: '18b7a1c2d3e4f5b7' }];
+  const gmail = await loadGmail({
+    now: NOW,
+    url: 'https://mail.google.com/mail/u/1/#inbox',
+    storage: {
+      'cancelled times': [entry],
+      'account:work@example.com:cancelled times': workTimes,
+      // The work account used to be signed in second
+      'accounts': { 'work@example.com': { email: 'work@example.com', index: 1, lastSeen: 0 } }
+    }
+  });
+  const menu = await openScheduleMenu(gmail);
+
+  const options = menu.querySelectorAll('.last-cancelled-time-option');
+  assert.deepStrictEqual(Array.from(options, option => option.querySelector('.Aj').textContent), ['Cancelled: Budget review']);
+  assert.strictEqual(gmail.storage['cancelled times'], undefined);
+  assert.strictEqual(stored(gmail, 'cancelled times').length, 1);
+  assert.deepStrictEqual(gmail.storage['account:work@example.com:cancelled times'], workTimes);
+  assert.deepStrictEqual(gmail.storage.accounts, {
+    'work@example.com': { email: 'work@example.com', index: null, lastSeen: 0 },
+    [ACCOUNT]: { email: ACCOUNT, index: 1, lastSeen: NOW.getTime() }
+  });
+  await gmail.close();
+});
+
+test('a typed time is scheduled when Enter is pressed', async () => {
+  const gmail = await loadGmail({ now: NOW });
+  const scheduled = emulateGmail(gmail);
+  const menu = await openScheduleMenu(gmail);
+
+  const input = menu.querySelector('.natural-time-input');
+  input.value = 'tomorrow 3pm';
+  input.dispatchEvent(new gmail.window.Event('input', { bubbles: true }));
+  assert.strictEqual(menu.querySelector('.natural-time-preview').textContent, 'Tue, Oct 20, 3:00 PM');
+
+  input.dispatchEvent(new gmail.window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+  await gmail.advance(10000);
+
+  assert.deepStrictEqual(scheduled, [{ date: '10/20/2026', time: '3:00 PM' }]);
+  await gmail.close();
+});
+
+test('a different confirmed time raises an alert', async () => {
+  const gmail = await loadGmail({ now: NOW });
+  // Gmail ignored the synthetic input and kept the picker's previous time
+  const scheduled = emulateGmail(gmail, () => 'Send scheduled for Mon, Oct 19, 10:00 AM');
+  const menu = await openScheduleMenu(gmail);
+
+  await clickAndWait(gmail, menu.querySelector('.schedule-preset-option'));
+
+  assert.strictEqual(scheduled.length, 1);
+  assert.strictEqual(stored(gmail, 'schedule log')[0].status, 'mismatch');
+  const alert = gmail.document.querySelector('.schedule-verify-alert');
+  assert.ok(alert, 'an alert is shown');
+  assert.deepStrictEqual(
+    Array.from(alert.querySelectorAll('button')).map(button => button.textContent),
+    ['Undo', 'Retry', 'Dismiss']
+  );
+  await gmail.close();
+});
+
+test('review mode fills the picker but leaves Schedule send to the user', async () => {
+  const gmail = await loadGmail({ now: NOW, storage: { 'send mode': 'review' } });
+  const scheduled = emulateGmail(gmail);
+  const menu = await openScheduleMenu(gmail);
+
+  await clickAndWait(gmail, menu.querySelector('.schedule-preset-option'));
+
+  assert.strictEqual(scheduled.length, 0);
+  assert.strictEqual(gmail.document.querySelector('#c5').value, '10/20/2026');
+  const button = gmail.document.querySelector('.schedule-enhancer-highlight');
+  assert.strictEqual(button.textContent.trim(), 'Schedule send');
+
+  button.click();
+  await gmail.advance(10000);
+  assert.strictEqual(scheduled.length, 1);
+  assert.strictEqual(stored(gmail, 'schedule log')[0].status, 'verified');
+  await gmail.close();
+});
+
+test('confirm mode schedules only once the summary card is confirmed', async () => {
+  const gmail = await loadGmail({ now: NOW, random: 0.5, storage: { 'send mode': 'confirm' } });
+  const scheduled = emulateGmail(gmail);
+  const menu = await openScheduleMenu(gmail);
+
+  await clickAndWait(gmail, menu.querySelector('.schedule-preset-option'));
+
+  assert.strictEqual(scheduled.length, 0);
+  const card = gmail.document.querySelector('[role="dialog"] .schedule-confirm-card');
+  assert.ok(card, 'the card is shown inside the date picker');
+  assert.strictEqual(card.querySelector('.schedule-confirm-time').textContent, 'Tue, Oct 20, 8:30 AM');
+  assert.ok(card.textContent.includes('Tomorrow morning random'));
+  assert.strictEqual(stored(gmail, 'schedule log')[0].status, 'pending');
+
+  card.querySelector('.schedule-confirm-send').click();
+  await gmail.advance(10000);
+
+  assert.deepStrictEqual(scheduled, [{ date: '10/20/2026', time: '8:30 AM' }]);
+  assert.strictEqual(gmail.document.querySelector('.schedule-confirm-card'), null);
+  assert.strictEqual(stored(gmail, 'schedule log')[0].status, 'verified');
+  await gmail.close();
+});
+
+test('"Edit time" on the summary card leaves the picker open and logs the time as not confirmed', async () => {
+  const gmail = await loadGmail({ now: NOW, storage: { 'send mode': 'confirm' } });
+  const scheduled = emulateGmail(gmail);
+  const menu = await openScheduleMenu(gmail);
+
+  await clickAndWait(gmail, menu.querySelector('.schedule-preset-option'));
+  gmail.document.querySelector('.schedule-confirm-back').click();
+  await gmail.advance(10000);
+
+  assert.strictEqual(scheduled.length, 0);
+  assert.strictEqual(gmail.document.querySelector('.schedule-confirm-card'), null);
+  assert.strictEqual(gmail.document.querySelector('#c5').value, '10/20/2026', 'the picker stays filled in');
+
+  const [attempt] = stored(gmail, 'schedule log');
+  assert.strictEqual(attempt.status, 'cancelled');
+  const [event] = stored(gmail, 'audit log');
+  assert.strictEqual(event.type, 'declined');
+  assert.strictEqual(event.attemptId, attempt.id);
+  await gmail.close();
+});
+
+test('Cancel send stores the scheduled time of the open email', async () => {
+  const gmail = await loadGmail({
+    now: NOW,
+    fixture: 'scheduled-email.html',
+    url: 'https://mail.google.com/mail/u/0/#scheduled/18b7a1c2d3e4f5a6'
+  });
+
+  // Gmail's own handler must still run, once
+  const cancelButton = Array.from(gmail.document.querySelectorAll('[role="button"]'))
+    .find(button => button.textContent.trim() === 'Cancel send');
+  let gmailCancels = 0;
+  cancelButton.addEventListener('click', () => {
+    gmailCancels++;
+  });
+
+  cancelButton.dispatchEvent(new gmail.window.MouseEvent('click', { bubbles: true }));
+  await gmail.advance(5000);
+
+  assert.strictEqual(gmailCancels, 1);
+  const [entry] = stored(gmail, 'cancelled times');
+  assert.strictEqual(entry.timeISO, new Date(2026, 9, 20, 8, 34).toISOString());
+  assert.strictEqual(entry.time, 'Tue, Oct 20, 2026, 8:34 AM');
+  assert.strictEqual(entry.subject, 'Quarterly numbers');
+  assert.deepStrictEqual(entry.recipients, ['kenji@acme.co.jp', 'mia@acme.co.jp']);
+  assert.strictEqual(entry.threadId, '18b7a1c2d3e4f5a6');
+
+  const [event] = stored(gmail, 'audit log');
+  assert.strictEqual(event.type, 'cancel-captured');
+  assert.strictEqual(event.actualISO, entry.timeISO);
+  assert.strictEqual(event.subject, 'Quarterly numbers');
+  await gmail.close();
+});
+
+test('Cancel send is recognised in Gmail\'s other languages', async () => {
+  const gmail = await loadGmail({
+    now: NOW,
+    fixture: 'scheduled-email.html',
+    url: 'https://mail.google.com/mail/u/0/#scheduled/18b7a1c2d3e4f5a6',
+    language: 'de'
+  });
+
+  // Gmail shown in German
+  gmail.document.documentElement.lang = 'de';
+  gmail.document.querySelector('.aT5').textContent = 'Senden geplant für Di., 20. Okt. 2026, 08:34';
+  gmail.document.querySelector('.g3').setAttribute('title', 'Di., 20. Okt. 2026, 08:34');
+  const cancelButton = gmail.document.querySelector('.aKs [role="button"]');
+  cancelButton.textContent = 'Senden abbrechen';
+
+  cancelButton.dispatchEvent(new gmail.window.MouseEvent('click', { bubbles: true }));
+  await gmail.advance(5000);
+
+  const [entry] = stored(gmail, 'cancelled times');
+  assert.strictEqual(entry.timeISO, new Date(2026, 9, 20, 8, 34).toISOString());
+  assert.strictEqual(entry.subject, 'Quarterly numbers');
+
+  const [event] = stored(gmail, 'audit log');
+  assert.strictEqual(event.type, 'cancel-captured');
+  await gmail.close();
+});
+
+test('the draft Gmail reopens after Cancel send is offered its original time', async () => {
+  const gmail = await loadGmail({
+    now: NOW,
+    fixture: 'scheduled-email.html',
+    url: 'https://mail.google.com/mail/u/0/#scheduled/18b7a1c2d3e4f5a6',
+    storage: {
+      'cancelled times': [{
+        time: 'Wed, Oct 21, 2026, 9:00 AM',
+        timeISO: new Date(2026, 9, 21, 9, 0).toISOString(),
+        subject: 'Other email',
+        recipients: [],
+        threadId: '28c8b2d3e4f5a6b7',
+        draftId: null,
+        cancelledAt: NOW.getTime() - 60000
+      }]
+    }
+  });
+
+  const cancelButton = Array.from(gmail.document.querySelectorAll('[role="button"]'))
+    .find(button => button.textContent.trim() === 'Cancel send');
+  cancelButton.dispatchEvent(new gmail.window.MouseEvent('click', { bubbles: true }));
+  await gmail.advance(500);
+
+  // Gmail reopens the cancelled email as a draft, in the compose window of compose.html
+  const page = new gmail.window.DOMParser().parseFromString(readFixture('compose.html'), 'text/html');
+  gmail.document.body.appendChild(gmail.document.importNode(page.querySelector('.dw'), true));
+  await gmail.advance(500);
+  const scheduled = emulateGmail(gmail);
+
+  const [entry] = stored(gmail, 'cancelled times');
+  assert.strictEqual(entry.subject, 'Quarterly numbers');
+  assert.strictEqual(entry.draftId, 'r-4918201839574839201');
+  assert.strictEqual(stored(gmail, 'cancelled times')[1].draftId, null, 'only the cancelled entry is linked');
+
+  const menu = await openScheduleMenu(gmail);
+  const labels = Array.from(menu.querySelectorAll('.last-cancelled-time-option .Aj'), label => label.textContent);
+  assert.deepStrictEqual(labels, ['Restore original time', 'Cancelled: Other email']);
+
+  await clickAndWait(gmail, menu.querySelector('.last-cancelled-time-option'));
+  assert.deepStrictEqual(scheduled, [{ date: '10/20/2026', time: '8:34 AM' }]);
+  await gmail.close();
+});
+
+test('a date picker that never opens is logged as a failure', async () => {
+  const gmail = await loadGmail({ now: NOW });
+  const menu = await openScheduleMenu(gmail);
+
+  // Without Gmail's emulation, "Pick date & time" does nothing
+  menu.querySelector('.schedule-preset-option').click();
+  await gmail.advance(30000);
+
+  const [failure] = stored(gmail, 'audit log');
+  assert.strictEqual(failure.type, 'failed');
+  assert.strictEqual(failure.detail, 'The date and time inputs did not appear within 5 s');
+  assert.strictEqual(failure.source, 'Tomorrow morning random');
+  await gmail.close();
+});
+
+test('the health check reports the hooks found in the fixtures', async () => {
+  const gmail = await loadGmail({ now: NOW });
+  await openScheduleMenu(gmail);
+  await gmail.advance(10000);
+
+  const { hooks } = gmail.storage['selector health'];
+  ['gmailMain', 'composeRoot', 'composeDraftInput', 'datePickerMenu', 'presetMenuItem', 'pickDateTimeItem']
+    .forEach(name => assert.strictEqual(hooks[name].status, 'ok', name));
+  await gmail.close();
+});
+
+test('a ping from the popup is answered with the tab status', async () => {
+  const gmail = await loadGmail({ now: NOW });
+
+  // The response comes from the page's realm, so compare a plain copy
+  const { observers, ...response } = await gmail.sendMessage({ type: 'ping' });
+  assert.deepStrictEqual(response, {
+    type: 'status',
+    connected: true,
+    account: 'someone@example.com',
+    composeOpen: true
+  });
+  assert.strictEqual(observers.budget, 120);
+  assert.deepStrictEqual({ ...observers.connected }, { page: 1 });
+  await gmail.close();
+});
+
+test('an address in the subject of an open conversation isn\'t taken for the account', async () => {
+  const gmail = await loadGmail({ now: NOW });
+
+  gmail.document.title = 'Invoice from billing@vendor.com - someone@example.com - Gmail';
+  assert.strictEqual((await gmail.sendMessage({ type: 'ping' })).account, 'someone@example.com');
+  gmail.document.title = 'billing@vendor.com - Someone@Example.com - Gmail';
+  assert.strictEqual((await gmail.sendMessage({ type: 'ping' })).account, 'someone@example.com');
+  gmail.document.title = 'Invoice from billing@vendor.com - Gmail';
+  assert.strictEqual((await gmail.sendMessage({ type: 'ping' })).account, null);
+  await gmail.close();
+});
+
+test('only the open menu is observed below the top of the page', async () => {
+  const gmail = await loadGmail({ now: NOW });
+  const compose = gmail.document.querySelector('.M9');
+
+  // Typing in the compose window is invisible to the page-wide observer
+  for (let index = 0; index < 50; index++) {
+    compose.appendChild(gmail.document.createElement('span'));
+  }
+  await gmail.advance(100);
+  let { observers } = await gmail.sendMessage({ type: 'ping' });
+  assert.strictEqual(observers.callbacksPerMinute, 0);
+
+  const menu = await openScheduleMenu(gmail);
+  ({ observers } = await gmail.sendMessage({ type: 'ping' }));
+  assert.ok(menu.querySelector('.schedule-preset-option'));
+  assert.deepStrictEqual({ ...observers.connected }, { page: 1, menu: 1 });
+  assert.ok(!observers.overBudget);
+
+  // Closing the menu disconnects its observer
+  menu.style.display = 'none';
+  await gmail.advance(100);
+  ({ observers } = await gmail.sendMessage({ type: 'ping' }));
+  assert.deepStrictEqual({ ...observers.connected }, { page: 1 });
+  await gmail.close();
+});
+
+test('clicking Gmail\'s Schedule send item starts one wait for the menu', async () => {
+  const gmail = await loadGmail({ now: NOW });
+  const item = gmail.document.createElement('div');
+  item.setAttribute('role', 'menuitem');
+  item.setAttribute('selector', 'scheduledSend');
+  gmail.document.body.appendChild(item);
+  await gmail.advance(100);
+
+  item.dispatchEvent(new gmail.window.MouseEvent('click', { bubbles: true }));
+  let { observers } = await gmail.sendMessage({ type: 'ping' });
+  assert.strictEqual(observers.connected.waits, 1);
+
+  const menu = gmail.insertFixture('schedule-menu.html');
+  await gmail.advance(500);
+  ({ observers } = await gmail.sendMessage({ type: 'ping' }));
+  assert.strictEqual(observers.connected.waits, undefined);
+  assert.ok(menu.querySelector('.schedule-preset-option'));
+  assert.ok(gmail.storage['selector health'], 'the menu\'s Gmail hooks were checked');
+  await gmail.close();
+});
+
+test('the typed time field can be turned off', async () => {
+  const gmail = await loadGmail({ now: NOW, storage: { 'typed time entry': false } });
+  const menu = await openScheduleMenu(gmail);
+
+  assert.strictEqual(menu.querySelectorAll('.natural-time-entry').length, 0);
+  assert.strictEqual(menu.querySelectorAll('.schedule-preset-option').length, 1);
+  await gmail.close();
+});
+
+/**
+ * Presses a key on the focused element
+ * @param {Object} gmail - The harness
+ * @param {string} key - The key
+ */
+function press(gmail, key) {
+  gmail.document.activeElement.dispatchEvent(new gmail.window.KeyboardEvent('keydown', { key, bubbles: true }));
+}
+
+test('arrow keys move through the menu and Enter picks an injected option', async () => {
+  const gmail = await loadGmail({ now: NOW });
+  const scheduled = emulateGmail(gmail);
+  const menu = await openScheduleMenu(gmail);
+
+  const option = menu.querySelector('.schedule-preset-option');
+  option.focus();
+
+  press(gmail, 'ArrowDown');
+  assert.strictEqual(gmail.document.activeElement.textContent.trim().split('\n')[0], 'Tomorrow morning');
+  assert.strictEqual(option.getAttribute('tabindex'), '-1');
+
+  press(gmail, 'ArrowUp');
+  assert.strictEqual(gmail.document.activeElement, option);
+  assert.strictEqual(option.getAttribute('tabindex'), '0');
+
+  press(gmail, 'ArrowUp');
+  assert.strictEqual(gmail.document.activeElement, menu.querySelector('.natural-time-input'));
+  press(gmail, 'ArrowUp');
+  assert.strictEqual(gmail.document.activeElement.textContent.trim(), 'Pick date & time');
+  press(gmail, 'Home');
+  assert.strictEqual(gmail.document.activeElement, menu.querySelector('.natural-time-input'));
+
+  press(gmail, 'ArrowDown');
+  press(gmail, 'Enter');
+  await gmail.advance(10000);
+  assert.deepStrictEqual(scheduled, [{ date: '10/20/2026', time: '8:30 AM' }]);
+  await gmail.close();
+});
+
+test('the reroll key picks a new random time and announces it', async () => {
+  const gmail = await loadGmail({ now: NOW });
+  const menu = await openScheduleMenu(gmail);
+
+  const option = menu.querySelector('.schedule-preset-option');
+  const refresh = option.querySelector('.random-time-refresh-btn');
+  assert.strictEqual(refresh.tagName, 'BUTTON');
+  assert.strictEqual(option.getAttribute('aria-keyshortcuts'), 'R');
+
+  let rerolls = 0;
+  refresh.addEventListener('click', () => rerolls++);
+  option.focus();
+  press(gmail, 'r');
+  await gmail.advance(100);
+
+  assert.strictEqual(rerolls, 1);
+  assert.strictEqual(
+    gmail.document.querySelector('.schedule-enhancer-live').textContent,
+    `Tomorrow morning random: ${option.querySelector('.Ay').firstChild.textContent}`
+  );
+  await gmail.close();
+});
+
+test('a preset shortcut opens schedule send and schedules with that preset', async () => {
+  const gmail = await loadGmail({ now: NOW });
+  const scheduled = emulateGmail(gmail);
+
+  await gmail.sendMessage({ type: 'command', command: 'schedule-preset-1' });
+  await gmail.advance(15000);
+
+  assert.deepStrictEqual(scheduled, [{ date: '10/20/2026', time: '8:30 AM' }]);
+  assert.strictEqual(stored(gmail, 'schedule log')[0].source, 'Tomorrow morning random');
+  await gmail.close();
+});
+
+test('a shortcut for a preset that does not exist is announced', async () => {
+  const gmail = await loadGmail({ now: NOW });
+  emulateGmail(gmail);
+
+  await gmail.sendMessage({ type: 'command', command: 'schedule-preset-3' });
+  await gmail.advance(1000);
+
+  assert.strictEqual(gmail.document.querySelector('.schedule-enhancer-live').textContent, 'There is no preset 3 to schedule with');
+  assert.strictEqual(gmail.document.querySelector('.ZkmAeb'), null);
+  await gmail.close();
+});
+
+/**
+ * Plays Gmail's part in the Scheduled folder: opening an email hides the list and shows the
+ * email with its Cancel send bar, and Cancel send reopens the email as a draft in a compose window
+ * @param {Object} gmail - The harness
+ */
+function emulateScheduledFolder(gmail) {
+  const { document } = gmail;
+  const list = document.querySelector('[gh="tl"]');
+
+  gmail.window.addEventListener('hashchange', () => {
+    document.querySelector('.thread-view')?.remove();
+    const match = gmail.window.location.hash.match(/^#scheduled\/([0-9a-f]{16})$/);
+    list.hidden = Boolean(match);
+    if (!match) {
+      return;
+    }
+
+    const thread = list.querySelector(`[data-legacy-thread-id="${match[1]}"]`);
+    const title = thread.closest('tr').querySelector('.xW span[title]').getAttribute('title');
+    list.insertAdjacentHTML('afterend', `
+      <div class="thread-view">
+        <div class="ha"><h2 class="hP" data-legacy-thread-id="${match[1]}">${thread.textContent}</h2></div>
+        <div class="bHm"><div class="aKs"><span class="aT5">Send scheduled for ${title}</span><div class="T-I J-J5-Ji T-I-atl" role="button" tabindex="0">Cancel send</div></div></div>
+        <div class="adn ads" role="listitem"><div class="gE iv gt"><span class="g3" title="${title}">${title}</span></div></div>
+      </div>`);
+  });
+
+  document.addEventListener('click', (e) => {
+    if (e.target.closest('.bHm [role="button"]')) {
+      const heading = document.querySelector('.thread-view h2');
+      e.target.closest('.bHm').remove();
+      document.body.insertAdjacentHTML('beforeend', `
+        <div class="dw"><div class="nH Hd" role="dialog"><div class="M9">
+          <form><input type="hidden" name="draft" value="r-${heading.getAttribute('data-legacy-thread-id')}"></form>
+          <input name="subjectbox" aria-label="Subject" value="${heading.textContent}">
+          <div class="T-I J-J5-Ji hG T-I-atl L3" role="button" aria-label="More send options"></div>
+        </div></div></div>`);
+    }
+  });
+
+  // Scheduling closes the compose window and replaces the previous toast
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (button && button.textContent.trim() === 'Schedule send') {
+      document.querySelectorAll('.dw, .vh').forEach(element => element.remove());
+    }
+  }, true);
+}
+
+/**
+ * Ticks the Gmail checkboxes of the given Scheduled list rows
+ * @param {Object} gmail - The harness
+ * @param {number[]} indexes - Row positions
+ */
+function selectRows(gmail, indexes) {
+  const rows = gmail.document.querySelectorAll('tr.zA');
+  indexes.forEach(index => rows[index].querySelector('[role="checkbox"]').setAttribute('aria-checked', 'true'));
+}
+
+test('selected scheduled emails are shifted one after another', async () => {
+  // Both emails are rescheduled within the same fake millisecond, so attempt IDs need distinct randomness
+  let draw = 0;
+  const gmail = await loadGmail({
+    now: NOW,
+    random: () => (++draw % 100) / 100,
+    fixture: 'scheduled-list.html',
+    url: 'https://mail.google.com/mail/u/0/#scheduled'
+  });
+  const scheduled = emulateGmail(gmail);
+  emulateScheduledFolder(gmail);
+
+  const bar = gmail.document.querySelector('[gh="tl"] .schedule-bulk-bar');
+  assert.ok(bar, 'the bar is shown above the list');
+  selectRows(gmail, [0, 2]);
+  bar.querySelector('.schedule-bulk-unit').value = 'days';
+  bar.querySelector('.schedule-bulk-start').click();
+  await gmail.advance(60000);
+
+  assert.deepStrictEqual(scheduled, [
+    { date: '10/21/2026', time: '8:34 AM' },
+    { date: '10/22/2026', time: '2:00 PM' }
+  ]);
+  assert.deepStrictEqual(
+    stored(gmail, 'cancelled times').map(entry => entry.subject),
+    ['Offsite logistics', 'Quarterly numbers']
+  );
+  assert.deepStrictEqual(
+    stored(gmail, 'schedule log').map(attempt => [attempt.status, attempt.source]),
+    [['verified', 'Bulk reschedule (+1 day)'], ['verified', 'Bulk reschedule (+1 day)']]
+  );
+  assert.strictEqual(gmail.document.querySelector('.schedule-bulk-summary').textContent, 'Rescheduled 2 emails');
+  assert.strictEqual(gmail.window.location.hash, '#scheduled');
+  await gmail.close();
+});
+
+test('a bulk reschedule stops at the first email Gmail schedules wrongly', async () => {
+  const gmail = await loadGmail({
+    now: NOW,
+    fixture: 'scheduled-list.html',
+    url: 'https://mail.google.com/mail/u/0/#scheduled'
+  });
+  const scheduled = emulateGmail(gmail, () => 'Send scheduled for Mon, Oct 19, 10:00 AM');
+  emulateScheduledFolder(gmail);
+
+  selectRows(gmail, [0, 1, 2]);
+  gmail.document.querySelector('.schedule-bulk-start').click();
+  await gmail.advance(60000);
+
+  assert.strictEqual(scheduled.length, 1);
+  assert.match(
+    gmail.document.querySelector('.schedule-bulk-summary').textContent,
+    /^Stopped: 0 of 3 rescheduled\. Quarterly numbers: Gmail scheduled it for .*10:00 AM instead$/
+  );
+  assert.deepStrictEqual(
+    Array.from(gmail.document.querySelectorAll('.schedule-bulk-item')).map(item => item.dataset.status),
+    ['failed', 'skipped', 'skipped']
+  );
+  assert.strictEqual(stored(gmail, 'cancelled times').length, 1);
+  assert.deepStrictEqual(
+    stored(gmail, 'audit log').map(event => event.type),
+    ['mismatch', 'option-selected', 'cancel-captured']
+  );
+  await gmail.close();
+});
+
+test('a bulk reschedule clicks Schedule send itself in review mode', async () => {
+  let draw = 0;
+  const gmail = await loadGmail({
+    now: NOW,
+    random: () => (++draw % 100) / 100,
+    fixture: 'scheduled-list.html',
+    url: 'https://mail.google.com/mail/u/0/#scheduled',
+    storage: { 'account:someone@example.com:send mode': 'review' }
+  });
+  const scheduled = emulateGmail(gmail);
+  emulateScheduledFolder(gmail);
+
+  selectRows(gmail, [0, 2]);
+  gmail.document.querySelector('.schedule-bulk-unit').value = 'days';
+  gmail.document.querySelector('.schedule-bulk-start').click();
+  await gmail.advance(60000);
+
+  assert.strictEqual(scheduled.length, 2, 'no email waits for a click');
+  assert.deepStrictEqual(stored(gmail, 'schedule log').map(attempt => attempt.status), ['verified', 'verified']);
+  assert.strictEqual(gmail.document.querySelector('.schedule-enhancer-highlight'), null);
+  assert.strictEqual(gmail.document.querySelector('.schedule-bulk-summary').textContent, 'Rescheduled 2 emails');
+  await gmail.close();
+});
+
+test('nothing is cancelled when the plan has a problem', async () => {
+  const gmail = await loadGmail({
+    now: NOW,
+    fixture: 'scheduled-list.html',
+    url: 'https://mail.google.com/mail/u/0/#scheduled'
+  });
+  emulateScheduledFolder(gmail);
+
+  const bar = gmail.document.querySelector('.schedule-bulk-bar');
+  selectRows(gmail, [0]);
+  bar.querySelector('.schedule-bulk-amount').value = '-2';
+  bar.querySelector('.schedule-bulk-unit').value = 'days';
+  bar.querySelector('.schedule-bulk-start').click();
+  await gmail.advance(5000);
+
+  assert.strictEqual(bar.querySelector('.schedule-bulk-message').textContent, '"Quarterly numbers" would move into the past');
+  assert.strictEqual(gmail.document.querySelector('.schedule-bulk-panel'), null);
+  assert.strictEqual(gmail.window.location.hash, '#scheduled');
+  await gmail.close();
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+
+const { ERROR_CODES, WaitError, waitFor } = require('../lib/dom-wait');
+
+/**
+ * Waits for a wait to call back
+ * @param {string|Function} condition - Selector or predicate
+ * @param {Object} options - Wait options
+ * @returns {Promise<{error: WaitError|null, result: *, handle: Object}>} What the callback received
+ */
+function wait(condition, options) {
+  return new Promise(resolve => {
+    const handle = waitFor(condition, options, (error, result) => {
+      // Let the handle be returned first when the callback is synchronous
+      setImmediate(() => resolve({ error, result, handle }));
+    });
+  });
+}
+
+test('a selector that already matches calls back straight away', () => {
+  const { document } = new JSDOM('<div class="menu" role="menu"></div>').window;
+  let received = null;
+
+  waitFor('[role="menu"]', { root: document }, (error, result) => {
+    received = { error, result };
+  });
+
+  assert.deepStrictEqual(received, { error: null, result: document.querySelector('.menu') });
+});
+
+test('an element added later is found without polling', async () => {
+  const { document } = new JSDOM('<div id="app"></div>').window;
+  const pending = wait(() => document.querySelector('input[type="date"]'), { root: document.body, step: 'date input' });
+
+  document.getElementById('app').innerHTML = '<input type="date">';
+  const { error, result } = await pending;
+
+  assert.strictEqual(error, null);
+  assert.strictEqual(result, document.querySelector('input[type="date"]'));
+});
+
+test('a predicate is re-checked when an attribute changes', async () => {
+  const { document } = new JSDOM('<button disabled>Schedule send</button>').window;
+  const button = document.querySelector('button');
+  const pending = wait(() => (!button.disabled ? button : null), { root: document.body, step: 'Schedule send button' });
+
+  button.removeAttribute('disabled');
+  const { error, result } = await pending;
+
+  assert.strictEqual(error, null);
+  assert.strictEqual(result, button);
+});
+
+test('a wait that runs out of time reports the step it was on', async () => {
+  const { document } = new JSDOM('<div></div>').window;
+  const { error, result } = await wait('.never', { root: document.body, timeout: 20, step: 'date and time inputs' });
+
+  assert.ok(error instanceof WaitError);
+  assert.strictEqual(error.code, ERROR_CODES.timeout);
+  assert.strictEqual(error.step, 'date and time inputs');
+  assert.strictEqual(error.message, 'The date and time inputs did not appear within 0.02 s');
+  assert.strictEqual(result, undefined);
+});
+
+test('a cancelled wait calls back once and ignores later changes', async () => {
+  const { document } = new JSDOM('<div></div>').window;
+  let calls = 0;
+  let received = null;
+  const handle = waitFor('.menu', { root: document.body, timeout: 50, step: 'menu' }, (error) => {
+    calls++;
+    received = error;
+  });
+
+  handle.cancel('Left the page');
+  document.body.innerHTML = '<div class="menu"></div>';
+  await new Promise(resolve => setTimeout(resolve, 80));
+
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(received.code, ERROR_CODES.cancelled);
+  assert.strictEqual(received.message, 'Left the page while waiting for the menu');
+});
+
+test('a predicate that throws ends the wait with the cause', async () => {
+  const { document } = new JSDOM('<div></div>').window;
+  const { error } = await wait(() => {
+    throw new Error('Bad selector');
+  }, { root: document.body, step: 'menu' });
+
+  assert.strictEqual(error.code, ERROR_CODES.failed);
+  assert.strictEqual(error.message, 'Could not check for the menu: Bad selector');
+  assert.strictEqual(error.cause.message, 'Bad selector');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  FEATURES,
+  CONTEXTS,
+  STATUSES,
+  HOOKS,
+  query,
+  checkContext,
+  mergeReport,
+  getUnavailableFeatures
+} = require('../lib/gmail-selectors');
+
+/**
+ * Creates a stand-in for a DOM scope that answers querySelectorAll from a table
+ * @param {Object} matches - Elements by selector
+ * @returns {Object} The scope
+ */
+function createScope(matches) {
+  return {
+    querySelectorAll: selector => matches[selector] || []
+  };
+}
+
+test('every hook has a feature and at least one strategy', () => {
+  Object.entries(HOOKS).forEach(([name, hook]) => {
+    assert.ok(Object.values(FEATURES).includes(hook.feature), `${name} has a known feature`);
+    assert.ok(hook.context === null || Object.values(CONTEXTS).includes(hook.context), `${name} has a known context`);
+    assert.ok(hook.strategies.length > 0, `${name} has strategies`);
+    hook.strategies.forEach(strategy => {
+      assert.ok(strategy.label, `${name} strategies are labelled`);
+      assert.ok(strategy.selector || strategy.find, `${name} strategies can run`);
+    });
+  });
+});
+
+test('strategies are tried in order', () => {
+  const primary = { id: 'primary' };
+  const fallback = { id: 'fallback' };
+
+  assert.strictEqual(query('toastUndo', createScope({ '#link_undo': [primary] })), primary);
+
+  const undoLink = { ...fallback, textContent: ' Undo ' };
+  const scope = createScope({ '[role="alert"] [role="link"], [role="alert"] [role="button"]': [undoLink] });
+  assert.strictEqual(query('toastUndo', scope), undoLink);
+
+  // Filters reject elements that match the selector but not the label
+  const otherLink = { textContent: 'View message' };
+  assert.strictEqual(
+    query('toastUndo', createScope({ '[role="alert"] [role="link"], [role="alert"] [role="button"]': [otherLink] })),
+    null
+  );
+});
+
+test('health checks report which strategy resolved each hook', () => {
+  const scope = createScope({
+    '.bAq': []
+  });
+  assert.deepStrictEqual(checkContext(CONTEXTS.confirmation, scope), {
+    toastMessage: { status: STATUSES.missing, strategy: null }
+  });
+
+  const toast = { textContent: 'Send scheduled for Tue, Oct 20, 8:34 AM' };
+  assert.deepStrictEqual(checkContext(CONTEXTS.confirmation, createScope({ '[role="alert"]': [toast] })), {
+    toastMessage: { status: STATUSES.fallback, strategy: 'alert role' }
+  });
+  assert.deepStrictEqual(checkContext(CONTEXTS.gmail, createScope({ 'div[role="main"]': [{}] })), {
+    gmailMain: { status: STATUSES.ok, strategy: 'main role' }
+  });
+});
+
+test('reports keep the latest result of each hook and name broken features', () => {
+  let report = mergeReport(undefined, {
+    dateInput: { status: STATUSES.missing, strategy: null },
+    toastMessage: { status: STATUSES.ok, strategy: 'toast class' }
+  }, 1000);
+  assert.deepStrictEqual(getUnavailableFeatures(report), [FEATURES.autoSchedule]);
+
+  report = mergeReport(report, { dateInput: { status: STATUSES.fallback, strategy: 'first dialog input' } }, 2000);
+  assert.strictEqual(report.hooks.dateInput.checkedAt, 2000);
+  assert.strictEqual(report.hooks.toastMessage.checkedAt, 1000);
+  assert.deepStrictEqual(getUnavailableFeatures(report), []);
+  assert.deepStrictEqual(getUnavailableFeatures(undefined), []);
+});
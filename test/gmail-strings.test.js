@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  STRINGS,
+  getPageLanguage,
+  getStrings,
+  matchesText,
+  containsText
+} = require('../lib/gmail-strings');
+
+test('every language names the same things as English', () => {
+  const keys = Object.keys(STRINGS.en).sort();
+  Object.entries(STRINGS).forEach(([language, table]) => {
+    assert.deepStrictEqual(Object.keys(table).sort(), keys, `${language} has every text`);
+  });
+});
+
+test('the page language comes first, then its base language, then English', () => {
+  assert.deepStrictEqual(getStrings('cancelSend', 'de'), ['Senden abbrechen', 'Cancel send']);
+  assert.deepStrictEqual(getStrings('scheduleSend', 'pt-BR'), ['Programar envio', 'Agendar envio', 'Schedule send']);
+  assert.deepStrictEqual(getStrings('cancelSend', 'xx'), ['Cancel send']);
+  assert.deepStrictEqual(getStrings('date'), ['Date']);
+});
+
+test('Gmail text matches across case, spacing and apostrophes', () => {
+  assert.ok(matchesText('cancelSend', '  senden   Abbrechen ', 'de'));
+  assert.ok(matchesText('cancelSend', 'Annuler l’envoi', 'fr'));
+  assert.ok(matchesText('cancelSend', 'Cancel send', 'ja'), 'English is always accepted');
+  assert.ok(!matchesText('cancelSend', 'Senden abbrechen', 'en'));
+  assert.ok(!matchesText('scheduleSend', 'Schedule send later', 'en'));
+
+  assert.ok(containsText('sendOptions', 'Weitere Sendeoptionen', 'de'));
+  assert.ok(!containsText('sendOptions', 'Weitere Optionen', 'de'));
+});
+
+test('the page language is read from the document', () => {
+  const document = { documentElement: { lang: 'pt-BR' } };
+  assert.strictEqual(getPageLanguage({ ownerDocument: document }), 'pt-br');
+  assert.strictEqual(getPageLanguage(document), 'pt-br');
+  assert.strictEqual(getPageLanguage(null), '');
+});
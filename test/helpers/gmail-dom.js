@@ -0,0 +1,239 @@
+// Headless Gmail for content script tests
+// Loads a recorded Gmail fixture into jsdom, stubs chrome.storage and runs the content scripts
+// from manifest.json against it, with a fake clock so retries and debounces run instantly
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const { formatMessage } = require('../../lib/i18n');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'gmail');
+
+/**
+ * Reads a Gmail fixture
+ * @param {string} name - File name in test/fixtures/gmail
+ * @returns {string} The HTML
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+/**
+ * Creates a fake clock whose timers only run when the test advances it
+ * @param {number} start - Start time (ms since epoch)
+ * @returns {Object} The clock
+ */
+function createClock(start) {
+  let nextId = 1;
+  const clock = {
+    now: start,
+    timers: new Map(),
+    setTimeout(callback, delay = 0, ...args) {
+      const id = nextId++;
+      clock.timers.set(id, { callback, args, time: clock.now + Math.max(0, delay || 0), id });
+      return id;
+    },
+    clearTimeout(id) {
+      clock.timers.delete(id);
+    }
+  };
+  return clock;
+}
+
+/**
+ * Creates a chrome.storage.local stand-in backed by a plain object
+ * Values are copied through JSON like Chrome does, and callbacks run asynchronously
+ * @param {Object} data - Initial contents
+ * @returns {Object} The storage area
+ */
+function createStorageArea(data) {
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  const defer = callback => Promise.resolve().then(() => callback && callback());
+
+  return {
+    data,
+    get(keys, callback) {
+      const list = keys === null || keys === undefined
+        ? Object.keys(data)
+        : [].concat(typeof keys === 'object' && !Array.isArray(keys) ? Object.keys(keys) : keys);
+      const result = {};
+      list.forEach(key => {
+        if (key in data) {
+          result[key] = copy(data[key]);
+        }
+      });
+      defer(() => callback(result));
+    },
+    set(items, callback) {
+      Object.keys(items).forEach(key => {
+        data[key] = copy(items[key]);
+      });
+      defer(callback);
+    },
+    remove(keys, callback) {
+      [].concat(keys).forEach(key => delete data[key]);
+      defer(callback);
+    }
+  };
+}
+
+/**
+ * Creates a chrome.i18n stand-in that answers from a catalogue in _locales
+ * @param {string} language - Folder name in _locales, e.g. "en"
+ * @returns {Object} The i18n API
+ */
+function createI18n(language) {
+  const messages = JSON.parse(fs.readFileSync(path.join(ROOT, '_locales', language, 'messages.json'), 'utf8'));
+  return {
+    getMessage: (name, substitutions) => formatMessage(messages, name, substitutions),
+    getUILanguage: () => language
+  };
+}
+
+/**
+ * Loads Gmail from a fixture and runs the extension's content scripts in it
+ * @param {Object} [options] - Harness options
+ * @param {string} [options.fixture] - Page fixture in test/fixtures/gmail
+ * @param {string} [options.url] - Page URL (the hash identifies the open conversation)
+ * @param {Object} [options.storage] - Initial chrome.storage.local contents
+ * @param {Date} [options.now] - Time the page sees as "now"
+ * @param {number|Function} [options.random] - Value Math.random returns, or a function producing the values
+ * @param {string} [options.language] - Language of the extension's messages, a folder in _locales
+ * @returns {Promise<Object>} The harness: { window, document, storage, advance, insertFixture, sendMessage, close }
+ */
+async function loadGmail({
+  fixture = 'compose.html',
+  url = 'https://mail.google.com/mail/u/0/#inbox',
+  storage = {},
+  now = new Date(2026, 9, 19, 10, 0),
+  random = 0.5,
+  language = 'en'
+} = {}) {
+  const dom = new JSDOM(readFixture(fixture), { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  const clock = createClock(now.getTime());
+
+  // Pin the page's clock and randomness
+  const RealDate = window.Date;
+  class FakeDate extends RealDate {
+    constructor(...args) {
+      super(...(args.length === 0 ? [clock.now] : args));
+    }
+
+    static now() {
+      return clock.now;
+    }
+  }
+  window.Date = FakeDate;
+  window.setTimeout = clock.setTimeout;
+  window.clearTimeout = clock.clearTimeout;
+  window.requestAnimationFrame = callback => clock.setTimeout(() => callback(clock.now), 16);
+  window.cancelAnimationFrame = clock.clearTimeout;
+  window.Math.random = typeof random === 'function' ? random : () => random;
+
+  // Track observers so they can be disconnected before the page is torn down
+  const observers = [];
+  const RealMutationObserver = window.MutationObserver;
+  window.MutationObserver = class extends RealMutationObserver {
+    constructor(callback) {
+      super(callback);
+      observers.push(this);
+    }
+  };
+
+  const storageArea = createStorageArea(storage);
+  const messageListeners = [];
+  window.chrome = {
+    storage: { local: storageArea },
+    i18n: createI18n(language),
+    runtime: {
+      onMessage: { addListener: listener => messageListeners.push(listener) }
+    }
+  };
+
+  // Run the content scripts in the order the manifest lists them
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  manifest.content_scripts[0].js.forEach(file => {
+    window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+  });
+
+  /**
+   * Lets pending promise callbacks and mutation observers run
+   */
+  const flush = async () => {
+    for (let index = 0; index < 5; index++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  };
+
+  /**
+   * Advances the page's clock, running every timer that comes due
+   * @param {number} ms - Milliseconds to advance
+   */
+  const advance = async (ms) => {
+    const end = clock.now + ms;
+    await flush();
+    for (;;) {
+      const due = Array.from(clock.timers.values())
+        .filter(timer => timer.time <= end)
+        .sort((a, b) => a.time - b.time || a.id - b.id)[0];
+      if (!due) {
+        break;
+      }
+      clock.timers.delete(due.id);
+      clock.now = due.time;
+      due.callback(...due.args);
+      await flush();
+    }
+    clock.now = end;
+  };
+
+  /**
+   * Inserts a fragment fixture into the page, as Gmail would when opening a menu or dialog
+   * @param {string} name - Fragment file name in test/fixtures/gmail
+   * @returns {Element} The inserted element
+   */
+  const insertFixture = (name) => {
+    const template = window.document.createElement('template');
+    template.innerHTML = readFixture(name).trim();
+    const element = Array.from(template.content.childNodes).find(node => node.nodeType === 1);
+    window.document.body.appendChild(element);
+    return element;
+  };
+
+  /**
+   * Sends a message to the content script, as the popup would
+   * @param {Object} message - The message
+   * @returns {Promise<*>} The response, or undefined if no listener answered
+   */
+  const sendMessage = message => new Promise(resolve => {
+    const answered = messageListeners.some(listener => listener(message, {}, resolve) === true);
+    if (!answered) {
+      setImmediate(() => resolve(undefined));
+    }
+  });
+
+  await advance(0);
+
+  return {
+    window,
+    document: window.document,
+    storage: storageArea.data,
+    advance,
+    insertFixture,
+    sendMessage,
+    // Stops timers and observers before tearing the page down
+    close: async () => {
+      clock.timers.clear();
+      observers.forEach(observer => observer.disconnect());
+      await flush();
+      window.close();
+    }
+  };
+}
+
+module.exports = {
+  loadGmail,
+  readFixture
+};
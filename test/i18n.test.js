@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+  formatMessage,
+  getMessage,
+  getPlural,
+  getLanguage
+} = require('../lib/i18n');
+
+const LOCALES = path.join(__dirname, '..', '_locales');
+
+/**
+ * Reads a language's messages
+ * @param {string} language - Folder name in _locales
+ * @returns {Object} Parsed messages.json
+ */
+function readMessages(language) {
+  return JSON.parse(fs.readFileSync(path.join(LOCALES, language, 'messages.json'), 'utf8'));
+}
+
+/**
+ * Lists the named placeholders a message uses
+ * @param {string} message - Message text
+ * @returns {string[]} Placeholder names, sorted
+ */
+function placeholdersOf(message) {
+  return Array.from(new Set(message.match(/\$[A-Z_]+\$/g) || [])).sort();
+}
+
+test('messages are built the way chrome.i18n builds them', () => {
+  const messages = {
+    greeting: {
+      message: 'Moved $EMAIL$ by $AMOUNT$ for $$5',
+      placeholders: {
+        email: { content: '$1' },
+        amount: { content: '$2' }
+      }
+    }
+  };
+
+  assert.strictEqual(formatMessage(messages, 'greeting', ['"Budget"', 3]), 'Moved "Budget" by 3 for $5');
+  assert.strictEqual(formatMessage(messages, 'greeting'), 'Moved  by  for $5');
+  assert.strictEqual(formatMessage(messages, 'missing'), '');
+});
+
+test('outside the extension, messages come from the English catalogue', () => {
+  assert.strictEqual(getLanguage(), 'en');
+  assert.strictEqual(getMessage('menuRecommended', 'Legal'), 'Recommended: Legal');
+  assert.strictEqual(getMessage('noSuchMessage'), 'noSuchMessage');
+});
+
+test('counts pick the plural form of the language', () => {
+  assert.strictEqual(getPlural('reminderMinutes', 1), '1 minute');
+  assert.strictEqual(getPlural('reminderMinutes', 5), '5 minutes');
+  assert.strictEqual(getPlural('bulkShiftDays', 1, ['-1']), '-1 day');
+});
+
+test('every language has every message, with the same placeholders', () => {
+  const english = readMessages('en');
+  fs.readdirSync(LOCALES).filter(language => language !== 'en').forEach(language => {
+    const messages = readMessages(language);
+    assert.deepStrictEqual(Object.keys(messages).sort(), Object.keys(english).sort(), `${language} has every message`);
+    Object.entries(english).forEach(([name, entry]) => {
+      assert.deepStrictEqual(
+        placeholdersOf(messages[name].message),
+        placeholdersOf(entry.message),
+        `${language} ${name} uses the same placeholders`
+      );
+    });
+    assert.strictEqual(messages.languageCode.message, language);
+  });
+});
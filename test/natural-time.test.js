@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseNaturalTime } = require('../lib/natural-time');
+
+// Monday, October 19 2026, 10:00 AM local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+/**
+ * Parses a phrase relative to NOW
+ * @param {string} text - The phrase
+ * @param {Object} [options] - Extra parser options
+ * @returns {Date|null} The parsed date
+ */
+function parse(text, options = {}) {
+  return parseNaturalTime(text, { now: NOW, ...options });
+}
+
+/**
+ * Asserts that a phrase resolves to the given local time
+ * @param {string} text - The phrase
+ * @param {number[]} expected - [year, monthIndex, day, hours, minutes]
+ * @param {Object} [options] - Extra parser options
+ */
+function assertParses(text, expected, options) {
+  const result = parse(text, options);
+  assert.ok(result, `"${text}" should parse`);
+  assert.deepStrictEqual(
+    [result.getFullYear(), result.getMonth(), result.getDate(), result.getHours(), result.getMinutes()],
+    expected,
+    `"${text}" resolved to ${result}`
+  );
+}
+
+test('relative offsets', () => {
+  assertParses('in 3 hours', [2026, 9, 19, 13, 0]);
+  assertParses('in 45 min', [2026, 9, 19, 10, 45]);
+  assertParses('in 1h 30m', [2026, 9, 19, 11, 30]);
+  assertParses('in an hour', [2026, 9, 19, 11, 0]);
+  assertParses('in 2 days', [2026, 9, 21, 10, 0]);
+  assertParses('in two days at 8am', [2026, 9, 21, 8, 0]);
+});
+
+test('weekdays', () => {
+  // Today's 9 AM has passed, so "mon" is next week
+  assertParses('mon 9am', [2026, 9, 26, 9, 0]);
+  // Today's 4 PM is still ahead
+  assertParses('monday 4pm', [2026, 9, 19, 16, 0]);
+  assertParses('next mon 4pm', [2026, 9, 26, 16, 0]);
+  // "next" only skips today, so on a Monday "next tue" is tomorrow
+  assertParses('next tue 14:30', [2026, 9, 20, 14, 30]);
+  assertParses('fri noon', [2026, 9, 23, 12, 0]);
+  assertParses('thursday', [2026, 9, 22, 9, 0]);
+  // A bare hour after a day is read as working hours
+  assertParses('wed 9', [2026, 9, 21, 9, 0]);
+  assertParses('wed 3', [2026, 9, 21, 15, 0]);
+});
+
+test('named days and times', () => {
+  assertParses('tomorrow', [2026, 9, 20, 9, 0]);
+  assertParses('tomorrow at 8:15am', [2026, 9, 20, 8, 15]);
+  assertParses('tmrw 7pm', [2026, 9, 20, 19, 0]);
+  assertParses('day after tomorrow 4pm', [2026, 9, 21, 16, 0]);
+  assertParses('today 3pm', [2026, 9, 19, 15, 0]);
+  assertParses('tonight', [2026, 9, 19, 20, 0]);
+  assertParses('tomorrow morning', [2026, 9, 20, 9, 0]);
+});
+
+test('times without a day use their next occurrence', () => {
+  assertParses('9am', [2026, 9, 20, 9, 0]);
+  assertParses('2:30 pm', [2026, 9, 19, 14, 30]);
+  assertParses('14:30', [2026, 9, 19, 14, 30]);
+  assertParses('noon', [2026, 9, 19, 12, 0]);
+});
+
+test('end of day and week', () => {
+  assertParses('end of day', [2026, 9, 19, 17, 0]);
+  assertParses('EOD', [2026, 9, 19, 17, 0]);
+  assertParses('end of week', [2026, 9, 23, 17, 0]);
+  assertParses('next week', [2026, 9, 26, 9, 0]);
+});
+
+test('business days of a month', () => {
+  // November 1 2026 is a Sunday
+  assertParses('first business day of next month', [2026, 10, 2, 9, 0]);
+  // October 31 2026 is a Saturday
+  assertParses('last business day of this month', [2026, 9, 30, 9, 0]);
+  assertParses('next month', [2026, 10, 2, 9, 0]);
+});
+
+test('calendar dates', () => {
+  assertParses('2026-12-24 9:30', [2026, 11, 24, 9, 30]);
+  assertParses('12/24 3pm', [2026, 11, 24, 15, 0]);
+  assertParses('dec 24', [2026, 11, 24, 9, 0]);
+  assertParses('24th december 8am', [2026, 11, 24, 8, 0]);
+  // Dates that have passed this year roll over to next year
+  assertParses('jan 5', [2027, 0, 5, 9, 0]);
+  assertParses('5 january 2027', [2027, 0, 5, 9, 0]);
+});
+
+test('numeric dates follow the day and month order of the UI language', () => {
+  assertParses('1/5', [2027, 0, 5, 9, 0], { locale: 'en-US' });
+  assertParses('1/5', [2027, 4, 1, 9, 0], { locale: 'en-GB' });
+  assertParses('25/12 14:00', [2026, 11, 25, 14, 0], { locale: 'de' });
+  assertParses('24/12/2026 9am', [2026, 11, 24, 9, 0], { locale: 'fr-FR' });
+  assert.strictEqual(parse('25/12', { locale: 'en-US' }), null, 'there is no 25th month');
+  assert.strictEqual(parse('12/25', { locale: 'ja' }), null);
+});
+
+test('business calendar sets working hours and skips holidays', () => {
+  const calendar = {
+    enabled: true,
+    workingDays: [1, 2, 3, 4, 5],
+    workingHours: { start: '08:30', end: '18:00' },
+    holidays: [{ date: '2026-11-02', name: 'Bridge day' }]
+  };
+
+  assertParses('tomorrow', [2026, 9, 20, 8, 30], { calendar });
+  assertParses('eod', [2026, 9, 19, 18, 0], { calendar });
+  assertParses('first business day of next month', [2026, 10, 3, 8, 30], { calendar });
+});
+
+test('business calendar moves relative days and the end of the day onto business days', () => {
+  const calendar = {
+    enabled: true,
+    workingDays: [1, 2, 3, 4, 5],
+    workingHours: { start: '08:00', end: '18:00' },
+    holidays: [{ date: '2026-10-27', name: 'Holiday' }]
+  };
+  // Friday, October 23 2026
+  const friday = (hours) => ({ calendar, now: new Date(2026, 9, 23, hours, 0) });
+
+  assertParses('end of day', [2026, 9, 26, 18, 0], friday(19));
+  assertParses('eod', [2026, 9, 23, 18, 0], friday(10));
+  assertParses('tomorrow', [2026, 9, 26, 8, 0], friday(10));
+  assertParses('tomorrow eod', [2026, 9, 26, 18, 0], friday(10));
+  assertParses('day after tomorrow', [2026, 9, 26, 8, 0], friday(10));
+  assertParses('today', [2026, 9, 26, 8, 0], { calendar, now: new Date(2026, 9, 24, 7, 0) });
+  // Monday's "tomorrow" is the holiday
+  assertParses('tomorrow', [2026, 9, 28, 8, 0], { calendar, now: new Date(2026, 9, 26, 10, 0) });
+
+  // A time or a day typed out is kept
+  assertParses('tomorrow 9am', [2026, 9, 24, 9, 0], friday(10));
+  assertParses('sat', [2026, 9, 24, 8, 0], friday(10));
+  assertParses('oct 27', [2026, 9, 27, 8, 0], friday(10));
+
+  // Without a calendar, or with it turned off, days aren't moved
+  assertParses('tomorrow', [2026, 9, 24, 9, 0], { now: new Date(2026, 9, 23, 10, 0) });
+  assertParses('end of day', [2026, 9, 24, 18, 0], { calendar: { ...calendar, enabled: false }, now: new Date(2026, 9, 23, 19, 0) });
+});
+
+test('unrecognised phrases return null', () => {
+  assert.strictEqual(parse(''), null);
+  assert.strictEqual(parse('whenever'), null);
+  assert.strictEqual(parse('mon 9am please'), null);
+  assert.strictEqual(parse('25:00'), null);
+  assert.strictEqual(parse('13pm'), null);
+  assert.strictEqual(parse('feb 30'), null);
+  assert.strictEqual(parse(null), null);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  WINDOW_MS,
+  DEFAULT_BUDGET,
+  createMeter,
+  recordCallback,
+  getStats,
+  describeStats
+} = require('../lib/observer-budget');
+
+const START = new Date(2026, 9, 19, 10, 0).getTime();
+
+test('callbacks are counted per observer over the last minute', () => {
+  let meter = createMeter(START);
+  meter = recordCallback(meter, 'page', 2, START + 1000);
+  meter = recordCallback(meter, 'menu', 5, START + 2000);
+  meter = recordCallback(meter, 'menu', 1, START + 3000);
+
+  assert.deepStrictEqual(getStats(meter, { now: START + 4000 }), {
+    callbacksPerMinute: 3,
+    recordsPerMinute: 8,
+    byObserver: { page: 1, menu: 2 },
+    totalCallbacks: 3,
+    totalRecords: 8,
+    budget: DEFAULT_BUDGET,
+    overBudget: false
+  });
+});
+
+test('callbacks older than a minute leave the rate but not the totals', () => {
+  let meter = createMeter(START);
+  meter = recordCallback(meter, 'page', 1, START);
+  meter = recordCallback(meter, 'menu', 1, START + WINDOW_MS);
+
+  const stats = getStats(meter, { now: START + WINDOW_MS + 1 });
+  assert.strictEqual(stats.callbacksPerMinute, 1);
+  assert.deepStrictEqual(stats.byObserver, { menu: 1 });
+  assert.strictEqual(stats.totalCallbacks, 2);
+  assert.strictEqual(meter.recent.length, 1, 'old callbacks are dropped as new ones arrive');
+});
+
+test('callbacks are recorded into the same meter', () => {
+  const meter = createMeter(START);
+  const recent = meter.recent;
+  assert.strictEqual(recordCallback(meter, 'page', 3, START), meter);
+  recordCallback(meter, 'menu', 1, START + WINDOW_MS + 1);
+
+  assert.strictEqual(meter.recent, recent, 'the recent list is not copied');
+  assert.deepStrictEqual(meter.recent, [[START + WINDOW_MS + 1, 'menu', 1]]);
+  assert.strictEqual(meter.totalCallbacks, 2);
+  assert.strictEqual(meter.totalRecords, 4);
+});
+
+test('a burst above the budget is flagged', () => {
+  let meter = createMeter(START);
+  for (let index = 0; index < 4; index++) {
+    meter = recordCallback(meter, 'waits', 1, START + index);
+  }
+
+  assert.strictEqual(getStats(meter, { budget: 3, now: START + 10 }).overBudget, true);
+  assert.strictEqual(getStats(meter, { budget: 4, now: START + 10 }).overBudget, false);
+});
+
+test('stats are described for the debug panel', () => {
+  let meter = createMeter(START);
+  assert.strictEqual(describeStats(getStats(meter, { now: START })), `0 of ${DEFAULT_BUDGET} callbacks per minute`);
+
+  meter = recordCallback(meter, 'page', 1, START);
+  meter = recordCallback(meter, 'menu', 1, START);
+  assert.strictEqual(
+    describeStats(getStats(meter, { budget: 60, now: START })),
+    '2 of 60 callbacks per minute (menu 1, page 1)'
+  );
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  detectDateFormat,
+  detectTimeFormat,
+  formatDateForInput,
+  formatTimeForInput
+} = require('../lib/picker-format');
+
+// Monday, October 19 2026, 8:05 AM and 2:30 PM local time
+const MORNING = new Date(2026, 9, 19, 8, 5);
+const AFTERNOON = new Date(2026, 9, 19, 14, 30);
+
+/**
+ * Formats a date the way the Date input described by the attributes expects
+ * @param {Object} input - Input attributes ({ placeholder, value })
+ * @param {string} locale - Gmail's UI locale
+ * @returns {string} The formatted date
+ */
+function fillDate(input, locale) {
+  return formatDateForInput(MORNING, detectDateFormat(input, locale));
+}
+
+test('date format from the placeholder', () => {
+  assert.strictEqual(fillDate({ placeholder: 'MM/DD/YYYY' }, 'en-US'), '10/19/2026');
+  assert.strictEqual(fillDate({ placeholder: 'DD/MM/YYYY' }, 'en-US'), '19/10/2026');
+  assert.strictEqual(fillDate({ placeholder: 'YYYY-MM-DD' }, 'en-US'), '2026-10-19');
+  assert.strictEqual(fillDate({ placeholder: 'TT.MM.JJJJ' }, 'de-DE'), '19.10.2026');
+  assert.strictEqual(fillDate({ placeholder: 'jj/mm/aaaa' }, 'fr-FR'), '19/10/2026');
+  assert.strictEqual(fillDate({ placeholder: 'd/m/yyyy' }, 'en-GB'), '19/10/2026');
+});
+
+test('date format from the current value', () => {
+  assert.strictEqual(fillDate({ value: '10/25/2026' }, 'en-GB'), '10/19/2026');
+  assert.strictEqual(fillDate({ value: '25/10/2026' }, 'en-US'), '19/10/2026');
+  assert.strictEqual(fillDate({ value: '2026-10-25' }, 'en-US'), '2026-10-19');
+  assert.strictEqual(fillDate({ value: '25.10.2026' }, 'en-US'), '19.10.2026');
+  // Day and month can't be told apart, so the locale decides their order
+  assert.strictEqual(fillDate({ value: '03/04/2026' }, 'en-US'), '10/19/2026');
+  assert.strictEqual(fillDate({ value: '03/04/2026' }, 'en-GB'), '19/10/2026');
+});
+
+test('date format from the locale', () => {
+  assert.strictEqual(fillDate({}, 'en-US'), '10/19/2026');
+  assert.strictEqual(fillDate({}, 'en-GB'), '19/10/2026');
+  assert.strictEqual(fillDate({}, 'de-DE'), '19.10.2026');
+  assert.strictEqual(fillDate({}, 'sv-SE'), '2026-10-19');
+  assert.strictEqual(fillDate({}, 'not a locale'), '10/19/2026');
+});
+
+test('12-hour time', () => {
+  const format = detectTimeFormat({ value: '9:00 AM' }, 'en-US');
+  assert.strictEqual(formatTimeForInput(MORNING, format), '8:05 AM');
+  assert.strictEqual(formatTimeForInput(AFTERNOON, format), '2:30 PM');
+});
+
+test('24-hour time', () => {
+  const format = detectTimeFormat({ value: '09:00' }, 'en-US');
+  assert.strictEqual(formatTimeForInput(MORNING, format), '08:05');
+  assert.strictEqual(formatTimeForInput(AFTERNOON, format), '14:30');
+
+  assert.strictEqual(formatTimeForInput(AFTERNOON, detectTimeFormat({}, 'de-DE')), '14:30');
+  assert.strictEqual(formatTimeForInput(AFTERNOON, detectTimeFormat({}, 'not a locale')), '2:30 PM');
+});
+
+test('two-digit hours fall back to the locale for padding', () => {
+  assert.strictEqual(formatTimeForInput(MORNING, detectTimeFormat({ value: '10:00 AM' }, 'en-US')), '8:05 AM');
+  assert.strictEqual(formatTimeForInput(MORNING, detectTimeFormat({ value: '10:00' }, 'en-US')), '08:05');
+  assert.strictEqual(formatTimeForInput(MORNING, detectTimeFormat({ value: '10:00 AM' }, 'en-GB')), '8:05 AM');
+});
+
+test('meridiem before the time', () => {
+  const format = detectTimeFormat({ value: '午前9:00' }, 'ja-JP');
+  assert.strictEqual(formatTimeForInput(MORNING, format), '午前8:05');
+  assert.strictEqual(formatTimeForInput(AFTERNOON, format), '午後2:30');
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  PRESET_TYPES,
+  DAY_RULES,
+  DEFAULT_PRESETS,
+  getTimeWindow,
+  resolvePreset,
+  normalizePresets
+} = require('../lib/presets');
+const { normalizeCalendar } = require('../lib/business-calendar');
+
+// Monday, October 19 2026, 10:00 AM local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+/**
+ * Resolves a fixed-time preset with a day rule
+ * @param {Object} dayRule - The day rule
+ * @param {Object} [options] - Preset fields to change and the time to resolve at
+ * @param {string} [options.start] - Start of the window, e.g. "08:00"
+ * @param {Date} [options.now] - Current time
+ * @returns {Date} The resolved send time
+ */
+function resolve(dayRule, { start = '08:00', now = NOW } = {}) {
+  return resolvePreset({ type: PRESET_TYPES.time, dayRule, time: { start, end: start } }, { now });
+}
+
+test('time windows are read in minutes, with a missing or early end meaning a single time', () => {
+  assert.deepStrictEqual(getTimeWindow({ time: { start: '08:00', end: '08:59' } }), { start: 480, end: 539 });
+  assert.deepStrictEqual(getTimeWindow({ time: { start: '14:30' } }), { start: 870, end: 870 });
+  assert.deepStrictEqual(getTimeWindow({ time: { start: '14:30', end: '09:00' } }), { start: 870, end: 870 });
+  assert.deepStrictEqual(getTimeWindow({ time: { start: '25:00', end: '08:15' } }), { start: 480, end: 495 });
+  assert.deepStrictEqual(getTimeWindow({}), { start: 480, end: 480 });
+});
+
+test('"tomorrow" is today in the small hours before a morning window', () => {
+  const tomorrow = { type: DAY_RULES.tomorrow };
+  assert.deepStrictEqual(resolve(tomorrow), new Date(2026, 9, 20, 8, 0));
+  assert.deepStrictEqual(resolve(tomorrow, { now: new Date(2026, 9, 19, 2, 0) }), new Date(2026, 9, 19, 8, 0));
+  // Only morning windows: at 2 AM, an afternoon window tomorrow is still tomorrow
+  assert.deepStrictEqual(resolve(tomorrow, { start: '14:00', now: new Date(2026, 9, 19, 2, 0) }), new Date(2026, 9, 20, 14, 0));
+  assert.deepStrictEqual(resolve(undefined), new Date(2026, 9, 20, 8, 0), 'tomorrow is the default rule');
+});
+
+test('"next weekday" skips the weekend and "next Monday" never means today', () => {
+  const nextWeekday = { type: DAY_RULES.nextWeekday };
+  assert.deepStrictEqual(resolve(nextWeekday), new Date(2026, 9, 20, 8, 0));
+  assert.deepStrictEqual(resolve(nextWeekday, { now: new Date(2026, 9, 23, 10, 0) }), new Date(2026, 9, 26, 8, 0), 'Friday');
+  assert.deepStrictEqual(resolve(nextWeekday, { now: new Date(2026, 9, 24, 10, 0) }), new Date(2026, 9, 26, 8, 0), 'Saturday');
+
+  const nextMonday = { type: DAY_RULES.nextMonday };
+  assert.deepStrictEqual(resolve(nextMonday, { now: new Date(2026, 9, 19, 6, 0) }), new Date(2026, 9, 26, 8, 0));
+  assert.deepStrictEqual(resolve(nextMonday, { now: new Date(2026, 9, 25, 10, 0) }), new Date(2026, 9, 26, 8, 0), 'Sunday');
+});
+
+test('"days from now" counts whole days, and 0 days is tomorrow once the window has started', () => {
+  assert.deepStrictEqual(resolve({ type: DAY_RULES.daysFromNow, days: 3 }), new Date(2026, 9, 22, 8, 0));
+  assert.deepStrictEqual(resolve({ type: DAY_RULES.daysFromNow, days: -2 }), new Date(2026, 9, 20, 8, 0));
+  assert.deepStrictEqual(resolve({ type: DAY_RULES.daysFromNow, days: 0 }), new Date(2026, 9, 20, 8, 0));
+  assert.deepStrictEqual(resolve({ type: DAY_RULES.daysFromNow, days: 0 }, { start: '15:00' }), new Date(2026, 9, 19, 15, 0));
+});
+
+test('a weekday is today while its window is ahead, otherwise the next one', () => {
+  const monday = { type: DAY_RULES.weekday, weekday: 1 };
+  assert.deepStrictEqual(resolve(monday, { start: '15:00' }), new Date(2026, 9, 19, 15, 0));
+  assert.deepStrictEqual(resolve(monday), new Date(2026, 9, 26, 8, 0));
+  assert.deepStrictEqual(resolve({ type: DAY_RULES.weekday, weekday: 4 }), new Date(2026, 9, 22, 8, 0));
+  assert.deepStrictEqual(resolve({ type: DAY_RULES.weekday, weekday: 0 }), new Date(2026, 9, 25, 8, 0));
+});
+
+test('a business calendar moves the resolved time onto a working day', () => {
+  const preset = { type: PRESET_TYPES.time, dayRule: { type: DAY_RULES.daysFromNow, days: 5 }, time: { start: '09:00' } };
+  assert.deepStrictEqual(resolvePreset(preset, { now: NOW, calendar: normalizeCalendar({}) }), new Date(2026, 9, 26, 9, 0));
+});
+
+test('stored presets are completed, and missing ones replaced by the defaults', () => {
+  assert.deepStrictEqual(normalizePresets(undefined), DEFAULT_PRESETS);
+  assert.deepStrictEqual(normalizePresets([]), DEFAULT_PRESETS);
+  assert.notStrictEqual(normalizePresets(undefined)[0], DEFAULT_PRESETS[0], 'the defaults are copied');
+
+  assert.deepStrictEqual(normalizePresets([
+    { id: 'a', type: 'cancelled', label: 'Saved', enabled: false },
+    { id: 'b', type: 'unknown', dayRule: { type: DAY_RULES.nextMonday } }
+  ]), [
+    { id: 'a', type: PRESET_TYPES.cancelled, label: 'Saved', enabled: false },
+    { id: 'b', type: PRESET_TYPES.time, label: '', enabled: true, dayRule: { type: DAY_RULES.nextMonday } }
+  ]);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DISTRIBUTIONS, createRandom, isRoundMinute, pickMinute } = require('../lib/random-time');
+const { resolvePreset } = require('../lib/presets');
+const { STATUSES, getScheduledTimes } = require('../lib/schedule-log');
+
+// Monday, October 19 2026, 10:00 AM local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+// 8:00 to 8:59 AM
+const MORNING = { start: 8 * 60, end: 8 * 60 + 59 };
+
+const PRESET = {
+  id: 'outreach',
+  type: 'time',
+  label: 'Outreach',
+  dayRule: { type: 'tomorrow' },
+  time: { start: '08:00', end: '08:59' },
+  randomMinute: true
+};
+
+test('seeded generators repeat their sequence', () => {
+  const first = createRandom('outreach');
+  const second = createRandom('outreach');
+  const sequence = Array.from({ length: 5 }, () => first());
+
+  assert.deepStrictEqual(Array.from({ length: 5 }, () => second()), sequence);
+  assert.notDeepStrictEqual(Array.from({ length: 5 }, createRandom('other')), sequence);
+  sequence.forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('a plain pick spreads evenly over the window', () => {
+  assert.strictEqual(pickMinute(MORNING, { random: () => 0 }), MORNING.start);
+  assert.strictEqual(pickMinute(MORNING, { random: () => 0.5 }), MORNING.start + 30);
+  assert.strictEqual(pickMinute(MORNING, { random: () => 0.9999 }), MORNING.end);
+});
+
+test('round minutes are avoided unless the window has nothing else', () => {
+  const random = createRandom(1);
+  for (let index = 0; index < 200; index++) {
+    assert.ok(!isRoundMinute(pickMinute(MORNING, { random, avoidRoundMinutes: true })));
+  }
+
+  assert.strictEqual(pickMinute({ start: 540, end: 540 }, { avoidRoundMinutes: true }), 540);
+});
+
+test('picks keep the minimum gap, or get as far as a crowded window allows', () => {
+  const taken = [8 * 60 + 10, 8 * 60 + 40];
+  const random = createRandom(2);
+  for (let index = 0; index < 200; index++) {
+    const minute = pickMinute(MORNING, { random, taken, minGap: 10 });
+    assert.ok(taken.every(other => Math.abs(minute - other) >= 10), String(minute));
+  }
+
+  // 8:00–8:20 with 8:10 taken: only the edges are 10 minutes away
+  const crowded = { start: 8 * 60, end: 8 * 60 + 20 };
+  assert.strictEqual(pickMinute(crowded, { random: () => 0, taken: [8 * 60 + 10], minGap: 30 }), 8 * 60);
+  assert.strictEqual(pickMinute(crowded, { random: () => 0.99, taken: [8 * 60 + 10], minGap: 30 }), 8 * 60 + 20);
+});
+
+test('the centered distribution favours the middle of the window', () => {
+  const random = createRandom(3);
+  const picks = Array.from({ length: 2000 }, () => pickMinute(MORNING, { random, distribution: DISTRIBUTIONS.centered }));
+  const middle = picks.filter(minute => minute >= MORNING.start + 15 && minute <= MORNING.start + 44).length;
+
+  // Half the window holds about three quarters of the picks
+  assert.ok(middle / picks.length > 0.65, String(middle / picks.length));
+});
+
+test('presets spread a batch of emails using the scheduled times', () => {
+  const random = createRandom('batch');
+  const preset = { ...PRESET, avoidRoundMinutes: true, minGapMinutes: 4 };
+  const taken = [];
+  for (let index = 0; index < 12; index++) {
+    taken.push(resolvePreset(preset, { now: NOW, random, taken }));
+  }
+
+  const minutes = taken.map(date => date.getMinutes()).sort((a, b) => a - b);
+  assert.strictEqual(new Set(minutes).size, 12);
+  minutes.slice(1).forEach((minute, index) => assert.ok(minute - minutes[index] >= 4, minutes.join(',')));
+  taken.forEach(date => assert.strictEqual(date.getDate(), 20));
+});
+
+test('only times on the target day count as taken', () => {
+  const otherDay = new Date(2026, 9, 21, 8, 30);
+  assert.strictEqual(
+    resolvePreset({ ...PRESET, minGapMinutes: 30 }, { now: NOW, random: () => 0.5, taken: [otherDay] }).getMinutes(),
+    30
+  );
+});
+
+test('the schedule log lists future times that were not declined or failed', () => {
+  const log = [
+    { status: STATUSES.verified, targetISO: new Date(2026, 9, 20, 8, 12).toISOString(), actualISO: null },
+    { status: STATUSES.mismatch, targetISO: new Date(2026, 9, 20, 8, 20).toISOString(), actualISO: new Date(2026, 9, 20, 8, 21).toISOString() },
+    { status: STATUSES.failed, targetISO: new Date(2026, 9, 20, 8, 30).toISOString(), actualISO: null },
+    { status: STATUSES.cancelled, targetISO: new Date(2026, 9, 20, 8, 40).toISOString(), actualISO: null },
+    { status: STATUSES.verified, targetISO: new Date(2026, 9, 18, 8, 0).toISOString(), actualISO: null }
+  ];
+
+  assert.deepStrictEqual(
+    getScheduledTimes(log, NOW).map(date => date.getMinutes()),
+    [12, 21]
+  );
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  RULE_TYPES,
+  parsePatterns,
+  createRule,
+  normalizeRules,
+  validateRule,
+  findMatchingRule,
+  resolveRuleTime,
+  recommend
+} = require('../lib/recipient-rules');
+const { normalizeCalendar } = require('../lib/business-calendar');
+
+// Monday, October 19 2026, 10:00 AM local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+/**
+ * Builds a rule
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} The rule
+ */
+function rule(overrides = {}) {
+  return normalizeRules([{ ...createRule(), ...overrides }])[0];
+}
+
+const LEGAL = rule({
+  id: 'legal',
+  name: 'Legal on Tuesdays',
+  patterns: ['legal@*'],
+  dayRule: { type: 'weekday', weekday: 2 },
+  time: { start: '10:00', end: '10:00' }
+});
+const INTERNAL = rule({
+  id: 'internal',
+  name: 'Internal hours',
+  patterns: ['ourco.com'],
+  type: RULE_TYPES.window,
+  window: { start: '08:00', end: '18:00' }
+});
+
+test('patterns are split on commas, semicolons and spaces', () => {
+  assert.deepStrictEqual(parsePatterns(' Legal@*, ourco.com;ana@client.com  *.gov '), ['legal@*', 'ourco.com', 'ana@client.com', '*.gov']);
+  assert.deepStrictEqual(parsePatterns(''), []);
+});
+
+test('stored rules get defaults for missing fields', () => {
+  const [stored] = normalizeRules([{ id: 'a', name: 'A', patterns: 'a@b.com, c.com', type: 'unknown' }]);
+  assert.deepStrictEqual(stored.patterns, ['a@b.com', 'c.com']);
+  assert.strictEqual(stored.type, RULE_TYPES.sendAt);
+  assert.strictEqual(stored.enabled, true);
+  assert.deepStrictEqual(normalizeRules(undefined), []);
+});
+
+test('rules without a name, pattern or valid times are rejected', () => {
+  assert.strictEqual(validateRule(LEGAL), null);
+  assert.strictEqual(validateRule({ ...LEGAL, name: ' ' }), 'Every rule needs a name');
+  assert.strictEqual(validateRule({ ...LEGAL, patterns: [] }), '"Legal on Tuesdays" needs at least one address, domain or wildcard');
+  assert.strictEqual(
+    validateRule({ ...INTERNAL, window: { start: '18:00', end: '08:00' } }),
+    '"Internal hours" needs a start time before its end time'
+  );
+});
+
+test('the most specific pattern wins, then the first rule', () => {
+  const exact = rule({ id: 'exact', name: 'Ana', patterns: ['ana@ourco.com'] });
+  const recipients = ['bob@client.com', 'ana@ourco.com'];
+
+  assert.strictEqual(findMatchingRule(recipients, [INTERNAL, exact]).rule.id, 'exact');
+  assert.deepStrictEqual(findMatchingRule(['legal@client.com', 'sam@ourco.com'], [INTERNAL, LEGAL]), {
+    rule: INTERNAL,
+    recipient: 'sam@ourco.com',
+    pattern: 'ourco.com'
+  });
+  assert.strictEqual(findMatchingRule(recipients, [{ ...exact, enabled: false }, LEGAL]), null);
+});
+
+test('a send-at rule resolves like a preset', () => {
+  assert.deepStrictEqual(resolveRuleTime(LEGAL, { now: NOW }), new Date(2026, 9, 20, 10, 0));
+});
+
+test('a window rule takes the next slot inside its window', () => {
+  assert.deepStrictEqual(resolveRuleTime(INTERNAL, { now: NOW }), new Date(2026, 9, 19, 10, 15));
+  assert.deepStrictEqual(resolveRuleTime(INTERNAL, { now: new Date(2026, 9, 19, 17, 50) }), new Date(2026, 9, 19, 18, 0));
+  assert.deepStrictEqual(resolveRuleTime(INTERNAL, { now: new Date(2026, 9, 19, 18, 5) }), new Date(2026, 9, 20, 8, 0));
+  assert.deepStrictEqual(resolveRuleTime(INTERNAL, { now: new Date(2026, 9, 19, 6, 40) }), new Date(2026, 9, 19, 8, 0));
+});
+
+test('a window rule follows the business calendar', () => {
+  const calendar = normalizeCalendar({ enabled: true, workingDays: [1, 2, 3, 4, 5] });
+  // Friday evening moves to Monday morning
+  assert.deepStrictEqual(
+    resolveRuleTime(INTERNAL, { now: new Date(2026, 9, 23, 19, 0), calendar }),
+    new Date(2026, 9, 26, 8, 0)
+  );
+});
+
+test('a recommendation uses the recipient time zone only when the rule asks for it', () => {
+  const tokyo = rule({ ...LEGAL, recipientTimeZone: true });
+
+  const local = recommend(['legal@acme.co.jp'], [LEGAL], { now: NOW, timeZone: 'Asia/Tokyo' });
+  assert.strictEqual(local.timeZone, null);
+  assert.deepStrictEqual(local.date, new Date(2026, 9, 20, 10, 0));
+
+  const zoned = recommend(['legal@acme.co.jp'], [tokyo], { now: NOW, timeZone: 'Asia/Tokyo' });
+  assert.strictEqual(zoned.timeZone, 'Asia/Tokyo');
+  assert.deepStrictEqual(zoned.date, new Date('2026-10-20T01:00:00Z'));
+
+  assert.strictEqual(recommend(['ana@elsewhere.com'], [LEGAL], { now: NOW }), null);
+});
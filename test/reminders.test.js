@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  REMINDER_TYPES,
+  DEFAULT_SETTINGS,
+  normalizeSettings,
+  isRescheduled,
+  listReminders,
+  planReminders,
+  describeReminder,
+  getReminderHash
+} = require('../lib/reminders');
+
+// Monday, October 19 2026, 10:00 AM local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Builds a cancelled history entry
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} The entry
+ */
+function cancelledEntry(overrides = {}) {
+  return {
+    time: 'Mon, Oct 19, 2026, 11:00 AM',
+    timeISO: new Date(2026, 9, 19, 11, 0).toISOString(),
+    subject: 'Quarterly numbers',
+    recipients: ['ana@example.com'],
+    threadId: '18b7a1c2d3e4f5a6',
+    draftId: 'r-18b7a1c2d3e4f5a6',
+    cancelledAt: NOW.getTime() - 5 * MINUTE_MS,
+    ...overrides
+  };
+}
+
+/**
+ * Builds a schedule log attempt
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} The attempt
+ */
+function attempt(overrides = {}) {
+  return {
+    id: 'attempt-1',
+    requestedAt: NOW.getTime() - MINUTE_MS,
+    targetISO: new Date(2026, 9, 19, 14, 0).toISOString(),
+    source: 'Tomorrow morning',
+    subject: 'Agenda for Thursday',
+    draftId: 'r-18b7a1c2d3e4f5a7',
+    threadId: '18b7a1c2d3e4f5a7',
+    status: 'verified',
+    actualISO: new Date(2026, 9, 19, 14, 0).toISOString(),
+    detail: '',
+    ...overrides
+  };
+}
+
+test('missing or out of range settings fall back to the defaults', () => {
+  assert.deepStrictEqual(normalizeSettings(undefined), DEFAULT_SETTINGS);
+  assert.deepStrictEqual(normalizeSettings({
+    cancelled: { enabled: false, leadMinutes: 0 },
+    headsUp: { enabled: true, leadMinutes: '30' }
+  }), {
+    cancelled: { enabled: false, leadMinutes: 15 },
+    headsUp: { enabled: true, leadMinutes: 30 }
+  });
+});
+
+test('a cancelled email is remembered before its original time', () => {
+  const [reminder] = listReminders({ history: [cancelledEntry()] });
+
+  assert.deepStrictEqual(reminder, {
+    id: `reminder:cancelled:18b7a1c2d3e4f5a6@${new Date(2026, 9, 19, 11, 0).toISOString()}`,
+    type: REMINDER_TYPES.cancelled,
+    fireAt: new Date(2026, 9, 19, 10, 45).getTime(),
+    sendISO: new Date(2026, 9, 19, 11, 0).toISOString(),
+    leadMinutes: 15,
+    subject: 'Quarterly numbers',
+    threadId: '18b7a1c2d3e4f5a6',
+    draftId: 'r-18b7a1c2d3e4f5a6'
+  });
+});
+
+test('no reminder is needed once the draft is scheduled again', () => {
+  const entry = cancelledEntry();
+  const rescheduled = attempt({ draftId: entry.draftId, threadId: entry.threadId, requestedAt: NOW.getTime() });
+
+  assert.strictEqual(isRescheduled(entry, [rescheduled]), true);
+  assert.strictEqual(isRescheduled(entry, [{ ...rescheduled, status: 'failed' }]), false);
+  assert.strictEqual(isRescheduled(entry, [{ ...rescheduled, requestedAt: entry.cancelledAt - 1 }]), false,
+    'an attempt from before the cancel is the schedule that was cancelled');
+  assert.deepStrictEqual(listReminders({ history: [entry], log: [rescheduled] }), []);
+});
+
+test('an attempt still waiting for Schedule send to be clicked doesn\'t count as scheduled', () => {
+  const entry = cancelledEntry();
+  // In review mode the attempt stays pending until the highlighted button is clicked
+  const waiting = attempt({ draftId: entry.draftId, threadId: entry.threadId, requestedAt: NOW.getTime(), status: 'pending', actualISO: null });
+
+  assert.strictEqual(isRescheduled(entry, [waiting]), false);
+  assert.deepStrictEqual(listReminders({
+    history: [entry],
+    log: [waiting],
+    settings: { headsUp: { enabled: true } }
+  }).map(reminder => reminder.type), [REMINDER_TYPES.cancelled], 'the cancelled email is still reminded, with no heads-up');
+});
+
+test('heads-up reminders are opt-in and follow the newest attempt for each draft', () => {
+  const older = attempt({ id: 'attempt-0', requestedAt: NOW.getTime() - 10 * MINUTE_MS });
+  const newer = attempt({ targetISO: new Date(2026, 9, 19, 15, 0).toISOString(), actualISO: null, status: 'unverified' });
+  const log = [newer, older, attempt({ id: 'attempt-2', draftId: 'r-2', threadId: 'b2', status: 'cancelled' })];
+
+  assert.deepStrictEqual(listReminders({ log, settings: { cancelled: { enabled: false } } }), []);
+
+  const list = listReminders({ log, settings: { cancelled: { enabled: false }, headsUp: { enabled: true } } });
+  assert.deepStrictEqual(list.map(reminder => [reminder.id, reminder.fireAt]), [
+    ['reminder:heads-up:attempt-1', new Date(2026, 9, 19, 14, 50).getTime()]
+  ]);
+});
+
+test('a scheduled email cancelled since is not announced as going out', () => {
+  const scheduled = attempt();
+  const history = [cancelledEntry({ draftId: null, threadId: scheduled.threadId, cancelledAt: NOW.getTime() })];
+
+  assert.deepStrictEqual(listReminders({
+    history,
+    log: [scheduled],
+    settings: { cancelled: { enabled: false }, headsUp: { enabled: true } }
+  }), []);
+});
+
+test('only reminders still ahead are planned', () => {
+  const history = [
+    cancelledEntry(),
+    // Cancelled inside its lead time
+    cancelledEntry({ threadId: 'late', timeISO: new Date(2026, 9, 19, 10, 10).toISOString() })
+  ];
+
+  assert.deepStrictEqual(planReminders(listReminders({ history }), NOW).map(reminder => reminder.threadId), ['18b7a1c2d3e4f5a6']);
+});
+
+test('notifications name the email and how far away its time is', () => {
+  const [cancelled] = listReminders({ history: [cancelledEntry()] });
+  const cancelledText = describeReminder(cancelled, { now: new Date(2026, 9, 19, 10, 45), locale: 'en-US' });
+  assert.strictEqual(cancelledText.title, '"Quarterly numbers" hasn\'t been rescheduled');
+  assert.match(cancelledText.message, /^You cancelled it from Mon, Oct 19, 11:00\sAM, 15 minutes from now\./);
+
+  const [headsUp] = listReminders({ log: [attempt({ subject: '' })], settings: { headsUp: { enabled: true } } });
+  const headsUpText = describeReminder(headsUp, { now: new Date(2026, 9, 19, 13, 59), locale: 'en-US' });
+  assert.strictEqual(headsUpText.title, 'Going out in 1 minute');
+  assert.match(headsUpText.message, /^An email is scheduled for Mon, Oct 19, 2:00\sPM\.$/);
+});
+
+test('reminders open the draft or the scheduled email', () => {
+  const [cancelled] = listReminders({ history: [cancelledEntry()] });
+  assert.strictEqual(getReminderHash(cancelled), '#drafts/18b7a1c2d3e4f5a6');
+  assert.strictEqual(getReminderHash({ ...cancelled, type: REMINDER_TYPES.headsUp, threadId: null }), '#scheduled');
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  MAX_ENTRIES,
+  STATUSES,
+  createAttempt,
+  addAttempt,
+  updateAttempt,
+  evaluateAttempt,
+  isScheduled,
+  getScheduledTimes
+} = require('../lib/schedule-log');
+const { parseScheduledTitle } = require('../lib/scheduled-title-parser');
+
+// Monday, October 19 2026, 10:00 AM local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+const TARGET = new Date(2026, 9, 20, 8, 34, 12);
+
+test('attempts start pending and keep their context', () => {
+  const attempt = createAttempt({
+    targetDate: TARGET,
+    source: 'Tomorrow morning random',
+    subject: 'Weekly report',
+    draftId: 'r-123',
+    requestedAt: NOW.getTime()
+  });
+
+  assert.strictEqual(attempt.status, STATUSES.pending);
+  assert.strictEqual(attempt.targetISO, TARGET.toISOString());
+  assert.strictEqual(attempt.source, 'Tomorrow morning random');
+  assert.strictEqual(attempt.draftId, 'r-123');
+  assert.strictEqual(attempt.threadId, null);
+  assert.strictEqual(attempt.actualISO, null);
+});
+
+test('the log keeps the newest attempts and updates them by ID', () => {
+  let log = [];
+  for (let index = 0; index < MAX_ENTRIES + 5; index++) {
+    log = addAttempt(log, createAttempt({ targetDate: TARGET, requestedAt: NOW.getTime() + index }));
+  }
+  assert.strictEqual(log.length, MAX_ENTRIES);
+  assert.strictEqual(log[0].requestedAt, NOW.getTime() + MAX_ENTRIES + 4);
+
+  const updated = updateAttempt(log, log[1].id, { status: STATUSES.verified });
+  assert.strictEqual(updated[1].status, STATUSES.verified);
+  assert.strictEqual(updated[0].status, STATUSES.pending);
+  assert.strictEqual(log[1].status, STATUSES.pending);
+});
+
+test('confirmed times are compared to the minute', () => {
+  assert.strictEqual(evaluateAttempt(TARGET, new Date(2026, 9, 20, 8, 34)).status, STATUSES.verified);
+  assert.strictEqual(evaluateAttempt(TARGET, new Date(2026, 9, 20, 8, 35)).status, STATUSES.mismatch);
+  // Day and month swapped by a misread picker format
+  assert.strictEqual(evaluateAttempt(TARGET, new Date(2027, 7, 10, 8, 34)).status, STATUSES.mismatch);
+
+  const unread = evaluateAttempt(TARGET, null);
+  assert.deepStrictEqual(unread, { status: STATUSES.unverified, actualISO: null });
+});
+
+test('an attempt left pending in review mode doesn\'t hold its time', () => {
+  const attempt = (status, minute) => ({ status, targetISO: new Date(2026, 9, 20, 8, minute).toISOString(), actualISO: null });
+  // The picker was closed without clicking the highlighted Schedule send
+  const waiting = attempt(STATUSES.pending, 10);
+  const log = [waiting, attempt(STATUSES.unverified, 20), attempt(STATUSES.verified, 30)];
+
+  assert.strictEqual(isScheduled(waiting), false);
+  assert.deepStrictEqual(getScheduledTimes(log, NOW).map(date => date.getMinutes()), [20, 30]);
+  assert.deepStrictEqual(getScheduledTimes([{ ...waiting, status: STATUSES.verified }], NOW).map(date => date.getMinutes()), [10],
+    'it counts once Schedule send is clicked and Gmail confirms');
+});
+
+test('Gmail confirmation toasts parse to the scheduled time', () => {
+  const english = parseScheduledTitle('Send scheduled for Tue, Oct 20, 8:34 AM', { now: NOW });
+  assert.strictEqual(evaluateAttempt(TARGET, english).status, STATUSES.verified);
+
+  const german = parseScheduledTitle('Senden geplant für Di., 20. Okt., 08:34', { now: NOW, locale: 'de' });
+  assert.strictEqual(evaluateAttempt(TARGET, german).status, STATUSES.verified);
+
+  assert.strictEqual(parseScheduledTitle('Scheduling…', { now: NOW }), null);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseScheduledTitle } = require('../lib/scheduled-title-parser');
+const fixtures = require('./fixtures/scheduled-titles.json');
+
+// Monday, October 19 2026, 10:00 AM local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+/**
+ * Formats a date as a local "YYYY-MM-DDTHH:mm" string
+ * @param {Date} date - The date
+ * @returns {string} The formatted date
+ */
+function toLocalString(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+fixtures.forEach(({ language, locale, title, expected }) => {
+  test(`${language}: ${title}`, () => {
+    const result = parseScheduledTitle(title, { now: NOW, locale });
+    assert.ok(result, `"${title}" should parse`);
+    assert.strictEqual(toLocalString(result), expected);
+  });
+});
+
+test('dates without a year that have passed roll over to next year', () => {
+  const result = parseScheduledTitle('Jan 5, 9:00 AM', { now: NOW });
+  assert.strictEqual(toLocalString(result), '2027-01-05T09:00');
+});
+
+test('invalid titles return null', () => {
+  assert.strictEqual(parseScheduledTitle('', { now: NOW }), null);
+  assert.strictEqual(parseScheduledTitle(null, { now: NOW }), null);
+  assert.strictEqual(parseScheduledTitle('Scheduled', { now: NOW }), null);
+  assert.strictEqual(parseScheduledTitle('Tue, Oct 20, 2026', { now: NOW }), null);
+  assert.strictEqual(parseScheduledTitle('Fri, Feb 30, 2027, 9:00 AM', { now: NOW }), null);
+  assert.strictEqual(parseScheduledTitle('Tue, Oct 20, 2026, 13:00 PM', { now: NOW }), null);
+});
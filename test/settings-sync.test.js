@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  SCHEMA_VERSION,
+  QUOTA,
+  migrate,
+  isSyncedKey,
+  hashValue,
+  getItemBytes,
+  packValue,
+  unpackValue,
+  getStaleChunkKeys,
+  checkQuota,
+  getWriteDelay,
+  recordWrites,
+  mergeValues,
+  decideSync,
+  exportBackup,
+  importBackup
+} = require('../lib/settings-sync');
+
+// Monday, October 19 2026, 10:00 AM local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+/**
+ * Builds a cancelled time entry
+ * @param {number} day - Day of October 2026
+ * @param {number} cancelledAt - When it was cancelled (ms since epoch)
+ * @returns {Object} The entry
+ */
+function entry(day, cancelledAt) {
+  const date = new Date(2026, 9, day, 9, 0);
+  return { time: date.toString(), timeISO: date.toISOString(), subject: '', recipients: [], threadId: null, draftId: null, cancelledAt };
+}
+
+test('the legacy single time is migrated into the history', () => {
+  const iso = new Date(2026, 9, 22, 15, 15).toISOString();
+  const { changes, removed } = migrate({
+    'scheduled time': 'Thu, Oct 22, 3:15 PM',
+    'scheduled time iso': iso
+  });
+
+  assert.strictEqual(changes['schema version'], SCHEMA_VERSION);
+  assert.strictEqual(changes['cancelled times'].length, 1);
+  assert.strictEqual(changes['cancelled times'][0].timeISO, iso);
+  assert.deepStrictEqual(removed, ['scheduled time', 'scheduled time iso']);
+});
+
+test('a legacy time without an ISO copy is parsed, and current data is left alone', () => {
+  const parsed = new Date(2026, 9, 22, 15, 15);
+  const { changes } = migrate({ 'scheduled time': 'Thu, Oct 22, 3:15 PM' }, { parseTime: () => parsed });
+  assert.strictEqual(changes['cancelled times'][0].timeISO, parsed.toISOString());
+
+  assert.deepStrictEqual(migrate({ 'schema version': SCHEMA_VERSION }), { changes: {}, removed: [] });
+});
+
+test('small values are stored inline and large ones are split to fit the item quota', () => {
+  const record = { updatedAt: NOW.getTime(), device: 'laptop' };
+  const small = packValue('send mode', { ...record, value: 'review' });
+  assert.deepStrictEqual(Object.keys(small), ['send mode']);
+  assert.strictEqual(unpackValue('send mode', small).value, 'review');
+
+  const holidays = Array.from({ length: 400 }, (_, index) => ({ date: `2026-01-${index}`, name: `Holiday “${index}”` }));
+  const calendar = { enabled: true, holidays };
+  const large = packValue('business calendar', { ...record, value: calendar });
+  assert.ok(large['business calendar'].chunks > 1);
+  Object.entries(large).forEach(([key, value]) => {
+    assert.ok(getItemBytes(key, value) <= QUOTA.bytesPerItem, key);
+  });
+  assert.deepStrictEqual(unpackValue('business calendar', large), { ...record, value: calendar });
+
+  // A value whose chunks haven't all arrived yet is ignored
+  const partial = { ...large };
+  delete partial['business calendar#1'];
+  assert.strictEqual(unpackValue('business calendar', partial), null);
+
+  assert.deepStrictEqual(getStaleChunkKeys('business calendar', large, small), Object.keys(large).slice(1));
+});
+
+test('writes that would exceed the total quota are refused', () => {
+  const current = { presets: 'x'.repeat(QUOTA.bytes - 100) };
+  assert.strictEqual(checkQuota(current, { 'send mode': 'auto' }), null);
+  assert.match(checkQuota(current, { 'time zone mappings': 'y'.repeat(200) }), /KB/);
+  assert.strictEqual(checkQuota(current, { 'time zone mappings': 'y'.repeat(200) }, ['presets']), null);
+});
+
+test('writes wait until they fit in the per-minute and per-hour write quotas', () => {
+  const now = NOW.getTime();
+  const minute = 60 * 1000;
+  assert.strictEqual(getWriteDelay([], 2, now), 0);
+  assert.strictEqual(getWriteDelay(undefined, 1, now), 0);
+
+  // 120 writes over the last 30 seconds: the next one waits for the oldest to be a minute old
+  const burst = Array.from({ length: QUOTA.writesPerMinute }, (_, index) => now - 30000 + index * 100);
+  assert.strictEqual(getWriteDelay(burst, 1, now), 30000);
+  assert.strictEqual(getWriteDelay(burst, 2, now), 30100);
+  assert.strictEqual(getWriteDelay(burst, 1, now + 30000), 0);
+
+  // 1800 writes spread over the last hour fit the per-minute quota but not the per-hour one
+  const steady = Array.from({ length: QUOTA.writesPerHour }, (_, index) => now - 60 * minute + (index + 1) * 2000);
+  assert.strictEqual(getWriteDelay(steady, 1, now), 2000);
+
+  const recorded = recordWrites([now - 61 * minute, now - minute], 2, now);
+  assert.deepStrictEqual(recorded, [now - minute, now, now], 'writes older than an hour are dropped');
+});
+
+test('concurrent cancelled times are merged, other keys keep the later write', () => {
+  const laptop = { value: [entry(20, 3), entry(21, 1)], updatedAt: 10, device: 'laptop' };
+  const desktop = { value: [entry(22, 2), entry(21, 1)], updatedAt: 20, device: 'desktop' };
+  assert.deepStrictEqual(
+    mergeValues('cancelled times', laptop, desktop).map(item => item.cancelledAt),
+    [3, 2, 1]
+  );
+  assert.deepStrictEqual(
+    mergeValues('account:ana@example.com:cancelled times', laptop, desktop).map(item => item.cancelledAt),
+    [3, 2, 1]
+  );
+
+  assert.strictEqual(mergeValues('send mode', { ...laptop, value: 'auto' }, { ...desktop, value: 'review' }), 'review');
+  assert.strictEqual(mergeValues('send mode', { ...laptop, value: 'auto', updatedAt: 30 }, { ...desktop, value: 'review' }), 'auto');
+});
+
+test('each account\'s copy of a synced key is synced, device-only and unclaimed values are not', () => {
+  assert.strictEqual(isSyncedKey('account:ana@example.com:presets'), true);
+  assert.strictEqual(isSyncedKey('account:u/1:cancelled times'), true);
+  assert.strictEqual(isSyncedKey('account:ana@example.com:schedule log'), false);
+  assert.strictEqual(isSyncedKey('presets'), false);
+  assert.strictEqual(isSyncedKey('sync state'), false);
+});
+
+test('sync decisions push local edits, pull remote ones and merge concurrent ones', () => {
+  const synced = { updatedAt: 100, hash: hashValue('auto') };
+  const remote = { value: 'auto', updatedAt: 100, device: 'desktop' };
+  const base = { device: 'laptop', now: 500 };
+
+  assert.deepStrictEqual(decideSync('send mode', { ...base, localValue: 'auto', remote, synced }), { action: 'none' });
+  assert.deepStrictEqual(
+    decideSync('send mode', { ...base, localValue: 'review', remote, synced }),
+    { action: 'push', value: 'review', updatedAt: 500 }
+  );
+  assert.deepStrictEqual(
+    decideSync('send mode', { ...base, localValue: 'auto', remote: { ...remote, value: 'confirm', updatedAt: 200 }, synced }),
+    { action: 'pull', value: 'confirm', updatedAt: 200 }
+  );
+
+  // Edited on both devices: the later edit wins
+  assert.deepStrictEqual(
+    decideSync('send mode', {
+      ...base,
+      localValue: 'review',
+      localChangedAt: 300,
+      remote: { ...remote, value: 'confirm', updatedAt: 200 },
+      synced
+    }),
+    { action: 'merge', value: 'review', updatedAt: 500 }
+  );
+});
+
+test('a device joining sync takes the synced settings but keeps its cancelled times', () => {
+  const base = { device: 'desktop', now: 500 };
+  assert.deepStrictEqual(
+    decideSync('send mode', { ...base, localValue: 'auto', remote: { value: 'review', updatedAt: 100, device: 'laptop' } }),
+    { action: 'pull', value: 'review', updatedAt: 100 }
+  );
+
+  const decision = decideSync('cancelled times', {
+    ...base,
+    localValue: [entry(20, 2)],
+    remote: { value: [entry(21, 1)], updatedAt: 100, device: 'laptop' }
+  });
+  assert.strictEqual(decision.action, 'merge');
+  assert.strictEqual(decision.value.length, 2);
+
+  assert.deepStrictEqual(
+    decideSync('send mode', { ...base, localValue: 'auto', remote: null }),
+    { action: 'push', value: 'auto', updatedAt: 500 }
+  );
+});
+
+test('backups round-trip the synced keys only', () => {
+  const backup = exportBackup({
+    'presets': [],
+    'send mode': 'confirm',
+    'schedule log': [{ id: 'a' }]
+  }, NOW);
+  assert.strictEqual(backup.schemaVersion, SCHEMA_VERSION);
+  assert.strictEqual(backup.exportedAt, NOW.toISOString());
+  assert.deepStrictEqual(Object.keys(backup.data), ['presets', 'send mode']);
+
+  assert.deepStrictEqual(importBackup(JSON.stringify(backup)), {
+    data: { 'presets': [], 'send mode': 'confirm' },
+    skipped: []
+  });
+});
+
+test('malformed backups are rejected or have their bad keys skipped', () => {
+  assert.throws(() => importBackup('not json'), /not valid JSON/);
+  assert.throws(() => importBackup('{"presets": []}'), /not a Schedule Send Enhancer backup/);
+
+  const backup = exportBackup({ 'send mode': 'auto' }, NOW);
+  assert.throws(() => importBackup(JSON.stringify({ ...backup, schemaVersion: SCHEMA_VERSION + 1 })), /newer version/);
+
+  const { data, skipped } = importBackup(JSON.stringify({ ...backup, data: { 'presets': 'oops', 'send mode': 'auto' } }));
+  assert.deepStrictEqual(data, { 'send mode': 'auto' });
+  assert.deepStrictEqual(skipped, ['presets']);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  isValidZone,
+  getZoneOffset,
+  toWallClock,
+  fromWallClock,
+  getZoneLabel,
+  matchesPattern,
+  resolveRecipientZone
+} = require('../lib/timezones');
+
+const HOUR = 60 * 60 * 1000;
+
+test('zones are validated by the browser', () => {
+  assert.ok(isValidZone('Asia/Tokyo'));
+  assert.ok(!isValidZone('Mars/Olympus_Mons'));
+  assert.ok(!isValidZone(''));
+  assert.strictEqual(getZoneLabel('America/New_York'), 'New York');
+});
+
+test('wall-clock times convert to instants and back', () => {
+  const instant = fromWallClock(new Date(2026, 9, 20, 8, 34), 'Asia/Tokyo');
+  assert.strictEqual(instant.toISOString(), '2026-10-19T23:34:00.000Z');
+  assert.deepStrictEqual(toWallClock(instant, 'Asia/Tokyo'), new Date(2026, 9, 20, 8, 34));
+  assert.strictEqual(getZoneOffset(instant, 'Asia/Tokyo'), 9 * HOUR);
+  assert.strictEqual(getZoneOffset(instant, 'America/New_York'), -4 * HOUR);
+});
+
+test('times the clocks skip in spring move forward by the skipped amount', () => {
+  // New York skips 2:00–2:59 AM on March 8 2026; Berlin skips 2:00–2:59 AM on March 29 2026
+  assert.strictEqual(fromWallClock(new Date(2026, 2, 8, 2, 30), 'America/New_York').toISOString(), '2026-03-08T07:30:00.000Z');
+  assert.strictEqual(fromWallClock(new Date(2026, 2, 29, 2, 30), 'Europe/Berlin').toISOString(), '2026-03-29T01:30:00.000Z');
+
+  // Either side of the gap is unaffected
+  assert.strictEqual(fromWallClock(new Date(2026, 2, 8, 1, 59), 'America/New_York').toISOString(), '2026-03-08T06:59:00.000Z');
+  assert.strictEqual(fromWallClock(new Date(2026, 2, 8, 3, 0), 'America/New_York').toISOString(), '2026-03-08T07:00:00.000Z');
+  // A half-hour change: Lord Howe Island skips 2:00–2:29 AM on October 4 2026
+  assert.strictEqual(fromWallClock(new Date(2026, 9, 4, 2, 15), 'Australia/Lord_Howe').toISOString(), '2026-10-03T15:45:00.000Z');
+});
+
+test('times that happen twice in autumn are the earlier one', () => {
+  // New York repeats 1:00–1:59 AM on November 1 2026; Berlin repeats 2:00–2:59 AM on October 25 2026
+  assert.strictEqual(fromWallClock(new Date(2026, 10, 1, 1, 30), 'America/New_York').toISOString(), '2026-11-01T05:30:00.000Z');
+  assert.strictEqual(fromWallClock(new Date(2026, 9, 25, 2, 30), 'Europe/Berlin').toISOString(), '2026-10-25T00:30:00.000Z');
+
+  assert.strictEqual(fromWallClock(new Date(2026, 10, 1, 2, 0), 'America/New_York').toISOString(), '2026-11-01T07:00:00.000Z');
+  assert.strictEqual(getZoneOffset(new Date('2026-11-01T05:30:00Z'), 'America/New_York'), -4 * HOUR);
+  assert.strictEqual(getZoneOffset(new Date('2026-11-01T06:30:00Z'), 'America/New_York'), -5 * HOUR);
+});
+
+test('patterns match addresses, domains with their subdomains, and wildcards', () => {
+  assert.ok(matchesPattern('Legal@Acme.com ', 'legal@acme.com'));
+  assert.ok(!matchesPattern('sales@acme.com', 'legal@acme.com'));
+  assert.ok(matchesPattern('kenji@tokyo.acme.com', 'acme.com'));
+  assert.ok(!matchesPattern('kenji@notacme.com', 'acme.com'));
+  assert.ok(matchesPattern('mia@acme.co.jp', '*@acme.co.jp'));
+  assert.ok(matchesPattern('mia@acme.co.jp', '*.jp'));
+  assert.ok(!matchesPattern('mia@acme.co.jp', '*.de'));
+  assert.ok(!matchesPattern('', 'acme.com'));
+});
+
+test('the most specific mapping wins: address, then domain, then wildcard', () => {
+  const mappings = [
+    { pattern: '*.jp', zone: 'Asia/Tokyo' },
+    { pattern: 'acme.co.jp', zone: 'Asia/Seoul' },
+    { pattern: 'kenji@acme.co.jp', zone: 'America/Los_Angeles' },
+    { pattern: 'berlin.example.com', zone: 'Europe/Berlin' },
+    { pattern: 'broken.example.com', zone: 'Not/AZone' }
+  ];
+
+  assert.strictEqual(resolveRecipientZone(['kenji@acme.co.jp'], mappings), 'America/Los_Angeles');
+  assert.strictEqual(resolveRecipientZone(['mia@acme.co.jp'], mappings), 'Asia/Seoul');
+  assert.strictEqual(resolveRecipientZone(['taro@other.jp'], mappings), 'Asia/Tokyo');
+  assert.strictEqual(resolveRecipientZone(['ana@example.com'], mappings), null);
+  assert.strictEqual(resolveRecipientZone(['ops@broken.example.com'], mappings), null, 'invalid zones are ignored');
+
+  // Across recipients the more specific match still wins; among equals, the first recipient
+  assert.strictEqual(resolveRecipientZone(['taro@other.jp', 'kenji@acme.co.jp'], mappings), 'America/Los_Angeles');
+  assert.strictEqual(resolveRecipientZone(['mia@acme.co.jp', 'ana@berlin.example.com'], mappings), 'Asia/Seoul');
+  assert.strictEqual(resolveRecipientZone(['ana@berlin.example.com', 'mia@acme.co.jp'], mappings), 'Europe/Berlin');
+  assert.strictEqual(resolveRecipientZone([], mappings), null);
+  assert.strictEqual(resolveRecipientZone(['kenji@acme.co.jp'], null), null);
+});